@@ -0,0 +1,89 @@
+/**
+ * Permission Policy Tests
+ * Validates the action table, tenant/ownership checks and denial auditing
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { evaluate, authorize, ACTIONS } = require('../services/accessPolicy');
+const { signToken } = require('../utils/auth');
+const { auditLog, getAuditEvents } = require('../services/auditLog');
+const securityPolicy = require('../services/securityPolicy');
+const organizationStore = require('../services/organizationStore');
+
+describe('Permission Policy', () => {
+  let clinic, otherClinic;
+
+  beforeEach(() => {
+    auditLog.splice(0);
+    securityPolicy.securityPolicy.clear();
+    organizationStore.organizations.clear();
+    clinic = organizationStore.createOrganization({ name: 'Clinique A', type: 'clinic' });
+    otherClinic = organizationStore.createOrganization({ name: 'Clinique B', type: 'clinic' });
+  });
+
+  test('role gates each action', () => {
+    const pharmacist = { sub: 2, role: 'pharmacist', orgId: 9 };
+    const doctor = { sub: 1, role: 'doctor', orgId: clinic.id };
+
+    expect(evaluate(pharmacist, 'prescription:dispense').allowed).toBe(true);
+    expect(evaluate(pharmacist, 'claim:submit').allowed).toBe(true);
+    expect(evaluate(doctor, 'prescription:dispense')).toMatchObject({ allowed: false, status: 403 });
+    expect(evaluate(null, 'prescription:verify')).toMatchObject({ allowed: false, status: 401 });
+    expect(evaluate(doctor, 'no:such-action').allowed).toBe(false);
+  });
+
+  test('tenant scope and ownership are checked against the resource', () => {
+    const doctor = { sub: 1, role: 'doctor', orgId: clinic.id };
+    const own = { type: 'prescription', id: 'RX-1', orgId: clinic.id, ownerId: 1 };
+    const colleague = { type: 'prescription', id: 'RX-2', orgId: clinic.id, ownerId: 5 };
+    const foreign = { type: 'prescription', id: 'RX-3', orgId: otherClinic.id, ownerId: 7 };
+
+    expect(evaluate(doctor, 'prescription:read', colleague).allowed).toBe(true);
+    expect(evaluate(doctor, 'prescription:read', foreign).allowed).toBe(false);
+    expect(evaluate(doctor, 'prescription:cancel', own).allowed).toBe(true);
+    expect(evaluate(doctor, 'prescription:cancel', colleague).allowed).toBe(false);
+    expect(evaluate({ sub: 3, role: 'pharmacist' }, 'prescription:read', foreign).allowed).toBe(true);
+  });
+
+  test('actions flagged mfa honour the 2FA policy', () => {
+    securityPolicy.setMfaRequiredRoles(['doctor']);
+    expect(evaluate({ sub: 1, role: 'doctor' }, 'prescription:issue')).toMatchObject({ allowed: false, code: 'MFA_REQUIRED' });
+    expect(evaluate({ sub: 1, role: 'doctor', mfa: true }, 'prescription:issue').allowed).toBe(true);
+    expect(evaluate({ sub: 1, role: 'doctor' }, 'claim:preapprove').allowed).toBe(true);
+  });
+
+  test('every action grants at least one role', () => {
+    for (const [action, rule] of Object.entries(ACTIONS)) {
+      expect(Object.keys(rule.roles).length).toBeGreaterThan(0);
+      expect(action).toMatch(/^[a-z-]+:[a-z-]+$/);
+    }
+  });
+
+  describe('authorize middleware', () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/dispense', authorize('prescription:dispense'), (req, res) => res.json({ success: true, by: req.user.username }));
+
+    test('lets an allowed caller through', async () => {
+      const token = signToken({ sub: 2, username: 'ph@atlascare.ma', role: 'pharmacist' });
+      const res = await request(app).post('/dispense').set('Authorization', `Bearer ${token}`).send({});
+      expect(res.status).toBe(200);
+      expect(res.body.by).toBe('ph@atlascare.ma');
+      expect(auditLog).toHaveLength(0);
+    });
+
+    test('audits anonymous and forbidden calls', async () => {
+      const token = signToken({ sub: 1, username: 'doc@atlascare.ma', role: 'doctor', orgId: clinic.id });
+
+      expect((await request(app).post('/dispense').send({})).status).toBe(401);
+      expect((await request(app).post('/dispense').set('Authorization', `Bearer ${token}`).send({})).status).toBe(403);
+
+      const denials = getAuditEvents({ type: 'access_denied' });
+      expect(denials).toHaveLength(2);
+      expect(denials[0]).toMatchObject({ action: 'prescription:dispense', actor: { username: 'doc@atlascare.ma', role: 'doctor' } });
+      expect(denials[1]).toMatchObject({ actor: null, reason: 'Missing token' });
+      expect(getAuditEvents({ orgIds: [otherClinic.id] })).toHaveLength(0);
+    });
+  });
+});
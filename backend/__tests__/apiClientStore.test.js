@@ -0,0 +1,99 @@
+/**
+ * API Client Tests
+ * Validates key issuance, client credentials, rate limiting, revocation and
+ * that client requests are scoped and audited under the client's identity
+ */
+
+const express = require('express');
+const request = require('supertest');
+const apiClientStore = require('../services/apiClientStore');
+const { authorize, evaluate, CLIENT_SCOPES } = require('../services/accessPolicy');
+const { signToken } = require('../utils/auth');
+const { auditLog, getAuditEvents } = require('../services/auditLog');
+
+describe('API Clients', () => {
+  beforeEach(() => {
+    apiClientStore.apiClients.clear();
+    apiClientStore.rateWindows.clear();
+    auditLog.splice(0);
+  });
+
+  test('secrets are returned once and stored hashed', () => {
+    const { client, apiKey, clientSecret } = apiClientStore.createClient({ name: 'CNSS back office', scopes: ['claim:submit'] });
+
+    expect(apiKey).toBe(`ack_${client.clientId}_${clientSecret}`);
+    expect(client.secretHash).toBeUndefined();
+    expect(JSON.stringify(apiClientStore.getClient(client.clientId))).not.toContain(clientSecret);
+    expect(apiClientStore.authenticateApiKey(apiKey).clientId).toBe(client.clientId);
+    expect(apiClientStore.authenticateClient(client.clientId, clientSecret)).not.toBeNull();
+    expect(apiClientStore.authenticateClient(client.clientId, 'wrong')).toBeNull();
+    expect(apiClientStore.authenticateApiKey('ack_garbage')).toBeNull();
+    expect(() => apiClientStore.createClient({ name: 'No scopes', scopes: [] })).toThrow('scope');
+  });
+
+  test('revoked clients no longer authenticate', () => {
+    const { client, apiKey } = apiClientStore.createClient({ name: 'HIS', scopes: ['prescription:read'] });
+    apiClientStore.revokeClient(client.clientId);
+
+    expect(apiClientStore.authenticateApiKey(apiKey)).toBeNull();
+    expect(apiClientStore.getActiveClient(client.clientId)).toBeNull();
+    expect(apiClientStore.listClients()[0]).toMatchObject({ active: false });
+  });
+
+  test('per-client rate limit uses a one-minute window and stamps last use', () => {
+    const { client } = apiClientStore.createClient({ name: 'HIS', scopes: ['catalog:read'], rateLimitPerMinute: 2 });
+    const stored = apiClientStore.getClient(client.clientId);
+    const t0 = Date.parse('2026-01-01T10:00:00Z');
+
+    expect(apiClientStore.consumeRateLimit(stored, t0).allowed).toBe(true);
+    expect(apiClientStore.consumeRateLimit(stored, t0 + 1000).allowed).toBe(true);
+    expect(apiClientStore.consumeRateLimit(stored, t0 + 2000)).toMatchObject({ allowed: false, retryAfterSeconds: 58 });
+    expect(apiClientStore.consumeRateLimit(stored, t0 + 60000).allowed).toBe(true);
+    expect(stored.lastUsedAt).toBe(new Date(t0 + 60000).toISOString());
+  });
+
+  test('clients only get delegable actions they were granted', () => {
+    const insurer = { sub: 'client:a', role: 'client', clientId: 'a', orgId: null, scopes: ['claim:submit'] };
+    const his = { sub: 'client:b', role: 'client', clientId: 'b', orgId: 3, scopes: ['prescription:read'] };
+
+    expect(CLIENT_SCOPES).toEqual(expect.arrayContaining(['claim:submit', 'prescription:read']));
+    expect(CLIENT_SCOPES).not.toContain('prescription:issue');
+    expect(evaluate(insurer, 'claim:submit').allowed).toBe(true);
+    expect(evaluate(insurer, 'catalog:read').allowed).toBe(false);
+    expect(evaluate({ ...insurer, scopes: ['prescription:issue'] }, 'prescription:issue').allowed).toBe(false);
+    expect(evaluate(his, 'prescription:read', { type: 'prescription', id: 'RX-1', orgId: 4 }).allowed).toBe(false);
+  });
+
+  describe('authorize middleware with client credentials', () => {
+    const app = express();
+    app.get('/medicines', authorize('catalog:read'), (req, res) => res.json({ success: true, by: req.user.username }));
+
+    test('accepts an API key, audits the request under the client and enforces the limit', async () => {
+      const { client, apiKey } = apiClientStore.createClient({ name: 'Hospital HIS', scopes: ['catalog:read'], rateLimitPerMinute: 1 });
+
+      const ok = await request(app).get('/medicines').set('X-API-Key', apiKey);
+      expect(ok.status).toBe(200);
+      expect(ok.body.by).toBe('Hospital HIS');
+
+      const limited = await request(app).get('/medicines').set('X-API-Key', apiKey);
+      expect(limited.status).toBe(429);
+      expect(limited.headers['retry-after']).toBeDefined();
+
+      const [entry] = getAuditEvents({ type: 'client_request' });
+      expect(entry).toMatchObject({ action: 'catalog:read', outcome: 'allowed', status: 200, actor: { clientId: client.clientId, role: 'client' } });
+      expect(getAuditEvents({ type: 'access_denied' })[0]).toMatchObject({ reason: 'Client rate limit exceeded' });
+    });
+
+    test('client access tokens stop working once the client is revoked', async () => {
+      const { client } = apiClientStore.createClient({ name: 'Insurer', scopes: ['catalog:read'] });
+      const token = signToken({ sub: `client:${client.clientId}`, clientId: client.clientId, role: 'client' });
+
+      expect((await request(app).get('/medicines').set('Authorization', `Bearer ${token}`)).status).toBe(200);
+      apiClientStore.revokeClient(client.clientId);
+      const res = await request(app).get('/medicines').set('Authorization', `Bearer ${token}`);
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Client revoked');
+      expect((await request(app).get('/medicines').set('X-API-Key', 'ack_bogus')).status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Cancelled Prescription Route Tests
+ * Validates that once a doctor cancels a prescription, /api/verify, /api/payments
+ * and /api/dispense refuse it with the lifecycle 409 and the cancellation details
+ */
+
+// The Hedera client needs network credentials: submissions are recorded instead
+jest.mock('../hedera', () => ({
+  storePrescription: jest.fn(),
+  getPrescription: jest.fn(),
+  submitAuditMessage: jest.fn().mockResolvedValue({}),
+  submitPrescriptionMessage: jest.fn().mockResolvedValue({ status: 'SUCCESS', topicId: '0.0.7001' }),
+  createPrescriptionTopic: jest.fn()
+}));
+// Mirror node lookups answer with the last event type they would have found
+jest.mock('../utils/mirror', () => ({
+  ...jest.requireActual('../utils/mirror'),
+  getTopicStatusFromHedera: jest.fn().mockResolvedValue('cancelled')
+}));
+
+const request = require('supertest');
+const app = require('../index');
+const { persistence, inMemoryStore } = require('../services/store');
+const { signToken } = require('../utils/auth');
+
+describe('Cancelled prescriptions', () => {
+  const topicID = '0.0.7001';
+  const prescriptionId = 'RX-CANCEL-1';
+  const doctor = `Bearer ${signToken({ sub: 7, username: 'dr.alami', role: 'doctor', orgId: 1, mfa: true })}`;
+  const pharmacist = `Bearer ${signToken({ sub: 9, username: 'ph.bennani', role: 'pharmacist', orgId: 2 })}`;
+  const store = (name) => persistence.stores[name].map;
+
+  beforeAll(async () => {
+    const record = { id: prescriptionId, prescriberId: 7, orgId: 1, doctorNationalId: 'D100200', medications: [{ name: 'DOLIPRANE', code: '6118000040972', quantity: 1 }] };
+    store('prescriptionIndex').set(prescriptionId, record);
+    store('prescriptionToTopic').set(prescriptionId, topicID);
+    store('topicIndex').set(topicID, { ...record });
+    inMemoryStore.set(topicID, { status: 'issued', payload: { eventType: 'issued', topicID, prescriptionId, maxDispenses: 1, dispenseCount: 0 } });
+
+    const cancelled = await request(app).post('/api/cancel').set('Authorization', doctor).send({ prescriptionId, reason: 'Wrong dosage prescribed' });
+    expect(cancelled.status).toBe(200);
+    expect(cancelled.body).toMatchObject({ success: true, status: 'cancelled' });
+  });
+
+  afterAll(() => {
+    ['prescriptionIndex', 'prescriptionToTopic', 'topicIndex'].forEach(name => store(name).clear());
+    inMemoryStore.clear();
+  });
+
+  const expectRefused = (res) => {
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ success: false, state: 'cancelled', cancellation: { reason: 'Wrong dosage prescribed' } });
+  };
+
+  test('verification is refused', async () => {
+    const res = await request(app).post('/api/verify').set('Authorization', pharmacist).send({ topicID, pharmacistNationalId: 'P300400' });
+    expectRefused(res);
+    expect(res.body.valid).toBe(false);
+  });
+
+  test('payment is refused', async () => {
+    const res = await request(app).post('/api/payments').set('Authorization', pharmacist).send({ prescriptionId, amountMAD: 50, method: 'cash' });
+    expectRefused(res);
+  });
+
+  test('dispensing is refused and the dispense lock is released', async () => {
+    const res = await request(app).post('/api/dispense').set('Authorization', pharmacist).send({ topicID, pharmacistNationalId: 'P300400' });
+    expectRefused(res);
+
+    // Refused again, not blocked by a lock left behind
+    expectRefused(await request(app).post('/api/dispense').set('Authorization', pharmacist).send({ topicID, pharmacistNationalId: 'P300400' }));
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Controlled Substances Tests
+ * Validates catalog flags, serial numbers, the patient ID check, the register, the fraud rule and the export
+ */
+
+const controlled = require('../services/controlledSubstances');
+const catalog = require('../services/medicineCatalog');
+const validityRules = require('../services/validityRules');
+const { hashIdentifier } = require('../utils/privacy');
+
+describe('Controlled Substances', () => {
+  const MOSCONTIN = { name: 'MOSCONTIN', code: '6118001120925', quantity: 1 }; // morphine
+  const KLONOPIN = { name: 'KLONOPIN', code: '6118000150121', quantity: 1 }; // clonazepam
+  const DOLIPRANE = { name: 'DOLIPRANE', code: '6118000040972', quantity: 2 };
+  const salt = process.env.CNDP_SALT || 'atlascare-default-salt';
+  const pharmacist = 'sha256:pharmacist';
+
+  const prescription = (n, cin = 'AB123456') => ({
+    topicId: `0.0.99040${n}`,
+    prescriptionId: `RX-CTRL-${n}`,
+    hashedPatientId: hashIdentifier(cin, salt, `RX-CTRL-${n}`)
+  });
+  const record = { medications: [DOLIPRANE, MOSCONTIN] };
+
+  beforeEach(() => {
+    controlled.controlledRegister.clear();
+    controlled.controlledSerials.clear();
+  });
+
+  test('the catalog flags narcotics and psychotropics; controlled prescriptions are single use', () => {
+    expect(catalog.controlledClass(MOSCONTIN)).toEqual({ class: 'narcotic', label: 'Stupéfiant' });
+    expect(catalog.controlledClass(KLONOPIN).class).toBe('psychotropic');
+    expect(catalog.controlledClass(DOLIPRANE)).toBeNull();
+    expect(catalog.controlledClassOf('PARACETAMOL / CODEINE').class).toBe('psychotropic');
+    expect(controlled.controlledLines(record.medications)).toEqual([{ line: 1, class: 'narcotic', label: 'Stupéfiant' }]);
+
+    const policy = validityRules.evaluate([DOLIPRANE, KLONOPIN]);
+    expect(policy).toMatchObject({ singleUse: true, maxDispenses: 1, controlled: [{ line: 1, class: 'psychotropic' }] });
+    expect(() => validityRules.assertWithinLimits(policy, 3)).toThrow('controlled substance');
+  });
+
+  test('serial numbers are sequential per year', () => {
+    expect(controlled.nextSerial(new Date('2025-05-01T00:00:00Z'))).toBe('STUP-2025-000001');
+    expect(controlled.nextSerial(new Date('2025-06-01T00:00:00Z'))).toBe('STUP-2025-000002');
+    expect(controlled.nextSerial(new Date('2026-01-02T00:00:00Z'))).toBe('STUP-2026-000001');
+  });
+
+  test('dispensing requires a matching identity document checked by the same pharmacist', () => {
+    const rx = prescription(1);
+    expect(() => controlled.assertPatientChecked(rx.topicId, pharmacist))
+      .toThrow(expect.objectContaining({ status: 428, code: 'PATIENT_ID_CHECK_REQUIRED' }));
+    expect(() => controlled.checkPatientId(rx, { documentType: 'CIN', documentNumber: 'ZZ999999', pharmacistIdHash: pharmacist }))
+      .toThrow(expect.objectContaining({ status: 403, code: 'PATIENT_ID_MISMATCH' }));
+    expect(() => controlled.checkPatientId(rx, { documentType: 'library_card', documentNumber: 'AB123456', pharmacistIdHash: pharmacist }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_DOCUMENT' }));
+
+    const check = controlled.checkPatientId(rx, { documentType: 'CIN', documentNumber: ' ab 123456 ', pharmacistIdHash: pharmacist });
+    expect(check).toMatchObject({ documentType: 'CIN', patientKey: controlled.patientKeyOf('AB123456'), fraudAlert: null });
+    expect(() => controlled.assertPatientChecked(rx.topicId, 'sha256:someone-else')).toThrow(controlled.ControlledSubstanceError);
+    expect(() => controlled.assertPatientChecked(rx.topicId, pharmacist, new Date(Date.now() + 60 * 60 * 1000))).toThrow('identity document');
+    expect(controlled.assertPatientChecked(rx.topicId, pharmacist)).toBe(check);
+  });
+
+  test('controlled lines handed over are registered per pharmacy and the check is consumed', () => {
+    const rx = prescription(2);
+    controlled.checkPatientId(rx, { documentType: 'passport', documentNumber: 'AB123456', pharmacistIdHash: pharmacist, orgId: 7, prescriberInpe: '100200300' });
+    const entries = controlled.recordRegisterEntries(
+      { topicId: rx.topicId, prescriptionId: rx.prescriptionId, serialNumber: 'STUP-2025-000010', orgId: 7, prescriberInpe: '100200300', pharmacistIdHash: pharmacist },
+      [{ line: 0, drugId: DOLIPRANE.code, quantity: 2, unit: 'box' }, { line: 1, drugId: MOSCONTIN.code, quantity: 1, unit: 'box' }],
+      record
+    );
+    expect(entries).toEqual([expect.objectContaining({
+      entryNo: 1, pharmacyOrgId: 7, serialNumber: 'STUP-2025-000010', productCode: MOSCONTIN.code, dci: 'MORPHINE',
+      class: 'narcotic', quantity: 1, idDocumentType: 'passport', patientKey: controlled.patientKeyOf('AB123456')
+    })]);
+    expect(controlled.getPatientCheck(rx.topicId)).toBeNull();
+    expect(controlled.getRegister({ orgIds: [7] })).toHaveLength(1);
+    expect(controlled.getRegister({ orgIds: [8] })).toHaveLength(0);
+    expect(controlled.getRegister({ from: '2000-01-01', to: '2000-12-31' })).toHaveLength(0);
+  });
+
+  test('the fraud rule flags patients collecting from several prescribers or pharmacies', () => {
+    const first = prescription(3);
+    controlled.checkPatientId(first, { documentType: 'CIN', documentNumber: 'AB123456', pharmacistIdHash: pharmacist, orgId: 7, prescriberInpe: '100200300' });
+    controlled.recordRegisterEntries({ topicId: first.topicId, prescriptionId: first.prescriptionId, serialNumber: 'STUP-2025-000011', orgId: 7, prescriberInpe: '100200300', pharmacistIdHash: pharmacist }, [{ line: 1, quantity: 1 }], record);
+
+    const second = prescription(4);
+    const check = controlled.checkPatientId(second, { documentType: 'CIN', documentNumber: 'AB123456', pharmacistIdHash: pharmacist, orgId: 9, prescriberInpe: '400500600' });
+    expect(check.fraudAlert).toMatchObject({ rule: 'controlled_substance_shopping', prescribers: 2, pharmacies: 2, prescriptions: 2 });
+
+    // Another patient at the same places is not flagged
+    const other = prescription(5, 'CD654321');
+    expect(controlled.checkPatientId(other, { documentType: 'CIN', documentNumber: 'CD654321', pharmacistIdHash: pharmacist, orgId: 7, prescriberInpe: '100200300' }).fraudAlert).toBeNull();
+  });
+
+  test('register entries are prepared without writing and withdrawn when the dispense fails', () => {
+    const rx = prescription(7);
+    controlled.checkPatientId(rx, { documentType: 'CIN', documentNumber: 'AB123456', pharmacistIdHash: pharmacist, orgId: 7 });
+    const prepared = controlled.prepareRegisterEntries({ topicId: rx.topicId, prescriptionId: rx.prescriptionId, serialNumber: 'STUP-2025-000013', orgId: 7, pharmacistIdHash: pharmacist }, [{ line: 1, quantity: 1 }], record);
+    expect(prepared.entries).toHaveLength(1);
+    expect(controlled.getRegister()).toHaveLength(0);
+    expect(controlled.getPatientCheck(rx.topicId)).not.toBeNull();
+
+    expect(controlled.commitRegisterEntries(prepared)).toEqual([expect.objectContaining({ entryNo: 1, patientKey: controlled.patientKeyOf('AB123456') })]);
+    expect(controlled.getPatientCheck(rx.topicId)).toBeNull();
+
+    controlled.removeRegisterEntries(prepared);
+    expect(controlled.getRegister()).toHaveLength(0);
+    expect(controlled.assertPatientChecked(rx.topicId, pharmacist)).toMatchObject({ documentType: 'CIN' });
+  });
+
+  test('the regulator export is CSV with one row per entry', () => {
+    const rx = prescription(6);
+    controlled.checkPatientId(rx, { documentType: 'CIN', documentNumber: 'AB123456', pharmacistIdHash: pharmacist });
+    controlled.recordRegisterEntries({ topicId: rx.topicId, prescriptionId: rx.prescriptionId, serialNumber: 'STUP-2025-000012', pharmacistIdHash: pharmacist }, [{ line: 1, quantity: 1 }], record);
+
+    const csv = controlled.toCsv(controlled.getRegister()).trim().split('\n');
+    expect(csv[0].split(',')).toEqual(expect.arrayContaining(['recordedAt', 'serialNumber', 'productCode', 'quantity', 'prescriberInpe', 'patientKey']));
+    expect(csv).toHaveLength(2);
+    expect(csv[1]).toContain('STUP-2025-000012');
+    expect(csv[1]).not.toContain('AB123456');
+  });
+});
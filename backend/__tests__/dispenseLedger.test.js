@@ -0,0 +1,84 @@
+/**
+ * Dispense Ledger Tests
+ * Validates per-line quantities, over-dispensing and completion of partially dispensed prescriptions
+ */
+
+const ledgers = require('../services/dispenseLedger');
+const lifecycle = require('../services/prescriptionLifecycle');
+
+describe('Dispense Ledger', () => {
+  const topic = '0.0.990101';
+  const record = {
+    maxDispenses: 2,
+    medications: [
+      { name: 'Amoxicillin', code: 'J01CA04', quantity: 3 },
+      { name: 'Paracetamol', code: 'N02BE01' }
+    ]
+  };
+
+  beforeEach(() => {
+    ledgers.dispenseLedgers.clear();
+  });
+
+  test('lines are created from the record, defaulting to one box per allowed dispense', () => {
+    expect(ledgers.getLedger(topic)).toBeNull();
+    const lines = ledgers.summarizeLines(ledgers.getLedger(topic, record));
+
+    expect(lines.map(l => [l.drugId, l.prescribed, l.dispensed, l.remaining])).toEqual([
+      ['J01CA04', 3, 0, 3],
+      ['N02BE01', 2, 0, 2]
+    ]);
+  });
+
+  test('default request hands over this visit\'s share of every open line', () => {
+    const ledger = ledgers.getLedger(topic, record);
+    expect(ledgers.defaultRequest(ledger, record.maxDispenses)).toEqual([
+      { line: 0, quantity: 2 },
+      { line: 1, quantity: 1 }
+    ]);
+  });
+
+  test('partial dispensing keeps the prescription open until every line is complete', () => {
+    const ledger = ledgers.getLedger(topic, record);
+
+    let outcome = ledgers.recordDispense(ledger, ledgers.resolveRequest(ledger, [{ drugId: 'J01CA04', quantity: 3 }]));
+    expect(outcome.complete).toBe(false);
+    expect(outcome.lines[0].remaining).toBe(0);
+    expect(lifecycle.nextState('paid', 'dispense', { dispenseCount: 1, maxDispenses: 2, complete: outcome.complete })).toBe('partially_dispensed');
+
+    // Two visits used, one line still open: not fully dispensed
+    outcome = ledgers.recordDispense(ledger, ledgers.resolveRequest(ledger, [{ line: 1, quantity: 1 }]));
+    expect(outcome.complete).toBe(false);
+    expect(lifecycle.resolveState({ status: 'partially_dispensed', dispenseCount: 2, maxDispenses: 2, linesComplete: false })).toBe('partially_dispensed');
+
+    outcome = ledgers.recordDispense(ledger, ledgers.resolveRequest(ledger, [{ line: 1, quantity: 1 }]));
+    expect(outcome.complete).toBe(true);
+    expect(lifecycle.resolveState({ status: 'partially_dispensed', dispenseCount: 3, maxDispenses: 2, linesComplete: true })).toBe('dispensed');
+    expect(ledgers.lastDispense(ledger)).toEqual([{ line: 1, drugId: 'N02BE01', quantity: 1 }]);
+
+    // A rolled-back dispense gives its quantities back
+    ledgers.undoDispense(ledger, [{ line: 1, drugId: 'N02BE01', quantity: 1 }]);
+    expect(ledgers.isComplete(ledger)).toBe(false);
+    expect(ledgers.summarizeLines(ledger)[1].remaining).toBe(1);
+    expect(ledger.dispenses).toHaveLength(2);
+  });
+
+  test('rejects over-dispensing, unknown lines and invalid quantities', () => {
+    const ledger = ledgers.getLedger(topic, record);
+
+    expect(() => ledgers.resolveRequest(ledger, [{ line: 0, quantity: 2 }, { drugId: 'J01CA04', quantity: 2 }]))
+      .toThrow(expect.objectContaining({ name: 'DispenseError', status: 409 }));
+    expect(() => ledgers.resolveRequest(ledger, [{ drugId: 'UNKNOWN', quantity: 1 }]))
+      .toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => ledgers.resolveRequest(ledger, [{ line: 0, quantity: 1.5 }])).toThrow('positive whole numbers');
+    expect(() => ledgers.resolveRequest(ledger, [])).toThrow('At least one line');
+    expect(ledgers.summarizeLines(ledger).every(l => l.dispensed === 0)).toBe(true);
+  });
+
+  test('reset drops the ledger so it is rebuilt from the amended record', () => {
+    ledgers.getLedger(topic, record);
+    ledgers.resetLedger(topic);
+    const lines = ledgers.getLedger(topic, { maxDispenses: 1, medications: [{ name: 'Ibuprofen', code: 'M01AE01' }] }).lines;
+    expect(lines.map(l => l.drugId)).toEqual(['M01AE01']);
+  });
+});
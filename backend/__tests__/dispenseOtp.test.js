@@ -0,0 +1,76 @@
+/**
+ * Dispense One-Time Code Tests
+ * Validates code delivery state, resend cooldown, lockout and the check before dispensing
+ */
+
+const dispenseOtp = require('../services/dispenseOtp');
+const { verifyOtp, otpStore } = require('../utils/otp');
+
+describe('Dispense One-Time Codes', () => {
+  const pharmacist = 'sha256:pharmacist-a';
+  const t0 = new Date();
+  const later = (seconds) => new Date(t0.getTime() + seconds * 1000);
+  const wrongCode = (otp) => (otp === '000000' ? '111111' : '000000');
+
+  test('a verified code lets the pharmacist who entered it dispense, once', () => {
+    const rx = { topicId: '0.0.7001', prescriptionId: 'RX-OTP-1' };
+    const sent = dispenseOtp.sendCode(rx, { channel: 'sms' }, t0);
+    expect(sent).toMatchObject({ channel: 'sms', otp: expect.stringMatching(/^\d{6}$/) });
+    expect(dispenseOtp.statusOf(rx.topicId, t0)).toMatchObject({ sent: true, verified: false, attemptsLeft: dispenseOtp.MAX_ATTEMPTS });
+    expect(JSON.stringify(dispenseOtp.statusOf(rx.topicId, t0))).not.toContain(sent.otp);
+
+    expect(() => dispenseOtp.assertVerified(rx.topicId, pharmacist, t0)).toThrow(expect.objectContaining({ status: 428, code: 'PATIENT_OTP_REQUIRED' }));
+    dispenseOtp.verifyCode(rx.topicId, sent.otp, pharmacist, t0);
+    expect(dispenseOtp.assertVerified(rx.topicId, pharmacist, later(60))).toMatchObject({ verifiedBy: pharmacist });
+    expect(() => dispenseOtp.assertVerified(rx.topicId, 'sha256:pharmacist-b', later(60))).toThrow(expect.objectContaining({ code: 'PATIENT_OTP_REQUIRED' }));
+
+    // A dispense rolled back after consuming the code gives it back
+    const consumed = dispenseOtp.consume(rx.topicId);
+    expect(consumed).toMatchObject({ verifiedBy: pharmacist });
+    dispenseOtp.restore(rx.topicId, consumed);
+    expect(dispenseOtp.assertVerified(rx.topicId, pharmacist, later(60))).toMatchObject({ verifiedBy: pharmacist });
+
+    dispenseOtp.consume(rx.topicId);
+    expect(() => dispenseOtp.assertVerified(rx.topicId, pharmacist, later(60))).toThrow(expect.objectContaining({ code: 'PATIENT_OTP_REQUIRED' }));
+    expect(() => dispenseOtp.verifyCode(rx.topicId, sent.otp, pharmacist, later(60))).toThrow(expect.objectContaining({ status: 409, code: 'OTP_NOT_SENT' }));
+  });
+
+  test('resending waits for the cooldown and revokes the previous code', () => {
+    const rx = { topicId: '0.0.7002', prescriptionId: 'RX-OTP-2' };
+    const first = dispenseOtp.sendCode(rx, { channel: 'email' }, t0);
+    expect(() => dispenseOtp.sendCode(rx, { channel: 'email', resend: true }, later(10))).toThrow(expect.objectContaining({ status: 429, code: 'OTP_RESEND_TOO_SOON' }));
+
+    const second = dispenseOtp.sendCode(rx, { channel: 'email', resend: true }, later(dispenseOtp.RESEND_COOLDOWN_SECONDS));
+    const stored = [...otpStore.values()].filter(item => item.ref === rx.prescriptionId);
+    expect(stored).toHaveLength(1);
+    expect(stored[0]).not.toHaveProperty('otp');
+    if (first.otp !== second.otp) {
+      expect(() => dispenseOtp.verifyCode(rx.topicId, first.otp, pharmacist, later(61))).toThrow(expect.objectContaining({ code: 'OTP_INVALID' }));
+    }
+    expect(dispenseOtp.verifyCode(rx.topicId, second.otp, pharmacist, later(62))).toHaveProperty('verifiedUntil');
+  });
+
+  test('locks the prescription after too many wrong codes', () => {
+    const rx = { topicId: '0.0.7003', prescriptionId: 'RX-OTP-3' };
+    const sent = dispenseOtp.sendCode(rx, { channel: 'sms' }, t0);
+    for (let i = 1; i < dispenseOtp.MAX_ATTEMPTS; i++) {
+      expect(() => dispenseOtp.verifyCode(rx.topicId, wrongCode(sent.otp), pharmacist, t0)).toThrow(expect.objectContaining({ status: 401, code: 'OTP_INVALID', details: { attemptsLeft: dispenseOtp.MAX_ATTEMPTS - i } }));
+    }
+    expect(() => dispenseOtp.verifyCode(rx.topicId, wrongCode(sent.otp), pharmacist, t0)).toThrow(expect.objectContaining({ status: 423, code: 'OTP_LOCKED' }));
+    expect(() => dispenseOtp.sendCode(rx, { channel: 'sms', resend: true }, later(120))).toThrow(expect.objectContaining({ code: 'OTP_LOCKED' }));
+    expect(dispenseOtp.statusOf(rx.topicId, later(120))).toMatchObject({ sent: false, attemptsLeft: 0, lockedUntil: expect.any(String) });
+
+    // The right code no longer works once locked; after the lockout a new code can be sent
+    expect(verifyOtp(rx.prescriptionId, 'any', sent.otp)).toBe(false);
+    const unlocked = later(dispenseOtp.LOCKOUT_MINUTES * 60 + 1);
+    const next = dispenseOtp.sendCode(rx, { channel: 'sms', resend: true }, unlocked);
+    expect(dispenseOtp.statusOf(rx.topicId, unlocked)).toMatchObject({ sent: true, attemptsLeft: dispenseOtp.MAX_ATTEMPTS, lockedUntil: null });
+    expect(dispenseOtp.verifyCode(rx.topicId, next.otp, pharmacist, unlocked)).toHaveProperty('verifiedAt', unlocked.toISOString());
+  });
+
+  test('expired codes are refused', () => {
+    const rx = { topicId: '0.0.7004', prescriptionId: 'RX-OTP-4' };
+    const sent = dispenseOtp.sendCode(rx, { channel: 'sms', ttlSeconds: 300 }, t0);
+    expect(() => dispenseOtp.verifyCode(rx.topicId, sent.otp, pharmacist, later(301))).toThrow(expect.objectContaining({ status: 410, code: 'OTP_EXPIRED' }));
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Expiry Sweep Tests
+ * Validates that only lapsed prescriptions are handed to the expiry handler and that failures are isolated
+ */
+
+const { runExpirySweep } = require('../services/expirySweep');
+const lifecycle = require('../services/prescriptionLifecycle');
+const { inMemoryStore } = require('../services/store');
+
+describe('Expiry Sweep', () => {
+  const now = new Date('2026-03-01T00:00:00Z');
+  const lapsed = '0.0.990201';
+  const valid = '0.0.990202';
+  const broken = '0.0.990203';
+
+  beforeEach(() => {
+    inMemoryStore.clear();
+    inMemoryStore.set(lapsed, { payload: { dispenseCount: 0, maxDispenses: 1, validUntil: '2026-02-01T00:00:00Z' }, status: 'verified' });
+    inMemoryStore.set(valid, { payload: { dispenseCount: 0, maxDispenses: 1, validUntil: '2026-04-01T00:00:00Z' }, status: 'issued' });
+  });
+
+  test('expires lapsed prescriptions and keeps them in the store', async () => {
+    const expire = jest.fn(async (topicId, at) => lifecycle.recordExpiry(topicId, at));
+
+    const result = await runExpirySweep(expire, now);
+
+    expect(result).toEqual({ expired: [lapsed], failed: [] });
+    expect(expire).toHaveBeenCalledWith(lapsed, now);
+    expect(inMemoryStore.get(lapsed).status).toBe('expired');
+    expect(inMemoryStore.get(valid).status).toBe('issued');
+
+    // Nothing left to do on the next run
+    expect((await runExpirySweep(expire, now)).expired).toEqual([]);
+  });
+
+  test('a failing topic does not stop the sweep', async () => {
+    inMemoryStore.set(broken, { payload: { dispenseCount: 0, maxDispenses: 1, validUntil: '2026-01-01T00:00:00Z' }, status: 'issued' });
+    const expire = jest.fn(async (topicId, at) => {
+      if (topicId === broken) throw new Error('HCS unavailable');
+      lifecycle.recordExpiry(topicId, at);
+    });
+
+    const result = await runExpirySweep(expire, now);
+
+    expect(result.expired).toEqual([lapsed]);
+    expect(result.failed).toEqual([{ topicId: broken, error: 'HCS unavailable' }]);
+  });
+});
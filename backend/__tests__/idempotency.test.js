@@ -0,0 +1,100 @@
+/**
+ * Idempotency Key Tests
+ * Validates replay of stored responses, key reuse detection, in-flight retries,
+ * caller scoping, that failed requests can be retried and that credentials are not stored
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { idempotency, idempotencyKeys, begin, complete } = require('../services/idempotency');
+const { signToken } = require('../utils/auth');
+
+describe('Idempotency Keys', () => {
+  const doctor = `Bearer ${signToken({ sub: 7, username: 'dr.alami', role: 'doctor' })}`;
+  const pharmacist = `Bearer ${signToken({ sub: 9, username: 'ph.bennani', role: 'pharmacist' })}`;
+  let calls;
+  let app;
+
+  beforeEach(() => {
+    idempotencyKeys.clear();
+    calls = 0;
+    app = express();
+    app.use(express.json());
+    app.use(idempotency());
+    app.post('/api/dispense', (req, res) => {
+      calls += 1;
+      if (req.body.fail) return res.status(409).json({ success: false, message: 'Not dispensable yet' });
+      return res.json({ success: true, dispenseCount: calls, topicID: req.body.topicID });
+    });
+  });
+
+  test('a retried request gets the stored response without running again', async () => {
+    const first = await request(app).post('/api/dispense').set('Authorization', pharmacist).set('Idempotency-Key', 'k-1').send({ topicID: '0.0.1', items: [1, 2] });
+    const retry = await request(app).post('/api/dispense').set('Authorization', pharmacist).set('Idempotency-Key', 'k-1').send({ items: [1, 2], topicID: '0.0.1' });
+
+    expect(calls).toBe(1);
+    expect(retry.status).toBe(200);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+
+    // Without a key, or with a new key, the route runs
+    await request(app).post('/api/dispense').set('Authorization', pharmacist).send({ topicID: '0.0.1' });
+    await request(app).post('/api/dispense').set('Authorization', pharmacist).set('Idempotency-Key', 'k-2').send({ topicID: '0.0.1' });
+    expect(calls).toBe(3);
+  });
+
+  test('reusing a key for a different request is refused', async () => {
+    await request(app).post('/api/dispense').set('Authorization', pharmacist).set('Idempotency-Key', 'k-1').send({ topicID: '0.0.1' });
+    const reused = await request(app).post('/api/dispense').set('Authorization', pharmacist).set('Idempotency-Key', 'k-1').send({ topicID: '0.0.2' });
+
+    expect(reused.status).toBe(422);
+    expect(reused.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(calls).toBe(1);
+
+    const invalid = await request(app).post('/api/dispense').set('Authorization', pharmacist).set('Idempotency-Key', 'x'.repeat(256)).send({});
+    expect(invalid.status).toBe(400);
+  });
+
+  test('keys are scoped to the caller', async () => {
+    await request(app).post('/api/dispense').set('Authorization', pharmacist).set('Idempotency-Key', 'shared').send({ topicID: '0.0.1' });
+    const other = await request(app).post('/api/dispense').set('Authorization', doctor).set('Idempotency-Key', 'shared').send({ topicID: '0.0.1' });
+
+    expect(other.headers['idempotent-replayed']).toBeUndefined();
+    expect(calls).toBe(2);
+  });
+
+  test('failed requests are not stored, so their retry runs again', async () => {
+    const failed = await request(app).post('/api/dispense').set('Authorization', pharmacist).set('Idempotency-Key', 'k-1').send({ topicID: '0.0.1', fail: true });
+    const retry = await request(app).post('/api/dispense').set('Authorization', pharmacist).set('Idempotency-Key', 'k-1').send({ topicID: '0.0.1', fail: true });
+
+    expect(failed.status).toBe(409);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(calls).toBe(2);
+    expect(idempotencyKeys.size).toBe(0);
+  });
+
+  test('responses carrying credentials are never stored', async () => {
+    const admin = `Bearer ${signToken({ sub: 1, username: 'admin', role: 'admin' })}`;
+    app.post('/api/admin/api-clients', (req, res) => {
+      calls += 1;
+      return res.status(201).json({ success: true, client: { clientId: 'cli_1' }, apiKey: 'ak_secret', clientSecret: 'cs_secret' });
+    });
+    await request(app).post('/api/admin/api-clients').set('Authorization', admin).set('Idempotency-Key', 'k-client').send({ name: 'Lab' });
+    const retry = await request(app).post('/api/admin/api-clients').set('Authorization', admin).set('Idempotency-Key', 'k-client').send({ name: 'Lab' });
+
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(calls).toBe(2);
+    expect(idempotencyKeys.size).toBe(0);
+  });
+
+  test('a retry arriving while the original still runs is refused; stored keys expire', () => {
+    const t0 = Date.now();
+    expect(begin('user:9:k-run', 'fp-a', t0)).toEqual({ action: 'run' });
+    expect(begin('user:9:k-run', 'fp-a', t0 + 1000)).toMatchObject({ action: 'conflict', status: 409, code: 'IDEMPOTENCY_IN_PROGRESS' });
+    expect(begin('user:9:k-run', 'fp-b', t0 + 1000)).toMatchObject({ action: 'conflict', status: 422 });
+
+    complete('user:9:k-run', { fingerprint: 'fp-a', method: 'POST', path: '/api/payments', status: 201, contentType: 'application/json', body: '{"success":true}' }, t0 + 2000);
+    expect(begin('user:9:k-run', 'fp-a', t0 + 3000)).toMatchObject({ action: 'replay', entry: { status: 201, body: '{"success":true}' } });
+    expect(begin('user:9:k-run', 'fp-a', t0 + 25 * 60 * 60 * 1000)).toEqual({ action: 'run' });
+  });
+});
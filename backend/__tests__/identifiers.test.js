@@ -0,0 +1,91 @@
+/**
+ * Identifier Service Tests
+ * Validates ID format, check digits, uniqueness across restarts and instances, and typed-ID normalization
+ */
+
+const identifiers = require('../services/identifiers');
+
+describe('Identifier Service', () => {
+  const day = new Date(2025, 2, 1, 10, 0, 0);
+
+  afterEach(() => {
+    delete process.env.ID_INSTANCE_INDEX;
+    delete process.env.ID_INSTANCE_COUNT;
+  });
+
+  test('issues daily sequences with a valid check digit', () => {
+    const first = identifiers.nextPrescriptionId(day);
+    expect(first).toMatch(/^RX-20250301-\d{5}-\d$/);
+    expect(identifiers.isValidId(first)).toBe(true);
+    expect(identifiers.nextInvoiceId(day)).toBe(`INV-20250301-00001-${identifiers.checkDigit('2025030100001')}`);
+
+    const ids = new Set([first]);
+    for (let i = 0; i < 3 * identifiers.BLOCK_SIZE; i++) ids.add(identifiers.nextPrescriptionId(day));
+    expect(ids.size).toBe(3 * identifiers.BLOCK_SIZE + 1);
+    expect(identifiers.nextPrescriptionId(new Date(2025, 2, 2, 9, 0, 0))).toMatch(/^RX-20250302-00001-\d$/);
+  });
+
+  test('check digit catches single-digit typos and swapped neighbours', () => {
+    expect(identifiers.checkDigit('7992739871')).toBe('3'); // Luhn reference value
+    const id = identifiers.nextPrescriptionId(day);
+    const digits = id.replace(/\D/g, '');
+    for (let i = 0; i < digits.length - 1; i++) {
+      const typo = digits.slice(0, i) + ((Number(digits[i]) + 1) % 10) + digits.slice(i + 1);
+      expect(identifiers.isValidId(`RX-${typo.slice(0, 8)}-${typo.slice(8, 13)}-${typo[13]}`)).toBe(false);
+    }
+    const [, date, seq, check] = id.split('-');
+    if (seq[3] !== seq[4]) expect(identifiers.isValidId(`RX-${date}-${seq.slice(0, 3)}${seq[4]}${seq[3]}-${check}`)).toBe(false);
+  });
+
+  test('normalizes IDs typed at the counter', () => {
+    expect(identifiers.normalizeId(' rx 20250301 00042 5 ')).toBe('RX-20250301-00042-5');
+    expect(identifiers.normalizeId('RX2025030100042-5')).toBe('RX-20250301-00042-5');
+    expect(identifiers.normalizeId(' 0.0.7153833 ')).toBe('0.0.7153833');
+    expect(identifiers.isGeneratedId('RX-20250301-123')).toBe(false);
+  });
+
+  test('a restart resumes after the reserved block instead of reusing sequences', () => {
+    const before = [];
+    let reserved;
+    jest.isolateModules(() => {
+      const first = require('../services/identifiers');
+      for (let i = 0; i < 5; i++) before.push(first.nextPrescriptionId(day));
+      reserved = new Map(first.identifierSequences);
+    });
+    jest.isolateModules(() => {
+      const restarted = require('../services/identifiers');
+      // What the persistence layer would load from disk
+      for (const [key, value] of reserved) restarted.identifierSequences.set(key, value);
+      const after = restarted.nextPrescriptionId(day);
+      expect(before).not.toContain(after);
+      expect(after).toBe(`RX-20250301-${String(identifiers.BLOCK_SIZE + 1).padStart(5, '0')}-${identifiers.checkDigit(`20250301${String(identifiers.BLOCK_SIZE + 1).padStart(5, '0')}`)}`);
+    });
+  });
+
+  test('instances share the sequence space without overlapping', () => {
+    const issued = [];
+    for (const index of [0, 1, 2]) {
+      jest.isolateModules(() => {
+        process.env.ID_INSTANCE_COUNT = '3';
+        process.env.ID_INSTANCE_INDEX = String(index);
+        const instance = require('../services/identifiers');
+        for (let i = 0; i < 25; i++) issued.push(instance.nextPrescriptionId(day));
+      });
+    }
+    expect(new Set(issued).size).toBe(75);
+    expect(issued[0]).toMatch(/^RX-20250301-00001-/);
+    expect(issued[25]).toMatch(/^RX-20250301-00002-/);
+
+    process.env.ID_INSTANCE_INDEX = '3';
+    expect(() => identifiers.nextPrescriptionId(day)).toThrow(identifiers.IdentifierError);
+  });
+
+  test('refuses to wrap around when the daily sequence space is exhausted', () => {
+    process.env.ID_INSTANCE_COUNT = '10000';
+    process.env.ID_INSTANCE_INDEX = '9998';
+    const late = new Date(2025, 5, 1, 10, 0, 0);
+    for (let i = 0; i < 9; i++) identifiers.nextInvoiceId(late);
+    expect(identifiers.nextInvoiceId(late)).toMatch(/^INV-20250601-99999-/);
+    expect(() => identifiers.nextInvoiceId(late)).toThrow(expect.objectContaining({ status: 503, code: 'ID_SPACE_EXHAUSTED' }));
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Medicine Catalog Tests
+ * Validates generic equivalents, the "non substituable" flag and the pricing of substituted lines
+ */
+
+const catalog = require('../services/medicineCatalog');
+const ledgers = require('../services/dispenseLedger');
+
+describe('Medicine Catalog', () => {
+  // DIFLUCAN 50 mg gélules (princeps, PPV 180.90, reimbursed on 143.00) and two of its generics
+  const DIFLUCAN = '6118000250180';
+  const NOCAND = '6118000041344';
+  const MYCOFLU = '6118000050360';
+  const prescribed = { name: 'DIFLUCAN', code: DIFLUCAN, quantity: 2 };
+
+  test('generics share the DCI, strength and form of the prescribed product', () => {
+    const product = catalog.getProduct(DIFLUCAN);
+    expect(product).toMatchObject({ dci: 'FLUCONAZOLE', strength: '50 MG', form: 'GELULE', type: 'princeps', price: 180.9, reimbursementBase: 143 });
+
+    const generics = catalog.findGenerics(DIFLUCAN);
+    expect(generics.length).toBeGreaterThan(5);
+    expect(generics.every(g => g.type === 'generic' && g.dci === 'FLUCONAZOLE' && g.strength === '50 MG' && g.form === 'GELULE')).toBe(true);
+    expect(generics.map(g => g.code)).not.toContain(DIFLUCAN);
+    expect(generics[0].price).toBeLessThanOrEqual(generics[generics.length - 1].price);
+  });
+
+  test('"non substituable" lines offer no generics and refuse substitution', () => {
+    expect(catalog.substitutionOptions({ ...prescribed, nonSubstitutable: true })).toEqual({ allowed: false, reason: 'non_substitutable', generics: [] });
+    expect(() => catalog.resolveSubstitution({ ...prescribed, nonSubstitutable: true }, NOCAND))
+      .toThrow(expect.objectContaining({ name: 'SubstitutionError', status: 409 }));
+    expect(catalog.substitutionOptions({ name: 'Unknown', code: 'NOPE' }).reason).toBe('no_equivalent');
+  });
+
+  test('only equivalent generics are accepted', () => {
+    // SUPRIMASE 150 mg: same DCI and form, different strength
+    expect(() => catalog.resolveSubstitution(prescribed, '6118000070795')).toThrow('is not a generic');
+    expect(() => catalog.resolveSubstitution(prescribed, 'NOT-A-CODE')).toThrow(catalog.SubstitutionError);
+    expect(() => catalog.resolveSubstitution(prescribed, DIFLUCAN)).toThrow('is not a generic');
+    expect(catalog.resolveSubstitution(prescribed, MYCOFLU).code).toBe(MYCOFLU);
+  });
+
+  test('substituted lines are priced on the generic and its reimbursement basis', () => {
+    const substitution = catalog.resolveSubstitution(prescribed, NOCAND);
+    expect(substitution).toMatchObject({ prescribedCode: DIFLUCAN, code: NOCAND, unitPrice: 35, prescribedUnitPrice: 180.9, priceDifference: -145.9, rate: 70 });
+
+    expect(catalog.priceSubstitution(substitution, 2)).toEqual({ amount: 70, covered: 49, patient: 21, priceDifference: -291.8 });
+  });
+
+  test('a line is handed over as a single product per visit', () => {
+    const ledger = { lines: ledgers.buildLines([prescribed], 1), dispenses: [] };
+    expect(ledgers.resolveRequest(ledger, [{ line: 0, quantity: 1, substituteCode: MYCOFLU }])[0].substituteCode).toBe(MYCOFLU);
+    expect(() => ledgers.resolveRequest(ledger, [{ line: 0, quantity: 1, substituteCode: MYCOFLU }, { line: 0, quantity: 1 }]))
+      .toThrow('Only one product');
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Organization Tenancy Tests
+ * Validates tenant directory, membership rules and scoped queries
+ */
+
+const organizationStore = require('../services/organizationStore');
+const userStore = require('../services/userStore');
+const { hcsEventLog, logHCSEvent, getHCSEvents } = require('../services/store');
+
+describe('Organization Tenancy', () => {
+  let clinic, chain, branch, otherPharmacy;
+
+  beforeEach(() => {
+    organizationStore.organizations.clear();
+    userStore.users.clear();
+    hcsEventLog.splice(0);
+
+    clinic = organizationStore.createOrganization({ name: 'Clinique Atlas', type: 'clinic' });
+    chain = organizationStore.createOrganization({ name: 'Pharma Chain', type: 'pharmacy_chain' });
+    branch = organizationStore.createOrganization({ name: 'Pharma Chain Maarif', type: 'pharmacy', parentId: chain.id });
+    otherPharmacy = organizationStore.createOrganization({ name: 'Pharmacie du Port', type: 'pharmacy' });
+  });
+
+  test('rejects duplicate names and invalid chain membership', () => {
+    expect(() => organizationStore.createOrganization({ name: 'clinique atlas', type: 'clinic' })).toThrow('already exists');
+    expect(() => organizationStore.createOrganization({ name: 'X', type: 'hospital' })).toThrow('Invalid organization type');
+    expect(() => organizationStore.createOrganization({ name: 'Y', type: 'pharmacy', parentId: clinic.id })).toThrow('must be a pharmacy chain');
+  });
+
+  test('a chain sees its member pharmacies, a pharmacy only itself', () => {
+    expect(organizationStore.getScopeOrgIds(chain.id)).toEqual([chain.id, branch.id]);
+    expect(organizationStore.getScopeOrgIds(branch.id)).toEqual([branch.id]);
+    expect(organizationStore.resolveTenantScope({ role: 'superadmin' })).toBeNull();
+    expect(organizationStore.resolveTenantScope({ role: 'admin' })).toEqual([]);
+  });
+
+  test('records without an owner are only visible cross-tenant', () => {
+    const scope = organizationStore.resolveTenantScope({ role: 'admin', orgId: clinic.id });
+    expect(organizationStore.isInScope(scope, clinic.id)).toBe(true);
+    expect(organizationStore.isInScope(scope, otherPharmacy.id)).toBe(false);
+    expect(organizationStore.isInScope(scope, undefined)).toBe(false);
+    expect(organizationStore.isInScope(null, undefined)).toBe(true);
+  });
+
+  test('enforces role / organization type compatibility', () => {
+    expect(() => userStore.createUser({ username: 'doc@atlascare.ma', password: 'Doctor#123', role: 'doctor', orgId: otherPharmacy.id })).toThrow('cannot belong to a pharmacy');
+    expect(() => userStore.createUser({ username: 'root@atlascare.ma', password: 'Root#1234', role: 'superadmin', orgId: clinic.id })).toThrow('Superadmins cannot belong');
+
+    const pharmacist = userStore.createUser({ username: 'ph@atlascare.ma', password: 'Pharma#123', role: 'pharmacist', orgId: branch.id });
+    expect(pharmacist.orgId).toBe(branch.id);
+    expect(userStore.listUsers([clinic.id])).toHaveLength(0);
+    expect(userStore.listUsers(organizationStore.getScopeOrgIds(chain.id))).toHaveLength(1);
+  });
+
+  test('members of a disabled organization cannot log in', () => {
+    userStore.createUser({ username: 'doc@atlascare.ma', password: 'Doctor#123', role: 'doctor', orgId: clinic.id });
+    organizationStore.updateOrganization(clinic.id, { disabled: true });
+    expect(userStore.authenticate('doc@atlascare.ma', 'Doctor#123')).toBeNull();
+  });
+
+  test('event log is scoped to the acting and prescribing organizations', () => {
+    logHCSEvent({ eventType: 'issued', prescriptionId: 'RX-1', orgId: clinic.id, prescriberOrgId: clinic.id });
+    logHCSEvent({ eventType: 'dispensed', prescriptionId: 'RX-1', orgId: branch.id, prescriberOrgId: clinic.id });
+    logHCSEvent({ eventType: 'dispensed', prescriptionId: 'RX-2', orgId: otherPharmacy.id, prescriberOrgId: null });
+
+    expect(getHCSEvents('all', [clinic.id])).toHaveLength(2);
+    expect(getHCSEvents('dispensed', organizationStore.getScopeOrgIds(chain.id)).map(e => e.prescriptionId)).toEqual(['RX-1']);
+    expect(getHCSEvents('all', [otherPharmacy.id])).toHaveLength(1);
+    expect(getHCSEvents('all')).toHaveLength(3);
+  });
+
+  test('seeds demo tenants and migrates pre-tenancy accounts', () => {
+    organizationStore.organizations.clear();
+    userStore.createUser({ username: 'legacy.doc@atlascare.ma', password: 'Doctor#123', role: 'doctor' });
+    userStore.createUser({ username: 'legacy.admin@atlascare.ma', password: 'Admin#123', role: 'admin' });
+
+    const orgIds = organizationStore.seedDefaultOrganizations();
+    expect(userStore.assignLegacyUsers(orgIds)).toBe(2);
+    expect(userStore.listUsers().map(u => [u.role, u.orgId])).toEqual([['doctor', orgIds.clinic], ['superadmin', null]]);
+    expect(organizationStore.seedDefaultOrganizations()).toEqual({});
+  });
+});
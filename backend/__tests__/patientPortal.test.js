@@ -0,0 +1,67 @@
+/**
+ * Patient Portal Tests
+ * Validates contact normalization, OTP sign-in, prescription ownership and the dispense history
+ */
+
+const portal = require('../services/patientPortal');
+
+describe('Patient Portal', () => {
+  const record = { id: 'RX-PORTAL-1', patientName: 'Amina Benali', patientEmail: 'Amina.Benali@example.ma', patientPhone: '06 12 34 56 78' };
+
+  test('normalizes emails and Moroccan phone numbers', () => {
+    expect(portal.parseContact(' Amina.Benali@Example.MA ')).toEqual({ channel: 'email', value: 'amina.benali@example.ma' });
+    expect(portal.parseContact('06 12 34 56 78')).toEqual({ channel: 'sms', value: '+212612345678' });
+    expect(portal.parseContact('00212-612-345-678')).toEqual({ channel: 'sms', value: '+212612345678' });
+    expect(portal.parseContact('12345')).toBeNull();
+    expect(() => portal.normalizeContact('not a contact')).toThrow(expect.objectContaining({ status: 400, code: 'INVALID_CONTACT' }));
+    expect(portal.maskContact({ channel: 'sms', value: '+212612345678' })).toBe('*********5678');
+    expect(portal.maskContact({ channel: 'email', value: 'amina@example.ma' })).toBe('a***@example.ma');
+  });
+
+  test('signs in with the code sent to the contact, once', () => {
+    const challenge = portal.requestCode('+212 6 12 34 56 78');
+    expect(challenge).toMatchObject({ channel: 'sms', value: '+212612345678', otp: expect.stringMatching(/^\d{6}$/) });
+
+    // Another spelling of the same number signs in to the same patient
+    const session = portal.verifyCode('0612345678', challenge.challengeToken, challenge.otp);
+    expect(session).toEqual({ patientKey: challenge.patientKey, channel: 'sms', maskedContact: '*********5678' });
+    expect(() => portal.verifyCode('0612345678', challenge.challengeToken, challenge.otp)).toThrow(expect.objectContaining({ code: 'CODE_EXPIRED' }));
+  });
+
+  test('locks a code after too many wrong attempts', () => {
+    const challenge = portal.requestCode(record.patientEmail);
+    const wrong = challenge.otp === '000000' ? '111111' : '000000';
+    for (let i = 0; i < portal.MAX_ATTEMPTS; i++) {
+      expect(() => portal.verifyCode(record.patientEmail, challenge.challengeToken, wrong)).toThrow(expect.objectContaining({ status: 401, code: 'INVALID_CODE' }));
+    }
+    expect(() => portal.verifyCode(record.patientEmail, challenge.challengeToken, challenge.otp)).toThrow(expect.objectContaining({ status: 429, code: 'TOO_MANY_ATTEMPTS' }));
+  });
+
+  test('patients only own prescriptions carrying their contact', () => {
+    const byPhone = portal.contactKey(portal.normalizeContact('+212612345678'));
+    const byEmail = portal.contactKey(portal.normalizeContact('amina.benali@example.ma'));
+    const stranger = portal.contactKey(portal.normalizeContact('+212700000000'));
+    expect(portal.ownsPrescription(record, byPhone)).toBe(true);
+    expect(portal.ownsPrescription(record, byEmail)).toBe(true);
+    expect(portal.ownsPrescription(record, stranger)).toBe(false);
+    expect(portal.ownsPrescription({ id: 'RX-NO-CONTACT' }, byPhone)).toBe(false);
+    expect(portal.ownsPrescription(record, undefined)).toBe(false);
+  });
+
+  test('dispense history names the pharmacy and what it handed over', () => {
+    const ledger = {
+      lines: [{ line: 0, drugId: '6118000040972', name: 'DOLIPRANE', unit: 'box', prescribed: 2, dispensed: 2 }],
+      dispenses: [{
+        at: '2025-03-01T10:00:00.000Z',
+        pharmacyOrgId: 2,
+        items: [{ line: 0, drugId: '6118000041001', quantity: 2, substitution: { name: 'PARACETAMOL GENERIQUE' } }]
+      }]
+    };
+    expect(portal.dispenseHistory(ledger, id => (id === 2 ? 'AtlasCare Demo Pharmacy' : null))).toEqual([{
+      at: '2025-03-01T10:00:00.000Z',
+      pharmacy: 'AtlasCare Demo Pharmacy',
+      items: [{ line: 0, name: 'PARACETAMOL GENERIQUE', quantity: 2, unit: 'box', substitution: true }]
+    }]);
+    expect(portal.dispenseHistory(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Pickup Delegate Tests
+ * Validates delegate authorization, hashed identifiers, pickup checks, lockout and revocation
+ */
+
+const delegates = require('../services/pickupDelegates');
+const { MAX_ATTEMPTS } = require('../services/dispenseOtp');
+
+describe('Pickup Delegates', () => {
+  const patient = { role: 'patient', id: 'patient:0123456789abcdef' };
+  const pharmacist = 'sha256:pharmacist-a';
+  const t0 = new Date('2025-03-01T10:00:00.000Z');
+  const later = (minutes) => new Date(t0.getTime() + minutes * 60 * 1000);
+
+  test('stores only hashes and sends a pickup code to the delegate', () => {
+    const { delegate, phone, code } = delegates.addDelegate('RX-DLG-1', { name: 'Youssef Benali', cin: 'ab 123456', phone: '06 61 22 33 44' }, patient, t0);
+    expect(phone).toBe('+212661223344');
+    expect(code).toMatch(/^\d{6}$/);
+    expect(delegate).toEqual({
+      id: expect.stringMatching(/^DLG-[0-9A-F]{8}$/),
+      name: 'Youssef Benali',
+      phoneMasked: '*********3344',
+      authorizedByRole: 'patient',
+      authorizedAt: t0.toISOString(),
+      revokedAt: null,
+      pickups: 0,
+      lastPickupAt: null
+    });
+    const stored = JSON.stringify(delegates.pickupDelegates.get('RX-DLG-1'));
+    expect(stored).not.toContain('AB123456');
+    expect(stored).not.toContain('661223344');
+    expect(stored).not.toContain(`"${code}"`);
+
+    expect(() => delegates.addDelegate('RX-DLG-1', { name: 'Youssef', cin: 'AB123456', phone: '0661223344' }, patient, t0)).toThrow(expect.objectContaining({ status: 409, code: 'DELEGATE_EXISTS' }));
+    expect(() => delegates.addDelegate('RX-DLG-1', { name: 'X', cin: '12', phone: '0661223344' }, patient, t0)).toThrow(expect.objectContaining({ code: 'INVALID_CIN' }));
+    expect(() => delegates.addDelegate('RX-DLG-1', { name: 'X', cin: 'C998877', phone: 'someone@example.ma' }, patient, t0)).toThrow(expect.objectContaining({ code: 'INVALID_PHONE' }));
+  });
+
+  test('the pharmacist checks CIN and code; the dispense records the pickup', () => {
+    const { delegate, code } = delegates.addDelegate('RX-DLG-2', { name: 'Fatima Zahra', cin: 'BE765432', phone: '0677889900' }, { role: 'doctor', id: 7 }, t0);
+    const rx = { topicId: '0.0.8002', prescriptionId: 'RX-DLG-2' };
+
+    expect(delegates.getPickupCheck(rx.topicId, pharmacist, t0)).toBeNull();
+    const check = delegates.verifyPickup(rx, { cin: 'be 765432', code, pharmacistIdHash: pharmacist }, t0);
+    expect(check.delegate.id).toBe(delegate.id);
+    expect(delegates.getPickupCheck(rx.topicId, pharmacist, later(5))).toMatchObject({ delegateId: delegate.id });
+    expect(delegates.getPickupCheck(rx.topicId, 'sha256:pharmacist-b', later(5))).toBeNull();
+    expect(delegates.getPickupCheck(rx.topicId, pharmacist, later(16))).toBeNull();
+
+    // A pickup whose dispense fails is undone: the check is pending again
+    const pending = delegates.getPickupCheck(rx.topicId, pharmacist, later(5));
+    const before = delegates.listDelegates(rx.prescriptionId)[0];
+    delegates.recordPickup(rx, later(5).toISOString());
+    delegates.undoPickup(rx, pending, before);
+    expect(delegates.listDelegates(rx.prescriptionId)[0]).toMatchObject({ pickups: 0, lastPickupAt: null });
+    expect(delegates.getPickupCheck(rx.topicId, pharmacist, later(5))).toBe(pending);
+
+    const collected = delegates.recordPickup(rx, later(5).toISOString());
+    expect(collected).toMatchObject({ id: delegate.id, pickups: 1, lastPickupAt: later(5).toISOString() });
+    expect(delegates.getPickupCheck(rx.topicId, pharmacist, later(5))).toBeNull();
+
+    // The code is valid for the next visit too
+    expect(delegates.verifyPickup(rx, { cin: 'BE765432', code, pharmacistIdHash: pharmacist }, later(60 * 24 * 30)).delegate.id).toBe(delegate.id);
+  });
+
+  test('wrong CIN or code locks the pickup checks of the prescription', () => {
+    const { code } = delegates.addDelegate('RX-DLG-3', { name: 'Omar', cin: 'JA112233', phone: '0600112233' }, patient, t0);
+    const rx = { topicId: '0.0.8003', prescriptionId: 'RX-DLG-3' };
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    expect(() => delegates.verifyPickup(rx, { cin: 'ZZ999999', code, pharmacistIdHash: pharmacist }, t0)).toThrow(expect.objectContaining({ status: 401, code: 'DELEGATE_MISMATCH' }));
+    for (let i = 2; i < MAX_ATTEMPTS; i++) {
+      expect(() => delegates.verifyPickup(rx, { cin: 'JA112233', code: wrong, pharmacistIdHash: pharmacist }, t0)).toThrow(expect.objectContaining({ code: 'DELEGATE_MISMATCH', details: { attemptsLeft: MAX_ATTEMPTS - i } }));
+    }
+    expect(() => delegates.verifyPickup(rx, { cin: 'JA112233', code: wrong, pharmacistIdHash: pharmacist }, t0)).toThrow(expect.objectContaining({ status: 423, code: 'DELEGATE_LOCKED' }));
+    expect(() => delegates.verifyPickup(rx, { cin: 'JA112233', code, pharmacistIdHash: pharmacist }, later(1))).toThrow(expect.objectContaining({ code: 'DELEGATE_LOCKED' }));
+    expect(delegates.verifyPickup(rx, { cin: 'JA112233', code, pharmacistIdHash: pharmacist }, later(16))).toHaveProperty('checkedAt');
+  });
+
+  test('a revoked delegate can no longer collect', () => {
+    const { delegate, code } = delegates.addDelegate('RX-DLG-4', { name: 'Khadija', cin: 'K445566', phone: '0622334455' }, patient, t0);
+    const rx = { topicId: '0.0.8004', prescriptionId: 'RX-DLG-4' };
+    delegates.verifyPickup(rx, { cin: 'K445566', code, pharmacistIdHash: pharmacist }, t0);
+
+    expect(delegates.revokeDelegate('RX-DLG-4', delegate.id, patient, later(1))).toMatchObject({ revokedAt: later(1).toISOString() });
+    expect(delegates.getPickupCheck(rx.topicId, pharmacist, later(2))).toBeNull();
+    expect(() => delegates.verifyPickup(rx, { cin: 'K445566', code, pharmacistIdHash: pharmacist }, later(2))).toThrow(expect.objectContaining({ status: 404, code: 'NO_DELEGATE' }));
+    expect(delegates.listDelegates('RX-DLG-4', { includeRevoked: false })).toEqual([]);
+    expect(() => delegates.revokeDelegate('RX-DLG-4', 'DLG-UNKNOWN', patient)).toThrow(expect.objectContaining({ status: 404 }));
+  });
+});
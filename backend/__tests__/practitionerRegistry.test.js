@@ -0,0 +1,56 @@
+/**
+ * Practitioner Registry Tests
+ * Validates INPE registration, account linking and the issuance license check
+ */
+
+const registry = require('../services/practitionerRegistry');
+
+describe('Practitioner Registry', () => {
+  const doctor = { sub: 1, role: 'doctor' };
+
+  beforeEach(() => {
+    registry.practitioners.clear();
+  });
+
+  test('registers an INPE linked to one account', () => {
+    registry.createPractitioner({ inpe: '123456789', fullName: 'Dr Amina Benali', specialty: 'Cardiology', userId: 1 });
+
+    expect(registry.getPractitionerForUser(1).inpe).toBe('123456789');
+    expect(() => registry.createPractitioner({ inpe: '123456789', fullName: 'Dup' })).toThrow('already registered');
+    expect(() => registry.createPractitioner({ inpe: 'AB123', fullName: 'Bad' })).toThrow('9 digits');
+    expect(() => registry.createPractitioner({ inpe: '987654321', fullName: 'Other', userId: 1 })).toThrow('already linked');
+  });
+
+  test('effective status accounts for validity dates', () => {
+    const now = new Date('2026-06-01T00:00:00Z');
+    const record = { licenseStatus: 'active', validFrom: '2026-01-01T00:00:00Z', validUntil: '2026-12-31T00:00:00Z' };
+
+    expect(registry.getLicenseStatus(record, now)).toBe('active');
+    expect(registry.getLicenseStatus({ ...record, validUntil: '2026-05-01T00:00:00Z' }, now)).toBe('expired');
+    expect(registry.getLicenseStatus({ ...record, validFrom: '2026-07-01T00:00:00Z' }, now)).toBe('not_yet_valid');
+    expect(registry.getLicenseStatus({ ...record, licenseStatus: 'suspended' }, now)).toBe('suspended');
+    expect(registry.getLicenseStatus(null)).toBe('unregistered');
+  });
+
+  test('issuance requires a valid license belonging to the signed-in doctor', () => {
+    expect(() => registry.assertCanPrescribe(doctor)).toThrow(expect.objectContaining({ code: 'LICENSE_UNREGISTERED', status: 403 }));
+
+    registry.createPractitioner({ inpe: '123456789', fullName: 'Dr Amina Benali', userId: 1 });
+    expect(registry.assertCanPrescribe(doctor).inpe).toBe('123456789');
+    expect(registry.assertCanPrescribe(doctor, '123456789').inpe).toBe('123456789');
+    expect(() => registry.assertCanPrescribe(doctor, '009811233')).toThrow(expect.objectContaining({ code: 'LICENSE_MISMATCH' }));
+
+    registry.updatePractitioner('123456789', { licenseStatus: 'suspended', statusReason: 'Disciplinary review' });
+    expect(() => registry.assertCanPrescribe(doctor)).toThrow('Practitioner license is suspended: Disciplinary review');
+
+    registry.updatePractitioner('123456789', { licenseStatus: 'active', validUntil: '2020-01-01T00:00:00.000Z' });
+    expect(() => registry.assertCanPrescribe(doctor)).toThrow('Practitioner license is expired');
+    expect(registry.getLicenseSummary('123456789')).toMatchObject({ status: 'expired', statusReason: null });
+  });
+
+  test('seeds the demo doctor once', () => {
+    expect(registry.seedDefaultPractitioners(() => 7)).toBe(1);
+    expect(registry.seedDefaultPractitioners(() => 7)).toBe(0);
+    expect(registry.getPractitionerForUser(7).inpe).toBe('009811233');
+  });
+});
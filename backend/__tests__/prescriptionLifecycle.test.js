@@ -0,0 +1,100 @@
+/**
+ * Prescription Lifecycle Tests
+ * Validates state resolution, the transition table and stored state updates
+ */
+
+const lifecycle = require('../services/prescriptionLifecycle');
+const { inMemoryStore } = require('../services/store');
+
+describe('Prescription Lifecycle', () => {
+  const topic = '0.0.990001';
+
+  beforeEach(() => {
+    inMemoryStore.delete(topic);
+  });
+
+  test('resolves states from status, counters and validity', () => {
+    const now = new Date('2026-03-01T00:00:00Z');
+    const future = '2026-06-01T00:00:00Z';
+
+    expect(lifecycle.resolveState({ status: undefined }, now)).toBe('issued');
+    expect(lifecycle.resolveState({ status: 'dispensed', dispenseCount: 1, maxDispenses: 3, validUntil: future }, now)).toBe('partially_dispensed');
+    expect(lifecycle.resolveState({ status: 'paid', dispenseCount: 3, maxDispenses: 3 }, now)).toBe('dispensed');
+    expect(lifecycle.resolveState({ status: 'verified', validUntil: '2026-02-01T00:00:00Z' }, now)).toBe('expired');
+    expect(lifecycle.resolveState({ status: 'cancelled', dispenseCount: 0 }, now)).toBe('cancelled');
+  });
+
+  test('payment rules are the same for every state', () => {
+    expect(lifecycle.canTransition('issued', 'pay')).toBe(true);
+    expect(lifecycle.canTransition('partially_dispensed', 'pay')).toBe(true);
+    expect(lifecycle.canTransition('paid', 'pay')).toBe(false);
+    expect(lifecycle.canTransition('paid', 'dispense')).toBe(true);
+    for (const terminal of lifecycle.TERMINAL_STATES) {
+      for (const event of ['verify', 'pay', 'dispense', 'cancel', 'amend']) {
+        expect(lifecycle.canTransition(terminal, event)).toBe(false);
+      }
+    }
+  });
+
+  test('illegal transitions raise a uniform 409', () => {
+    let error;
+    try {
+      lifecycle.assertTransition('dispensed', 'pay');
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(lifecycle.LifecycleError);
+    expect(lifecycle.conflictBody(error)).toEqual({
+      success: false,
+      code: 'INVALID_TRANSITION',
+      message: 'Cannot pay for a prescription that is dispensed',
+      state: 'dispensed',
+      event: 'pay'
+    });
+    expect(error.status).toBe(409);
+  });
+
+  test('walks a two-dispense prescription through the store', () => {
+    inMemoryStore.set(topic, { payload: { dispenseCount: 0, maxDispenses: 2 } });
+
+    expect(lifecycle.applyTransition(topic, 'verify')).toEqual({ from: 'issued', to: 'verified' });
+    expect(lifecycle.applyTransition(topic, 'pay').to).toBe('paid');
+    expect(lifecycle.applyTransition(topic, 'dispense', { dispenseCount: 1, maxDispenses: 2 }).to).toBe('partially_dispensed');
+    inMemoryStore.get(topic).payload.dispenseCount = 1;
+
+    expect(lifecycle.applyTransition(topic, 'verify').to).toBe('partially_dispensed');
+    expect(lifecycle.applyTransition(topic, 'dispense', { dispenseCount: 2, maxDispenses: 2 }).to).toBe('dispensed');
+    inMemoryStore.get(topic).payload.dispenseCount = 2;
+
+    expect(lifecycle.getState(topic)).toBe('dispensed');
+    expect(() => lifecycle.applyTransition(topic, 'cancel')).toThrow('Cannot cancel a prescription that is dispensed');
+  });
+
+  test('lapsed prescriptions are stored as expired once, from the state they were in', () => {
+    const now = new Date('2026-03-01T00:00:00Z');
+    inMemoryStore.set(topic, { payload: { dispenseCount: 1, maxDispenses: 2, validUntil: '2026-02-01T00:00:00Z' }, status: 'partially_dispensed' });
+
+    expect(lifecycle.findLapsed(now)).toContain(topic);
+    expect(lifecycle.recordExpiry(topic, now)).toEqual({ from: 'partially_dispensed', to: 'expired' });
+    expect(inMemoryStore.get(topic).status).toBe('expired');
+    expect(lifecycle.findLapsed(now)).not.toContain(topic);
+    expect(lifecycle.recordExpiry(topic, now)).toBeNull();
+
+    // Still valid, cancelled or fully dispensed: never expired
+    inMemoryStore.set(topic, { payload: { dispenseCount: 0, maxDispenses: 1, validUntil: '2026-06-01T00:00:00Z' } });
+    expect(lifecycle.recordExpiry(topic, now)).toBeNull();
+    inMemoryStore.set(topic, { payload: { dispenseCount: 0, maxDispenses: 1, validUntil: '2026-02-01T00:00:00Z' }, status: 'cancelled' });
+    expect(lifecycle.findLapsed(now)).not.toContain(topic);
+    inMemoryStore.set(topic, { payload: { dispenseCount: 1, maxDispenses: 1, validUntil: '2026-02-01T00:00:00Z' }, status: 'dispensed' });
+    expect(lifecycle.recordExpiry(topic, now)).toBeNull();
+  });
+
+  test('observed mirror statuses never leave a terminal state', () => {
+    inMemoryStore.set(topic, { payload: { dispenseCount: 0, maxDispenses: 1 }, status: 'cancelled' });
+    expect(lifecycle.recordObservedStatus(topic, 'paid')).toBe('cancelled');
+
+    inMemoryStore.set(topic, { payload: { dispenseCount: 1, maxDispenses: 3 }, status: 'paid' });
+    expect(lifecycle.recordObservedStatus(topic, 'dispensed')).toBe('partially_dispensed');
+    expect(lifecycle.recordObservedStatus('0.0.missing', 'paid')).toBeNull();
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Prescription Search Tests
+ * Validates listing filters, ordering, pagination and dispense progress
+ */
+
+const search = require('../services/prescriptionSearch');
+
+describe('Prescription Search', () => {
+  const entry = (id, date, status, fields = {}) => ({
+    topicID: `0.0.99050${id}`,
+    status,
+    record: { id: `RX-${id}`, date, patientId: 'AB123456', patientName: 'Amina Benali', diagnosis: 'Hypertension artérielle', ...fields }
+  });
+  const entries = [
+    entry(1, '2025-01-10T09:00:00.000Z', 'issued'),
+    entry(2, '2025-02-10T09:00:00.000Z', 'partially_dispensed', { diagnosis: 'Diabète de type 2' }),
+    entry(3, '2025-03-10T09:00:00.000Z', 'dispensed', { patientId: 'CD 654-321', patientName: 'Youssef Alaoui', diagnosis: 'Angine' }),
+    entry(4, '2025-04-10T09:00:00.000Z', 'cancelled')
+  ];
+  const ids = result => result.items.map(e => e.record.id);
+
+  test('lists newest first and filters by status and date range', () => {
+    expect(ids(search.searchPrescriptions(entries))).toEqual(['RX-4', 'RX-3', 'RX-2', 'RX-1']);
+    expect(ids(search.searchPrescriptions(entries, { status: ['issued', 'partially_dispensed'] }))).toEqual(['RX-2', 'RX-1']);
+    expect(ids(search.searchPrescriptions(entries, { from: '2025-02-01T00:00:00.000Z', to: '2025-03-10T09:00:00.000Z' }))).toEqual(['RX-3', 'RX-2']);
+  });
+
+  test('matches the patient by ID or name and the diagnosis without case or accents', () => {
+    expect(ids(search.searchPrescriptions(entries, { patient: 'cd654321' }))).toEqual(['RX-3']);
+    expect(ids(search.searchPrescriptions(entries, { patient: 'benali' }))).toEqual(['RX-4', 'RX-2', 'RX-1']);
+    expect(ids(search.searchPrescriptions(entries, { diagnosis: 'ARTERIELLE' }))).toEqual(['RX-4', 'RX-1']);
+    expect(ids(search.searchPrescriptions(entries, { diagnosis: 'diabete', patient: 'youssef' }))).toEqual([]);
+  });
+
+  test('paginates with a capped page size', () => {
+    const page = search.searchPrescriptions(entries, {}, { page: 2, pageSize: 3 });
+    expect(page).toMatchObject({ total: 4, page: 2, pageSize: 3, pages: 2 });
+    expect(ids(page)).toEqual(['RX-1']);
+    expect(search.searchPrescriptions(entries, {}, { pageSize: 5000 }).pageSize).toBe(search.MAX_PAGE_SIZE);
+    expect(search.searchPrescriptions([], {}).pages).toBe(0);
+  });
+
+  test('dispense progress counts lines and quantities handed over', () => {
+    const lines = [{ prescribed: 3, dispensed: 3 }, { prescribed: 2, dispensed: 1 }, { prescribed: 1, dispensed: 0 }];
+    expect(search.dispenseProgress(lines, { dispenseCount: 2, maxDispenses: 3, lastDispenseDate: '2025-02-11T10:00:00.000Z' })).toEqual({
+      dispenseCount: 2,
+      maxDispenses: 3,
+      lastDispenseDate: '2025-02-11T10:00:00.000Z',
+      lines: 3,
+      linesComplete: 1,
+      quantityPrescribed: 6,
+      quantityDispensed: 4,
+      percent: 67
+    });
+    expect(search.dispenseProgress([]).percent).toBe(0);
+  });
+});
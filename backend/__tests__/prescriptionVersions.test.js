@@ -0,0 +1,87 @@
+/**
+ * Prescription Versions Tests
+ * Validates version chaining, superseded QR nonces and the diff between versions
+ */
+
+const versions = require('../services/prescriptionVersions');
+
+describe('Prescription Versions', () => {
+  const issued = {
+    id: 'RX-1',
+    diagnosis: 'Hypertension',
+    maxDispenses: 1,
+    date: '2026-01-01T00:00:00Z',
+    prescriberId: 7,
+    qr: { n: 'nonce-v1' },
+    medications: [
+      { name: 'Amlodipine', code: 'C08CA01', dosage: '5', unit: 'mg', frequency: '1', duration: '30', durationUnit: 'days' },
+      { name: 'Aspirin', code: 'B01AC06', dosage: '100', unit: 'mg', frequency: '1', duration: '30', durationUnit: 'days' }
+    ]
+  };
+
+  beforeEach(() => {
+    versions.prescriptionVersions.clear();
+    versions.supersededNonces.clear();
+  });
+
+  test('first amendment records the issued content as version 1 and links version 2 to it', () => {
+    expect(versions.getCurrentVersion('RX-1')).toBe(1);
+
+    const { version, previous } = versions.addVersion(issued, {
+      diagnosis: 'Hypertension stage 2',
+      medications: issued.medications,
+      qrNonce: 'nonce-v2',
+      reason: 'Dose review'
+    });
+
+    expect(previous.version).toBe(1);
+    expect(previous.qrNonce).toBe('nonce-v1');
+    expect(version.version).toBe(2);
+    expect(version.previousHash).toBe(previous.contentHash);
+    expect(version.contentHash).not.toBe(previous.contentHash);
+    expect(versions.getCurrentVersion('RX-1')).toBe(2);
+  });
+
+  test('the replaced QR nonce is superseded, the new one is not', () => {
+    versions.addVersion(issued, { diagnosis: issued.diagnosis, medications: issued.medications, qrNonce: 'nonce-v2', reason: 'Fix' });
+    expect(versions.isNonceSuperseded('nonce-v1')).toBe(true);
+    expect(versions.isNonceSuperseded('nonce-v2')).toBe(false);
+
+    versions.addVersion(issued, { diagnosis: issued.diagnosis, medications: issued.medications, qrNonce: 'nonce-v3', reason: 'Fix again' });
+    expect(versions.isNonceSuperseded('nonce-v2')).toBe(true);
+    expect(versions.isNonceSuperseded(undefined)).toBe(false);
+  });
+
+  test('issued nonce is taken from the payload when the record has no QR', () => {
+    const { qr, ...legacy } = issued;
+    versions.addVersion(legacy, { diagnosis: issued.diagnosis, medications: issued.medications, qrNonce: 'nonce-v2', reason: 'Fix', issuedNonce: 'payload-nonce' });
+    expect(versions.isNonceSuperseded('payload-nonce')).toBe(true);
+  });
+
+  test('diff reports diagnosis and medications added, removed and changed', () => {
+    const { diff } = versions.addVersion(issued, {
+      diagnosis: 'Hypertension stage 2',
+      medications: [
+        { ...issued.medications[0], dosage: '10' },
+        { name: 'Ramipril', code: 'C09AA05', dosage: '5', unit: 'mg', frequency: '1', duration: '30', durationUnit: 'days' }
+      ],
+      qrNonce: 'nonce-v2',
+      reason: 'Uncontrolled blood pressure'
+    });
+
+    expect(diff.diagnosis).toEqual({ from: 'Hypertension', to: 'Hypertension stage 2' });
+    expect(diff.maxDispenses).toBeNull();
+    expect(diff.medications.added.map(m => m.code)).toEqual(['C09AA05']);
+    expect(diff.medications.removed.map(m => m.code)).toEqual(['B01AC06']);
+    expect(diff.medications.changed).toEqual([{ key: 'C08CA01', name: 'Amlodipine', fields: { dosage: { from: '5', to: '10' } } }]);
+  });
+
+  test('history lists versions newest first with their diffs', () => {
+    versions.addVersion(issued, { diagnosis: 'Hypertension stage 2', medications: issued.medications, qrNonce: 'nonce-v2', reason: 'Review' });
+    const history = versions.getHistory('RX-1');
+
+    expect(history.map(v => v.version)).toEqual([2, 1]);
+    expect(history[0].diff.diagnosis.to).toBe('Hypertension stage 2');
+    expect(history[1].diff).toBeNull();
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Compact QR Encoding Tests
+ * Validates Base45 (RFC 9285 vectors), CBOR round trips, COSE_Sign1 signing
+ * and the format detection of scanned QR text
+ */
+
+const qrCodec = require('../utils/qrCodec');
+const qrPayloads = require('../utils/qrPayload');
+const { ensureKeyPair } = require('../utils/signature');
+
+describe('QR Codec', () => {
+  const doctorInpe = 'INPE-778899';
+  const medication = (code) => ({ code, dosage: '500', unit: 'mg', frequency: '3', duration: '7', durationUnit: 'days' });
+  const candidates = (count) => qrPayloads.buildQrCandidates({
+    topicID: '0.0.7153833',
+    hashedPatientId: 'a'.repeat(64),
+    medications: Array.from({ length: count }, (_, i) => medication(`A0${i}BC01`)),
+    validUntil: '2025-06-01T00:00:00.000Z',
+    nonce: '0123456789abcdef',
+    geotag: 'MA-33.57,-7.59',
+    doctorIdHash: 'b'.repeat(64),
+    dispenseCount: 0,
+    maxDispenses: 2
+  }, doctorInpe);
+
+  test('Base45 matches the RFC 9285 vectors', () => {
+    expect(qrCodec.base45Encode(Buffer.from('AB'))).toBe('BB8');
+    expect(qrCodec.base45Encode(Buffer.from('Hello!!'))).toBe('%69 VD92EX0');
+    expect(qrCodec.base45Decode('QED8WEX0').toString()).toBe('ietf!');
+    expect(() => qrCodec.base45Decode('GGW')).toThrow(qrCodec.QrCodecError); // 65535 + 1
+    expect(() => qrCodec.base45Decode('abc')).toThrow(qrCodec.QrCodecError);
+  });
+
+  test('CBOR round-trips the QR payload types', () => {
+    const value = { v: '2.0', m: [['N02BE01', 2, '500mg:3/d:7d']], dc: 0, md: 300, neg: -47, f: 1.5, ok: true, none: null, b: Buffer.from([1, 2]) };
+    expect(qrCodec.cborDecode(qrCodec.cborEncode(value))).toEqual(value);
+    expect(qrCodec.cborEncode(new Map([[1, -47]])).toString('hex')).toBe('a101382e');
+    expect(() => qrCodec.cborDecode(Buffer.from('a101', 'hex'))).toThrow(qrCodec.QrCodecError);
+  });
+
+  test('COSE QR carries the payload, verifies with the doctor key and is smaller than JSON', () => {
+    const [v2] = candidates(8);
+    const text = qrCodec.encodeCoseQr(v2, doctorInpe);
+    expect(text.startsWith(qrCodec.PREFIX)).toBe(true);
+
+    const decoded = qrCodec.decodeCoseQr(text);
+    const { s: _s, ...fields } = v2;
+    expect(decoded.payload).toEqual(fields);
+    expect(qrCodec.verifyCoseSignature(decoded, ensureKeyPair(doctorInpe).publicKeyHex)).toBe(true);
+    expect(qrCodec.verifyCoseSignature(decoded, ensureKeyPair('INPE-000001').publicKeyHex)).toBe(false);
+
+    // A different payload under the same signature does not verify
+    const forged = { ...decoded, payloadBytes: qrCodec.cborEncode({ ...fields, md: 99 }) };
+    expect(qrCodec.verifyCoseSignature(forged, ensureKeyPair(doctorInpe).publicKeyHex)).toBe(false);
+
+    const encodeQr = (qr) => qrCodec.encodeCoseQr(qr, doctorInpe);
+    expect(qrPayloads.symbolVersionOf(v2, encodeQr)).toBeLessThan(qrPayloads.symbolVersionOf(v2));
+    // Twelve lines no longer fit as JSON v2 but do as COSE v2
+    expect(qrPayloads.pickQrPayload(candidates(12)).v).toBe('1.0');
+    expect(qrPayloads.pickQrPayload(candidates(12), undefined, encodeQr).v).toBe('2.0');
+  });
+
+  test('detects the format of scanned text', () => {
+    const [v2] = candidates(2);
+    const cose = qrCodec.encodeCoseQr(v2, doctorInpe);
+    expect(qrCodec.detectQrFormat(cose)).toBe('cose');
+    expect(qrCodec.detectQrFormat(JSON.stringify(v2))).toBe('json');
+    expect(qrCodec.detectQrFormat('https://atlascare.ma/rx/1')).toBe('url');
+    expect(qrCodec.detectQrFormat('0.0.7153833')).toBe('text');
+
+    expect(qrCodec.decodeQrText(cose)).toMatchObject({ format: 'cose', payload: { t: '0.0.7153833', v: '2.0' } });
+    expect(qrCodec.decodeQrText(JSON.stringify(v2)).payload).toEqual(v2);
+    expect(() => qrCodec.decodeQrText(`${qrCodec.PREFIX}ABCDEF`)).toThrow(qrCodec.QrCodecError);
+
+    // QR_ENCODING selects the printed form
+    process.env.QR_ENCODING = 'cose';
+    expect(qrCodec.encodeQrText(v2, doctorInpe)).toBe(cose); // RFC 6979 signatures are deterministic
+    delete process.env.QR_ENCODING;
+    expect(qrCodec.encodeQrText(v2, doctorInpe)).toBe(JSON.stringify(v2));
+  });
+});
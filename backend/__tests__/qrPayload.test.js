@@ -0,0 +1,84 @@
+/**
+ * QR Payload Tests
+ * Validates the v1 and v2 QR formats, their signatures (server and browser hashing),
+ * and the size-based choice between them
+ */
+
+const crypto = require('crypto');
+const EC = require('elliptic').ec;
+const qrPayloads = require('../utils/qrPayload');
+const QR_SCHEMAS = require('../utils/qrSchemas.json');
+const { verifySignature, ensureKeyPair } = require('../utils/signature');
+
+describe('QR Payloads', () => {
+  const doctorInpe = 'INPE-778899';
+  const medication = (code, extra = {}) => ({ code, dosage: '500', unit: 'mg', frequency: '3', duration: '7', durationUnit: 'days', ...extra });
+  const fields = (medications) => ({
+    topicID: '0.0.7153833',
+    hashedPatientId: 'a'.repeat(64),
+    medications,
+    validUntil: '2025-06-01T00:00:00.000Z',
+    nonce: '0123456789abcdef',
+    geotag: 'MA-33.57,-7.59',
+    doctorIdHash: 'b'.repeat(64),
+    dispenseCount: 0,
+    maxDispenses: 2
+  });
+
+  test('v2 carries every medication line and is signed by the doctor', () => {
+    const [v2, v1] = qrPayloads.buildQrCandidates(fields([medication('N02BE01'), medication('J01CA04', { quantity: 3, frequency: '2', duration: '2', durationUnit: 'weeks' })]), doctorInpe);
+
+    expect(v2.v).toBe('2.0');
+    expect(v2.m).toEqual([['N02BE01', 2, '500mg:3/d:7d'], ['J01CA04', 3, '500mg:2/d:2w']]);
+    expect(v2).not.toHaveProperty('d');
+    expect(v1).toMatchObject({ v: '1.0', d: 'N02BE01' });
+    expect(qrPayloads.drugIdsOf(v2)).toEqual(['N02BE01', 'J01CA04']);
+    expect(qrPayloads.drugIdsOf(v1)).toEqual(['N02BE01']);
+
+    // The verify route adds topicID to scanned payloads: still the signed fields
+    expect(verifySignature(qrPayloads.signedFieldsOf({ ...v2, topicID: v2.t }), v2.s, doctorInpe)).toBe(true);
+    expect(verifySignature(qrPayloads.signedFieldsOf({ ...v2, m: [v2.m[0]] }), v2.s, doctorInpe)).toBe(false);
+    expect(verifySignature(qrPayloads.signedFieldsOf(v1), v1.s, doctorInpe)).toBe(true);
+  });
+
+  test('the browser hashing (sorted flat key list) matches the server signature for v2', () => {
+    const [v2] = qrPayloads.buildQrCandidates(fields([medication('N02BE01'), medication('R06AE07')]), doctorInpe);
+    const { s, ...unsigned } = v2;
+    const canonical = JSON.stringify(unsigned, Object.keys(unsigned).sort());
+    const hash = crypto.createHash('sha256').update(canonical).digest();
+    const key = new EC('secp256k1').keyFromPublic(ensureKeyPair(doctorInpe).publicKeyHex, 'hex');
+    expect(key.verify(hash, s.replace(/^hex:/, ''))).toBe(true);
+  });
+
+  test('picks v2 while it fits a readable symbol, v1 otherwise', () => {
+    const few = qrPayloads.buildQrCandidates(fields([medication('N02BE01'), medication('J01CA04')]), doctorInpe);
+    const many = qrPayloads.buildQrCandidates(fields(Array.from({ length: 12 }, (_, i) => medication(`A0${i}BC01`))), doctorInpe);
+
+    expect(qrPayloads.pickQrPayload(few).v).toBe('2.0');
+    expect(qrPayloads.symbolVersionOf(many[0])).toBeGreaterThan(qrPayloads.MAX_SYMBOL_VERSION);
+    expect(qrPayloads.pickQrPayload(many).v).toBe('1.0');
+    expect(qrPayloads.pickQrPayload(few, 1).v).toBe('1.0'); // nothing fits: last candidate
+    expect(qrPayloads.pickQrPayload(few[1])).toBe(few[1]);
+  });
+
+  test('accepts v1, v2 and unversioned legacy payloads only', () => {
+    expect(qrPayloads.isSupportedVersion('1.0')).toBe(true);
+    expect(qrPayloads.isSupportedVersion('2.0')).toBe(true);
+    expect(qrPayloads.isSupportedVersion(undefined)).toBe(true);
+    expect(qrPayloads.isSupportedVersion('3.0')).toBe(false);
+
+    // Full issued payloads (long names) rebuild the v1 signed structure
+    const [, v1] = qrPayloads.buildQrCandidates(fields([medication('N02BE01')]), doctorInpe);
+    const full = { topicID: v1.t, hashedPatientId: v1.h, drugIds: ['N02BE01'], quantity: v1.q, instructions: v1.i, validUntil: v1.u, nonce: v1.n, geoTag: v1.g, doctorIdHash: v1.p, dispenseCount: 0, maxDispenses: 2 };
+    expect(verifySignature(qrPayloads.signedFieldsOf(full), v1.s, doctorInpe)).toBe(true);
+  });
+
+  test('versions are registered from the definitions shared with the frontend', () => {
+    expect(qrPayloads.QR_VERSIONS).toEqual(Object.keys(QR_SCHEMAS.versions));
+    expect(qrPayloads.CURRENT_QR_VERSION).toBe(QR_SCHEMAS.current);
+
+    // Non-default instructions keep the v1 quantity as the dosage of the upgraded line
+    const decoded = qrPayloads.decodeFields(QR_SCHEMAS.versions['1.0'], { t: '0.0.1', d: 'N02BE01', q: '500mg', i: 'As needed', md: 2 });
+    expect(qrPayloads.upgradeFields(QR_SCHEMAS.versions['1.0'], decoded)).toMatchObject({ v: '2.0', t: '0.0.1', m: [['N02BE01', 2, '500mg']] });
+  });
+});
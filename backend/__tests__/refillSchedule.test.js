@@ -0,0 +1,58 @@
+/**
+ * Refill Schedule Tests
+ * Validates the dispense schedule, next eligible dates and justified early refill overrides
+ */
+
+const refills = require('../services/refillSchedule');
+
+describe('Refill Schedule', () => {
+  const topic = '0.0.990301';
+  const last = '2025-03-01T10:00:00.000Z';
+
+  beforeEach(() => {
+    refills.refillOverrides.clear();
+  });
+
+  test('multi-dispense prescriptions get a schedule no shorter than the rules minimum', () => {
+    expect(refills.scheduleFor({ maxDispenses: 1 })).toBeNull();
+    expect(refills.scheduleFor({ maxDispenses: 12 })).toEqual({ intervalDays: refills.DEFAULT_INTERVAL_DAYS, toleranceDays: refills.TOLERANCE_DAYS, minIntervalDays: 0 });
+    expect(refills.scheduleFor({ maxDispenses: 3, intervalDays: 7, minIntervalDays: 25 }).intervalDays).toBe(25);
+    expect(refills.scheduleFor({ maxDispenses: 3, intervalDays: 0 })).toMatchObject({ intervalDays: 0, toleranceDays: 0 });
+  });
+
+  test('next refill is due one interval after the last dispense, minus the tolerance', () => {
+    const schedule = { intervalDays: 30, toleranceDays: 5, minIntervalDays: 0 };
+    expect(refills.nextEligibleDate(schedule, last)).toBe('2025-03-26T10:00:00.000Z');
+    expect(refills.nextEligibleDate(schedule, null)).toBeNull();
+    expect(refills.nextEligibleDate(null, last)).toBeNull();
+    // The rules' minimum interval wins over the tolerance
+    expect(refills.nextEligibleDate({ intervalDays: 30, toleranceDays: 10, minIntervalDays: 25 }, last)).toBe('2025-03-26T10:00:00.000Z');
+  });
+
+  test('early refills are refused without a justified override', () => {
+    const schedule = refills.scheduleFor({ maxDispenses: 12, intervalDays: 30 });
+    const early = refills.checkRefill(schedule, last, new Date('2025-03-02T10:00:00.000Z'));
+    expect(early).toMatchObject({ eligible: false, nextEligibleAt: '2025-03-26T10:00:00.000Z', daysEarly: 24 });
+
+    expect(() => refills.assertEligible(early)).toThrow(expect.objectContaining({ name: 'RefillError', status: 409, code: 'REFILL_TOO_EARLY' }));
+    expect(() => refills.assertEligible(early, { reason: 'bored', justification: 'Patient asked nicely' })).toThrow(expect.objectContaining({ code: 'INVALID_OVERRIDE' }));
+    expect(() => refills.assertEligible(early, { reason: 'travel', justification: 'trip' })).toThrow('at least 10 characters');
+    expect(refills.assertEligible(early, { reason: 'travel', justification: ' Abroad for six weeks ' })).toEqual({ reason: 'travel', justification: 'Abroad for six weeks' });
+
+    const onTime = refills.checkRefill(schedule, last, new Date('2025-03-27T10:00:00.000Z'));
+    expect(onTime.eligible).toBe(true);
+    expect(refills.assertEligible(onTime)).toBeNull();
+    expect(refills.checkRefill(schedule, null).eligible).toBe(true);
+  });
+
+  test('overrides are logged per prescription', () => {
+    refills.recordOverride(topic, { reason: 'travel', justification: 'Abroad for six weeks', dispenseCount: 2, daysEarly: 24 });
+    expect(refills.getOverrides(topic)).toEqual([expect.objectContaining({ reason: 'travel', daysEarly: 24, at: expect.any(String) })]);
+    expect(refills.getOverrides('0.0.unknown')).toEqual([]);
+
+    // The override of a dispense that failed is withdrawn, earlier ones stay
+    const failed = refills.recordOverride(topic, { reason: 'other', justification: 'Dispense that will fail', dispenseCount: 3, daysEarly: 3 });
+    refills.removeOverride(topic, failed);
+    expect(refills.getOverrides(topic)).toEqual([expect.objectContaining({ reason: 'travel' })]);
+  });
+});
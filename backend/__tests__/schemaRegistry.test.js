@@ -0,0 +1,74 @@
+/**
+ * Schema Registry Tests
+ * Validates version dispatch and upgrades for QR payloads and HCS event messages,
+ * and the rejection of versions this build does not know
+ */
+
+const schemaRegistry = require('../utils/schemaRegistry');
+const qrPayloads = require('../utils/qrPayload');
+const { compressPayload, decompressPayload, HCS_EVENT_VERSION } = require('../utils/hcsPayloadCompressor');
+
+describe('Schema Registry', () => {
+  test('upgrades through every registered version and reports the path', () => {
+    schemaRegistry.defineSchema('test-doc', { label: 'test document', current: '3', versionOf: (p) => p.ver || '1' });
+    schemaRegistry.registerVersion('test-doc', '1', { next: '2', upgrade: ({ name }) => ({ ver: '2', fullName: name }) });
+    schemaRegistry.registerVersion('test-doc', '2', { next: '3', upgrade: ({ fullName }) => ({ ver: '3', names: [fullName] }) });
+    schemaRegistry.registerVersion('test-doc', '3');
+
+    const result = schemaRegistry.decode('test-doc', { name: 'amoxicilline' });
+    expect(result).toMatchObject({ version: '1', decoded: { name: 'amoxicilline' }, current: { ver: '3', names: ['amoxicilline'] }, upgradedFrom: ['1', '2'] });
+    expect(schemaRegistry.decode('test-doc', { ver: '3', names: [] }).upgradedFrom).toEqual([]);
+
+    try {
+      schemaRegistry.decode('test-doc', { ver: '9' });
+      throw new Error('expected a SchemaVersionError');
+    } catch (e) {
+      expect(e).toBeInstanceOf(schemaRegistry.SchemaVersionError);
+      expect(e).toMatchObject({ status: 400, code: 'UNSUPPORTED_SCHEMA_VERSION', message: 'Unsupported test document version 9', details: { supported: ['1', '2', '3'] } });
+    }
+    expect(() => schemaRegistry.registerVersion('test-doc', '4', { next: '5' })).toThrow(/needs an upgrade/);
+  });
+
+  test('QR v1 payloads decode to their signed fields and upgrade to one-line v2', () => {
+    const [, v1] = qrPayloads.buildQrCandidates({
+      topicID: '0.0.7153833',
+      hashedPatientId: 'a'.repeat(64),
+      medications: [{ code: 'N02BE01', dosage: '500', unit: 'mg', frequency: '3', duration: '7', durationUnit: 'days' }],
+      validUntil: '2025-06-01T00:00:00.000Z',
+      nonce: '0123456789abcdef',
+      geotag: 'MA-33.57,-7.59',
+      doctorIdHash: 'b'.repeat(64),
+      maxDispenses: 2
+    }, 'INPE-778899');
+
+    const { version, decoded, current } = schemaRegistry.decode('qr', v1);
+    expect(version).toBe('1.0');
+    expect(decoded).toEqual(qrPayloads.signedFieldsOf(v1));
+    expect(decoded).not.toHaveProperty('s');
+    expect(current).toMatchObject({ v: '2.0', t: '0.0.7153833', m: [['N02BE01', 2, '500mg:3/d:7d']], md: 2 });
+    expect(current).not.toHaveProperty('d');
+
+    // Unversioned legacy QRs are v1, unknown versions are rejected
+    expect(schemaRegistry.versionOf('qr', { t: '0.0.1' })).toBe('1.0');
+    expect(() => schemaRegistry.decode('qr', { v: '3.0' })).toThrow('Unsupported QR version 3.0');
+  });
+
+  test('HCS events are tagged with their version; untagged messages still decode as version 1', () => {
+    const hashLookup = new Map();
+    const event = { eventType: 'paid', topicID: '0.0.12345', timestamp: '2025-03-01T10:00:00.000Z', actorIdHash: `sha256:${'c'.repeat(64)}`, prevEventHash: `sha256:${'d'.repeat(64)}`, amountMAD: 120, method: 'card', nonce: 'abcdef123456' };
+
+    const compressed = compressPayload(event, hashLookup);
+    expect(compressed.sv).toBe(HCS_EVENT_VERSION);
+    const { sv, ...untagged } = compressed;
+
+    for (const message of [compressed, untagged]) {
+      const full = decompressPayload(message, hashLookup);
+      expect(full).toMatchObject({ eventType: 'paid', topicID: '0.0.12345', timestamp: event.timestamp, amountMAD: 120, nonce: 'abcdef' });
+      expect(full).not.toHaveProperty('sv');
+    }
+    expect(schemaRegistry.decode('hcs-event', untagged, { hashLookup })).toMatchObject({ version: '1', upgradedFrom: ['1'] });
+
+    // A message from a newer publisher is not misread
+    expect(() => decompressPayload({ ...compressed, sv: 99 })).toThrow(schemaRegistry.SchemaVersionError);
+  });
+});
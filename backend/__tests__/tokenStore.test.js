@@ -0,0 +1,101 @@
+/**
+ * Token Store Tests
+ * Validates refresh token rotation, reuse detection and access token revocation
+ */
+
+const jwt = require('jsonwebtoken');
+const tokenStore = require('../services/tokenStore');
+const { signToken } = require('../utils/auth');
+
+describe('Refresh Tokens', () => {
+  beforeEach(() => {
+    tokenStore.refreshTokens.clear();
+    tokenStore.revokedAccessTokens.clear();
+    tokenStore.sessionCutoffs.clear();
+  });
+
+  test('stores only hashes of refresh tokens', () => {
+    const token = tokenStore.issueRefreshToken(1);
+    expect(tokenStore.refreshTokens.has(token)).toBe(false);
+    expect(tokenStore.refreshTokens.size).toBe(1);
+  });
+
+  test('rotation returns a new token and invalidates the old one', () => {
+    const first = tokenStore.issueRefreshToken(1);
+    const rotated = tokenStore.rotateRefreshToken(first);
+
+    expect(rotated.userId).toBe('1');
+    expect(rotated.refreshToken).not.toBe(first);
+    expect(tokenStore.rotateRefreshToken(rotated.refreshToken)).not.toBeNull();
+  });
+
+  test('reusing a rotated token revokes the whole family', () => {
+    const first = tokenStore.issueRefreshToken(1);
+    const second = tokenStore.rotateRefreshToken(first).refreshToken;
+
+    // Attacker replays the stolen first token
+    expect(tokenStore.rotateRefreshToken(first)).toBeNull();
+    // Legitimate client's current token is now dead too
+    expect(tokenStore.rotateRefreshToken(second)).toBeNull();
+  });
+
+  test('logout revokes the refresh token', () => {
+    const token = tokenStore.issueRefreshToken(1);
+    expect(tokenStore.revokeRefreshToken(token)).toBe(true);
+    expect(tokenStore.rotateRefreshToken(token)).toBeNull();
+  });
+
+  test('rejects unknown and expired refresh tokens', () => {
+    expect(tokenStore.rotateRefreshToken('not-a-token')).toBeNull();
+    const token = tokenStore.issueRefreshToken(1);
+    for (const entry of tokenStore.refreshTokens.values()) entry.expiresAt = Date.now() - 1;
+    expect(tokenStore.rotateRefreshToken(token)).toBeNull();
+    expect(tokenStore.pruneExpiredTokens()).toBe(1);
+  });
+});
+
+describe('Access Token Revocation', () => {
+  beforeEach(() => {
+    tokenStore.refreshTokens.clear();
+    tokenStore.revokedAccessTokens.clear();
+    tokenStore.sessionCutoffs.clear();
+  });
+
+  test('access tokens carry a jti and are revocable individually', () => {
+    const decoded = jwt.decode(signToken({ sub: 7, role: 'pharmacist' }));
+    expect(decoded.jti).toBeDefined();
+    expect(tokenStore.isAccessTokenRevoked(decoded)).toBe(false);
+
+    tokenStore.revokeAccessToken(decoded);
+    expect(tokenStore.isAccessTokenRevoked(decoded)).toBe(true);
+  });
+
+  test('revokeAllSessions kills existing access and refresh tokens of that user only', () => {
+    const victim = { sub: 7, iat: Math.floor(Date.now() / 1000) - 5, jti: 'a' };
+    const other = { sub: 8, iat: Math.floor(Date.now() / 1000) - 5, jti: 'b' };
+    const refresh = tokenStore.issueRefreshToken(7);
+
+    tokenStore.revokeAllSessions(7);
+
+    expect(tokenStore.isAccessTokenRevoked(victim)).toBe(true);
+    expect(tokenStore.isAccessTokenRevoked(other)).toBe(false);
+    expect(tokenStore.rotateRefreshToken(refresh)).toBeNull();
+  });
+
+  test('a token issued in the same second as the cutoff is judged by its millisecond issue time', () => {
+    const cutoff = Date.parse('2025-03-01T10:00:00.400Z');
+    tokenStore.sessionCutoffs.set('7', cutoff);
+    const second = Math.floor(cutoff / 1000);
+
+    expect(tokenStore.isAccessTokenRevoked({ sub: 7, iat: second, iatMs: cutoff - 100 })).toBe(true);
+    expect(tokenStore.isAccessTokenRevoked({ sub: 7, iat: second, iatMs: cutoff + 100 })).toBe(false);
+    // Tokens without iatMs cannot be placed within the second: revoked
+    expect(tokenStore.isAccessTokenRevoked({ sub: 7, iat: second })).toBe(true);
+    expect(tokenStore.isAccessTokenRevoked({ sub: 7, iat: second + 1 })).toBe(false);
+
+    // Access tokens carry their issue time in milliseconds
+    tokenStore.revokeAllSessions(8);
+    const fresh = jwt.decode(signToken({ sub: 8, role: 'doctor' }));
+    expect(fresh.iatMs).toBeGreaterThanOrEqual(tokenStore.sessionCutoffs.get('8'));
+  });
+});
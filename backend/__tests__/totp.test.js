@@ -0,0 +1,90 @@
+/**
+ * Two-Factor Authentication Tests
+ * Validates RFC 6238 TOTP codes, enrollment and single-use recovery codes
+ */
+
+const totp = require('../utils/totp');
+const userStore = require('../services/userStore');
+const securityPolicy = require('../services/securityPolicy');
+
+// RFC 6238 Appendix B seed ("12345678901234567890"), truncated to 6 digits
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  test('matches RFC 6238 SHA-1 test vectors', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.generateTotp(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(totp.generateTotp(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(totp.generateTotp(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+    expect(totp.generateTotp(RFC_SECRET, 2000000000 * 1000)).toBe('279037');
+  });
+
+  test('accepts one step of clock drift only', () => {
+    const now = 1700000000000;
+    const previous = totp.generateTotp(RFC_SECRET, now - 30000);
+    const stale = totp.generateTotp(RFC_SECRET, now - 90000);
+
+    expect(totp.verifyTotp(RFC_SECRET, previous, 1, now)).toBe(true);
+    expect(totp.verifyTotp(RFC_SECRET, stale, 1, now)).toBe(false);
+    expect(totp.verifyTotp(RFC_SECRET, 'abcdef', 1, now)).toBe(false);
+  });
+
+  test('base32 round-trips arbitrary bytes', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+    expect(totp.base32Decode(totp.base32Encode(bytes)).equals(bytes)).toBe(true);
+  });
+});
+
+describe('User two-factor enrollment', () => {
+  let user;
+
+  beforeEach(() => {
+    userStore.users.clear();
+    user = userStore.createUser({ username: 'doc2fa@atlascare.ma', password: 'Doctor#123', role: 'doctor', fullName: 'Doc' });
+  });
+
+  test('secret only becomes active after a valid first code', () => {
+    const secret = userStore.beginTwoFactorEnrollment(user.id);
+
+    expect(userStore.listUsers()[0].twoFactorEnabled).toBe(false);
+    expect(() => userStore.activateTwoFactor(user.id, '000000')).toThrow('Invalid verification code');
+
+    const codes = userStore.activateTwoFactor(user.id, totp.generateTotp(secret));
+    expect(codes).toHaveLength(8);
+    expect(userStore.listUsers()[0]).toMatchObject({ twoFactorEnabled: true, recoveryCodesRemaining: 8 });
+    expect(JSON.stringify(userStore.listUsers())).not.toContain(secret);
+  });
+
+  test('recovery codes are single-use', () => {
+    const secret = userStore.beginTwoFactorEnrollment(user.id);
+    const [code] = userStore.activateTwoFactor(user.id, totp.generateTotp(secret));
+
+    expect(userStore.verifySecondFactor(user.id, code)).toBe(true);
+    expect(userStore.verifySecondFactor(user.id, code)).toBe(false);
+    expect(userStore.listUsers()[0].recoveryCodesRemaining).toBe(7);
+  });
+
+  test('cannot re-enroll while enabled, can after disabling', () => {
+    const secret = userStore.beginTwoFactorEnrollment(user.id);
+    userStore.activateTwoFactor(user.id, totp.generateTotp(secret));
+
+    expect(() => userStore.beginTwoFactorEnrollment(user.id)).toThrow('already enabled');
+    userStore.disableTwoFactor(user.id);
+    expect(userStore.verifySecondFactor(user.id, totp.generateTotp(secret))).toBe(false);
+    expect(typeof userStore.beginTwoFactorEnrollment(user.id)).toBe('string');
+  });
+});
+
+describe('Security policy', () => {
+  afterEach(() => {
+    securityPolicy.securityPolicy.clear();
+  });
+
+  test('enforces 2FA per role', () => {
+    expect(securityPolicy.isMfaRequired('doctor')).toBe(false);
+    securityPolicy.setMfaRequiredRoles(['doctor', 'doctor']);
+    expect(securityPolicy.getMfaRequiredRoles()).toEqual(['doctor']);
+    expect(securityPolicy.isMfaRequired('doctor')).toBe(true);
+    expect(securityPolicy.isMfaRequired('pharmacist')).toBe(false);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * User Directory Tests
+ * Validates bcrypt-hashed credentials and admin management operations
+ */
+
+const userStore = require('../services/userStore');
+
+describe('User Directory', () => {
+  beforeEach(() => {
+    userStore.users.clear();
+  });
+
+  test('seeds default accounts only when empty', () => {
+    expect(userStore.seedDefaultUsers()).toBe(3);
+    expect(userStore.seedDefaultUsers()).toBe(0);
+    expect(userStore.listUsers().map(u => u.role)).toEqual(['doctor', 'pharmacist', 'superadmin']);
+  });
+
+  test('never stores or returns plaintext passwords', () => {
+    const user = userStore.createUser({ username: 'Dr.Test@Clinic.ma', password: 'Secret#123', role: 'doctor', fullName: 'Dr Test' });
+    const stored = userStore.getUser(user.id);
+
+    expect(user.passwordHash).toBeUndefined();
+    expect(stored.passwordHash).not.toBe('Secret#123');
+    expect(stored.passwordHash).toMatch(/^\$2[aby]\$/);
+    expect(JSON.stringify(userStore.listUsers())).not.toContain('Secret#123');
+  });
+
+  test('authenticates with case-insensitive username', () => {
+    userStore.createUser({ username: 'pharma@atlascare.ma', password: 'Pharma#123', role: 'pharmacist', fullName: 'Pharma' });
+
+    expect(userStore.authenticate('PHARMA@atlascare.ma', 'Pharma#123')).toMatchObject({ role: 'pharmacist' });
+    expect(userStore.authenticate('pharma@atlascare.ma', 'wrong')).toBeNull();
+    expect(userStore.authenticate('unknown@atlascare.ma', 'Pharma#123')).toBeNull();
+  });
+
+  test('disabled accounts cannot log in', () => {
+    const user = userStore.createUser({ username: 'doc@atlascare.ma', password: 'Doctor#123', role: 'doctor', fullName: 'Doc' });
+    userStore.updateUser(user.id, { disabled: true });
+
+    expect(userStore.authenticate('doc@atlascare.ma', 'Doctor#123')).toBeNull();
+  });
+
+  test('password reset replaces the old credential', () => {
+    const user = userStore.createUser({ username: 'doc@atlascare.ma', password: 'Doctor#123', role: 'doctor', fullName: 'Doc' });
+    userStore.resetPassword(user.id, 'NewPass#456');
+
+    expect(userStore.authenticate('doc@atlascare.ma', 'Doctor#123')).toBeNull();
+    expect(userStore.authenticate('doc@atlascare.ma', 'NewPass#456')).not.toBeNull();
+  });
+
+  test('rejects duplicate usernames and unknown roles', () => {
+    userStore.createUser({ username: 'doc@atlascare.ma', password: 'Doctor#123', role: 'doctor', fullName: 'Doc' });
+
+    expect(() => userStore.createUser({ username: 'DOC@atlascare.ma', password: 'x', role: 'doctor' })).toThrow('Username already exists');
+    expect(() => userStore.createUser({ username: 'new@atlascare.ma', password: 'x', role: 'root' })).toThrow('Invalid role');
+    expect(() => userStore.updateUser(999, { role: 'admin' })).toThrow('User not found');
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Validity Rules Tests
+ * Validates the per-class policy (validity, refill limit, interval), ALD extensions and the refill limit check
+ */
+
+const rules = require('../services/validityRules');
+
+describe('Validity Rules', () => {
+  const AMLODIPINE = { name: 'AMLODIPINE GT', code: '6118010120817' };
+  const GLUCOPHAGE = { name: 'GLUCOPHAGE 850', code: '6118000080633' };
+  const AUGMENTIN = { name: 'AUGMENTIN', code: '6118000160212' }; // amoxicillin / clavulanic acid
+  const DOLIPRANE = { name: 'DOLIPRANE', code: '6118000040972' };
+
+  test('lines are classified by ATC code, from the line or from the catalog DCI', () => {
+    expect(rules.atcCodesOf(AMLODIPINE)).toEqual(['C08CA01']);
+    expect(rules.ruleFor(AMLODIPINE).id).toBe('cardiovascular-chronic');
+    expect(rules.ruleFor(AUGMENTIN).id).toBe('antibacterials');
+    expect(rules.ruleFor({ name: 'Custom', atc: 'N02AA01' }).id).toBe('narcotics');
+    expect(rules.ruleFor(DOLIPRANE)).toBeNull();
+  });
+
+  test('chronic treatments get longer validity and more refills for ALD patients', () => {
+    const standard = rules.evaluate([AMLODIPINE, GLUCOPHAGE]);
+    expect(standard).toMatchObject({ validityDays: 180, maxDispenses: 6, minIntervalDays: 21, singleUse: false, ald: false });
+
+    const ald = rules.evaluate([AMLODIPINE, GLUCOPHAGE], { ald: true });
+    expect(ald).toMatchObject({ validityDays: 365, maxDispenses: 12, ald: true });
+    expect(ald.rules.map(r => r.ruleId)).toEqual(['cardiovascular-chronic', 'diabetes-chronic']);
+  });
+
+  test('the strictest line sets the policy; narcotics are single use', () => {
+    expect(rules.evaluate([AMLODIPINE, AUGMENTIN], { ald: true })).toMatchObject({ validityDays: 10, maxDispenses: 1, minIntervalDays: 21 });
+    expect(rules.evaluate([DOLIPRANE])).toMatchObject({ validityDays: 60, maxDispenses: 12, minIntervalDays: 0, rules: [] });
+    expect(rules.evaluate([DOLIPRANE, { name: 'Morphine', atc: 'N02AA01' }])).toMatchObject({ validityDays: 7, maxDispenses: 1, singleUse: true });
+  });
+
+  test('refill counts above the policy are refused with the limiting rule', () => {
+    const policy = rules.evaluate([AMLODIPINE]);
+    expect(() => rules.assertWithinLimits(policy, 6)).not.toThrow();
+    expect(() => rules.assertWithinLimits(policy, 12))
+      .toThrow(expect.objectContaining({ name: 'ValidityRuleError', status: 400, code: 'REFILL_LIMIT_EXCEEDED' }));
+    expect(() => rules.assertWithinLimits(policy, 12)).toThrow('patient without long-term condition');
+    expect(() => rules.assertWithinLimits(rules.evaluate([AMLODIPINE], { ald: true }), 12)).not.toThrow();
+    expect(rules.maxDispensesCap()).toBe(12);
+  });
+
+  test('validity end date is counted from issuance', () => {
+    const policy = rules.evaluate([AUGMENTIN]);
+    expect(rules.validUntilFrom(policy, '2025-01-01T00:00:00.000Z')).toBe('2025-01-11T00:00:00.000Z');
+  });
+});
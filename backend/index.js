@@ -9,15 +9,17 @@ const { buildFHIRPrescription } = require('./utils/fhirBuilder');
 const { sendEmail } = require('./utils/email');
 const { generatePrescriptionPdf, generatePharmacistReport } = require('./utils/prescriptionPdf');
 const { hashIdentifier } = require('./utils/privacy');
-const { issueOtp, verifyOtp } = require('./utils/otp');
 const { generateFSE } = require('./utils/fse');
 const orchestrator = require('./orchestrator');
 const { verifyPrescriptionOnMirror } = require('./utils/mirror');
 const { initQueue, enqueueIssue, waitForJob, isQueueEnabled } = require('./queues/issueQueue');
-const { signToken, authenticateJWT, requireRole } = require('./utils/auth');
+const { signToken, signChallengeToken, verifyChallengeToken } = require('./utils/auth');
 const { celebrate, Joi, Segments, errors: celebrateErrors } = require('celebrate');
 const crypto = require('crypto');
 const { ensureKeyPair, signPayload, verifySignature } = require('./utils/signature');
+const qrPayloads = require('./utils/qrPayload');
+const qrCodec = require('./utils/qrCodec');
+const schemaRegistry = require('./utils/schemaRegistry');
 const { putPayload, queueMessage, inMemoryStore, lastEventHashPerTopic, lastEventTypePerTopic, hashLookup, putSensitiveData, getSensitiveData } = require('./services/store');
 const { queueSyncLoop } = require('./services/hcs');
 const { compressPayload, decompressPayload } = require('./utils/hcsPayloadCompressor');
@@ -52,7 +54,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'X-API-Key', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 app.use(express.json());
 app.use(helmet());
@@ -60,32 +63,9 @@ app.use(helmet());
 const limiter = rateLimit({ windowMs: 60 * 1000, max: 120 });
 app.use(limiter);
 
-// === ID Generation Functions ===
-function generatePrescriptionId() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  const dateStr = `${year}${month}${day}`;
-
-  // Use milliseconds last 3 digits for uniqueness
-  const sequence = String(now.getMilliseconds()).padStart(3, '0');
-
-  return `RX-${dateStr}-${sequence}`;
-}
-
-function generateInvoiceId() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  const dateStr = `${year}${month}${day}`;
-
-  // Use milliseconds last 3 digits for uniqueness
-  const sequence = String(now.getMilliseconds()).padStart(3, '0');
-
-  return `INV-${dateStr}-${sequence}`;
-}
+// Retried POST/PUT/PATCH/DELETE with the same Idempotency-Key get the stored response back
+const { idempotency } = require('./services/idempotency');
+app.use(idempotency());
 
 // === CNOPS Excel Loader (ref-des-medicaments-cnops-2014.xlsx) ===
 let cnopsCatalog = [];
@@ -155,14 +135,26 @@ function loadCnopsCatalog() {
 
 loadCnopsCatalog();
 
-// Mock user authentication (DEMO ONLY - Replace with real authentication in production)
-// WARNING: These are demo credentials for hackathon demonstration only
-// In production, implement proper password hashing and secure authentication
-const users = [
-  { id: 1, username: 'mohamedrami.doctor@atlascare.health', password: 'Doctor#2024', role: 'doctor', fullName: 'Mohamed Rami', specialty: 'Specialist in Internal Medicine' },
-  { id: 2, username: 'hassanalami.pharma@atlascare.health', password: 'Pharma#2024', role: 'pharmacist', fullName: 'Hassan Alami' },
-  { id: 3, username: 'admin@atlascare.health', password: 'Admin#2024', role: 'admin', fullName: 'Admin User' },
-];
+// User directory (bcrypt-hashed credentials, persisted)
+const userStore = require('./services/userStore');
+const tokenStore = require('./services/tokenStore');
+const securityPolicy = require('./services/securityPolicy');
+const organizationStore = require('./services/organizationStore');
+const apiClientStore = require('./services/apiClientStore');
+const practitionerRegistry = require('./services/practitionerRegistry');
+const lifecycle = require('./services/prescriptionLifecycle');
+const prescriptionVersions = require('./services/prescriptionVersions');
+const dispenseLedger = require('./services/dispenseLedger');
+const medicineCatalog = require('./services/medicineCatalog');
+const validityRules = require('./services/validityRules');
+const refillSchedule = require('./services/refillSchedule');
+const controlledSubstances = require('./services/controlledSubstances');
+const dispenseOtp = require('./services/dispenseOtp');
+const prescriptionSearch = require('./services/prescriptionSearch');
+const patientPortal = require('./services/patientPortal');
+const pickupDelegates = require('./services/pickupDelegates');
+const identifiers = require('./services/identifiers');
+const { authorize, assertAllowed, CLIENT_SCOPES } = require('./services/accessPolicy');
 
 // In-memory index for prescriptions by ID (demo only)
 const prescriptionIndex = new Map();
@@ -177,6 +169,182 @@ indexPersistence.register('prescriptionIndex', prescriptionIndex);
 indexPersistence.register('prescriptionToTopic', prescriptionToTopic);
 indexPersistence.register('topicIndex', topicIndex);
 
+// Policy resource for a prescription: tenant = issuing clinic, owner = prescribing doctor
+function prescriptionResource(prescriptionId) {
+  const record = prescriptionIndex.get(prescriptionId);
+  return record ? { type: 'prescription', id: prescriptionId, orgId: record.orgId, ownerId: record.prescriberId } : null;
+}
+
+// Policy resource for a prescription seen from the patient portal: owner = the patient whose contact is on it
+function patientPrescriptionResource(req) {
+  const record = prescriptionIndex.get(req.params.id);
+  if (!record) return null;
+  const owned = patientPortal.ownsPrescription(record, req.user?.patientKey);
+  return { type: 'prescription', id: record.id, orgId: record.orgId, ownerId: owned ? req.user.sub : null };
+}
+
+// Policy resource for managing a prescription's pickup delegates: the prescribing doctor or the patient
+function delegateResource(req) {
+  return req.user?.role === 'patient' ? patientPrescriptionResource(req) : prescriptionResource(req.params.id);
+}
+
+// Cancellation details recorded on a prescription (who, when, why), or null
+function getCancellation(topicID) {
+  return (topicID && topicIndex.get(topicID)?.cancellation) || null;
+}
+
+// When and why an expired prescription lapsed (expiredAt is null until the expiry sweep has run)
+function getExpiry(topicID) {
+  if (!topicID) return null;
+  const validUntil = inMemoryStore.get(topicID)?.payload?.validUntil || null;
+  return topicIndex.get(topicID)?.expiry || (validUntil ? { expiredAt: null, validUntil } : null);
+}
+
+// 409 body for an illegal transition; cancelled and expired prescriptions carry the details
+function lifecycleConflict(error, topicID) {
+  const body = lifecycle.conflictBody(error);
+  if (error.state === 'cancelled') body.cancellation = getCancellation(topicID);
+  if (error.state === 'expired') body.expiry = getExpiry(topicID);
+  return body;
+}
+
+// Every stored copy of a prescription record (the indexes hold separate objects after a reload)
+function recordCopies(prescriptionId, topicID) {
+  return [...new Set([
+    prescriptionIndex.get(prescriptionId),
+    topicID && topicIndex.get(topicID),
+    topicID && inMemoryStore.get(topicID)?.prescription
+  ])].filter(Boolean);
+}
+
+// Identity the server signs system events with (expiry sweep)
+const SYSTEM_SIGNER_ID = process.env.SYSTEM_SIGNER_ID || 'atlascare-system';
+
+// Expire one lapsed prescription (called by the expiry sweep): store the state, chain a
+// signed 'expired' event, keep the record queryable and tell the patient and doctor
+async function expirePrescription(topicID, now = new Date()) {
+  const transition = lifecycle.recordExpiry(topicID, now);
+  if (!transition) return;
+
+  const entry = inMemoryStore.get(topicID);
+  const record = topicIndex.get(topicID) || entry?.prescription || {};
+  const prescriptionId = record.id || entry?.payload?.prescriptionId || topicID;
+  const expiry = { expiredAt: now.toISOString(), validUntil: entry?.payload?.validUntil || null, previousState: transition.from };
+
+  const base = {
+    version: '1',
+    alg: 'secp256k1+SHA-256',
+    eventType: 'expired',
+    topicID,
+    timestamp: expiry.expiredAt,
+    signerRole: 'system',
+    actorIdHash: 'sha256:' + crypto.createHash('sha256').update(SYSTEM_SIGNER_ID + (process.env.CNDP_SALT || 'atlascare-default-salt')).digest('hex'),
+    validUntil: expiry.validUntil || undefined,
+    prevEventHash: lastEventHashPerTopic.get(topicID) || undefined
+  };
+  const { publicKeyHex } = ensureKeyPair(SYSTEM_SIGNER_ID);
+  const keyId = 'fp:' + crypto.createHash('sha256').update(Buffer.from(publicKeyHex, 'hex')).digest('hex').slice(0, 16);
+  const nonce = crypto.randomBytes(8).toString('hex');
+  const toHash = { ...base, keyId, nonce };
+  const contentHash = 'sha256:' + crypto.createHash('sha256').update(Buffer.from(JSON.stringify(toHash))).digest('hex');
+  const signed = { ...toHash, contentHash };
+  const payload = { ...signed, signature: `hex:${signPayload(signed, SYSTEM_SIGNER_ID)}` };
+
+  queueMessage(topicID, { eventType: 'expired', payload });
+  try {
+    const { submitPrescriptionMessage } = require('./hedera');
+    const hcsResult = await submitPrescriptionMessage(topicID, payload);
+    console.log('✅ HCS Message (expired) submitted:', hcsResult.status, 'Topic:', hcsResult.topicId);
+  } catch (hcsError) {
+    console.error('❌ HCS submission (expired) failed:', hcsError.message);
+  }
+  lastEventHashPerTopic.set(topicID, 'sha256:' + crypto.createHash('sha256').update(Buffer.from(JSON.stringify(payload))).digest('hex'));
+  lastEventTypePerTopic.set(topicID, 'expired');
+
+  // The record stays in every index, stamped with its expiry
+  for (const copy of recordCopies(record.id, topicID)) copy.expiry = expiry;
+  indexPersistence.markDirty();
+
+  const { logHCSEvent } = require('./services/store');
+  logHCSEvent({
+    topicID,
+    eventType: 'expired',
+    timestamp: expiry.expiredAt,
+    signerRole: 'system',
+    actorIdHash: base.actorIdHash,
+    dispenseCount: entry?.payload?.dispenseCount || 0,
+    maxDispenses: entry?.payload?.maxDispenses || 1,
+    drugIds: entry?.payload?.drugIds || [],
+    prescriptionId,
+    validUntil: expiry.validUntil,
+    previousState: transition.from,
+    orgId: record.orgId || null,
+    prescriberOrgId: record.orgId || null
+  });
+  console.log(`[EXPIRY] Prescription ${prescriptionId} expired (valid until ${expiry.validUntil}, was ${transition.from})`);
+
+  const { queueEmail, queueSMS } = require('./services/notificationQueue');
+  const validUntilText = expiry.validUntil ? new Date(expiry.validUntil).toLocaleDateString() : 'its validity date';
+  const partly = transition.from === 'partially_dispensed' ? ' The medications not yet handed over can no longer be dispensed.' : '';
+  try {
+    if (record.patientEmail) {
+      queueEmail({
+        to: record.patientEmail,
+        subject: 'Your AtlasCare prescription has expired',
+        text: `Dear ${record.patientName || 'patient'},\n\nYour prescription ${prescriptionId} issued by ${record.doctor || 'your doctor'} expired on ${validUntilText} and can no longer be dispensed.${partly}\n\nPlease contact your doctor if you still need this treatment.`,
+        prescriptionId
+      });
+    }
+    if (record.patientPhone) {
+      queueSMS({ to: record.patientPhone, text: `AtlasCare: prescription ${prescriptionId} expired on ${validUntilText} and can no longer be dispensed.`, prescriptionId });
+    }
+    const doctorEmail = userStore.getUser(record.prescriberId)?.username;
+    if (doctorEmail && doctorEmail.includes('@')) {
+      queueEmail({
+        to: doctorEmail,
+        subject: `Prescription ${prescriptionId} expired`,
+        text: `Prescription ${prescriptionId} for ${record.patientName || 'your patient'} expired on ${validUntilText} without being fully dispensed (state: ${transition.from.replace(/_/g, ' ')}).`,
+        prescriptionId
+      });
+    }
+  } catch (e) {
+    console.error('Failed to queue expiry notification:', e.message);
+  }
+}
+
+// Dispense receipt for the patient, with the date the next refill can be collected
+function notifyDispensed(record, { dispenseCount, maxDispenses, complete, nextEligibleAt, delegate = null }) {
+  if (!record) return;
+  const { queueEmail, queueSMS } = require('./services/notificationQueue');
+  const prescriptionId = record.id;
+  const nextText = nextEligibleAt
+    ? `Your next refill can be collected from ${new Date(nextEligibleAt).toLocaleDateString()}.`
+    : (complete ? 'Your prescription is now fully dispensed.' : 'The remaining medications can be collected at your next visit.');
+  // Collections by a delegate are always reported, so the patient notices one they did not expect
+  const delegateText = delegate ? ` It was collected by your delegate ${delegate.name}. If you did not expect this, revoke the delegate from the patient portal.` : '';
+  try {
+    if (record.patientEmail) {
+      queueEmail({
+        to: record.patientEmail,
+        subject: delegate ? 'Your AtlasCare prescription was collected by your delegate' : 'Your AtlasCare prescription was dispensed',
+        text: `Dear ${record.patientName || 'patient'},\n\nYour prescription ${prescriptionId} was dispensed (${dispenseCount}/${maxDispenses}).${delegateText}\n${nextText}`,
+        prescriptionId
+      });
+    }
+    if (record.patientPhone) {
+      queueSMS({ to: record.patientPhone, text: `AtlasCare: prescription ${prescriptionId} dispensed (${dispenseCount}/${maxDispenses}).${delegate ? ` Collected by your delegate ${delegate.name}.` : ''} ${nextText}`, prescriptionId });
+    }
+  } catch (e) {
+    console.error('Failed to queue dispense notification:', e.message);
+  }
+}
+
+// Policy resource for a user account: tenant = the account's organization
+function userResource(userId) {
+  const user = userStore.getUser(userId);
+  return user ? { type: 'user', id: user.id, orgId: user.orgId } : null;
+}
+
 // Cache for medicines (loaded once on startup)
 let medicinesCache = null;
 let medicinesCacheTimestamp = null;
@@ -188,7 +356,11 @@ function loadMedicinesCache() {
     const backendPath = path.resolve(__dirname, 'data', 'medicines.json');
     if (fs.existsSync(backendPath)) {
       const data = JSON.parse(fs.readFileSync(backendPath, 'utf8'));
-      medicinesCache = data;
+      // Flag controlled substances (stupéfiants / psychotropes) for the prescribing UI
+      medicinesCache = data.map(row => {
+        const controlled = medicineCatalog.controlledClassOf(row.raw?.DCI1);
+        return controlled ? { ...row, controlled: controlled.class } : row;
+      });
       medicinesCacheTimestamp = Date.now();
       console.log(`✅ [MEDICINES] Cached ${data.length} medicines from backend`);
       return;
@@ -212,30 +384,343 @@ function loadMedicinesCache() {
   }
 }
 
-// Login endpoint
+// Short-lived access token carrying the user's current claims (mfa: second factor verified)
+function signAccessToken(user, { mfa = false } = {}) {
+  return signToken({ sub: user.id, username: user.username, role: user.role, orgId: user.orgId || null, fullName: user.fullName, specialty: user.specialty, mfa });
+}
+
+// Issue an access token + rotating refresh token for a user (new session)
+function issueSession(user, { mfa = false } = {}) {
+  return { token: signAccessToken(user, { mfa }), refreshToken: tokenStore.issueRefreshToken(user.id, null, { mfa }) };
+}
+
+// Login endpoint (step 1: password)
 app.post('/api/login', (req, res) => {
-  const { username, password } = req.body;
-  const user = users.find(u => u.username === username && u.password === password);
+  const { username, password } = req.body || {};
+  const user = userStore.authenticate(username, password);
+
+  if (!user) {
+    return res.status(401).json({ success: false, message: 'Invalid credentials' });
+  }
+
+  // 2FA enrolled: hand out a short-lived challenge instead of a session
+  if (user.twoFactorEnabled) {
+    return res.json({ success: true, twoFactorRequired: true, challengeToken: signChallengeToken(user.id), role: user.role });
+  }
+
+  const { token, refreshToken } = issueSession(user);
+  res.json({
+    success: true,
+    role: user.role,
+    orgId: user.orgId || null,
+    token,
+    refreshToken,
+    fullName: user.fullName,
+    specialty: user.specialty,
+    twoFactorEnabled: false,
+    mfaEnrollmentRequired: securityPolicy.isMfaRequired(user.role)
+  });
+});
+
+// Login step 2: TOTP or recovery code
+app.post(
+  '/api/login/2fa',
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      challengeToken: Joi.string().required(),
+      code: Joi.string().required()
+    })
+  }),
+  (req, res) => {
+    const challenge = verifyChallengeToken(req.body.challengeToken);
+    if (!challenge) {
+      return res.status(401).json({ success: false, message: 'Login challenge expired, please sign in again' });
+    }
+
+    const stored = userStore.getUser(challenge.sub);
+    if (!userStore.isActive(stored)) {
+      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+    if (!userStore.verifySecondFactor(stored.id, req.body.code)) {
+      console.warn(`[AUTH] Invalid second factor for user #${stored.id}`);
+      return res.status(401).json({ success: false, message: 'Invalid verification code' });
+    }
+
+    const user = userStore.listUsers().find(u => u.id === stored.id);
+    const { token, refreshToken } = issueSession(user, { mfa: true });
+    return res.json({
+      success: true,
+      role: user.role,
+      orgId: user.orgId || null,
+      token,
+      refreshToken,
+      fullName: user.fullName,
+      specialty: user.specialty,
+      twoFactorEnabled: true,
+      recoveryCodesRemaining: user.recoveryCodesRemaining
+    });
+  }
+);
+
+// Exchange a refresh token for a new access token (refresh token is rotated)
+app.post(
+  '/api/token/refresh',
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      refreshToken: Joi.string().required()
+    })
+  }),
+  (req, res) => {
+    const rotated = tokenStore.rotateRefreshToken(req.body.refreshToken);
+    if (!rotated) {
+      return res.status(401).json({ success: false, message: 'Invalid refresh token' });
+    }
+
+    // Re-read the account so role changes and disabling take effect on refresh
+    const user = userStore.getUser(rotated.userId);
+    if (!userStore.isActive(user)) {
+      tokenStore.revokeRefreshToken(rotated.refreshToken);
+      return res.status(401).json({ success: false, message: 'Account disabled' });
+    }
+
+    return res.json({ success: true, token: signAccessToken(user, { mfa: rotated.mfa }), refreshToken: rotated.refreshToken, role: user.role });
+  }
+);
+
+// OAuth2 client-credentials grant for machine clients (RFC 6749 section 4.4)
+app.post('/api/oauth/token', express.urlencoded({ extended: false }), (req, res) => {
+  let { grant_type: grantType, client_id: clientId, client_secret: clientSecret } = req.body || {};
+
+  // Credentials may also be sent as HTTP Basic auth
+  const authHeader = req.headers['authorization'] || '';
+  if (authHeader.startsWith('Basic ')) {
+    const [id, ...secret] = Buffer.from(authHeader.slice(6), 'base64').toString('utf8').split(':');
+    clientId = decodeURIComponent(id);
+    clientSecret = decodeURIComponent(secret.join(':'));
+  }
+
+  if (grantType !== 'client_credentials') {
+    return res.status(400).json({ error: 'unsupported_grant_type' });
+  }
+  const client = apiClientStore.authenticateClient(clientId, clientSecret);
+  if (!client) {
+    console.warn(`[CLIENTS] Rejected client credentials for ${clientId || 'unknown client'}`);
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const accessToken = signToken({ sub: `client:${client.clientId}`, clientId: client.clientId, username: client.name, role: 'client', orgId: client.orgId || null, scope: client.scopes.join(' ') });
+  const { exp, iat } = require('jsonwebtoken').decode(accessToken);
+  res.set('Cache-Control', 'no-store');
+  return res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: exp - iat, scope: client.scopes.join(' ') });
+});
+
+// Patient portal sign-in (step 1): one-time code sent to the phone or email recorded on the patient's prescriptions
+app.post(
+  '/api/patient/otp/request',
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      contact: Joi.string().trim().max(254).required()
+    })
+  }),
+  (req, res) => {
+    try {
+      const challenge = patientPortal.requestCode(req.body.contact);
+      const known = [...prescriptionIndex.values()].some(record => patientPortal.ownsPrescription(record, challenge.patientKey));
+
+      // Same answer for unknown contacts, so the portal cannot be used to find out who has prescriptions
+      if (known) {
+        const { queueEmail, queueSMS } = require('./services/notificationQueue');
+        const text = `Your AtlasCare sign-in code is ${challenge.otp}. It expires in ${Math.round(patientPortal.OTP_TTL_SECONDS / 60)} minutes. Never share it.`;
+        if (challenge.channel === 'email') {
+          queueEmail({ to: challenge.value, subject: 'Your AtlasCare sign-in code', text });
+        } else {
+          queueSMS({ to: challenge.value, text });
+        }
+      }
+      console.log(`[PATIENT] Sign-in code requested (${challenge.channel}, ${known ? 'known' : 'unknown'} contact)`);
+
+      return res.json({
+        success: true,
+        challengeToken: challenge.challengeToken,
+        channel: challenge.channel,
+        expiresAt: new Date(challenge.expiresAt).toISOString()
+      });
+    } catch (e) {
+      if (e instanceof patientPortal.PatientPortalError) {
+        return res.status(e.status).json({ success: false, code: e.code, message: e.message });
+      }
+      console.error('[PATIENT] Sign-in code request failed:', e.message);
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  }
+);
+
+// Patient portal sign-in (step 2): exchange the code for a short patient session (no refresh token)
+app.post(
+  '/api/patient/otp/verify',
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      contact: Joi.string().trim().max(254).required(),
+      challengeToken: Joi.string().required(),
+      code: Joi.string().trim().pattern(/^\d{6}$/).required()
+    })
+  }),
+  (req, res) => {
+    try {
+      const session = patientPortal.verifyCode(req.body.contact, req.body.challengeToken, req.body.code);
+      const latest = [...prescriptionIndex.values()]
+        .filter(record => patientPortal.ownsPrescription(record, session.patientKey))
+        .sort((a, b) => new Date(b.date) - new Date(a.date))[0];
+
+      const token = signToken({
+        sub: `patient:${session.patientKey.slice(7, 23)}`,
+        username: session.maskedContact,
+        role: 'patient',
+        orgId: null,
+        fullName: latest?.patientName || null,
+        patientKey: session.patientKey
+      }, { expiresIn: patientPortal.SESSION_TTL });
+
+      console.log(`[PATIENT] Signed in (${session.channel} ${session.maskedContact})`);
+      return res.json({ success: true, role: 'patient', token, fullName: latest?.patientName || null, contact: session.maskedContact });
+    } catch (e) {
+      if (e instanceof patientPortal.PatientPortalError) {
+        return res.status(e.status).json({ success: false, code: e.code, message: e.message });
+      }
+      console.error('[PATIENT] Sign-in failed:', e.message);
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  }
+);
+
+// Patient portal sign-out: revoke the patient session
+app.post('/api/patient/logout', authorize('patient-portal:read'), (req, res) => {
+  tokenStore.revokeAccessToken(req.user);
+  return res.json({ success: true });
+});
+
+// Logout: revoke the presented access token and its refresh token family
+app.post('/api/logout', authorize('account:manage'), (req, res) => {
+  tokenStore.revokeAccessToken(req.user);
+  tokenStore.revokeRefreshToken(req.body?.refreshToken);
+  console.log(`[AUTH] ${req.user?.username} logged out`);
+  return res.json({ success: true });
+});
+
+// Two-factor status for the current user
+app.get('/api/2fa/status', authorize('account:manage'), (req, res) => {
+  const user = userStore.listUsers().find(u => String(u.id) === String(req.user?.sub));
+  if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+  return res.json({
+    success: true,
+    enabled: user.twoFactorEnabled,
+    required: securityPolicy.isMfaRequired(user.role),
+    recoveryCodesRemaining: user.recoveryCodesRemaining
+  });
+});
+
+// Prescriber license of the signed-in doctor (registry INPE used to sign prescriptions)
+app.get('/api/account/practitioner', authorize('account:manage'), (req, res) => {
+  const record = practitionerRegistry.getPractitionerForUser(req.user.sub);
+  return res.json({ success: true, practitioner: record ? practitionerRegistry.getLicenseSummary(record.inpe) : null });
+});
 
-  if (user) {
-    const token = signToken({ sub: user.id, username: user.username, role: user.role, fullName: user.fullName, specialty: user.specialty });
-    res.json({ success: true, role: user.role, token, fullName: user.fullName, specialty: user.specialty });
-  } else {
-    res.status(401).json({ success: false, message: 'Invalid credentials' });
+// Start 2FA enrollment: returns the secret as otpauth URI + QR image
+app.post('/api/2fa/enroll', authorize('account:manage'), async (req, res) => {
+  try {
+    const { buildOtpauthUrl } = require('./utils/totp');
+    const QRCode = require('qrcode');
+    const secret = userStore.beginTwoFactorEnrollment(req.user.sub);
+    const otpauthUrl = buildOtpauthUrl(secret, req.user.username);
+    const qrDataUrl = await QRCode.toDataURL(otpauthUrl);
+    return res.json({ success: true, secret, otpauthUrl, qrDataUrl });
+  } catch (e) {
+    return res.status(e.status || 500).json({ success: false, message: e.message });
   }
 });
 
+// Confirm enrollment with a first code; returns recovery codes and an mfa-verified session
+app.post(
+  '/api/2fa/activate',
+  authorize('account:manage'),
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      code: Joi.string().required()
+    })
+  }),
+  (req, res) => {
+    try {
+      const recoveryCodes = userStore.activateTwoFactor(req.user.sub, req.body.code);
+      const user = userStore.listUsers().find(u => String(u.id) === String(req.user.sub));
+      const { token, refreshToken } = issueSession(user, { mfa: true });
+      return res.json({ success: true, recoveryCodes, token, refreshToken });
+    } catch (e) {
+      return res.status(e.status || 500).json({ success: false, message: e.message });
+    }
+  }
+);
+
+// Self-service 2FA removal (needs a valid code; not allowed when the role policy enforces 2FA)
+app.post(
+  '/api/2fa/disable',
+  authorize('account:manage'),
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      code: Joi.string().required()
+    })
+  }),
+  (req, res) => {
+    try {
+      if (securityPolicy.isMfaRequired(req.user.role)) {
+        return res.status(403).json({ success: false, message: 'Two-factor authentication is mandatory for your role' });
+      }
+      if (!userStore.verifySecondFactor(req.user.sub, req.body.code)) {
+        return res.status(401).json({ success: false, message: 'Invalid verification code' });
+      }
+      userStore.disableTwoFactor(req.user.sub);
+      return res.json({ success: true });
+    } catch (e) {
+      return res.status(e.status || 500).json({ success: false, message: e.message });
+    }
+  }
+);
+
+// Issuance requires a valid license in the practitioner registry linked to the signed-in doctor.
+// The submitted INPE (optional) must match it; req.practitioner carries the record for signing.
+function requireValidLicense(req, res, next) {
+  try {
+    req.practitioner = practitionerRegistry.assertCanPrescribe(req.user, req.body?.nationalId);
+    return next();
+  } catch (e) {
+    if (!(e instanceof practitionerRegistry.PractitionerError)) throw e;
+    const { recordAuditEvent } = require('./services/auditLog');
+    recordAuditEvent({
+      type: 'license_denied',
+      action: 'prescription:issue',
+      outcome: 'denied',
+      reason: e.message,
+      actor: { userId: req.user?.sub, username: req.user?.username, role: req.user?.role, orgId: req.user?.orgId || null },
+      resource: req.body?.nationalId ? { type: 'practitioner', id: String(req.body.nationalId), orgId: null } : null,
+      method: req.method,
+      path: req.originalUrl || req.url,
+      ip: req.ip
+    });
+    console.warn(`[REGISTRY] Issuance refused for ${req.user?.username}: ${e.message}`);
+    return res.status(e.status).json({ success: false, code: e.code, message: e.message });
+  }
+}
+
 // Create prescription endpoint
-app.post('/api/prescriptions', async (req, res) => {
+app.post('/api/prescriptions', authorize('prescription:issue'), requireValidLicense, async (req, res) => {
   try {
     const prescriptionData = req.body;
-    const prescriptionId = generatePrescriptionId();
+    const prescriptionId = identifiers.nextPrescriptionId();
 
     // Build FHIR-compliant prescription
     const fhirPrescription = buildFHIRPrescription({
       ...prescriptionData,
       prescriptionId,
-      doctor: 'Dr. Smith', // In a real app, this would come from auth
+      doctor: req.practitioner.fullName,
       date: new Date().toISOString()
     });
 
@@ -262,14 +747,129 @@ app.post('/api/prescriptions', async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating prescription:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error instanceof identifiers.IdentifierError ? error.status : 500).json({ success: false, code: error.code, error: error.message });
+  }
+});
+
+// Listing row of a prescription: record details, lifecycle state and live dispense progress
+function prescriptionListItem({ record, topicID, status }) {
+  const payload = (topicID && inMemoryStore.get(topicID)?.payload) || {};
+  const ledger = (topicID && dispenseLedger.getLedger(topicID)) || { lines: dispenseLedger.buildLines(record.medications, record.maxDispenses) };
+  return {
+    id: record.id,
+    topicID: topicID || null,
+    date: record.date,
+    version: record.version || 1,
+    status,
+    patientId: record.patientId || null,
+    patientName: record.patientName,
+    patientEmail: record.patientEmail || null,
+    diagnosis: record.diagnosis,
+    ald: !!record.ald,
+    medications: record.medications || [],
+    notes: record.notes || null,
+    validUntil: payload.validUntil || null,
+    controlledSerial: record.controlledSerial || null,
+    cancellation: getCancellation(topicID),
+    progress: prescriptionSearch.dispenseProgress(dispenseLedger.summarizeLines(ledger), {
+      dispenseCount: payload.dispenseCount || record.dispenseCount || 0,
+      maxDispenses: payload.maxDispenses || record.maxDispenses || 1,
+      lastDispenseDate: payload.lastDispenseDate || null
+    })
+  };
+}
+
+// Prescriber's own prescriptions: filters, pagination and dispense progress
+app.get(
+  '/api/prescriptions',
+  authorize('prescription:list'),
+  celebrate({
+    [Segments.QUERY]: Joi.object({
+      status: Joi.array().items(Joi.string().valid(...lifecycle.STATES)).single().optional(),
+      from: Joi.date().iso().optional(),
+      to: Joi.date().iso().optional(),
+      patient: Joi.string().trim().max(100).allow('').optional(),
+      diagnosis: Joi.string().trim().max(200).allow('').optional(),
+      page: Joi.number().integer().min(1).optional().default(1),
+      pageSize: Joi.number().integer().min(1).max(prescriptionSearch.MAX_PAGE_SIZE).optional().default(prescriptionSearch.DEFAULT_PAGE_SIZE)
+    })
+  }),
+  (req, res) => {
+    try {
+      const { page, pageSize, ...filters } = req.query;
+      const entries = [...prescriptionIndex.values()]
+        .filter(record => String(record.prescriberId) === String(req.user.sub))
+        .map(record => {
+          const topicID = prescriptionToTopic.get(record.id);
+          return { record, topicID, status: lifecycle.getState(topicID) || 'issued' };
+        });
+      const result = prescriptionSearch.searchPrescriptions(entries, filters, { page, pageSize });
+      return res.json({ success: true, ...result, items: result.items.map(prescriptionListItem) });
+    } catch (error) {
+      console.error('Error listing prescriptions:', error);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// Patient portal: the signed-in patient's prescriptions (active and past) with progress and dispense history
+app.get('/api/patient/prescriptions', authorize('patient-portal:read'), (req, res) => {
+  try {
+    const pharmacyName = orgId => organizationStore.getOrganization(orgId)?.name;
+    const prescriptions = [...prescriptionIndex.values()]
+      .filter(record => patientPortal.ownsPrescription(record, req.user.patientKey))
+      .sort((a, b) => new Date(b.date) - new Date(a.date))
+      .map(record => {
+        const topicID = prescriptionToTopic.get(record.id);
+        const item = prescriptionListItem({ record, topicID, status: lifecycle.getState(topicID) || 'issued' });
+        const payload = (topicID && inMemoryStore.get(topicID)?.payload) || {};
+        const { nextEligibleAt } = refillSchedule.checkRefill(payload.dispenseSchedule, item.progress.dispenseCount > 0 ? item.progress.lastDispenseDate : null);
+        const delegates = pickupDelegates.listDelegates(record.id);
+        return {
+          ...item,
+          doctor: record.doctor || null,
+          doctorSpecialty: record.doctorSpecialty || null,
+          nextEligibleAt,
+          dispenses: patientPortal.dispenseHistory(topicID && dispenseLedger.getLedger(topicID), pharmacyName, delegateId => delegates.find(d => d.id === delegateId)?.name),
+          delegates
+        };
+      });
+
+    const isActive = p => !lifecycle.TERMINAL_STATES.includes(p.status);
+    return res.json({ success: true, active: prescriptions.filter(isActive), past: prescriptions.filter(p => !isActive(p)) });
+  } catch (error) {
+    console.error('[PATIENT] Error listing prescriptions:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Patient portal: regenerate the prescription PDF and QR code of the current version
+app.get('/api/patient/prescriptions/:id/document', authorize('patient-portal:read', { resource: patientPrescriptionResource }), async (req, res) => {
+  try {
+    const record = prescriptionIndex.get(req.params.id);
+    if (!record) return res.status(404).json({ success: false, message: 'Prescription not found' });
+
+    const qrData = record.qr || { prescriptionId: record.id };
+    const encodeQr = (qr) => qrCodec.encodeQrText(qr, record.qr && record.doctorNationalId);
+    const QRCode = require('qrcode');
+    const [pdfBuffer, qrDataUrl] = await Promise.all([
+      generatePrescriptionPdf({ ...record, id: record.id }, { qrData, encodeQr }),
+      QRCode.toDataURL(encodeQr(qrData))
+    ]);
+    return res.json({ success: true, base64: pdfBuffer.toString('base64'), filename: `Prescription_${record.id}.pdf`, qr: qrData, qrDataUrl });
+  } catch (e) {
+    console.error('[PATIENT] Error regenerating prescription document:', e.message);
+    return res.status(500).json({ success: false, error: e.message });
   }
 });
 
 // Get prescription endpoint
-app.get('/api/prescriptions/:id', async (req, res) => {
+app.get('/api/prescriptions/:id', authorize('prescription:read', { resource: req => prescriptionResource(identifiers.normalizeId(req.params.id)) }), async (req, res) => {
   try {
-    const { id } = req.params;
+    const id = identifiers.normalizeId(req.params.id);
+    if (identifiers.isGeneratedId(id) && !identifiers.isValidId(id)) {
+      return res.status(400).json({ success: false, code: 'INVALID_CHECK_DIGIT', message: `Check digit mismatch: ${id} was probably mistyped` });
+    }
     // Try in-memory index first (demo)
     let prescription = prescriptionIndex.get(id);
     if (!prescription) {
@@ -292,8 +892,61 @@ app.get('/api/prescriptions/:id', async (req, res) => {
   }
 });
 
+// Pickup delegates of a prescription (prescribing doctor or the patient)
+app.get('/api/prescriptions/:id/delegates', authorize('prescription:delegate', { resource: delegateResource }), (req, res) => {
+  if (!prescriptionIndex.has(req.params.id)) return res.status(404).json({ success: false, message: 'Prescription not found' });
+  return res.json({ success: true, delegates: pickupDelegates.listDelegates(req.params.id), maxDelegates: pickupDelegates.MAX_DELEGATES });
+});
+
+// Authorize a caregiver to collect the prescription; their pickup code is sent to their phone
+app.post(
+  '/api/prescriptions/:id/delegates',
+  authorize('prescription:delegate', { resource: delegateResource }),
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      name: Joi.string().trim().min(2).max(100).required(),
+      cin: Joi.string().trim().max(20).required(),
+      phone: Joi.string().trim().max(30).required()
+    })
+  }),
+  (req, res) => {
+    try {
+      const record = prescriptionIndex.get(req.params.id);
+      if (!record) return res.status(404).json({ success: false, message: 'Prescription not found' });
+      const status = lifecycle.getState(prescriptionToTopic.get(record.id)) || 'issued';
+      if (lifecycle.TERMINAL_STATES.includes(status)) {
+        return res.status(409).json({ success: false, code: 'PRESCRIPTION_CLOSED', message: `The prescription is ${status.replace(/_/g, ' ')}: it can no longer be collected` });
+      }
+
+      const { delegate, phone, code } = pickupDelegates.addDelegate(record.id, req.body, { role: req.user.role, id: req.user.sub });
+      const { queueSMS } = require('./services/notificationQueue');
+      queueSMS({
+        to: phone,
+        text: `AtlasCare: ${record.patientName || 'A patient'} authorized you to collect prescription ${record.id}. Your pickup code is ${code}. Bring your CIN to the pharmacy.`,
+        prescriptionId: record.id
+      });
+      return res.status(201).json({ success: true, delegate, delegates: pickupDelegates.listDelegates(record.id) });
+    } catch (e) {
+      if (e instanceof pickupDelegates.DelegateError) return res.status(e.status).json({ success: false, code: e.code, message: e.message });
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  }
+);
+
+// Revoke a delegate: their pickup code stops working immediately
+app.delete('/api/prescriptions/:id/delegates/:delegateId', authorize('prescription:delegate', { resource: delegateResource }), (req, res) => {
+  try {
+    if (!prescriptionIndex.has(req.params.id)) return res.status(404).json({ success: false, message: 'Prescription not found' });
+    const delegate = pickupDelegates.revokeDelegate(req.params.id, req.params.delegateId, { role: req.user.role, id: req.user.sub });
+    return res.json({ success: true, delegate, delegates: pickupDelegates.listDelegates(req.params.id) });
+  } catch (e) {
+    if (e instanceof pickupDelegates.DelegateError) return res.status(e.status).json({ success: false, code: e.code, message: e.message });
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
 // Lookup by topicID (demo only) - BULLETPROOF VERSION
-app.get('/api/prescriptions/topic/:topicID', async (req, res) => {
+app.get('/api/prescriptions/topic/:topicID', authorize('prescription:read', { resource: req => prescriptionResource(topicIndex.get(req.params.topicID)?.id) }), async (req, res) => {
   try {
     const { topicID } = req.params;
     console.log(`[LOOKUP] Fetching prescription for topic: ${topicID}`);
@@ -305,9 +958,8 @@ app.get('/api/prescriptions/topic/:topicID', async (req, res) => {
     try {
       const { getTopicStatusFromHedera } = require('./utils/mirror');
       const hederaStatus = await getTopicStatusFromHedera(topicID);
-      const { setTopicStatus } = require('./services/store');
-      setTopicStatus(topicID, hederaStatus);
-      console.log(`[LOOKUP] Topic ${topicID} status updated to: ${hederaStatus}`);
+      const state = lifecycle.recordObservedStatus(topicID, hederaStatus);
+      console.log(`[LOOKUP] Topic ${topicID} status updated to: ${state || hederaStatus}`);
     } catch (e) {
       console.error(`[LOOKUP] Error updating status for topic ${topicID}:`, e.message);
     }
@@ -317,7 +969,7 @@ app.get('/api/prescriptions/topic/:topicID', async (req, res) => {
     const updatedDispenseCount = prescriptionData?.payload?.dispenseCount || p.dispenseCount || 0;
     const updatedMaxDispenses = prescriptionData?.payload?.maxDispenses || p.maxDispenses || 1;
     const lastDispenseDate = prescriptionData?.payload?.lastDispenseDate || p.lastDispenseDate || null;
-    const currentStatus = prescriptionData?.status || 'issued';
+    const currentStatus = lifecycle.getState(topicID) || 'issued';
 
     // Merge updated dispense data, last dispense date, and status into prescription
     const prescriptionWithDispenseCount = {
@@ -330,7 +982,32 @@ app.get('/api/prescriptions/topic/:topicID', async (req, res) => {
 
     console.log(`[LOOKUP] Returning prescription with dispenseCount: ${updatedDispenseCount}/${updatedMaxDispenses}, status: ${currentStatus}${lastDispenseDate ? `, last dispensed: ${lastDispenseDate}` : ''}`);
 
-    return res.json({ success: true, prescription: prescriptionWithDispenseCount });
+    return res.json({
+      success: true,
+      prescription: prescriptionWithDispenseCount,
+      dispenseLines: dispenseLedger.summarizeLines(dispenseLedger.getLedger(topicID, p)),
+      // Per medication line: generics the pharmacist may hand over instead (none when "non substituable")
+      substitutions: (p.medications || []).map(m => medicineCatalog.substitutionOptions(m)),
+      // Dispense schedule and when the next refill may be collected without an override
+      refill: {
+        schedule: prescriptionData?.payload?.dispenseSchedule || null,
+        ...refillSchedule.checkRefill(prescriptionData?.payload?.dispenseSchedule, updatedDispenseCount > 0 ? lastDispenseDate : null),
+        overrideReasons: refillSchedule.OVERRIDE_REASONS,
+        overrides: refillSchedule.getOverrides(topicID).length
+      },
+      // Controlled substances: serial number, controlled lines and the pending patient ID check
+      controlled: p.controlledSerial ? {
+        serialNumber: p.controlledSerial,
+        lines: controlledSubstances.controlledLines(p.medications),
+        patientIdCheck: (({ checkedAt, expiresAt, documentType, fraudAlert }) => ({ checkedAt, expiresAt, documentType, fraudAlert }))(controlledSubstances.getPatientCheck(topicID) || {}),
+        documentTypes: controlledSubstances.DOCUMENT_TYPES
+      } : null,
+      // Patient-presence code: whether it is required and where the pharmacist stands (sent, locked, verified)
+      otp: { required: securityPolicy.isDispenseOtpRequired(), ...dispenseOtp.statusOf(topicID) },
+      // Caregivers authorized to collect the prescription instead of the patient
+      delegates: pickupDelegates.listDelegates(p.id, { includeRevoked: false }),
+      prescriberLicense: p.doctorNationalId ? practitionerRegistry.getLicenseSummary(p.doctorNationalId) : null
+    });
   } catch (e) {
     console.error(`[LOOKUP] Error fetching prescription for topic ${req.params.topicID}:`, e.message);
     return res.status(500).json({ success: false, error: e.message });
@@ -338,7 +1015,7 @@ app.get('/api/prescriptions/topic/:topicID', async (req, res) => {
 });
 
 // Lightweight status endpoint for quick UI branching - BULLETPROOF VERSION
-app.get('/api/status/topic/:topicID', async (req, res) => {
+app.get('/api/status/topic/:topicID', authorize('prescription:read', { resource: req => prescriptionResource(topicIndex.get(req.params.topicID)?.id) }), async (req, res) => {
   try {
     const { topicID } = req.params;
     console.log(`[API] Checking status for topic: ${topicID}`);
@@ -347,14 +1024,17 @@ app.get('/api/status/topic/:topicID', async (req, res) => {
     const { getTopicStatusFromHedera } = require('./utils/mirror');
     const hederaStatus = await getTopicStatusFromHedera(topicID);
 
-    // Update in-memory store for consistency
-    try {
-      const { setTopicStatus } = require('./services/store');
-      setTopicStatus(topicID, hederaStatus);
-    } catch (_) { }
+    // Reconcile with the lifecycle state kept in the in-memory store
+    const status = lifecycle.recordObservedStatus(topicID, hederaStatus) || hederaStatus;
 
-    console.log(`[API] Topic ${topicID} final status: ${hederaStatus}`);
-    return res.json({ success: true, topicID, status: hederaStatus });
+    console.log(`[API] Topic ${topicID} final status: ${status}`);
+    return res.json({
+      success: true,
+      topicID,
+      status,
+      cancellation: status === 'cancelled' ? getCancellation(topicID) : undefined,
+      expiry: status === 'expired' ? getExpiry(topicID) : undefined
+    });
   } catch (e) {
     console.error(`[API] Error checking topic ${req.params.topicID}:`, e.message);
     return res.status(500).json({ success: false, error: e.message });
@@ -362,7 +1042,7 @@ app.get('/api/status/topic/:topicID', async (req, res) => {
 });
 
 // DEBUG: Test endpoint to verify Hedera status checking
-app.get('/api/debug/status/:topicID', async (req, res) => {
+app.get('/api/debug/status/:topicID', authorize('system:debug'), async (req, res) => {
   try {
     const { topicID } = req.params;
     console.log(`[DEBUG] Testing Hedera status for topic: ${topicID}`);
@@ -383,51 +1063,21 @@ app.get('/api/debug/status/:topicID', async (req, res) => {
 });
 
 // Process payment endpoint
-app.post('/api/payments', async (req, res) => {
+app.post('/api/payments', authorize('prescription:pay'), async (req, res) => {
   try {
     // Check if prescription is eligible for payment - support multi-dispense
     if (req.body?.prescriptionId) {
       const prescriptionId = req.body.prescriptionId;
       const topicID = prescriptionToTopic.get(prescriptionId);
       if (topicID) {
-        console.log(`[PAYMENT] Checking status for topic: ${topicID}`);
-
-        // ALWAYS get fresh status from Hedera
+        // Reconcile with the mirror, then let the lifecycle decide (refills of partially dispensed prescriptions are allowed)
         const { getTopicStatusFromHedera } = require('./utils/mirror');
-        const currentStatus = await getTopicStatusFromHedera(topicID);
-
-        console.log(`[PAYMENT] Topic ${topicID} status: ${currentStatus}`);
-
-        // Get dispense tracking from inMemoryStore
-        const prescriptionData = inMemoryStore.get(topicID);
-        const dispenseCount = prescriptionData?.payload?.dispenseCount || 0;
-        const maxDispenses = prescriptionData?.payload?.maxDispenses || 1;
-
-        console.log(`[PAYMENT] Dispense tracking: ${dispenseCount}/${maxDispenses}`);
-
-        // Block if fully dispensed
-        if (dispenseCount >= maxDispenses) {
-          console.log(`[PAYMENT] BLOCKING payment - fully dispensed (${dispenseCount}/${maxDispenses})`);
-          return res.status(409).json({
-            success: false,
-            error: `Prescription fully dispensed (${dispenseCount}/${maxDispenses})`,
-            status: currentStatus,
-            dispenseCount,
-            maxDispenses
-          });
-        }
-
-        // Allow if status is 'issued', 'dispensed', OR 'paid' (for multi-dispense refills)
-        if (currentStatus !== 'issued' && currentStatus !== 'dispensed' && currentStatus !== 'paid') {
-          console.log(`[PAYMENT] BLOCKING payment - invalid status: ${currentStatus}`);
-          return res.status(409).json({
-            success: false,
-            error: `Prescription status: ${currentStatus}`,
-            status: currentStatus
-          });
+        const state = lifecycle.recordObservedStatus(topicID, await getTopicStatusFromHedera(topicID)) || 'issued';
+        if (!lifecycle.canTransition(state, 'pay')) {
+          console.log(`[PAYMENT] BLOCKING payment - prescription is ${state}`);
+          return res.status(409).json(lifecycleConflict(new lifecycle.LifecycleError(state, 'pay'), topicID));
         }
-
-        console.log(`[PAYMENT] ✅ Allowing payment - ${maxDispenses - dispenseCount} dispenses remaining`);
+        console.log(`[PAYMENT] ✅ Allowing payment - prescription is ${state}`);
       }
     }
 
@@ -482,10 +1132,8 @@ app.post('/api/payments', async (req, res) => {
               const newHash = 'sha256:' + crypto.createHash('sha256').update(Buffer.from(JSON.stringify(msg))).digest('hex');
               lastEventHashPerTopic.set(topicID, newHash);
               lastEventTypePerTopic.set(topicID, 'paid');
-              // CRITICAL: Also update inMemoryStore status
-              const { setTopicStatus, logHCSEvent } = require('./services/store');
-              setTopicStatus(topicID, 'paid');
-              console.log(`[PAYMENT] Updated topic ${topicID} status to: paid`);
+              const { logHCSEvent } = require('./services/store');
+              lifecycle.applyTransition(topicID, 'pay');
 
               // Log HCS event for admin dashboard
               const prescriptionData = inMemoryStore.get(topicID);
@@ -500,6 +1148,8 @@ app.post('/api/payments', async (req, res) => {
                 fraudAlert: null,
                 drugIds: prescriptionData?.payload?.drugIds || [],
                 prescriptionId: prescriptionId,
+                orgId: req.user?.orgId || null,
+                prescriberOrgId: prescriptionIndex.get(prescriptionId)?.orgId || null,
                 amountMAD: req.body.amountMAD,
                 method: req.body.method
               });
@@ -516,7 +1166,7 @@ app.post('/api/payments', async (req, res) => {
 });
 
 // BATCH PAYMENT ENDPOINT for processing multiple prescriptions at once
-app.post('/api/payments/batch', async (req, res) => {
+app.post('/api/payments/batch', authorize('prescription:pay'), async (req, res) => {
   try {
     const { prescriptionIds, method, totalAmountMAD, pharmacistNationalId } = req.body;
 
@@ -532,18 +1182,11 @@ app.post('/api/payments/batch', async (req, res) => {
       const topicID = prescriptionToTopic.get(prescriptionId);
       if (topicID) {
         const { getTopicStatusFromHedera } = require('./utils/mirror');
-        const currentStatus = await getTopicStatusFromHedera(topicID);
-
-        const prescriptionData = inMemoryStore.get(topicID);
-        const dispenseCount = prescriptionData?.payload?.dispenseCount || 0;
-        const maxDispenses = prescriptionData?.payload?.maxDispenses || 1;
-
-        if (dispenseCount >= maxDispenses) {
-          eligibilityChecks.push({ prescriptionId, eligible: false, reason: 'Fully dispensed' });
-        } else if (currentStatus !== 'issued' && currentStatus !== 'dispensed') {
-          eligibilityChecks.push({ prescriptionId, eligible: false, reason: `Invalid status: ${currentStatus}` });
-        } else {
+        const state = lifecycle.recordObservedStatus(topicID, await getTopicStatusFromHedera(topicID)) || 'issued';
+        if (lifecycle.canTransition(state, 'pay')) {
           eligibilityChecks.push({ prescriptionId, eligible: true });
+        } else {
+          eligibilityChecks.push({ prescriptionId, eligible: false, state, reason: new lifecycle.LifecycleError(state, 'pay').message, cancellation: getCancellation(topicID) || undefined });
         }
       } else {
         eligibilityChecks.push({ prescriptionId, eligible: false, reason: 'Not found' });
@@ -555,7 +1198,9 @@ app.post('/api/payments/batch', async (req, res) => {
     if (ineligible.length > 0) {
       return res.status(409).json({
         success: false,
-        error: `${ineligible.length} prescription(s) are not eligible for payment`,
+        code: 'INVALID_TRANSITION',
+        message: `${ineligible.length} prescription(s) are not eligible for payment`,
+        event: 'pay',
         ineligible
       });
     }
@@ -597,9 +1242,7 @@ app.post('/api/payments/batch', async (req, res) => {
             lastEventHashPerTopic.set(topicID, newHash);
             lastEventTypePerTopic.set(topicID, 'paid');
 
-            const { setTopicStatus } = require('./services/store');
-            setTopicStatus(topicID, 'paid');
-            console.log(`[BATCH PAYMENT] Updated topic ${topicID} status to: paid`);
+            lifecycle.applyTransition(topicID, 'pay');
           }
         } catch (err) {
           console.error(`[BATCH PAYMENT] Failed to submit paid event for ${prescriptionId}:`, err);
@@ -623,12 +1266,12 @@ app.post('/api/payments/batch', async (req, res) => {
 });
 
 // Pharmacist report (complete PDF)
-app.post('/api/pharmacist-report', authenticateJWT, requireRole('pharmacist'), async (req, res) => {
+app.post('/api/pharmacist-report', authorize('invoice:generate'), async (req, res) => {
   try {
     const { prescriptionId } = req.body || {};
     const p = prescriptionIndex.get(prescriptionId);
     if (!p) return res.status(404).json({ success: false, message: 'Prescription not found' });
-    const invoiceId = generateInvoiceId();
+    const invoiceId = identifiers.nextInvoiceId();
     const buffer = await generatePharmacistReport({ ...p, id: invoiceId, pharmacistName: req.user?.username || 'Pharmacist' });
     return res.json({ success: true, base64: buffer.toString('base64'), filename: `Invoice_${invoiceId}.pdf` });
   } catch (e) {
@@ -638,11 +1281,25 @@ app.post('/api/pharmacist-report', authenticateJWT, requireRole('pharmacist'), a
 
 // === PRD Endpoints ===
 
+// Medication line, shared by issuance and amendment
+const medicationSchema = Joi.object({
+  name: Joi.string().required(),
+  code: Joi.string().allow('').optional(),
+  dosage: Joi.alternatives().try(Joi.string(), Joi.number()).allow('').optional(),
+  unit: Joi.string().required(),
+  frequency: Joi.string().required(),
+  duration: Joi.alternatives().try(Joi.string(), Joi.number()).required(),
+  durationUnit: Joi.string().required(),
+  instructions: Joi.string().allow('').optional(),
+  quantity: Joi.number().integer().min(1).max(99).optional(), // boxes prescribed (default: one per allowed dispense)
+  nonSubstitutable: Joi.boolean().optional(), // "non substituable": the pharmacist may not hand over a generic
+  atc: Joi.string().pattern(/^[A-Z]\d{2}([A-Z]{1,2}(\d{2})?)?$/i).optional(), // ATC class (else derived from the catalog DCI)
+});
+
 // Issue prescription (PRD: /api/issue-prescription)
 app.post(
   '/api/issue-prescription',
-  authenticateJWT,
-  requireRole('doctor'),
+  authorize('prescription:issue'),
   celebrate({
     [Segments.BODY]: Joi.object({
       formData: Joi.object({
@@ -653,29 +1310,35 @@ app.post(
         contactMethod: Joi.string().valid('email', 'sms', 'whatsapp').optional().default('email'),
         age: Joi.alternatives().try(Joi.string(), Joi.number()).optional(),
         diagnosis: Joi.string().required(),
-        maxDispenses: Joi.number().integer().min(1).max(12).optional().default(1),
-        medications: Joi.array().items(
-          Joi.object({
-            name: Joi.string().required(),
-            code: Joi.string().allow('').optional(),
-            dosage: Joi.alternatives().try(Joi.string(), Joi.number()).allow('').optional(),
-            unit: Joi.string().required(),
-            frequency: Joi.string().required(),
-            duration: Joi.alternatives().try(Joi.string(), Joi.number()).required(),
-            durationUnit: Joi.string().required(),
-            instructions: Joi.string().allow('').optional(),
-          })
-        ).min(1).required()
+        ald: Joi.boolean().optional().default(false), // patient has a long-term condition (ALD)
+        maxDispenses: Joi.number().integer().min(1).max(validityRules.maxDispensesCap()).optional().default(1),
+        dispenseIntervalDays: Joi.number().integer().min(0).max(365).optional(), // days between refills (default REFILL_INTERVAL_DAYS)
+        medications: Joi.array().items(medicationSchema).min(1).required()
       }).required(),
       geo: Joi.object({ lat: Joi.number(), lng: Joi.number() }).allow(null),
       nationalId: Joi.string().allow('').optional()
     })
   }),
+  requireValidLicense,
   async (req, res) => {
     try {
-      const { formData = {}, geo = null, nationalId } = req.body || {};
-      const doctorId = req.user?.username || 'doctor@example.com';
-      let prescriptionId, nft, stored, patientHash, doctorHash, drugHashes;
+      const { formData = {}, geo = null } = req.body || {};
+
+      // Validity, refill limit and minimum interval from the rule table (drug classes + ALD)
+      const dispensePolicy = validityRules.evaluate(formData.medications, { ald: formData.ald });
+      try {
+        validityRules.assertWithinLimits(dispensePolicy, formData.maxDispenses);
+      } catch (e) {
+        if (!(e instanceof validityRules.ValidityRuleError)) throw e;
+        return res.status(e.status).json({ success: false, code: e.code, message: e.message, dispensePolicy });
+      }
+      // Controlled substances: serial-numbered prescription
+      const controlledSerial = dispensePolicy.controlled.length ? controlledSubstances.nextSerial() : undefined;
+
+      // Sign with the registry INPE of the signed-in doctor, never a free-form ID
+      const nationalId = req.practitioner.inpe;
+      const doctorId = req.user?.username || 'doctor@example.com';
+      let prescriptionId, nft, stored, patientHash, doctorHash, drugHashes;
 
       if (isQueueEnabled() && enqueueIssue) {
         // Queue-based processing with retries
@@ -702,35 +1365,28 @@ app.post(
       }
       const hashedPatientId = hashIdentifier(formData?.patientId || formData?.patientEmail || 'patient', process.env.CNDP_SALT || 'atlascare-default-salt', prescriptionId);
 
-      // Create full QR payload per spec Section 3.1 (12 fields)
+      // Signed QR per spec Section 3.1: v2 carries every medication line, v1 (first line only) when v2 is too large to print
       const meds = Array.isArray(formData?.medications) ? formData.medications : [];
-      const firstMed = meds[0] || {};
       const nowIso = new Date().toISOString();
-      const validUntil = new Date(Date.now() + 60 * 24 * 60 * 60 * 1000).toISOString(); // 60 days for long-term prescriptions
+      const validUntil = validityRules.validUntilFrom(dispensePolicy, nowIso);
       const nonce = crypto.randomBytes(8).toString('hex');
       const geotag = geo ? `MA-${geo.lat.toFixed(2)},${geo.lng.toFixed(2)}` : 'MA-CAS';
       const doctorIdHash = nationalId ? hashIdentifier(nationalId, process.env.CNDP_SALT || 'atlascare-default-salt', prescriptionId) : null;
 
-      const qrPayload = {
-        v: "1.0",                    // version
-        t: topicID,                  // topicId
-        h: hashedPatientId,          // hashedPatientId
-        d: firstMed.code || 'UNKNOWN', // drugId ATC
-        q: `${firstMed.dosage || '1'}${firstMed.unit || 'mg'}`, // quantity
-        i: firstMed.instructions || `${firstMed.frequency || '1'}x/day, ${firstMed.duration || '7'} ${firstMed.durationUnit || 'days'}`, // instructions
-        u: validUntil,               // validUntil
-        n: nonce,                    // nonce
-        g: geotag,                   // geotag
-        p: doctorIdHash,             // doctorId hash
-        dc: 0,                       // dispenseCount (starts at 0)
-        md: formData?.maxDispenses || 1, // maxDispenses
-      };
-
-      // Add ECDSA signature if doctor national ID is provided
-      if (nationalId) {
-        const signature = signPayload(qrPayload, nationalId);
-        qrPayload.s = `hex:${signature}`;
-      }
+      const qrCandidates = qrPayloads.buildQrCandidates({
+        topicID,
+        hashedPatientId,
+        medications: meds,
+        validUntil,
+        nonce,
+        geotag,
+        doctorIdHash,
+        dispenseCount: 0,
+        maxDispenses: formData?.maxDispenses || 1
+      }, nationalId);
+      // Printed as JSON, or as a compact COSE/Base45 string when QR_ENCODING=cose
+      const encodeQr = (qr) => qrCodec.encodeQrText(qr, nationalId);
+      const qrPayload = qrPayloads.pickQrPayload(qrCandidates, undefined, encodeQr);
 
       // Keep the full payload for backend processing (HCS, etc.)
       const drugIds = meds.map(m => m?.code || 'unknown');
@@ -751,6 +1407,14 @@ app.post(
         instructionsList,
         signerRole: 'doctor',
         maxDispenses: formData?.maxDispenses || 1,
+        minIntervalDays: dispensePolicy.minIntervalDays,
+        singleUse: dispensePolicy.singleUse || undefined,
+        dispenseSchedule: refillSchedule.scheduleFor({
+          maxDispenses: formData?.maxDispenses || 1,
+          intervalDays: formData.dispenseIntervalDays,
+          minIntervalDays: dispensePolicy.minIntervalDays
+        }) || undefined,
+        controlledSerial,
         dispenseCount: 0
       };
       const toHash = { ...fullPayload, nonce };
@@ -764,22 +1428,27 @@ app.post(
         completePayload.signature = `hex:${fullSignature}`;
       }
 
-      // OTP issuance (for pharmacist verification)
-      const ttl = Number(process.env.OTP_TTL_SECONDS || 300);
-      const { token, otp, expiresAt } = issueOtp(prescriptionId, ttl);
+      // Patient-presence code, delivered with the prescription and typed in by the pharmacist
+      // at dispense (valid as long as the prescription; a resend issues a short-lived one)
+      const smsChannel = formData.patientPhone && (formData.contactMethod === 'sms' || formData.contactMethod === 'whatsapp') ? formData.contactMethod : null;
+      const codeChannel = smsChannel || (formData.patientEmail ? 'email' : null);
+      const expiresAt = Date.parse(validUntil);
+      const dispenseCode = codeChannel
+        ? dispenseOtp.sendCode({ topicId: topicID, prescriptionId }, { channel: codeChannel, ttlSeconds: Math.max(Math.ceil((expiresAt - Date.now()) / 1000), 1) })
+        : null;
 
       // Queue email with PDF (with retry logic and SMS fallback)
       if (formData.patientEmail) {
         try {
-          const pdfBuffer = await generatePrescriptionPdf({ ...formData, id: prescriptionId, date: new Date().toISOString(), doctor: req.user?.username || 'Doctor' }, { qrData: qrPayload });
+          const pdfBuffer = await generatePrescriptionPdf({ ...formData, id: prescriptionId, controlledSerial, date: new Date().toISOString(), doctor: req.user?.username || 'Doctor' }, { qrData: qrCandidates, encodeQr });
 
           // Use notification queue for reliable delivery
           const { queueEmail } = require('./services/notificationQueue');
           const notificationId = queueEmail({
             to: formData.patientEmail,
             subject: 'Your AtlasCare Prescription',
-            text: `Dear ${formData.patientName},\n\nYour prescription has been created successfully.\nUse the QR code in the attached PDF at the pharmacy.\nFor verification, your verification code is: ${topicID}`,
-            html: `<p>Dear ${formData.patientName},</p><p>Your prescription has been created successfully.</p><p>Use the QR code in the attached PDF at the pharmacy.</p><p>Verification code: <strong>${topicID}</strong></p>`,
+            text: `Dear ${formData.patientName},\n\nYour prescription has been created successfully.\nUse the QR code in the attached PDF at the pharmacy.\nFor verification, your verification code is: ${topicID}${dispenseCode ? `\nThe pharmacist may ask for your one-time code: ${dispenseCode.otp}. Only share it at the pharmacy.` : ''}`,
+            html: `<p>Dear ${formData.patientName},</p><p>Your prescription has been created successfully.</p><p>Use the QR code in the attached PDF at the pharmacy.</p><p>Verification code: <strong>${topicID}</strong></p>${dispenseCode ? `<p>One-time code to give the pharmacist: <strong>${dispenseCode.otp}</strong>. Only share it at the pharmacy.</p>` : ''}`,
             attachments: [
               { filename: `Prescription_${prescriptionId}.pdf`, content: pdfBuffer, contentType: 'application/pdf' }
             ],
@@ -794,14 +1463,15 @@ app.post(
       }
 
       // ADDITIONALLY send SMS or WhatsApp notification (if selected)
-      if (formData.patientPhone && (formData.contactMethod === 'sms' || formData.contactMethod === 'whatsapp')) {
+      if (smsChannel) {
         try {
           const { sendPrescriptionNotification } = require('./utils/messaging');
           const messagingResult = await sendPrescriptionNotification({
             to: formData.patientPhone,
             topicID: topicID,
             patientName: formData.patientName,
-            method: formData.contactMethod
+            method: formData.contactMethod,
+            otp: dispenseCode?.otp
           });
 
           if (messagingResult.success) {
@@ -820,12 +1490,18 @@ app.post(
           ...formData,
           id: prescriptionId,
           nft,
-          doctor: req.user?.fullName || 'Mohamed Rami',
-          doctorSpecialty: req.user?.specialty || 'Specialist in Internal Medicine',
-          doctorNationalId: nationalId || '009811233',
+          doctor: req.practitioner.fullName,
+          doctorSpecialty: req.practitioner.specialty || req.user?.specialty || null,
+          doctorNationalId: nationalId,
+          orgId: req.user?.orgId || null, // issuing clinic (tenant owner)
+          prescriberId: req.user?.sub, // prescribing doctor (resource owner)
           date: new Date().toISOString(),
           dispenseCount: 0,
-          maxDispenses: formData?.maxDispenses || 1
+          maxDispenses: formData?.maxDispenses || 1,
+          dispensePolicy, // validity / refill rules applied at issuance
+          controlledSerial,
+          version: 1,
+          qr: qrPayload // current signed QR (replaced on amendment)
         };
         prescriptionIndex.set(prescriptionId, full);
         putPayload(completePayload.topicID, completePayload);
@@ -853,7 +1529,9 @@ app.post(
           maxDispenses: formData?.maxDispenses || 1,
           fraudAlert: null,
           drugIds: completePayload.drugIds || [],
-          prescriptionId: prescriptionId
+          prescriptionId: prescriptionId,
+          orgId: full.orgId,
+          prescriberOrgId: full.orgId
         });
 
         console.log(`✅ Indexed prescription: ${prescriptionId} → Topic: ${completePayload.topicID}`);
@@ -904,22 +1582,24 @@ app.post(
         doctorHash,
         drugHashes,
         nft,
-        qr: { data: qrPayload, expiresAt },
+        qr: { data: qrPayload, text: encodeQr(qrPayload), expiresAt },
         storageRef: stored.fileId,
         doctorPublicKey // For offline verification caching
       });
     } catch (error) {
       console.error('Error issuing prescription:', error);
-      return res.status(500).json({ success: false, error: error.message });
+      return res.status(error instanceof identifiers.IdentifierError ? error.status : 500).json({ success: false, code: error.code, error: error.message });
     }
   });
 
 // Verify prescription (PRD: /api/verify)
 app.post(
   '/api/verify',
+  authorize('prescription:verify'),
   celebrate({
     [Segments.BODY]: Joi.object({
       payload: Joi.object().optional(),
+      qrText: Joi.string().max(4096).optional(),
       topicID: Joi.string().allow('').optional(),
       doctorNationalId: Joi.string().allow('').optional(),
       pharmacistNationalId: Joi.string().allow('').optional(),
@@ -928,15 +1608,39 @@ app.post(
   }),
   async (req, res) => {
     try {
-      const { payload: payloadIn, topicID, doctorNationalId, pharmacistNationalId, pharmacyId } = req.body || {};
+      const { qrText, topicID, doctorNationalId, pharmacistNationalId, pharmacyId } = req.body || {};
+
+      // Raw scanned text: compact COSE/Base45 QRs are decoded here and keep their COSE signature
+      let cose = null;
+      let payloadIn = req.body?.payload;
+      if (qrText) {
+        try {
+          const decoded = qrCodec.decodeQrText(qrText);
+          cose = decoded.cose || null;
+          payloadIn = decoded.payload || payloadIn;
+        } catch (e) {
+          return res.status(400).json({ success: false, valid: false, code: e.code || 'INVALID_QR', message: e.message });
+        }
+      }
 
       // Normalize empty strings to undefined
-      const normalizedTopicID = topicID && topicID.trim() !== '' ? topicID : undefined;
+      let normalizedTopicID = topicID && topicID.trim() !== '' ? topicID : undefined;
+
+      // A prescription ID typed at the counter (RX-YYYYMMDD-NNNNN-C) is checked and resolved to its topic
+      const typedId = identifiers.normalizeId(normalizedTopicID);
+      if (!payloadIn && identifiers.isGeneratedId(typedId)) {
+        if (!identifiers.isValidId(typedId)) {
+          return res.status(400).json({ success: false, valid: false, code: 'INVALID_CHECK_DIGIT', message: `Check digit mismatch: ${typedId} was probably mistyped` });
+        }
+        normalizedTopicID = prescriptionToTopic.get(typedId);
+        if (!normalizedTopicID) return res.status(404).json({ success: false, valid: false, message: `Prescription ${typedId} not found` });
+      }
       const normalizedDoctorId = doctorNationalId && doctorNationalId.trim() !== '' ? doctorNationalId : undefined;
       const normalizedPharmacistId = pharmacistNationalId && pharmacistNationalId.trim() !== '' ? pharmacistNationalId : undefined;
 
       console.log('[VERIFY] Request received:', {
         hasPayload: !!payloadIn,
+        qrFormat: cose ? 'cose' : (qrText ? qrCodec.detectQrFormat(qrText) : undefined),
         topicID: normalizedTopicID,
         hasDoctorId: !!normalizedDoctorId,
         hasPharmacistId: !!normalizedPharmacistId
@@ -974,84 +1678,35 @@ app.post(
       }
 
       // Decompress payload if it's in compressed format (from HCS or in-memory store)
-      // Check for compressed format: has 'e' but not 'eventType'
+      // Check for compressed format: has 'e' but not 'eventType'; the decoder is picked by its schema version (sv)
       if (payload?.e && !payload?.eventType) {
         console.log('[VERIFY] Detected compressed payload, decompressing...');
         payload = decompressPayload(payload, hashLookup);
         console.log('[VERIFY] Decompressed payload:', payload.eventType || payload.e);
       }
 
-      // Block verification if fully dispensed (check dispense count, not just status)
-      try {
-        const { lastEventTypePerTopic, inMemoryStore } = require('./services/store');
-        const t = lastEventTypePerTopic.get(payload.topicID);
-        if (t === 'dispensed' || t === 'paid') {
-          // Check if there are remaining dispenses
-          const prescriptionData = inMemoryStore.get(payload.topicID);
-          const prescriptionRecord = prescriptionIndex.get(payload.topicID); // Direct access to prescriptionIndex (defined in this file)
-
-          // ALWAYS prioritize stored data over QR payload (QR may be outdated)
-          const currentDispenseCount = prescriptionData?.payload?.dispenseCount
-            || prescriptionRecord?.dispenseCount
-            || 0;
-
-          const maxDispenses = prescriptionData?.payload?.maxDispenses
-            || prescriptionRecord?.maxDispenses
-            || payload.md
-            || payload.maxDispenses
-            || 1;
-
-          console.log(`[VERIFY] Dispense check: ${currentDispenseCount}/${maxDispenses} (status: ${t})`);
-
-          if (currentDispenseCount >= maxDispenses) {
-            console.log(`[VERIFY] ❌ Blocking verification - fully dispensed`);
-            return res.status(409).json({
-              success: false,
-              valid: false,
-              message: `Prescription fully dispensed (${currentDispenseCount}/${maxDispenses})`
-            });
-          } else {
-            console.log(`[VERIFY] ✅ Allowing verification - ${maxDispenses - currentDispenseCount} dispenses remaining`);
-          }
-        }
-      } catch (e) {
-        console.warn('[VERIFY] Dispense check failed:', e.message);
-      }
+      // QR version check (spec Section 5.1): each supported version has its own decoder, unknown ones are rejected
+      const qrSchema = schemaRegistry.decode('qr', payload);
+      if (qrSchema.upgradedFrom.length) console.log(`[VERIFY] QR v${qrSchema.version} read as v${qrSchema.current.v}`);
+      // Scanned QRs use short field names
+      if (payload.t && !payload.topicID) payload = { ...payload, topicID: payload.t };
 
-      // QR version check (spec Section 5.1)
-      if (payload?.v && payload.v !== "1.0") {
-        return res.status(400).json({ success: false, valid: false, message: 'Unsupported QR version' });
+      // QR of a version replaced by an amendment
+      if (prescriptionVersions.isNonceSuperseded(payload?.n)) {
+        console.log(`[VERIFY] ❌ Blocking verification - superseded QR for topic ${payload.topicID || payload.t}`);
+        return res.status(409).json({ success: false, valid: false, code: 'QR_SUPERSEDED', message: 'This QR code was replaced by an amended version of the prescription. Ask the patient for the latest QR code.' });
       }
 
-      // Expiration check (spec Section 5.1)
-      if (payload?.u) {
-        const validUntil = new Date(payload.u);
-        const now = new Date();
-
-        // Check if prescription has expired
-        if (now > validUntil) {
-          return res.status(400).json({
-            success: false,
-            valid: false,
-            message: 'Prescription expired',
-            expiredAt: validUntil.toISOString()
-          });
-        }
-      }
-
-      // Dispense count validation (spec Section 5.1)
-      // Check both compressed and decompressed field names
-      const dispenseCount = payload?.dispenseCount ?? payload?.dc;
-      const maxDispenses = payload?.maxDispenses ?? payload?.md;
-
-      if (dispenseCount !== undefined && maxDispenses !== undefined) {
-        if (dispenseCount >= maxDispenses) {
-          return res.status(400).json({
-            success: false,
-            valid: false,
-            message: `Prescription fully dispensed (${dispenseCount}/${maxDispenses})`
-          });
-        }
+      // Lifecycle check: stored state first (QR counters may be outdated), QR fields for unknown topics
+      const lifecycleState = lifecycle.getState(payload.topicID) || lifecycle.resolveState({
+        status: 'issued',
+        dispenseCount: payload?.dispenseCount ?? payload?.dc,
+        maxDispenses: payload?.maxDispenses ?? payload?.md,
+        validUntil: payload?.validUntil || payload?.u
+      });
+      if (!lifecycle.canTransition(lifecycleState, 'verify')) {
+        console.log(`[VERIFY] ❌ Blocking verification - prescription is ${lifecycleState}`);
+        return res.status(409).json({ ...lifecycleConflict(new lifecycle.LifecycleError(lifecycleState, 'verify'), payload.topicID), valid: false });
       }
 
       // Optional doctor signature verification
@@ -1060,24 +1715,13 @@ app.post(
         // Handle both old and new signature field names
         const signature = payload?.signature || payload?.s;
 
-        if (signature) {
-          // CRITICAL: Verify against the SAME structure that was signed
-          // The QR payload uses short field names (v, t, h, d, q, i, u, n, g, p, dc, md)
-          // We need to reconstruct that structure for verification
-          const signedPayload = {
-            v: payload.v || payload.version || "1.0",
-            t: payload.t || payload.topicID,
-            h: payload.h || payload.hashedPatientId,
-            d: payload.d || payload.drugId || payload.drugIds?.[0],
-            q: payload.q || payload.quantity,
-            i: payload.i || payload.instructions || payload.instructionsList?.[0],
-            u: payload.u || payload.validUntil,
-            n: payload.n || payload.nonce,
-            g: payload.g || payload.geoTag,
-            p: payload.p || payload.doctorIdHash,
-            dc: payload.dc ?? payload.dispenseCount ?? 0,
-            md: payload.md ?? payload.maxDispenses ?? 1
-          };
+        if (cose) {
+          // Compact QR: COSE_Sign1 over the CBOR payload
+          signatureValid = qrCodec.verifyCoseSignature(cose, ensureKeyPair(normalizedDoctorId).publicKeyHex);
+          if (!signatureValid) console.warn('[SIGNATURE] COSE verification failed for doctor:', normalizedDoctorId);
+        } else if (signature) {
+          // CRITICAL: Verify against the SAME structure that was signed (short QR field names, per QR version)
+          const signedPayload = qrSchema.decoded;
 
           signatureValid = verifySignature(signedPayload, signature, normalizedDoctorId);
 
@@ -1155,7 +1799,7 @@ app.post(
           timestamp: new Date().toISOString(),
           signerRole: 'pharmacist',
           actorIdHash: pharmacistNationalId ? ('sha256:' + crypto.createHash('sha256').update(String(pharmacistNationalId) + (process.env.CNDP_SALT || 'atlascare-default-salt')).digest('hex')) : null,
-          drugIds: payload.drugIds || [payload.d], // Support both old and new format
+          drugIds: qrPayloads.drugIdsOf(payload), // full payload, QR v2 lines or QR v1 drug
           verification,
           prevEventHash,
           dispenseCount: payload.dc || 0,
@@ -1193,6 +1837,8 @@ app.post(
         } catch (_) { }
       } catch (_) { }
 
+      if (lifecycle.getState(payload.topicID)) lifecycle.applyTransition(payload.topicID, 'verify');
+
       // Log HCS event for admin dashboard
       const { logHCSEvent } = require('./services/store');
       logHCSEvent({
@@ -1205,16 +1851,26 @@ app.post(
         maxDispenses: payload.maxDispenses || payload.md || 1,
         fraudAlert: fraudAlert || null,
         drugIds: payload.drugIds || [],
-        prescriptionId: payload.prescriptionId || payload.topicID
+        prescriptionId: payload.prescriptionId || payload.topicID,
+        orgId: req.user?.orgId || null,
+        prescriberOrgId: topicIndex.get(payload.topicID)?.orgId || null
       });
 
+      const prescriberInpe = topicIndex.get(payload.topicID)?.doctorNationalId || normalizedDoctorId;
       return res.json({
         success: true,
         valid: true,
+        topicID: payload.topicID,
         signatureValid: signatureStatus.signatureValid,
-        fraudAlert: fraudAlert || undefined // Include fraud alert for frontend warning
+        prescriberLicense: prescriberInpe ? practitionerRegistry.getLicenseSummary(prescriberInpe) : null,
+        fraudAlert: fraudAlert || undefined, // Include fraud alert for frontend warning
+        // Controlled substances: the patient's identity document must be checked before dispensing
+        patientIdCheckRequired: !!topicIndex.get(payload.topicID)?.controlledSerial
       });
     } catch (error) {
+      if (error instanceof schemaRegistry.SchemaVersionError) {
+        return res.status(error.status).json({ success: false, valid: false, code: error.code, message: error.message, ...error.details });
+      }
       console.error('Error verifying prescription:', error);
       return res.status(500).json({ success: false, error: error.message });
     }
@@ -1223,8 +1879,7 @@ app.post(
 // Generate FSE (PRD: /api/generate-fse)
 app.post(
   '/api/generate-fse',
-  authenticateJWT,
-  requireRole('pharmacist'),
+  authorize('claim:submit'),
   celebrate({
     [Segments.BODY]: Joi.object({
       prescription: Joi.object().required(),
@@ -1249,7 +1904,11 @@ app.post(
         username: req.user?.username || 'unknown'
       };
 
-      const { fseJson, fsePdfUrl, fsePdfBase64, hl7Message, summary } = generateFSE(prescription, { refs, pharmacist });
+      // Bill the quantities handed over at the latest dispense when lines are tracked
+      const fseTopicID = refs?.topicId || prescriptionToTopic.get(prescription.id);
+      const dispensedItems = fseTopicID ? dispenseLedger.lastDispense(dispenseLedger.getLedger(fseTopicID)) : null;
+
+      const { fseJson, fsePdfUrl, fsePdfBase64, hl7Message, summary } = generateFSE(prescription, { refs, pharmacist, dispensedItems: dispensedItems || undefined });
       return res.json({
         success: true,
         fseJson,
@@ -1265,7 +1924,7 @@ app.post(
   });
 
 // Get medicines for autocomplete (unified source) - CACHED
-app.get('/api/medicines', (req, res) => {
+app.get('/api/medicines', authorize('catalog:read'), (req, res) => {
   try {
     // Return cached medicines
     if (medicinesCache !== null) {
@@ -1298,7 +1957,16 @@ app.get('/api/medicines', (req, res) => {
 
 // Medicines search endpoints removed to keep implementation simple (frontend handles filtering)
 
-app.listen(PORT, async () => {
+// Preview the validity / refill policy of a prescription being written (same rules as issuance)
+app.post('/api/validity-rules/evaluate', authorize('prescription:issue'), (req, res) => {
+  const { medications, ald = false } = req.body || {};
+  if (!Array.isArray(medications)) return res.status(400).json({ success: false, message: 'medications must be an array' });
+  const policy = validityRules.evaluate(medications, { ald: !!ald });
+  return res.json({ success: true, policy, validUntil: validityRules.validUntilFrom(policy) });
+});
+
+// Startup: environment check, persisted data, seeding and background jobs (run when listening)
+async function onListening() {
   console.log(`Server running on http://localhost:${PORT}`);
 
   // Validate environment variables (fail fast if misconfigured)
@@ -1337,6 +2005,16 @@ app.listen(PORT, async () => {
     console.warn('⚠️  Persistence initialization failed:', err.message);
   }
 
+  // Seed demo tenants + accounts on first start; attach pre-tenancy accounts to the demo tenants
+  try {
+    const orgIds = organizationStore.seedDefaultOrganizations();
+    userStore.seedDefaultUsers(orgIds);
+    if (Object.keys(orgIds).length > 0) userStore.assignLegacyUsers(orgIds);
+    practitionerRegistry.seedDefaultPractitioners(username => userStore.findByUsername(username)?.id);
+  } catch (err) {
+    console.warn('⚠️  User directory seeding failed:', err.message);
+  }
+
   // Migrate existing prescriptions to event log (one-time backfill)
   try {
     const { logHCSEvent, hcsEventLog } = require('./services/store');
@@ -1432,6 +2110,15 @@ app.listen(PORT, async () => {
     console.warn('⚠️  Reconciliation job failed:', err.message);
   }
 
+  // Start the expiry sweep (lapsed prescriptions -> 'expired' event + notifications)
+  try {
+    const { startExpirySweep } = require('./services/expirySweep');
+    startExpirySweep(expirePrescription);
+    console.log('✅ Expiry sweep started');
+  } catch (err) {
+    console.warn('⚠️  Expiry sweep failed:', err.message);
+  }
+
   // Start notification queue processing (email retries + SMS fallback)
   try {
     const { startProcessing } = require('./services/notificationQueue');
@@ -1441,43 +2128,125 @@ app.listen(PORT, async () => {
     console.warn('⚠️  Notification queue failed:', err.message);
   }
 
+  // Prune expired refresh tokens and revocation entries (hourly)
+  setInterval(() => {
+    try { tokenStore.pruneExpiredTokens(); } catch (_) { }
+  }, 60 * 60 * 1000);
+
   // Initialize BullMQ queue if Redis is configured
   initQueue().catch(err => console.warn('Queue init error:', err.message));
   try { queueSyncLoop(); } catch (_) { }
-});
-
-// Celebrate error handler
-app.use(celebrateErrors());
+}
 
 // Cancel prescription
 app.post(
   '/api/cancel',
-  authenticateJWT,
-  requireRole('doctor'),
+  authorize('prescription:cancel', { resource: req => prescriptionResource(req.body?.prescriptionId) }),
   celebrate({
     [Segments.BODY]: Joi.object({
       prescriptionId: Joi.string().required(),
-      reason: Joi.string().optional()
+      topicID: Joi.string().optional(),
+      reason: Joi.string().trim().min(3).max(500).required()
     })
   }),
   async (req, res) => {
     try {
       const { prescriptionId, reason } = req.body || {};
       const topicID = prescriptionToTopic.get(prescriptionId);
+      const record = prescriptionIndex.get(prescriptionId);
+      if (!record) return res.status(404).json({ success: false, message: 'Prescription not found' });
+
+      const cancellation = {
+        cancelledAt: new Date().toISOString(),
+        cancelledBy: { userId: req.user?.sub, name: req.user?.fullName || req.user?.username || 'Doctor', role: req.user?.role },
+        reason
+      };
+
       if (topicID) {
-        const { submitPrescriptionMessage } = require('./hedera');
-        await submitPrescriptionMessage({
-          type: 'cancelled',
+        lifecycle.assertTransition(lifecycle.getState(topicID) || 'issued', 'cancel');
+
+        // Signed 'cancelled' event chained to the topic; the free-text reason stays off-ledger (CNDP)
+        const signerId = record.doctorNationalId || String(req.user?.sub);
+        const base = {
+          version: '1',
+          alg: 'secp256k1+SHA-256',
+          eventType: 'cancelled',
           topicID,
+          timestamp: cancellation.cancelledAt,
+          signerRole: 'doctor',
+          actorIdHash: 'sha256:' + crypto.createHash('sha256').update(String(signerId) + (process.env.CNDP_SALT || 'atlascare-default-salt')).digest('hex'),
+          prevEventHash: lastEventHashPerTopic.get(topicID) || undefined
+        };
+        const { publicKeyHex } = ensureKeyPair(signerId);
+        const keyId = 'fp:' + crypto.createHash('sha256').update(Buffer.from(publicKeyHex, 'hex')).digest('hex').slice(0, 16);
+        const nonce = crypto.randomBytes(8).toString('hex');
+        const toHash = { ...base, keyId, nonce };
+        const contentHash = 'sha256:' + crypto.createHash('sha256').update(Buffer.from(JSON.stringify(toHash))).digest('hex');
+        const signed = { ...toHash, contentHash };
+        const payload = { ...signed, signature: `hex:${signPayload(signed, signerId)}` };
+
+        queueMessage(topicID, { eventType: 'cancelled', payload });
+        try {
+          const { submitPrescriptionMessage } = require('./hedera');
+          const hcsResult = await submitPrescriptionMessage(topicID, payload);
+          console.log('✅ HCS Message (cancelled) submitted:', hcsResult.status, 'Topic:', hcsResult.topicId);
+        } catch (hcsError) {
+          console.error('❌ HCS submission (cancelled) failed:', hcsError.message);
+        }
+        lastEventHashPerTopic.set(topicID, 'sha256:' + crypto.createHash('sha256').update(Buffer.from(JSON.stringify(payload))).digest('hex'));
+        lastEventTypePerTopic.set(topicID, 'cancelled');
+
+        // Local state: verify, pay and dispense are refused from here on
+        lifecycle.applyTransition(topicID, 'cancel');
+
+        const entry = inMemoryStore.get(topicID);
+        const { logHCSEvent } = require('./services/store');
+        logHCSEvent({
+          topicID,
+          eventType: 'cancelled',
+          timestamp: cancellation.cancelledAt,
+          signerRole: 'doctor',
+          actorIdHash: base.actorIdHash,
+          dispenseCount: entry?.payload?.dispenseCount || 0,
+          maxDispenses: entry?.payload?.maxDispenses || 1,
+          drugIds: entry?.payload?.drugIds || [],
           prescriptionId,
-          timestamp: Date.now(),
-          refs: { reason }
+          reason,
+          cancelledBy: cancellation.cancelledBy,
+          orgId: req.user?.orgId || null,
+          prescriberOrgId: record.orgId || null
         });
       } else {
         await submitAuditMessage({ type: 'cancelled', prescriptionId, timestamp: Date.now(), refs: { reason } });
       }
-      return res.json({ success: true });
+
+      // Keep the cancellation on every copy of the record
+      for (const copy of recordCopies(prescriptionId, topicID)) copy.cancellation = cancellation;
+      indexPersistence.markDirty();
+      console.log(`[CANCEL] Prescription ${prescriptionId} cancelled by user ${req.user?.sub}: ${reason}`);
+
+      // Tell the patient not to use the prescription
+      const { queueEmail, queueSMS } = require('./services/notificationQueue');
+      const text = `Dear ${record.patientName || 'patient'},\n\nYour prescription ${prescriptionId} issued by ${record.doctor || 'your doctor'} has been cancelled and can no longer be dispensed.\nReason: ${reason}\n\nPlease contact your doctor if you have any questions.`;
+      try {
+        if (record.patientEmail) {
+          queueEmail({
+            to: record.patientEmail,
+            subject: 'Your AtlasCare prescription has been cancelled',
+            text,
+            prescriptionId
+          });
+        }
+        if (record.patientPhone) {
+          queueSMS({ to: record.patientPhone, text: `AtlasCare: prescription ${prescriptionId} has been cancelled by your doctor. Reason: ${reason}`, prescriptionId });
+        }
+      } catch (e) {
+        console.error('Failed to queue cancellation notification:', e.message);
+      }
+
+      return res.json({ success: true, prescriptionId, topicID: topicID || null, status: 'cancelled', cancellation });
     } catch (e) {
+      if (e instanceof lifecycle.LifecycleError) return res.status(409).json(lifecycleConflict(e, prescriptionToTopic.get(req.body?.prescriptionId)));
       return res.status(500).json({ success: false, error: e.message });
     }
   }
@@ -1486,14 +2255,27 @@ app.post(
 // Dispense (enqueue dispensed event)
 app.post(
   '/api/dispense',
+  authorize('prescription:dispense'),
   celebrate({
     [Segments.BODY]: Joi.object({
       topicID: Joi.string().required(),
       pharmacistNationalId: Joi.string().required(),
-      items: Joi.array().items(Joi.object({ drugId: Joi.string().required(), quantity: Joi.alternatives().try(Joi.number(), Joi.string()).required(), unit: Joi.string().allow('').optional() })).optional(),
+      // Lines handed over at this visit (by index or drug code); default: this visit's share of every open line
+      items: Joi.array().items(Joi.object({
+        line: Joi.number().integer().min(0).optional(),
+        drugId: Joi.string().optional(),
+        quantity: Joi.alternatives().try(Joi.number(), Joi.string()).required(),
+        unit: Joi.string().allow('').optional(),
+        substituteCode: Joi.string().optional() // generic handed over instead of the prescribed product
+      }).or('line', 'drugId')).optional(),
       totals: Joi.object({ amountMAD: Joi.number(), coveredMAD: Joi.number(), patientMAD: Joi.number() }).optional(),
       paymentMethod: Joi.string().allow('').optional(),
-      prevEventHash: Joi.string().allow('').optional()
+      prevEventHash: Joi.string().allow('').optional(),
+      // Required to hand over a refill before its next eligible date
+      earlyRefillOverride: Joi.object({
+        reason: Joi.string().valid(...refillSchedule.OVERRIDE_REASONS).required(),
+        justification: Joi.string().trim().min(10).max(500).required()
+      }).optional()
     })
   }),
   async (req, res) => {
@@ -1519,15 +2301,86 @@ app.post(
       const maxDispenses = prescriptionData?.payload?.maxDispenses || 1;
 
       // Check if prescription can be dispensed
-      if (currentDispenseCount >= maxDispenses) {
+      const state = lifecycle.getState(topicID) || 'issued';
+      if (!lifecycle.canTransition(state, 'dispense')) {
         releaseDispenseLock(topicID); // Release lock before returning
-        return res.status(400).json({
+        return res.status(409).json(lifecycleConflict(new lifecycle.LifecycleError(state, 'dispense'), topicID));
+      }
+
+      // Refill schedule: a refill before its next eligible date needs a justified override
+      const schedule = prescriptionData?.payload?.dispenseSchedule || null;
+      const refillCheck = refillSchedule.checkRefill(schedule, currentDispenseCount > 0 ? prescriptionData?.payload?.lastDispenseDate : null);
+      let earlyRefill = null;
+      try {
+        earlyRefill = refillSchedule.assertEligible(refillCheck, req.body.earlyRefillOverride || null);
+      } catch (e) {
+        if (!(e instanceof refillSchedule.RefillError)) throw e;
+        releaseDispenseLock(topicID);
+        return res.status(e.status).json({
           success: false,
-          message: `Prescription fully dispensed (${currentDispenseCount}/${maxDispenses})`
+          code: e.code,
+          message: e.message,
+          nextEligibleAt: refillCheck.nextEligibleAt,
+          daysEarly: refillCheck.daysEarly,
+          overrideReasons: refillSchedule.OVERRIDE_REASONS
         });
       }
 
-      // Increment dispense count
+      // Controlled substances: dispensing requires a passed patient ID check by this pharmacist
+      const actorIdHash = 'sha256:' + crypto.createHash('sha256').update(String(pharmacistNationalId) + (process.env.CNDP_SALT || 'atlascare-default-salt')).digest('hex');
+      const controlledSerial = prescriptionData?.payload?.controlledSerial || null;
+      let patientIdCheck = null;
+      if (controlledSerial) {
+        try {
+          patientIdCheck = controlledSubstances.assertPatientChecked(topicID, actorIdHash);
+        } catch (e) {
+          if (!(e instanceof controlledSubstances.ControlledSubstanceError)) throw e;
+          releaseDispenseLock(topicID);
+          return res.status(e.status).json({ success: false, code: e.code, message: e.message });
+        }
+      }
+
+      // Patient presence: when the policy requires it, the code sent to the patient must have been entered
+      // (or the pickup code of a delegate collecting on their behalf)
+      const delegatePickup = pickupDelegates.getPickupCheck(topicID, actorIdHash);
+      let delegate = null;
+      if (securityPolicy.isDispenseOtpRequired() && !delegatePickup) {
+        try {
+          dispenseOtp.assertVerified(topicID, actorIdHash);
+        } catch (e) {
+          if (!(e instanceof dispenseOtp.DispenseOtpError)) throw e;
+          releaseDispenseLock(topicID);
+          return res.status(e.status).json({ success: false, code: e.code, message: e.message });
+        }
+      }
+
+      // Resolve the lines and quantities handed over against what remains
+      const record = topicIndex.get(topicID) || prescriptionData?.prescription;
+      const ledger = dispenseLedger.getLedger(topicID, record);
+      let dispensedItems = null;
+      if (ledger) {
+        try {
+          const requested = Array.isArray(items) && items.length ? items : dispenseLedger.defaultRequest(ledger, maxDispenses);
+          dispensedItems = dispenseLedger.resolveRequest(ledger, requested);
+        } catch (e) {
+          if (!(e instanceof dispenseLedger.DispenseError)) throw e;
+          releaseDispenseLock(topicID);
+          return res.status(e.status).json({ success: false, code: 'INVALID_QUANTITY', message: e.message, lines: dispenseLedger.summarizeLines(ledger) });
+        }
+
+        // Generic substitutions: checked against the prescribed product and priced
+        try {
+          for (const item of dispensedItems) {
+            if (item.substituteCode) item.substitution = medicineCatalog.resolveSubstitution(record?.medications?.[item.line], item.substituteCode);
+          }
+        } catch (e) {
+          if (!(e instanceof medicineCatalog.SubstitutionError)) throw e;
+          releaseDispenseLock(topicID);
+          return res.status(e.status).json({ success: false, code: e.code, message: e.message });
+        }
+      }
+
+      // Increment dispense count (one per visit)
       const newDispenseCount = currentDispenseCount + 1;
 
       const chainPrev = prevEventHash || lastEventHashPerTopic.get(topicID) || undefined;
@@ -1538,10 +2391,17 @@ app.post(
         topicID,
         timestamp: new Date().toISOString(),
         signerRole: 'pharmacist',
-        actorIdHash: 'sha256:' + crypto.createHash('sha256').update(String(pharmacistNationalId) + (process.env.CNDP_SALT || 'atlascare-default-salt')).digest('hex'),
-        items: Array.isArray(items) ? items : undefined,
+        actorIdHash,
+        items: dispensedItems ? dispensedItems.map(({ line, drugId, quantity, unit, substitution }) => ({ line, drugId, quantity, unit, substitution })) : (Array.isArray(items) ? items : undefined),
         totals: totals || undefined,
         paymentMethod: paymentMethod || undefined,
+        // Reason only: the free-text justification stays in the off-chain override log
+        earlyRefillOverride: earlyRefill ? { reason: earlyRefill.reason, daysEarly: refillCheck.daysEarly } : undefined,
+        controlledSerial: controlledSerial || undefined,
+        patientIdChecked: patientIdCheck ? patientIdCheck.documentType : undefined,
+        pickupBy: delegatePickup ? 'delegate' : undefined,
+        delegateId: delegatePickup?.delegateId,
+        fraudAlert: patientIdCheck?.fraudAlert || undefined,
         prevEventHash: chainPrev,
         dispenseCount: newDispenseCount,
         maxDispenses: maxDispenses
@@ -1556,10 +2416,63 @@ app.post(
       const signature = signPayload(signed, pharmacistNationalId);
       const payload = { ...signed, signature: `hex:${signature}` };
 
+      // Controlled-drug register entries are built (and any bad line refused) before anything is written
+      const registerEntries = controlledSerial && dispensedItems ? controlledSubstances.prepareRegisterEntries({
+        topicId: topicID,
+        prescriptionId: record?.id || prescriptionData?.prescription?.id || topicID,
+        serialNumber: controlledSerial,
+        orgId: req.user?.orgId ?? null,
+        prescriberInpe: record?.doctorNationalId || null,
+        pharmacistIdHash: base.actorIdHash,
+        at: base.timestamp
+      }, dispensedItems, record) : null;
+
+      // Record the dispense before anything is published: these writes succeed together or are undone together.
+      // The patient's code is used up first, so a retry of a failed request cannot reuse it for a second dispense.
+      const undo = [];
+      let outcome = null;
+      try {
+        const consumedOtp = dispenseOtp.consume(topicID);
+        undo.push(() => dispenseOtp.restore(topicID, consumedOtp));
+
+        // Book the quantities; the prescription is complete only when every line is
+        if (ledger) {
+          outcome = dispenseLedger.recordDispense(ledger, dispensedItems, { at: base.timestamp, pharmacistIdHash: base.actorIdHash, pharmacyOrgId: req.user?.orgId || null, delegateId: delegatePickup?.delegateId || null });
+          undo.push(() => dispenseLedger.undoDispense(ledger, dispensedItems));
+        }
+
+        if (registerEntries) {
+          controlledSubstances.commitRegisterEntries(registerEntries);
+          undo.push(() => controlledSubstances.removeRegisterEntries(registerEntries));
+        }
+
+        if (earlyRefill) {
+          const override = refillSchedule.recordOverride(topicID, {
+            ...earlyRefill,
+            at: base.timestamp,
+            pharmacistIdHash: base.actorIdHash,
+            dispenseCount: newDispenseCount,
+            nextEligibleAt: refillCheck.nextEligibleAt,
+            daysEarly: refillCheck.daysEarly
+          });
+          undo.push(() => refillSchedule.removeOverride(topicID, override));
+        }
+
+        if (delegatePickup) {
+          const pickup = { topicId: topicID, prescriptionId: record?.id || prescriptionData?.prescription?.id };
+          const before = pickupDelegates.listDelegates(pickup.prescriptionId).find(d => d.id === delegatePickup.delegateId) || null;
+          delegate = pickupDelegates.recordPickup(pickup, base.timestamp);
+          undo.push(() => pickupDelegates.undoPickup(pickup, delegatePickup, before));
+        }
+      } catch (e) {
+        undo.reverse().forEach(rollback => rollback());
+        throw e;
+      }
+
       // Store sensitive data (items, totals) separately - NOT in HCS for CNDP compliance
       putSensitiveData(topicID, {
         ...getSensitiveData(topicID), // Preserve existing sensitive data
-        dispensedItems: items,
+        dispensedItems: base.items,
         dispensedTotals: totals,
         paymentMethod: paymentMethod
       });
@@ -1581,25 +2494,28 @@ app.post(
         lastEventHashPerTopic.set(topicID, newHash);
         lastEventTypePerTopic.set(topicID, 'dispensed');
 
-        // Update dispense count and last dispense date in in-memory store
+        // Move the lifecycle before the counters change (the state is derived from them).
+        // Single-use prescriptions (e.g. narcotics) are closed by their first dispense.
+        const complete = prescriptionData?.payload?.singleUse ? true : outcome?.complete;
+        lifecycle.applyTransition(topicID, 'dispense', { dispenseCount: newDispenseCount, maxDispenses, complete });
+
+        // Update dispense count, line completion and last dispense date in in-memory store
         if (prescriptionData) {
           prescriptionData.payload.dispenseCount = newDispenseCount;
           prescriptionData.payload.lastDispenseDate = new Date().toISOString();
+          if (outcome || complete) prescriptionData.payload.linesComplete = !!complete;
           inMemoryStore.set(topicID, prescriptionData);
         }
 
-        // Also update prescriptionIndex with last dispense date
-        const prescriptionRecord = prescriptionIndex.get(topicID);
-        if (prescriptionRecord) {
-          prescriptionRecord.dispenseCount = newDispenseCount;
-          prescriptionRecord.lastDispenseDate = new Date().toISOString();
-          prescriptionIndex.set(topicID, prescriptionRecord);
+        // Also update the prescription record with last dispense date
+        for (const copy of recordCopies(prescriptionData?.prescription?.id, topicID)) {
+          copy.dispenseCount = newDispenseCount;
+          copy.lastDispenseDate = new Date().toISOString();
         }
+        indexPersistence.markDirty();
 
-        // CRITICAL: Also update inMemoryStore status
-        const { setTopicStatus, logHCSEvent } = require('./services/store');
-        setTopicStatus(topicID, 'dispensed');
-        console.log(`[DISPENSE] Updated topic ${topicID} status to: dispensed (${newDispenseCount}/${maxDispenses}) at ${new Date().toISOString()}`);
+        const { logHCSEvent } = require('./services/store');
+        console.log(`[DISPENSE] Topic ${topicID} dispensed ${newDispenseCount}/${maxDispenses} at ${new Date().toISOString()}`);
 
         // Log HCS event for admin dashboard
         logHCSEvent({
@@ -1610,30 +2526,211 @@ app.post(
           actorIdHash: base.actorIdHash,
           dispenseCount: newDispenseCount,
           maxDispenses: maxDispenses,
-          fraudAlert: null,
+          fraudAlert: base.fraudAlert || null,
           drugIds: prescriptionData?.payload?.drugIds || [],
           prescriptionId: prescriptionData?.prescription?.id || topicID,
+          orgId: req.user?.orgId || null,
+          prescriberOrgId: topicIndex.get(topicID)?.orgId || null,
           paymentMethod: paymentMethod,
-          totals: totals
+          totals: totals,
+          items: base.items,
+          linesComplete: outcome ? outcome.complete : undefined,
+          earlyRefillOverride: base.earlyRefillOverride,
+          pickupBy: base.pickupBy
         });
       } catch (_) { }
 
       // Release lock after successful dispense
       releaseDispenseLock(topicID);
-      return res.json({ success: true });
+
+      // Tell the patient when the next refill can be collected
+      const status = lifecycle.getState(topicID);
+      const nextEligibleAt = status === 'partially_dispensed' ? refillSchedule.nextEligibleDate(schedule, base.timestamp) : null;
+      notifyDispensed(record, { dispenseCount: newDispenseCount, maxDispenses, complete: status === 'dispensed', nextEligibleAt, delegate });
+
+      return res.json({
+        success: true,
+        status,
+        items: base.items,
+        lines: outcome ? outcome.lines : undefined,
+        complete: outcome ? outcome.complete : undefined,
+        nextEligibleAt
+      });
     } catch (e) {
       // Release lock on error
       releaseDispenseLock(topicID);
+      console.error('[DISPENSE] Dispense failed:', e.message);
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  }
+);
+
+// Controlled substances: check the patient's identity document before dispensing
+app.post(
+  '/api/controlled/patient-id-check',
+  authorize('prescription:dispense'),
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      topicID: Joi.string().required(),
+      pharmacistNationalId: Joi.string().required(),
+      documentType: Joi.string().valid(...controlledSubstances.DOCUMENT_TYPES).required(),
+      documentNumber: Joi.string().trim().min(4).max(32).required()
+    })
+  }),
+  (req, res) => {
+    try {
+      const { topicID, pharmacistNationalId, documentType, documentNumber } = req.body;
+      const record = topicIndex.get(topicID);
+      const payload = inMemoryStore.get(topicID)?.payload;
+      if (!record || !payload) return res.status(404).json({ success: false, message: 'Prescription not found' });
+      if (!payload.controlledSerial) return res.status(400).json({ success: false, code: 'NOT_CONTROLLED', message: 'This prescription contains no controlled substance' });
+
+      const check = controlledSubstances.checkPatientId(
+        { topicId: topicID, prescriptionId: record.id, hashedPatientId: payload.hashedPatientId },
+        {
+          documentType,
+          documentNumber,
+          pharmacistIdHash: 'sha256:' + crypto.createHash('sha256').update(String(pharmacistNationalId) + (process.env.CNDP_SALT || 'atlascare-default-salt')).digest('hex'),
+          orgId: req.user?.orgId ?? null,
+          prescriberInpe: record.doctorNationalId || null
+        }
+      );
+      if (check.fraudAlert) console.warn(`[FRAUD ALERT] ${record.id}: ${check.fraudAlert.reason}`);
+      return res.json({
+        success: true,
+        check: { checkedAt: check.checkedAt, expiresAt: check.expiresAt, documentType: check.documentType },
+        fraudAlert: check.fraudAlert || undefined
+      });
+    } catch (e) {
+      if (e instanceof controlledSubstances.ControlledSubstanceError) return res.status(e.status).json({ success: false, code: e.code, message: e.message });
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  }
+);
+
+// Patient-presence code: (re)send a one-time code to the patient's phone or email
+app.post(
+  '/api/dispense-otp/send',
+  authorize('prescription:dispense'),
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      topicID: Joi.string().required(),
+      channel: Joi.string().valid('email', 'sms').optional()
+    })
+  }),
+  (req, res) => {
+    try {
+      const { topicID } = req.body;
+      const record = topicIndex.get(topicID);
+      if (!record) return res.status(404).json({ success: false, message: 'Prescription not found' });
+
+      const channel = req.body.channel || (record.patientPhone ? 'sms' : 'email');
+      const to = channel === 'email' ? record.patientEmail : record.patientPhone;
+      if (!to) {
+        return res.status(400).json({ success: false, code: 'NO_PATIENT_CONTACT', message: `No ${channel === 'email' ? 'email address' : 'phone number'} recorded for this patient` });
+      }
+
+      const sent = dispenseOtp.sendCode({ topicId: topicID, prescriptionId: record.id }, { channel, resend: true });
+      const { queueEmail, queueSMS } = require('./services/notificationQueue');
+      const text = `Your AtlasCare code for prescription ${record.id} is ${sent.otp}. Give it to the pharmacist to collect your medication. It expires in ${Math.round((Date.parse(sent.expiresAt) - Date.now()) / 60000)} minutes.`;
+      if (channel === 'email') {
+        queueEmail({ to, subject: 'Your AtlasCare pharmacy code', text, prescriptionId: record.id });
+      } else {
+        queueSMS({ to, text, prescriptionId: record.id });
+      }
+      console.log(`[DISPENSE OTP] Code resent for ${record.id} (${channel})`);
+      return res.json({ success: true, otp: dispenseOtp.statusOf(topicID) });
+    } catch (e) {
+      if (e instanceof dispenseOtp.DispenseOtpError) return res.status(e.status).json({ success: false, code: e.code, message: e.message, ...e.details });
       return res.status(500).json({ success: false, error: e.message });
     }
   }
 );
 
+// Patient-presence code: check the code the patient shows at the counter
+app.post(
+  '/api/dispense-otp/verify',
+  authorize('prescription:dispense'),
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      topicID: Joi.string().required(),
+      pharmacistNationalId: Joi.string().required(),
+      code: Joi.string().trim().pattern(/^\d{6}$/).required()
+    })
+  }),
+  (req, res) => {
+    try {
+      const { topicID, pharmacistNationalId, code } = req.body;
+      if (!topicIndex.get(topicID)) return res.status(404).json({ success: false, message: 'Prescription not found' });
+
+      const pharmacistIdHash = 'sha256:' + crypto.createHash('sha256').update(String(pharmacistNationalId) + (process.env.CNDP_SALT || 'atlascare-default-salt')).digest('hex');
+      dispenseOtp.verifyCode(topicID, code, pharmacistIdHash);
+      return res.json({ success: true, otp: dispenseOtp.statusOf(topicID) });
+    } catch (e) {
+      if (e instanceof dispenseOtp.DispenseOtpError) return res.status(e.status).json({ success: false, code: e.code, message: e.message, ...e.details });
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  }
+);
+
+// Delegated pickup: check the CIN and pickup code of the caregiver collecting the prescription
+app.post(
+  '/api/delegate-pickup/verify',
+  authorize('prescription:dispense'),
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      topicID: Joi.string().required(),
+      pharmacistNationalId: Joi.string().required(),
+      cin: Joi.string().trim().max(20).required(),
+      code: Joi.string().trim().pattern(/^\d{6}$/).required()
+    })
+  }),
+  (req, res) => {
+    try {
+      const { topicID, pharmacistNationalId, cin, code } = req.body;
+      const record = topicIndex.get(topicID);
+      if (!record) return res.status(404).json({ success: false, message: 'Prescription not found' });
+
+      const pharmacistIdHash = 'sha256:' + crypto.createHash('sha256').update(String(pharmacistNationalId) + (process.env.CNDP_SALT || 'atlascare-default-salt')).digest('hex');
+      const check = pickupDelegates.verifyPickup({ topicId: topicID, prescriptionId: record.id }, { cin, code, pharmacistIdHash });
+      return res.json({ success: true, ...check });
+    } catch (e) {
+      if (e instanceof pickupDelegates.DelegateError) return res.status(e.status).json({ success: false, code: e.code, message: e.message, ...e.details });
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  }
+);
+
+// Controlled-drug register of the caller's pharmacy (tenant-scoped)
+app.get('/api/controlled-register', authorize('controlled-register:read'), (req, res) => {
+  const entries = controlledSubstances.getRegister({
+    orgIds: organizationStore.resolveTenantScope(req.user),
+    from: req.query.from || null,
+    to: req.query.to || null
+  });
+  return res.json({ success: true, entries, total: entries.length });
+});
+
+// Regulator export of the controlled-drug registers (all pharmacies), CSV or JSON
+app.get('/api/admin/controlled-register/export', authorize('controlled-register:export'), (req, res) => {
+  const { from = null, to = null, format = 'csv' } = req.query;
+  if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+    return res.status(400).json({ success: false, message: 'from / to must be ISO dates' });
+  }
+  // Regulator (platform) clients and superadmins export every pharmacy; clinic-bound clients only their tenant
+  const orgIds = req.user.role === 'client' && !req.user.orgId ? null : organizationStore.resolveTenantScope(req.user);
+  const entries = controlledSubstances.getRegister({ orgIds, from, to });
+  console.log(`[CONTROLLED] Register export (${format}): ${entries.length} entries${from || to ? ` from ${from || '-'} to ${to || '-'}` : ''}`);
+  if (format === 'json') return res.json({ success: true, from, to, entries, total: entries.length });
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="controlled-register-${new Date().toISOString().slice(0, 10)}.csv"`);
+  return res.send(controlledSubstances.toCsv(entries));
+});
+
 // CNSS approval simulation (PRD: /api/cnss-approve)
 app.post(
   '/api/cnss-approve',
-  authenticateJWT,
-  requireRole('doctor'),
+  authorize('claim:preapprove'),
   celebrate({
     [Segments.BODY]: Joi.object({
       formData: Joi.object().required()
@@ -1651,13 +2748,13 @@ app.post(
 );
 
 // Admin HCS logs endpoint
-app.get('/api/admin/hcs-logs', authenticateJWT, requireRole('admin'), async (req, res) => {
+app.get('/api/admin/hcs-logs', authorize('audit:read'), async (req, res) => {
   try {
     const { filter = 'all' } = req.query;
 
-    // Get events from the new HCS event log
+    // Get events from the new HCS event log (scoped to the caller's tenant)
     const { getHCSEvents } = require('./services/store');
-    const events = getHCSEvents(filter);
+    const events = getHCSEvents(filter, organizationStore.resolveTenantScope(req.user));
 
     console.log(`[ADMIN] Fetching HCS logs - filter: ${filter}, total events: ${events.length}`);
 
@@ -1668,8 +2765,369 @@ app.get('/api/admin/hcs-logs', authenticateJWT, requireRole('admin'), async (req
   }
 });
 
+// Security audit log (policy denials), scoped to the caller's tenant
+app.get('/api/admin/audit-log', authorize('audit:read'), (req, res) => {
+  const { getAuditEvents } = require('./services/auditLog');
+  const limit = Math.min(Number(req.query.limit) || 200, 1000);
+  const entries = getAuditEvents({
+    type: req.query.type || undefined,
+    orgIds: organizationStore.resolveTenantScope(req.user),
+    limit
+  });
+  return res.json({ success: true, entries, total: entries.length });
+});
+
+// Admin user management (tenant admins manage their own organization, superadmins everyone)
+
+// Placing a user in an organization requires user:manage on that organization; only superadmins grant superadmin
+function assertAssignable(req, { role, orgId }) {
+  if (role === 'superadmin') {
+    assertAllowed(req, 'user:grant-superadmin');
+  }
+  if (orgId !== undefined && orgId !== null) {
+    assertAllowed(req, 'user:manage', { type: 'organization', id: orgId, orgId });
+  }
+}
+
+app.get('/api/admin/users', authorize('user:read'), (req, res) => {
+  try {
+    const list = userStore.listUsers(organizationStore.resolveTenantScope(req.user));
+    return res.json({ success: true, users: list, total: list.length });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post(
+  '/api/admin/users',
+  authorize('user:manage'),
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      username: Joi.string().email().required(),
+      password: Joi.string().min(8).required(),
+      role: Joi.string().valid(...userStore.ROLES).required(),
+      orgId: Joi.number().integer().allow(null).optional(),
+      fullName: Joi.string().required(),
+      specialty: Joi.string().allow('').optional()
+    })
+  }),
+  (req, res) => {
+    try {
+      // Tenant admins create users in their own organization by default
+      const data = { ...req.body };
+      if (data.orgId === undefined && req.user?.role !== 'superadmin') data.orgId = req.user?.orgId;
+      if (data.role !== 'superadmin' && !data.orgId) {
+        return res.status(400).json({ success: false, message: 'Organization is required' });
+      }
+      assertAssignable(req, data);
+      const user = userStore.createUser(data);
+      console.log(`[ADMIN] ${req.user?.username} created user #${user.id} (${user.role})`);
+      return res.status(201).json({ success: true, user });
+    } catch (e) {
+      return res.status(e.status || 500).json({ success: false, message: e.message });
+    }
+  }
+);
+
+app.patch(
+  '/api/admin/users/:id',
+  authorize('user:manage', { resource: req => userResource(req.params.id) }),
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      role: Joi.string().valid(...userStore.ROLES).optional(),
+      orgId: Joi.number().integer().allow(null).optional(),
+      fullName: Joi.string().optional(),
+      specialty: Joi.string().allow('').optional(),
+      disabled: Joi.boolean().optional()
+    })
+  }),
+  (req, res) => {
+    try {
+      // Prevent admins from locking themselves out
+      const target = userStore.getUser(req.params.id);
+      if (!target) return res.status(404).json({ success: false, message: 'User not found' });
+      const movesOrg = req.body.orgId !== undefined && (req.body.orgId || null) !== (target.orgId || null);
+      if (String(req.params.id) === String(req.user?.sub) && (req.body.disabled === true || (req.body.role && req.body.role !== req.user.role) || movesOrg)) {
+        return res.status(400).json({ success: false, message: 'You cannot disable, demote or move your own account' });
+      }
+      assertAssignable(req, req.body);
+      const user = userStore.updateUser(req.params.id, req.body);
+      if (req.body.disabled === true || req.body.role !== undefined || movesOrg) {
+        tokenStore.revokeAllSessions(user.id);
+      }
+      console.log(`[ADMIN] ${req.user?.username} updated user #${user.id}`);
+      return res.json({ success: true, user });
+    } catch (e) {
+      return res.status(e.status || 500).json({ success: false, message: e.message });
+    }
+  }
+);
+
+app.post(
+  '/api/admin/users/:id/reset-password',
+  authorize('user:manage', { resource: req => userResource(req.params.id) }),
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      password: Joi.string().min(8).required()
+    })
+  }),
+  (req, res) => {
+    try {
+      const user = userStore.resetPassword(req.params.id, req.body.password);
+      tokenStore.revokeAllSessions(user.id);
+      console.log(`[ADMIN] ${req.user?.username} reset password for user #${user.id}`);
+      return res.json({ success: true, user });
+    } catch (e) {
+      return res.status(e.status || 500).json({ success: false, message: e.message });
+    }
+  }
+);
+
+// Admin reset of a user's second factor (lost phone + lost recovery codes)
+app.post('/api/admin/users/:id/reset-2fa', authorize('user:manage', { resource: req => userResource(req.params.id) }), (req, res) => {
+  try {
+    const user = userStore.disableTwoFactor(req.params.id);
+    tokenStore.revokeAllSessions(user.id);
+    console.log(`[ADMIN] ${req.user?.username} reset 2FA for user #${user.id}`);
+    return res.json({ success: true, user });
+  } catch (e) {
+    return res.status(e.status || 500).json({ success: false, message: e.message });
+  }
+});
+
+// Authentication policy (mandatory 2FA per role, patient code at dispense) - platform-wide, changed by superadmins only
+app.get('/api/admin/security-policy', authorize('security-policy:read'), (req, res) => {
+  return res.json({ success: true, policy: securityPolicy.getPolicy() });
+});
+
+app.put(
+  '/api/admin/security-policy',
+  authorize('security-policy:manage'),
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      mfaRequiredRoles: Joi.array().items(Joi.string().valid(...userStore.ROLES)),
+      dispenseOtpRequired: Joi.boolean()
+    }).or('mfaRequiredRoles', 'dispenseOtpRequired')
+  }),
+  (req, res) => {
+    if (req.body.mfaRequiredRoles) securityPolicy.setMfaRequiredRoles(req.body.mfaRequiredRoles);
+    if (req.body.dispenseOtpRequired !== undefined) securityPolicy.setDispenseOtpRequired(req.body.dispenseOtpRequired);
+    console.log(`[ADMIN] ${req.user?.username} updated security policy`);
+    return res.json({ success: true, policy: securityPolicy.getPolicy() });
+  }
+);
+
+// Kill all sessions of a user (stolen device, staff departure)
+app.post('/api/admin/users/:id/revoke-sessions', authorize('user:manage', { resource: req => userResource(req.params.id) }), (req, res) => {
+  try {
+    const user = userStore.getUser(req.params.id);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    const revoked = tokenStore.revokeAllSessions(user.id);
+    console.log(`[ADMIN] ${req.user?.username} revoked all sessions for user #${user.id}`);
+    return res.json({ success: true, revokedRefreshTokens: revoked });
+  } catch (e) {
+    return res.status(e.status || 500).json({ success: false, message: e.message });
+  }
+});
+
+// Organizations (tenants): tenant admins see their own scope, superadmins manage all
+app.get('/api/admin/organizations', authorize('organization:read'), (req, res) => {
+  const list = organizationStore.listOrganizations(organizationStore.resolveTenantScope(req.user));
+  return res.json({ success: true, organizations: list, total: list.length });
+});
+
+app.post(
+  '/api/admin/organizations',
+  authorize('organization:manage'),
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      name: Joi.string().required(),
+      type: Joi.string().valid(...organizationStore.ORG_TYPES).required(),
+      parentId: Joi.number().integer().allow(null).optional(),
+      city: Joi.string().allow('').optional()
+    })
+  }),
+  (req, res) => {
+    try {
+      const org = organizationStore.createOrganization(req.body);
+      console.log(`[ADMIN] ${req.user?.username} created organization #${org.id} (${org.type})`);
+      return res.status(201).json({ success: true, organization: org });
+    } catch (e) {
+      return res.status(e.status || 500).json({ success: false, message: e.message });
+    }
+  }
+);
+
+app.patch(
+  '/api/admin/organizations/:id',
+  authorize('organization:manage'),
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      name: Joi.string().optional(),
+      parentId: Joi.number().integer().allow(null).optional(),
+      city: Joi.string().allow('').optional(),
+      disabled: Joi.boolean().optional()
+    })
+  }),
+  (req, res) => {
+    try {
+      const org = organizationStore.updateOrganization(req.params.id, req.body);
+      if (req.body.disabled === true) {
+        for (const member of userStore.listUsers([org.id])) tokenStore.revokeAllSessions(member.id);
+      }
+      console.log(`[ADMIN] ${req.user?.username} updated organization #${org.id}`);
+      return res.json({ success: true, organization: org });
+    } catch (e) {
+      return res.status(e.status || 500).json({ success: false, message: e.message });
+    }
+  }
+);
+
+// Practitioner license registry (INPE); superadmins maintain it, tenant admins can consult it
+app.get('/api/admin/practitioners', authorize('practitioner:read'), (req, res) => {
+  const list = practitionerRegistry.listPractitioners();
+  return res.json({ success: true, practitioners: list, total: list.length });
+});
+
+app.post(
+  '/api/admin/practitioners',
+  authorize('practitioner:manage'),
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      inpe: Joi.string().pattern(/^\d{9}$/).required(),
+      fullName: Joi.string().required(),
+      specialty: Joi.string().allow('').optional(),
+      validFrom: Joi.date().iso().allow(null).optional(),
+      validUntil: Joi.date().iso().allow(null).optional(),
+      userId: Joi.number().integer().allow(null).optional()
+    })
+  }),
+  (req, res) => {
+    try {
+      assertLinkableDoctor(req.body.userId);
+      const practitioner = practitionerRegistry.createPractitioner(normalizeLicenseDates(req.body));
+      console.log(`[ADMIN] ${req.user?.username} registered practitioner INPE ${practitioner.inpe}`);
+      return res.status(201).json({ success: true, practitioner });
+    } catch (e) {
+      return res.status(e.status || 500).json({ success: false, message: e.message });
+    }
+  }
+);
+
+app.patch(
+  '/api/admin/practitioners/:inpe',
+  authorize('practitioner:manage'),
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      fullName: Joi.string().optional(),
+      specialty: Joi.string().allow('').optional(),
+      licenseStatus: Joi.string().valid(...practitionerRegistry.LICENSE_STATUSES).optional(),
+      statusReason: Joi.string().allow('', null).optional(),
+      validFrom: Joi.date().iso().allow(null).optional(),
+      validUntil: Joi.date().iso().allow(null).optional(),
+      userId: Joi.number().integer().allow(null).optional()
+    })
+  }),
+  (req, res) => {
+    try {
+      assertLinkableDoctor(req.body.userId);
+      const practitioner = practitionerRegistry.updatePractitioner(req.params.inpe, normalizeLicenseDates(req.body));
+      console.log(`[ADMIN] ${req.user?.username} updated practitioner INPE ${practitioner.inpe}`);
+      return res.json({ success: true, practitioner });
+    } catch (e) {
+      return res.status(e.status || 500).json({ success: false, message: e.message });
+    }
+  }
+);
+
+// Only doctor accounts can hold a prescriber license
+function assertLinkableDoctor(userId) {
+  if (userId === undefined || userId === null) return;
+  const user = userStore.getUser(userId);
+  if (!user || user.role !== 'doctor') {
+    throw new practitionerRegistry.PractitionerError('Licenses can only be linked to doctor accounts', 400, 'VALIDATION');
+  }
+}
+
+// Joi converts ISO dates to Date objects; the registry stores ISO strings
+function normalizeLicenseDates(body) {
+  const out = { ...body };
+  for (const field of ['validFrom', 'validUntil']) {
+    if (out[field] instanceof Date) out[field] = out[field].toISOString();
+  }
+  return out;
+}
+
+// API clients (insurer back offices, hospital information systems)
+function apiClientResource(clientId) {
+  const client = apiClientStore.getClient(clientId);
+  return client ? { type: 'api-client', id: client.clientId, orgId: client.orgId } : null;
+}
+
+app.get('/api/admin/api-clients', authorize('api-client:manage'), (req, res) => {
+  const list = apiClientStore.listClients(organizationStore.resolveTenantScope(req.user));
+  return res.json({ success: true, clients: list, total: list.length, availableScopes: CLIENT_SCOPES });
+});
+
+app.post(
+  '/api/admin/api-clients',
+  authorize('api-client:manage'),
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      name: Joi.string().required(),
+      orgId: Joi.number().integer().allow(null).optional(),
+      scopes: Joi.array().items(Joi.string().valid(...CLIENT_SCOPES)).min(1).required(),
+      rateLimitPerMinute: Joi.number().integer().min(1).max(10000).optional()
+    })
+  }),
+  (req, res) => {
+    try {
+      // Clients without an organization work cross-tenant, which only superadmins may grant
+      const orgId = req.body.orgId !== undefined ? req.body.orgId : (req.user.orgId || null);
+      assertAllowed(req, 'api-client:manage', { type: 'api-client', id: null, orgId });
+      const { client, apiKey, clientSecret } = apiClientStore.createClient({ ...req.body, orgId, createdBy: req.user.username });
+      console.log(`[ADMIN] ${req.user?.username} registered API client ${client.clientId}`);
+      return res.status(201).json({ success: true, client, apiKey, clientSecret });
+    } catch (e) {
+      return res.status(e.status || 500).json({ success: false, message: e.message });
+    }
+  }
+);
+
+app.patch(
+  '/api/admin/api-clients/:id',
+  authorize('api-client:manage', { resource: req => apiClientResource(req.params.id) }),
+  celebrate({
+    [Segments.BODY]: Joi.object({
+      name: Joi.string().optional(),
+      scopes: Joi.array().items(Joi.string().valid(...CLIENT_SCOPES)).min(1).optional(),
+      rateLimitPerMinute: Joi.number().integer().min(1).max(10000).optional()
+    })
+  }),
+  (req, res) => {
+    try {
+      const client = apiClientStore.updateClient(req.params.id, req.body);
+      console.log(`[ADMIN] ${req.user?.username} updated API client ${client.clientId}`);
+      return res.json({ success: true, client });
+    } catch (e) {
+      return res.status(e.status || 500).json({ success: false, message: e.message });
+    }
+  }
+);
+
+app.post('/api/admin/api-clients/:id/revoke', authorize('api-client:manage', { resource: req => apiClientResource(req.params.id) }), (req, res) => {
+  try {
+    const client = apiClientStore.revokeClient(req.params.id);
+    console.log(`[ADMIN] ${req.user?.username} revoked API client ${client.clientId}`);
+    return res.json({ success: true, client });
+  } catch (e) {
+    return res.status(e.status || 500).json({ success: false, message: e.message });
+  }
+});
+
 // Download prescription PDF (returns base64)
-app.get('/api/prescriptions/:id/pdf', authenticateJWT, async (req, res) => {
+app.get('/api/prescriptions/:id/pdf', authorize('prescription:read', { resource: req => prescriptionResource(req.params.id) }), async (req, res) => {
   try {
     const id = req.params.id;
     const payload = prescriptionIndex.get(id);
@@ -1695,7 +3153,10 @@ app.get('/api/prescriptions/:id/pdf', authenticateJWT, async (req, res) => {
 
     let qrPayload = { prescriptionId: id };
 
-    if (topicID) {
+    if (payload.qr) {
+      // Signed QR of the current version
+      qrPayload = payload.qr;
+    } else if (topicID) {
       // Get the full HCS payload if available to extract more details
       let fullPayload = null;
       try {
@@ -1731,38 +3192,217 @@ app.get('/api/prescriptions/:id/pdf', authenticateJWT, async (req, res) => {
   }
 });
 
-// Amend prescription
+// Amend prescription: new medication list / diagnosis stored as a new version with a re-issued QR
 app.post(
   '/api/amend',
-  authenticateJWT,
-  requireRole('doctor'),
+  authorize('prescription:amend', { resource: req => prescriptionResource(req.body?.prescriptionId) }),
   celebrate({
     [Segments.BODY]: Joi.object({
       prescriptionId: Joi.string().required(),
-      contentHash: Joi.string().required(),
-      reason: Joi.string().optional()
+      topicID: Joi.string().optional(),
+      diagnosis: Joi.string().required(),
+      medications: Joi.array().items(medicationSchema).min(1).required(),
+      maxDispenses: Joi.number().integer().min(1).max(validityRules.maxDispensesCap()).optional(),
+      reason: Joi.string().trim().min(3).max(500).required()
     })
   }),
+  requireValidLicense,
   async (req, res) => {
     try {
-      const { prescriptionId, contentHash, reason } = req.body || {};
+      const { prescriptionId, diagnosis, medications, reason } = req.body || {};
+      const record = prescriptionIndex.get(prescriptionId);
       const topicID = prescriptionToTopic.get(prescriptionId);
-      if (topicID) {
+      const entry = topicID && inMemoryStore.get(topicID);
+      if (!record || !entry) return res.status(404).json({ success: false, message: 'Prescription not found' });
+
+      lifecycle.assertTransition(lifecycle.getState(topicID) || 'issued', 'amend');
+
+      const nationalId = req.practitioner.inpe;
+      const maxDispenses = req.body.maxDispenses || record.maxDispenses || 1;
+      const previousQr = record.qr || null;
+      const nowIso = new Date().toISOString();
+
+      // The amended medications may fall under stricter rules: refill limit and validity are re-checked
+      const dispensePolicy = validityRules.evaluate(medications, { ald: record.ald });
+      validityRules.assertWithinLimits(dispensePolicy, maxDispenses);
+      const issuedValidUntil = previousQr?.u || entry.payload?.validUntil;
+      const ruleValidUntil = validityRules.validUntilFrom(dispensePolicy, record.date || entry.payload?.timestamp || nowIso);
+      const validUntil = issuedValidUntil && Date.parse(issuedValidUntil) <= Date.parse(ruleValidUntil) ? issuedValidUntil : ruleValidUntil;
+
+      // Store the new version (the replaced QR nonce is superseded from here on)
+      const qrNonce = crypto.randomBytes(8).toString('hex');
+      const { version, previous, diff } = prescriptionVersions.addVersion(record, {
+        diagnosis,
+        medications,
+        maxDispenses,
+        qrNonce,
+        reason,
+        amendedBy: { userId: req.user?.sub, name: req.practitioner.fullName },
+        issuedNonce: entry.payload?.nonce || null
+      });
+
+      // Re-issue the signed QR, keeping patient, validity and geotag of the original
+      const preciseGeo = getSensitiveData(topicID)?.preciseGeoTag || entry.payload?.geoTag;
+      const [lat, lng] = String(preciseGeo || '').split(',').map(Number);
+      const qrCandidates = qrPayloads.buildQrCandidates({
+        topicID,
+        hashedPatientId: previousQr?.h || entry.payload?.hashedPatientId,
+        medications,
+        validUntil,
+        nonce: qrNonce,
+        geotag: previousQr?.g || (Number.isFinite(lat) && Number.isFinite(lng) ? `MA-${lat.toFixed(2)},${lng.toFixed(2)}` : 'MA-CAS'),
+        doctorIdHash: hashIdentifier(nationalId, process.env.CNDP_SALT || 'atlascare-default-salt', prescriptionId),
+        dispenseCount: entry.payload?.dispenseCount || 0,
+        maxDispenses
+      }, nationalId);
+      const encodeQr = (qr) => qrCodec.encodeQrText(qr, nationalId);
+      const qrPayload = qrPayloads.pickQrPayload(qrCandidates, undefined, encodeQr);
+
+      // Current prescription payload (used by verification when no QR is scanned)
+      const { contentHash: _oldHash, signature: _oldSignature, ...previousPayload } = entry.payload || {};
+      const toHash = {
+        ...previousPayload,
+        drugIds: medications.map(m => m?.code || 'unknown'),
+        instructionsList: medications.map(m => m?.instructions || ''),
+        maxDispenses,
+        validUntil,
+        minIntervalDays: dispensePolicy.minIntervalDays,
+        singleUse: dispensePolicy.singleUse || undefined,
+        dispenseSchedule: refillSchedule.scheduleFor({
+          maxDispenses,
+          intervalDays: previousPayload.dispenseSchedule?.intervalDays,
+          minIntervalDays: dispensePolicy.minIntervalDays
+        }) || undefined,
+        controlledSerial: previousPayload.controlledSerial || (dispensePolicy.controlled.length ? controlledSubstances.nextSerial() : undefined),
+        nonce: qrNonce,
+        rxVersion: version.version,
+        amendedAt: nowIso
+      };
+      const payloadHash = 'sha256:' + crypto.createHash('sha256').update(Buffer.from(JSON.stringify(toHash))).digest('hex');
+      const currentPayload = { ...toHash, contentHash: payloadHash, signature: `hex:${signPayload({ ...toHash, contentHash: payloadHash }, nationalId)}` };
+      entry.payload = currentPayload;
+      putPayload(topicID, currentPayload);
+      putSensitiveData(topicID, {
+        ...getSensitiveData(topicID),
+        drugIds: currentPayload.drugIds,
+        instructionsList: currentPayload.instructionsList,
+        medications
+      });
+
+      for (const copy of recordCopies(prescriptionId, topicID)) {
+        Object.assign(copy, { diagnosis, medications, maxDispenses, dispensePolicy, controlledSerial: currentPayload.controlledSerial, version: version.version, qr: qrPayload, amendedAt: nowIso });
+      }
+      indexPersistence.markDirty();
+      dispenseLedger.resetLedger(topicID); // lines are rebuilt from the amended medications
+
+      // Signed 'amended' event chained to the topic; only hashes go on the ledger (CNDP)
+      const base = {
+        version: '1',
+        alg: 'secp256k1+SHA-256',
+        eventType: 'amended',
+        topicID,
+        timestamp: nowIso,
+        signerRole: 'doctor',
+        actorIdHash: 'sha256:' + crypto.createHash('sha256').update(String(nationalId) + (process.env.CNDP_SALT || 'atlascare-default-salt')).digest('hex'),
+        rxVersion: version.version,
+        versionHash: version.contentHash,
+        previousVersionHash: previous.contentHash,
+        prevEventHash: lastEventHashPerTopic.get(topicID) || undefined
+      };
+      const { publicKeyHex } = ensureKeyPair(nationalId);
+      const keyId = 'fp:' + crypto.createHash('sha256').update(Buffer.from(publicKeyHex, 'hex')).digest('hex').slice(0, 16);
+      const eventToHash = { ...base, keyId, nonce: crypto.randomBytes(8).toString('hex') };
+      const eventContentHash = 'sha256:' + crypto.createHash('sha256').update(Buffer.from(JSON.stringify(eventToHash))).digest('hex');
+      const signed = { ...eventToHash, contentHash: eventContentHash };
+      const message = { ...signed, signature: `hex:${signPayload(signed, nationalId)}` };
+
+      queueMessage(topicID, { eventType: 'amended', payload: message });
+      try {
         const { submitPrescriptionMessage } = require('./hedera');
-        await submitPrescriptionMessage({
-          type: 'amended',
-          topicID,
-          prescriptionId,
-          timestamp: Date.now(),
-          hashes: { contentHash },
-          refs: { reason }
-        });
-      } else {
-        await submitAuditMessage({ type: 'amended', prescriptionId, timestamp: Date.now(), hashes: { contentHash }, refs: { reason } });
+        const hcsResult = await submitPrescriptionMessage(topicID, message);
+        console.log('✅ HCS Message (amended) submitted:', hcsResult.status, 'Topic:', hcsResult.topicId);
+      } catch (hcsError) {
+        console.error('❌ HCS submission (amended) failed:', hcsError.message);
       }
-      return res.json({ success: true });
+      lastEventHashPerTopic.set(topicID, 'sha256:' + crypto.createHash('sha256').update(Buffer.from(JSON.stringify(message))).digest('hex'));
+      lastEventTypePerTopic.set(topicID, 'amended');
+
+      lifecycle.applyTransition(topicID, 'amend');
+
+      const { logHCSEvent } = require('./services/store');
+      logHCSEvent({
+        topicID,
+        eventType: 'amended',
+        timestamp: nowIso,
+        signerRole: 'doctor',
+        actorIdHash: base.actorIdHash,
+        dispenseCount: currentPayload.dispenseCount || 0,
+        maxDispenses,
+        drugIds: currentPayload.drugIds,
+        prescriptionId,
+        version: version.version,
+        reason,
+        orgId: req.user?.orgId || null,
+        prescriberOrgId: record.orgId || null
+      });
+      console.log(`[AMEND] Prescription ${prescriptionId} amended to v${version.version}: ${reason}`);
+
+      // Send the patient the new QR; the previous one no longer verifies
+      const { queueEmail, queueSMS } = require('./services/notificationQueue');
+      const text = `Dear ${record.patientName || 'patient'},\n\nYour prescription ${prescriptionId} has been updated by ${req.practitioner.fullName} (version ${version.version}).\nReason: ${reason}\n\nPlease use the new QR code in the attached PDF at the pharmacy. The previous QR code is no longer valid.`;
+      try {
+        if (record.patientEmail) {
+          const pdfBuffer = await generatePrescriptionPdf({ ...record, id: prescriptionId, date: nowIso }, { qrData: qrCandidates, encodeQr });
+          queueEmail({
+            to: record.patientEmail,
+            subject: 'Your AtlasCare prescription has been updated',
+            text,
+            attachments: [
+              { filename: `Prescription_${prescriptionId}_v${version.version}.pdf`, content: pdfBuffer, contentType: 'application/pdf' }
+            ],
+            prescriptionId
+          });
+        }
+        if (record.patientPhone) {
+          queueSMS({ to: record.patientPhone, text: `AtlasCare: prescription ${prescriptionId} was updated by your doctor (v${version.version}). Use the new QR code; the previous one is no longer valid.`, prescriptionId });
+        }
+      } catch (e) {
+        console.error('Failed to queue amendment notification:', e.message);
+      }
+
+      return res.json({
+        success: true,
+        prescriptionId,
+        topicID,
+        version: version.version,
+        diff,
+        qr: { data: qrPayload, text: encodeQr(qrPayload) },
+        doctorPublicKey: publicKeyHex
+      });
     } catch (e) {
+      if (e instanceof lifecycle.LifecycleError) return res.status(409).json(lifecycleConflict(e, prescriptionToTopic.get(req.body?.prescriptionId)));
+      if (e instanceof validityRules.ValidityRuleError) return res.status(e.status).json({ success: false, code: e.code, message: e.message });
       return res.status(500).json({ success: false, error: e.message });
     }
   }
 );
+
+// Version history of an amended prescription, with the diff between consecutive versions
+app.get('/api/prescriptions/:id/versions', authorize('prescription:read', { resource: req => prescriptionResource(req.params.id) }), (req, res) => {
+  const record = prescriptionIndex.get(req.params.id);
+  if (!record) return res.status(404).json({ success: false, message: 'Prescription not found' });
+  return res.json({
+    success: true,
+    prescriptionId: req.params.id,
+    currentVersion: prescriptionVersions.getCurrentVersion(req.params.id),
+    versions: prescriptionVersions.getHistory(req.params.id)
+  });
+});
+
+// Celebrate error handler: registered after every route so Joi failures of all routes answer 400 JSON
+app.use(celebrateErrors());
+
+// `node index.js` starts the server; tests load the app without listening
+if (require.main === module) app.listen(PORT, onListening);
+
+module.exports = app;
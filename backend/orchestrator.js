@@ -4,13 +4,14 @@ const { buildFHIRPrescription } = require('./utils/fhirBuilder');
 const { hashIdentifier } = require('./utils/privacy');
 const { mintPrescriptionNFT, submitAuditMessage, storePrescription } = require('./hedera');
 const logger = require('./utils/logger');
+const { nextPrescriptionId } = require('./services/identifiers');
 
 // For Step 2 MVP, we process synchronously and emit events.
 // In Step 3, we can replace internals with BullMQ queues backed by Redis.
 class Orchestrator extends EventEmitter {
   async issuePrescription({ formData, geo, doctorId }) {
     const start = Date.now();
-    const prescriptionId = uuidv4();
+    const prescriptionId = nextPrescriptionId();
     const nonce = uuidv4();
     const salt = process.env.CNDP_SALT || 'atlascare-default-salt';
 
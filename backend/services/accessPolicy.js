@@ -0,0 +1,295 @@
+/**
+ * Permission Policy Engine
+ *
+ * Declarative action -> permission table evaluated against the caller's role,
+ * organization (tenant) and ownership of the target resource.
+ * Replaces per-route role checks; every denial is written to the audit log.
+ *
+ * Scopes (per role, per action):
+ * - 'any'    - no resource restriction
+ * - 'tenant' - resource must belong to the caller's organization scope
+ * - 'owner'  - caller must own the resource (e.g. the prescribing doctor)
+ *
+ * Machine clients (API keys / client-credentials tokens) act under the 'client'
+ * role: an action is only open to them when its rule sets `clients` and the
+ * client was granted that action as a scope.
+ *
+ * Features:
+ * - Single table of actions (what each role may do)
+ * - Mandatory 2FA per action (honours the admin security policy)
+ * - Express middleware that authenticates, resolves the resource and audits denials
+ * - Per-client rate limits; every client request is audited under the client's identity
+ */
+
+const { decodeAccessToken } = require('../utils/auth');
+const { isMfaRequired } = require('./securityPolicy');
+const { resolveTenantScope, isInScope } = require('./organizationStore');
+const { recordAuditEvent } = require('./auditLog');
+const apiClientStore = require('./apiClientStore');
+
+const ADMINS = { admin: 'any', superadmin: 'any' };
+const CLIENT_ROLE = 'client';
+
+const ACTIONS = {
+  // Own account (any signed-in user)
+  'account:manage': { roles: { doctor: 'any', pharmacist: 'any', admin: 'any', superadmin: 'any' } },
+
+  // Prescriptions
+  'prescription:issue': { roles: { doctor: 'any' }, mfa: true },
+  'prescription:list': { roles: { doctor: 'owner' } }, // the handler lists the caller's own prescriptions
+  'prescription:read': { roles: { doctor: 'tenant', pharmacist: 'any', admin: 'tenant', superadmin: 'any' }, clients: 'tenant' },
+  'prescription:verify': { roles: { pharmacist: 'any' }, clients: 'any' },
+  'prescription:pay': { roles: { pharmacist: 'any' } },
+  'prescription:dispense': { roles: { pharmacist: 'any' } },
+  'prescription:cancel': { roles: { doctor: 'owner' }, mfa: true },
+  'prescription:amend': { roles: { doctor: 'owner' }, mfa: true },
+  'prescription:delegate': { roles: { doctor: 'owner', patient: 'owner' } }, // caregivers allowed to collect it
+
+  // Patient portal (the handlers only expose the signed-in patient's own prescriptions)
+  'patient-portal:read': { roles: { patient: 'owner' } },
+
+  // Billing / insurance
+  'invoice:generate': { roles: { pharmacist: 'any' } },
+  'claim:submit': { roles: { pharmacist: 'any' }, clients: 'any' },
+  'claim:preapprove': { roles: { doctor: 'any' }, clients: 'any' },
+
+  // Controlled substances (register read by the pharmacy, exported to the regulator)
+  'controlled-register:read': { roles: { pharmacist: 'tenant', admin: 'tenant', superadmin: 'any' } },
+  'controlled-register:export': { roles: { superadmin: 'any' }, clients: 'any' },
+
+  // Reference data
+  'catalog:read': { roles: { doctor: 'any', pharmacist: 'any', admin: 'any', superadmin: 'any' }, clients: 'any' },
+
+  // Administration (tenant scoping of listings is applied by the handlers)
+  'audit:read': { roles: ADMINS },
+  'user:read': { roles: ADMINS },
+  'user:manage': { roles: { admin: 'tenant', superadmin: 'any' } },
+  'user:grant-superadmin': { roles: { superadmin: 'any' } },
+  'organization:read': { roles: ADMINS },
+  'organization:manage': { roles: { superadmin: 'any' } },
+  'practitioner:read': { roles: ADMINS },
+  'practitioner:manage': { roles: { superadmin: 'any' } },
+  'api-client:manage': { roles: { admin: 'tenant', superadmin: 'any' } },
+  'security-policy:read': { roles: ADMINS },
+  'security-policy:manage': { roles: { superadmin: 'any' } },
+  'system:debug': { roles: { superadmin: 'any' } }
+};
+
+// Actions a machine client may be granted as scopes
+const CLIENT_SCOPES = Object.keys(ACTIONS).filter(action => ACTIONS[action].clients);
+
+class PolicyDenied extends Error {
+  constructor(reason, status = 403, code = 'FORBIDDEN') {
+    super(reason);
+    this.name = 'PolicyDenied';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Scope of an action for the caller: the role's entry, or for machine clients
+ * the rule's `clients` entry when the client holds that scope
+ * @param {Object} user - Caller
+ * @param {Object} rule - Action rule
+ * @param {string} action - Action name
+ * @returns {string|undefined} 'any' | 'tenant' | 'owner'
+ */
+function scopeFor(user, rule, action) {
+  if (user.role !== CLIENT_ROLE) return rule.roles[user.role];
+  return (user.scopes || []).includes(action) ? rule.clients : undefined;
+}
+
+/**
+ * Tenant scope of the caller; platform clients (registered without an organization) work cross-tenant
+ * @param {Object} user - Caller
+ * @returns {number[]|null} Organization IDs, null for all tenants
+ */
+function tenantScopeFor(user) {
+  if (user.role === CLIENT_ROLE && !user.orgId) return null;
+  return resolveTenantScope(user);
+}
+
+/**
+ * Evaluate an action for a caller
+ * @param {Object|null} user - Decoded access token ({ sub, role, orgId, mfa }) or client principal ({ clientId, role: 'client', scopes })
+ * @param {string} action - Action name (e.g. 'prescription:dispense')
+ * @param {Object|null} resource - Target resource ({ type, id, orgId, ownerId }) or null
+ * @returns {Object} { allowed, reason, status, code }
+ */
+function evaluate(user, action, resource = null) {
+  const rule = ACTIONS[action];
+  if (!rule) return { allowed: false, reason: `Unknown action: ${action}`, status: 403, code: 'FORBIDDEN' };
+  if (!user) return { allowed: false, reason: 'Not authenticated', status: 401, code: 'UNAUTHENTICATED' };
+
+  const scope = scopeFor(user, rule, action);
+  if (!scope && user.role === CLIENT_ROLE) {
+    return { allowed: false, reason: `Client is not granted the ${action} scope`, status: 403, code: 'FORBIDDEN' };
+  }
+  if (!scope) {
+    return { allowed: false, reason: `Role '${user.role}' is not allowed to perform ${action}`, status: 403, code: 'FORBIDDEN' };
+  }
+  if (rule.mfa && isMfaRequired(user.role) && !user.mfa) {
+    return { allowed: false, reason: 'Two-factor authentication is required for this action', status: 403, code: 'MFA_REQUIRED' };
+  }
+  if (resource && scope === 'tenant' && !isInScope(tenantScopeFor(user), resource.orgId)) {
+    return { allowed: false, reason: 'Resource belongs to another organization', status: 403, code: 'FORBIDDEN' };
+  }
+  if (resource && scope === 'owner' && String(resource.ownerId) !== String(user.sub)) {
+    return { allowed: false, reason: 'Only the owner can perform this action', status: 403, code: 'FORBIDDEN' };
+  }
+  return { allowed: true };
+}
+
+// Audit identity of a caller (users and machine clients)
+function actorOf(user) {
+  if (!user) return null;
+  const actor = { userId: user.sub, username: user.username, role: user.role, orgId: user.orgId || null };
+  if (user.clientId) actor.clientId = user.clientId;
+  return actor;
+}
+
+/**
+ * Record a denied decision in the audit log
+ * @param {Object} req - Express request
+ * @param {string} action - Action name
+ * @param {Object} decision - Result of evaluate
+ * @param {Object|null} resource - Target resource
+ */
+function auditDenial(req, action, decision, resource = null) {
+  const user = req.user;
+  recordAuditEvent({
+    type: 'access_denied',
+    action,
+    outcome: 'denied',
+    reason: decision.reason,
+    actor: actorOf(user),
+    resource: resource ? { type: resource.type, id: resource.id, orgId: resource.orgId || null } : null,
+    method: req.method,
+    path: req.originalUrl || req.url,
+    ip: req.ip
+  });
+  console.warn(`[POLICY] Denied ${action} for ${user?.username || 'anonymous'}: ${decision.reason}`);
+}
+
+/**
+ * Throw unless the caller may perform the action (for checks inside handlers,
+ * e.g. per-item checks in batch operations). Denials are audited.
+ * @param {Object} req - Express request (req.user set)
+ * @param {string} action - Action name
+ * @param {Object|null} resource - Target resource
+ */
+function assertAllowed(req, action, resource = null) {
+  const decision = evaluate(req.user, action, resource);
+  if (decision.allowed) return;
+  auditDenial(req, action, decision, resource);
+  throw new PolicyDenied(decision.reason, decision.status, decision.code);
+}
+
+/**
+ * Caller identity of a machine client, as seen by handlers (req.user)
+ * @param {Object} client - Stored API client
+ * @returns {Object} Principal
+ */
+function clientPrincipal(client) {
+  return {
+    sub: `client:${client.clientId}`,
+    clientId: client.clientId,
+    username: client.name,
+    role: CLIENT_ROLE,
+    orgId: client.orgId || null,
+    scopes: client.scopes
+  };
+}
+
+/**
+ * Authenticate a request: X-API-Key header, or a bearer token (user or client-credentials)
+ * @param {Object} req - Express request
+ * @returns {Object} { user, client } on success, { error } otherwise
+ */
+function resolveCaller(req) {
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    const client = apiClientStore.authenticateApiKey(apiKey);
+    return client ? { user: clientPrincipal(client), client } : { error: 'Invalid API key' };
+  }
+
+  const { user, error } = decodeAccessToken(req);
+  if (error) return { error };
+  if (user.role !== CLIENT_ROLE) return { user };
+
+  // Client tokens are re-checked so revocation and scope changes apply immediately
+  const client = apiClientStore.getActiveClient(user.clientId);
+  return client ? { user: clientPrincipal(client), client } : { error: 'Client revoked' };
+}
+
+/**
+ * Audit a client request once its response is sent
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} action - Action name
+ * @param {Object|null} resource - Target resource
+ */
+function auditClientRequest(req, res, action, resource) {
+  res.on('finish', () => {
+    recordAuditEvent({
+      type: 'client_request',
+      action,
+      outcome: res.statusCode < 400 ? 'allowed' : 'failed',
+      status: res.statusCode,
+      actor: actorOf(req.user),
+      resource: resource ? { type: resource.type, id: resource.id, orgId: resource.orgId || null } : null,
+      method: req.method,
+      path: req.originalUrl || req.url,
+      ip: req.ip
+    });
+  });
+}
+
+/**
+ * Express middleware: authenticate the caller and authorize an action
+ * @param {string} action - Action name from ACTIONS
+ * @param {Object} options - { resource: req => ({ type, id, orgId, ownerId }) | null }
+ * @returns {Function} Middleware
+ */
+function authorize(action, { resource } = {}) {
+  if (!ACTIONS[action]) throw new Error(`authorize: unknown action ${action}`);
+
+  return (req, res, next) => {
+    const { user, client, error } = resolveCaller(req);
+    if (error) {
+      auditDenial(req, action, { reason: error });
+      return res.status(401).json({ success: false, message: error });
+    }
+    req.user = user;
+
+    if (client) {
+      const limit = apiClientStore.consumeRateLimit(client);
+      if (!limit.allowed) {
+        auditDenial(req, action, { reason: 'Client rate limit exceeded' });
+        res.set('Retry-After', String(limit.retryAfterSeconds));
+        return res.status(429).json({ success: false, code: 'RATE_LIMITED', message: 'Client rate limit exceeded' });
+      }
+    }
+
+    // Unknown resources are left to the handler (404); ownership only applies to existing records
+    const target = resource ? resource(req) : null;
+    const decision = evaluate(user, action, target);
+    if (!decision.allowed) {
+      auditDenial(req, action, decision, target);
+      return res.status(decision.status).json({ success: false, code: decision.code, message: decision.reason });
+    }
+    if (client) auditClientRequest(req, res, action, target);
+    next();
+  };
+}
+
+module.exports = {
+  ACTIONS,
+  CLIENT_ROLE,
+  CLIENT_SCOPES,
+  PolicyDenied,
+  evaluate,
+  assertAllowed,
+  authorize
+};
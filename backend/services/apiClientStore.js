@@ -0,0 +1,218 @@
+/**
+ * API Client Registry
+ *
+ * Machine clients (insurer back offices, hospital information systems) that call
+ * the API without a human session.
+ *
+ * Features:
+ * - Admin-issued API keys (X-API-Key) and OAuth2 client-credentials secrets (same credential)
+ * - Scopes restricted to actions the permission policy marks as delegable
+ * - Per-client rate limits (requests per minute)
+ * - Last-used timestamp and immediate revocation
+ * - Secrets stored as SHA-256 hashes only
+ */
+
+const crypto = require('crypto');
+const { persistence } = require('./store');
+
+// Clients registry - persisted to disk
+const apiClients = new Map(); // clientId -> { clientId, name, orgId, scopes, secretHash, rateLimitPerMinute, createdAt, createdBy, lastUsedAt, revokedAt }
+
+// Register for persistence
+persistence.register('apiClients', apiClients);
+
+// clientId -> { windowStart, count } - in-memory only, a restart resets the window
+const rateWindows = new Map();
+
+const KEY_PREFIX = 'ack';
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+const RATE_WINDOW_MS = 60 * 1000;
+
+class ApiClientError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ApiClientError';
+    this.status = status;
+  }
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+/**
+ * Strip the secret hash before returning a client to callers
+ * @param {Object} client - Stored client record
+ * @returns {Object|null} Public client view
+ */
+function toPublicClient(client) {
+  if (!client) return null;
+  const { secretHash, ...rest } = client;
+  return { ...rest, active: !client.revokedAt };
+}
+
+/**
+ * List clients, optionally restricted to organizations
+ * @param {Array|null} orgIds - Allowed organization IDs (null = all tenants)
+ * @returns {Array} Public client views, newest first
+ */
+function listClients(orgIds = null) {
+  return Array.from(apiClients.values())
+    .filter(client => !orgIds || orgIds.includes(client.orgId))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .map(toPublicClient);
+}
+
+/**
+ * Get a stored client by ID
+ * @param {string} clientId - Client ID
+ * @returns {Object|null} Stored client record
+ */
+function getClient(clientId) {
+  return apiClients.get(String(clientId)) || null;
+}
+
+/**
+ * Register a new machine client
+ * @param {Object} data - { name, orgId, scopes, rateLimitPerMinute, createdBy }
+ * @returns {Object} { client, apiKey, clientSecret } - the key is only returned once
+ */
+function createClient({ name, orgId = null, scopes = [], rateLimitPerMinute = DEFAULT_RATE_LIMIT_PER_MINUTE, createdBy }) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new ApiClientError('Client name is required');
+  if (!Array.isArray(scopes) || scopes.length === 0) throw new ApiClientError('At least one scope is required');
+
+  const clientId = crypto.randomBytes(8).toString('hex');
+  const clientSecret = crypto.randomBytes(24).toString('base64url');
+  const client = {
+    clientId,
+    name: trimmed,
+    orgId: orgId || null,
+    scopes: Array.from(new Set(scopes)),
+    secretHash: hashSecret(clientSecret),
+    rateLimitPerMinute: Number(rateLimitPerMinute) || DEFAULT_RATE_LIMIT_PER_MINUTE,
+    createdAt: new Date().toISOString(),
+    createdBy: createdBy || null,
+    lastUsedAt: null,
+    revokedAt: null
+  };
+
+  apiClients.set(clientId, client);
+  persistence.markDirty();
+  console.log(`[CLIENTS] Registered API client ${trimmed} (${clientId})`);
+
+  return { client: toPublicClient(client), apiKey: `${KEY_PREFIX}_${clientId}_${clientSecret}`, clientSecret };
+}
+
+/**
+ * Update name, scopes or rate limit
+ * @param {string} clientId - Client ID
+ * @param {Object} changes - { name, scopes, rateLimitPerMinute }
+ * @returns {Object} Public client view
+ */
+function updateClient(clientId, changes = {}) {
+  const client = getClient(clientId);
+  if (!client) throw new ApiClientError('API client not found', 404);
+  if (client.revokedAt) throw new ApiClientError('API client is revoked', 409);
+
+  if (changes.name !== undefined) client.name = String(changes.name).trim() || client.name;
+  if (changes.scopes !== undefined) {
+    if (!Array.isArray(changes.scopes) || changes.scopes.length === 0) throw new ApiClientError('At least one scope is required');
+    client.scopes = Array.from(new Set(changes.scopes));
+  }
+  if (changes.rateLimitPerMinute !== undefined) client.rateLimitPerMinute = Number(changes.rateLimitPerMinute);
+
+  persistence.markDirty();
+  return toPublicClient(client);
+}
+
+/**
+ * Revoke a client: its API key and issued access tokens stop working immediately
+ * @param {string} clientId - Client ID
+ * @returns {Object} Public client view
+ */
+function revokeClient(clientId) {
+  const client = getClient(clientId);
+  if (!client) throw new ApiClientError('API client not found', 404);
+  if (!client.revokedAt) {
+    client.revokedAt = new Date().toISOString();
+    persistence.markDirty();
+    console.log(`[CLIENTS] Revoked API client ${client.name} (${clientId})`);
+  }
+  return toPublicClient(client);
+}
+
+/**
+ * Check a client ID + secret pair (OAuth2 client credentials)
+ * @param {string} clientId - Client ID
+ * @param {string} clientSecret - Client secret
+ * @returns {Object|null} Stored client record if valid and active
+ */
+function authenticateClient(clientId, clientSecret) {
+  const client = getClient(clientId);
+  if (!client || client.revokedAt || !clientSecret) return null;
+  const expected = Buffer.from(client.secretHash, 'hex');
+  const actual = Buffer.from(hashSecret(clientSecret), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? client : null;
+}
+
+/**
+ * Check an API key of the form ack_<clientId>_<secret>
+ * @param {string} apiKey - Value of the X-API-Key header
+ * @returns {Object|null} Stored client record if valid and active
+ */
+function authenticateApiKey(apiKey) {
+  const match = /^ack_([0-9a-f]{16})_([A-Za-z0-9_-]+)$/.exec(String(apiKey || '').trim());
+  if (!match) return null;
+  return authenticateClient(match[1], match[2]);
+}
+
+/**
+ * Get an active (non-revoked) client, e.g. to re-check a client access token
+ * @param {string} clientId - Client ID
+ * @returns {Object|null} Stored client record
+ */
+function getActiveClient(clientId) {
+  const client = getClient(clientId);
+  return client && !client.revokedAt ? client : null;
+}
+
+/**
+ * Count a request against the client's per-minute limit and stamp last use
+ * @param {Object} client - Stored client record
+ * @param {number} now - Current time in ms
+ * @returns {Object} { allowed, limit, remaining, retryAfterSeconds }
+ */
+function consumeRateLimit(client, now = Date.now()) {
+  const limit = client.rateLimitPerMinute || DEFAULT_RATE_LIMIT_PER_MINUTE;
+  let window = rateWindows.get(client.clientId);
+  if (!window || now - window.windowStart >= RATE_WINDOW_MS) {
+    window = { windowStart: now, count: 0 };
+    rateWindows.set(client.clientId, window);
+  }
+
+  if (window.count >= limit) {
+    return { allowed: false, limit, remaining: 0, retryAfterSeconds: Math.ceil((window.windowStart + RATE_WINDOW_MS - now) / 1000) };
+  }
+
+  window.count++;
+  client.lastUsedAt = new Date(now).toISOString();
+  persistence.markDirty();
+  return { allowed: true, limit, remaining: limit - window.count, retryAfterSeconds: 0 };
+}
+
+module.exports = {
+  ApiClientError,
+  DEFAULT_RATE_LIMIT_PER_MINUTE,
+  listClients,
+  getClient,
+  createClient,
+  updateClient,
+  revokeClient,
+  authenticateClient,
+  authenticateApiKey,
+  getActiveClient,
+  consumeRateLimit,
+  apiClients,
+  rateWindows
+};
@@ -0,0 +1,57 @@
+/**
+ * Security Audit Log Service
+ *
+ * Append-only log of security-relevant decisions (persisted), separate from the
+ * HCS prescription event log shown on the admin dashboard.
+ *
+ * Features:
+ * - Access denials from the permission policy (who, what action, why)
+ * - Tenant-scoped queries for organization admins
+ * - Bounded size (oldest entries dropped first)
+ */
+
+const { persistence } = require('./store');
+
+// Newest first - persisted to disk
+const auditLog = []; // { type, action, outcome, reason, actor: { userId, username, role, orgId }, resource, method, path, ip, timestamp }
+
+// Register for persistence
+persistence.register('auditLog', auditLog);
+
+const MAX_AUDIT_ENTRIES = 2000;
+
+/**
+ * Append an entry to the audit log
+ * @param {Object} entry - Audit entry ({ type, action, outcome, reason, actor, ... })
+ * @returns {Object} Stored entry
+ */
+function recordAuditEvent(entry) {
+  const stored = { ...entry, timestamp: entry.timestamp || new Date().toISOString() };
+  auditLog.unshift(stored);
+  if (auditLog.length > MAX_AUDIT_ENTRIES) {
+    auditLog.splice(MAX_AUDIT_ENTRIES);
+  }
+  persistence.markDirty();
+  return stored;
+}
+
+/**
+ * Query audit entries
+ * @param {Object} options - { type, outcome, orgIds (null = all tenants), limit }
+ * @returns {Array} Matching entries, newest first
+ */
+function getAuditEvents({ type, outcome, orgIds = null, limit = 200 } = {}) {
+  return auditLog
+    .filter(entry =>
+      (!type || entry.type === type) &&
+      (!outcome || entry.outcome === outcome) &&
+      (!orgIds || orgIds.includes(entry.actor?.orgId) || orgIds.includes(entry.resource?.orgId))
+    )
+    .slice(0, limit);
+}
+
+module.exports = {
+  recordAuditEvent,
+  getAuditEvents,
+  auditLog
+};
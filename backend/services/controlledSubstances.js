@@ -0,0 +1,322 @@
+/**
+ * Controlled Substances
+ *
+ * Special handling of narcotics (stupéfiants) and psychotropics, flagged in
+ * the medicine catalog: serial-numbered prescriptions, patient ID check before
+ * dispensing, the pharmacy's controlled-drug register and its export for the
+ * regulator.
+ *
+ * Features:
+ * - Controlled lines of a prescription (catalog flag)
+ * - Serial numbers STUP-YYYY-NNNNNN, sequential per year
+ * - Patient ID check: the identity document is matched against the prescription's
+ *   hashed patient ID; a passed check is valid CONTROLLED_ID_CHECK_TTL_MS for the
+ *   pharmacist who ran it and is consumed by the dispense
+ * - Register: one entry per controlled line handed over, numbered per pharmacy;
+ *   patients appear only as a salted hash of their document number
+ * - Fraud rule: the same patient obtaining controlled substances from several
+ *   prescribers or pharmacies, or on too many prescriptions, within a rolling window
+ * - Regulator export (CSV or JSON) by period
+ * - Serial counters and register persisted through the shared persistence layer
+ */
+
+const crypto = require('crypto');
+const { persistence } = require('./store');
+const medicineCatalog = require('./medicineCatalog');
+const { hashIdentifier } = require('../utils/privacy');
+
+const ID_CHECK_TTL = Number(process.env.CONTROLLED_ID_CHECK_TTL_MS) || 15 * 60 * 1000; // 15 minutes
+const FRAUD_WINDOW_DAYS = Number(process.env.CONTROLLED_FRAUD_WINDOW_DAYS) || 30;
+const FRAUD_MAX_PRESCRIPTIONS = 3; // controlled prescriptions per patient and window
+const DOCUMENT_TYPES = ['CIN', 'passport', 'residence_permit'];
+
+// Register and serial counters - persisted to disk
+const controlledRegister = new Map(); // pharmacy orgId ('none' when unassigned) -> [entry]
+const controlledSerials = new Map(); // year -> last serial number
+
+// Register for persistence
+persistence.register('controlledRegister', controlledRegister);
+persistence.register('controlledSerials', controlledSerials);
+
+// Passed patient ID checks (short-lived, memory only)
+const idChecks = new Map(); // topicId -> { checkedAt, expiresAt, documentType, patientKey, pharmacistIdHash, fraudAlert }
+
+class ControlledSubstanceError extends Error {
+  constructor(message, status = 400, code = 'CONTROLLED_SUBSTANCE') {
+    super(message);
+    this.name = 'ControlledSubstanceError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function salt() {
+  return process.env.CNDP_SALT || 'atlascare-default-salt';
+}
+
+function normalizeDocument(documentNumber) {
+  return String(documentNumber || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Controlled lines of a prescription
+ * @param {Array} medications - Medication lines ({ code })
+ * @returns {Array} [{ line, class, label }]
+ */
+function controlledLines(medications = []) {
+  return medications
+    .map((medication, line) => {
+      const controlled = medicineCatalog.controlledClass(medication);
+      return controlled ? { line, class: controlled.class, label: controlled.label } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Next serial number for a controlled prescription
+ * @param {Date} now - Issuance time
+ * @returns {string} 'STUP-YYYY-NNNNNN'
+ */
+function nextSerial(now = new Date()) {
+  const year = String(now.getUTCFullYear());
+  const next = (controlledSerials.get(year) || 0) + 1;
+  controlledSerials.set(year, next);
+  persistence.markDirty();
+  return `STUP-${year}-${String(next).padStart(6, '0')}`;
+}
+
+/**
+ * Patient key used by the register and the fraud rule (same document => same key)
+ * @param {string} documentNumber - Identity document number
+ * @returns {string} 'sha256:<hex>'
+ */
+function patientKeyOf(documentNumber) {
+  return 'sha256:' + crypto.createHash('sha256').update(normalizeDocument(documentNumber) + salt() + 'controlled-register').digest('hex');
+}
+
+/**
+ * Check the patient's identity document against the prescription
+ * @param {Object} prescription - { topicId, prescriptionId, hashedPatientId }
+ * @param {Object} check - { documentType, documentNumber, pharmacistIdHash, orgId, prescriberInpe }
+ * @param {Date} now - Reference time
+ * @returns {Object} Stored check ({ checkedAt, expiresAt, documentType, patientKey, fraudAlert })
+ */
+function checkPatientId({ topicId, prescriptionId, hashedPatientId }, { documentType, documentNumber, pharmacistIdHash, orgId = null, prescriberInpe = null }, now = new Date()) {
+  if (!DOCUMENT_TYPES.includes(documentType)) {
+    throw new ControlledSubstanceError(`Unsupported identity document "${documentType}"`, 400, 'INVALID_DOCUMENT');
+  }
+  // Issuance hashes the patient ID as typed; accept it with or without spaces / case differences
+  const candidates = new Set([String(documentNumber || '').trim(), normalizeDocument(documentNumber)]);
+  const matches = [...candidates].some(value => value && hashIdentifier(value, salt(), prescriptionId) === hashedPatientId);
+  if (!matches) {
+    console.warn(`[CONTROLLED] Patient ID mismatch on ${prescriptionId}`);
+    throw new ControlledSubstanceError('The identity document does not match the patient of this prescription', 403, 'PATIENT_ID_MISMATCH');
+  }
+
+  const patientKey = patientKeyOf(documentNumber);
+  const entry = {
+    checkedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + ID_CHECK_TTL).toISOString(),
+    documentType,
+    patientKey,
+    pharmacistIdHash,
+    fraudAlert: detectFraud(patientKey, { prescriptionId, orgId, prescriberInpe }, now)
+  };
+  idChecks.set(topicId, entry);
+  console.log(`[CONTROLLED] Patient ID checked on ${prescriptionId} (${documentType})`);
+  return entry;
+}
+
+/**
+ * Passed, unexpired patient ID check of a prescription, run by the given pharmacist
+ * @param {string} topicId - Prescription topic ID
+ * @param {string} pharmacistIdHash - Pharmacist about to dispense
+ * @param {Date} now - Reference time
+ * @returns {Object} Check
+ */
+function assertPatientChecked(topicId, pharmacistIdHash, now = new Date()) {
+  const check = idChecks.get(topicId);
+  if (!check || check.pharmacistIdHash !== pharmacistIdHash || Date.parse(check.expiresAt) < now.getTime()) {
+    throw new ControlledSubstanceError('Controlled substance: check the patient\'s identity document before dispensing', 428, 'PATIENT_ID_CHECK_REQUIRED');
+  }
+  return check;
+}
+
+/**
+ * Patient ID check of a prescription, if any is pending
+ * @param {string} topicId - Prescription topic ID
+ * @returns {Object|null}
+ */
+function getPatientCheck(topicId) {
+  return idChecks.get(topicId) || null;
+}
+
+/**
+ * Fraud rule: controlled substances obtained by the same patient from several
+ * prescribers or pharmacies, or on too many prescriptions, within the window
+ * @param {string} patientKey - Result of patientKeyOf
+ * @param {Object} current - Prescription being dispensed ({ prescriptionId, orgId, prescriberInpe })
+ * @param {Date} now - Reference time
+ * @returns {Object|null} Fraud alert ({ rule, reason, prescriptions, prescribers, pharmacies, windowDays })
+ */
+function detectFraud(patientKey, { prescriptionId, orgId = null, prescriberInpe = null } = {}, now = new Date()) {
+  const since = now.getTime() - FRAUD_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const history = [...controlledRegister.values()].flat()
+    .filter(e => e.patientKey === patientKey && Date.parse(e.recordedAt) >= since);
+
+  const prescriptions = new Set([...history.map(e => e.prescriptionId), prescriptionId].filter(Boolean));
+  const prescribers = new Set([...history.map(e => e.prescriberInpe), prescriberInpe].filter(Boolean));
+  const pharmacies = new Set([...history.map(e => e.pharmacyOrgId), orgId].filter(v => v !== null && v !== undefined));
+
+  const reasons = [];
+  if (prescribers.size > 1) reasons.push(`${prescribers.size} prescribers`);
+  if (pharmacies.size > 1) reasons.push(`${pharmacies.size} pharmacies`);
+  if (prescriptions.size > FRAUD_MAX_PRESCRIPTIONS) reasons.push(`${prescriptions.size} prescriptions`);
+  if (!reasons.length) return null;
+
+  return {
+    rule: 'controlled_substance_shopping',
+    reason: `Controlled substances for the same patient from ${reasons.join(', ')} in ${FRAUD_WINDOW_DAYS} days`,
+    prescriptions: prescriptions.size,
+    prescribers: prescribers.size,
+    pharmacies: pharmacies.size,
+    windowDays: FRAUD_WINDOW_DAYS
+  };
+}
+
+/**
+ * Register entries of a dispense, checked and built without writing anything
+ * @param {Object} dispense - { topicId, prescriptionId, serialNumber, orgId, prescriberInpe, pharmacistIdHash, at }
+ * @param {Array} items - Dispensed items ({ line, drugId, quantity, unit, substitution }) limited to controlled lines
+ * @param {Object} record - Prescription record ({ medications })
+ * @returns {Object} Prepared write for commitRegisterEntries: { topicId, key, check, label, entries }
+ */
+function prepareRegisterEntries({ topicId, prescriptionId, serialNumber, orgId = null, prescriberInpe = null, pharmacistIdHash, at = new Date().toISOString() }, items, record) {
+  const check = idChecks.get(topicId) || null;
+  const byLine = new Map(controlledLines(record?.medications).map(c => [c.line, c]));
+
+  const entries = (items || [])
+    .filter(item => byLine.has(item.line))
+    .map(item => {
+      const medication = record.medications[item.line] || {};
+      const product = medicineCatalog.getProduct(item.substitution?.code || medication.code);
+      return {
+        entryNo: null,
+        recordedAt: at,
+        pharmacyOrgId: orgId,
+        serialNumber,
+        prescriptionId,
+        topicId,
+        line: item.line,
+        productCode: item.substitution?.code || medication.code || item.drugId,
+        productName: item.substitution?.name || medication.name || product?.name || null,
+        dci: product?.dci || null,
+        class: byLine.get(item.line).class,
+        quantity: Number(item.quantity) || 0,
+        unit: item.unit || 'box',
+        prescriberInpe,
+        patientKey: check?.patientKey || null,
+        idDocumentType: check?.documentType || null,
+        pharmacistIdHash,
+        fraudAlert: check?.fraudAlert ? check.fraudAlert.rule : null
+      };
+    });
+  return { topicId, key: orgId ?? 'none', check, label: serialNumber || prescriptionId, entries };
+}
+
+/**
+ * Write prepared register entries (numbered per pharmacy); consumes the patient ID check
+ * @param {Object} prepared - Result of prepareRegisterEntries
+ * @returns {Array} Register entries
+ */
+function commitRegisterEntries(prepared) {
+  const { topicId, key, label, entries } = prepared;
+  if (!controlledRegister.has(key)) controlledRegister.set(key, []);
+  const register = controlledRegister.get(key);
+  entries.forEach(entry => {
+    register.push(entry);
+    entry.entryNo = register.length;
+  });
+
+  idChecks.delete(topicId);
+  persistence.markDirty();
+  console.log(`[CONTROLLED] Register: ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} for ${label}`);
+  return entries;
+}
+
+/**
+ * Undo commitRegisterEntries when the dispense it belongs to fails: the entries
+ * are removed and the patient ID check is given back
+ * @param {Object} prepared - Result of prepareRegisterEntries, as committed
+ */
+function removeRegisterEntries(prepared) {
+  const { topicId, key, check, label, entries } = prepared;
+  const register = controlledRegister.get(key) || [];
+  const kept = register.filter(entry => !entries.includes(entry));
+  if (kept.length === 0) controlledRegister.delete(key);
+  else controlledRegister.set(key, kept);
+  if (check && !idChecks.has(topicId)) idChecks.set(topicId, check);
+  persistence.markDirty();
+  console.warn(`[CONTROLLED] Register: ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} for ${label} withdrawn (dispense failed)`);
+}
+
+/**
+ * Record the controlled lines handed over at a dispense; consumes the patient ID check
+ * @param {Object} dispense - { topicId, prescriptionId, serialNumber, orgId, prescriberInpe, pharmacistIdHash, at }
+ * @param {Array} items - Dispensed items ({ line, drugId, quantity, unit, substitution }) limited to controlled lines
+ * @param {Object} record - Prescription record ({ medications })
+ * @returns {Array} Register entries
+ */
+function recordRegisterEntries(dispense, items, record) {
+  return commitRegisterEntries(prepareRegisterEntries(dispense, items, record));
+}
+
+/**
+ * Register entries, oldest first
+ * @param {Object} options - { orgIds (null: every pharmacy), from, to }
+ * @returns {Array}
+ */
+function getRegister({ orgIds = null, from = null, to = null } = {}) {
+  const start = from ? Date.parse(from) : -Infinity;
+  const end = to ? Date.parse(to) : Infinity;
+  return [...controlledRegister.entries()]
+    .filter(([orgId]) => !orgIds || orgIds.map(String).includes(String(orgId)))
+    .flatMap(([, entries]) => entries)
+    .filter(e => Date.parse(e.recordedAt) >= start && Date.parse(e.recordedAt) <= end)
+    .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+}
+
+const EXPORT_COLUMNS = ['recordedAt', 'pharmacyOrgId', 'entryNo', 'serialNumber', 'prescriptionId', 'productCode', 'productName', 'dci', 'class', 'quantity', 'unit', 'prescriberInpe', 'patientKey', 'idDocumentType', 'pharmacistIdHash', 'fraudAlert'];
+
+/**
+ * Regulator export of register entries
+ * @param {Array} entries - Result of getRegister
+ * @returns {string} CSV (header + one row per entry)
+ */
+function toCsv(entries) {
+  const cell = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [EXPORT_COLUMNS.join(','), ...entries.map(e => EXPORT_COLUMNS.map(c => cell(e[c])).join(','))].join('\n') + '\n';
+}
+
+module.exports = {
+  ControlledSubstanceError,
+  DOCUMENT_TYPES,
+  controlledLines,
+  nextSerial,
+  patientKeyOf,
+  checkPatientId,
+  assertPatientChecked,
+  getPatientCheck,
+  detectFraud,
+  prepareRegisterEntries,
+  commitRegisterEntries,
+  removeRegisterEntries,
+  recordRegisterEntries,
+  getRegister,
+  toCsv,
+  controlledRegister,
+  controlledSerials
+};
@@ -0,0 +1,203 @@
+/**
+ * Dispense Ledger
+ *
+ * Per-medication-line quantities of a prescription: prescribed, dispensed and
+ * remaining. Pharmacies may hand over only some lines, or part of a line when
+ * stock is short; the prescription is fully dispensed only once every line is.
+ *
+ * Features:
+ * - Lines created from the prescription's medications (quantity in boxes,
+ *   defaulting to one box per allowed dispense)
+ * - Dispense requests name the lines (index or drug code) and quantities
+ * - Over-dispensing and unknown lines are rejected
+ * - A line may be handed over as a generic (substituteCode), one product per line and visit
+ * - History of every dispense with the quantities and products actually handed over
+ * - Persisted through the shared persistence layer
+ */
+
+const { persistence } = require('./store');
+
+// Ledger - persisted to disk
+const dispenseLedgers = new Map(); // topicId -> { lines: [{ line, drugId, name, unit, prescribed, dispensed }], dispenses: [{ at, pharmacistIdHash, pharmacyOrgId, items: [{ line, drugId, quantity, substitution? }] }] }
+
+// Register for persistence
+persistence.register('dispenseLedgers', dispenseLedgers);
+
+const DEFAULT_UNIT = 'box';
+
+class DispenseError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DispenseError';
+    this.status = status;
+  }
+}
+
+/**
+ * Build the lines of a prescription
+ * @param {Array} medications - Prescription medications ({ name, code, quantity })
+ * @param {number} maxDispenses - Allowed dispenses (default quantity per line)
+ * @returns {Array} Lines with nothing dispensed
+ */
+function buildLines(medications = [], maxDispenses = 1) {
+  return medications.map((m, index) => ({
+    line: index,
+    drugId: m?.code || 'unknown',
+    name: m?.name || null,
+    unit: DEFAULT_UNIT,
+    prescribed: Number(m?.quantity) || Number(maxDispenses) || 1,
+    dispensed: 0
+  }));
+}
+
+/**
+ * Ledger of a prescription, created from its record on first use
+ * @param {string} topicId - Prescription topic ID
+ * @param {Object} record - Prescription record ({ medications, maxDispenses }), used on first access
+ * @returns {Object|null} Ledger, or null when neither ledger nor record exist
+ */
+function getLedger(topicId, record = null) {
+  if (!dispenseLedgers.has(topicId)) {
+    if (!record) return null;
+    dispenseLedgers.set(topicId, { lines: buildLines(record.medications, record.maxDispenses), dispenses: [] });
+    persistence.markDirty();
+  }
+  return dispenseLedgers.get(topicId);
+}
+
+/**
+ * Drop a ledger so it is rebuilt from the (amended) record
+ * @param {string} topicId - Prescription topic ID
+ */
+function resetLedger(topicId) {
+  if (dispenseLedgers.delete(topicId)) persistence.markDirty();
+}
+
+/**
+ * Lines with their remaining quantity
+ * @param {Object} ledger - Ledger
+ * @returns {Array} [{ line, drugId, name, unit, prescribed, dispensed, remaining }]
+ */
+function summarizeLines(ledger) {
+  return (ledger?.lines || []).map(l => ({ ...l, remaining: Math.max(l.prescribed - l.dispensed, 0) }));
+}
+
+/**
+ * Whether every line has been fully dispensed
+ * @param {Object} ledger - Ledger
+ * @returns {boolean}
+ */
+function isComplete(ledger) {
+  return !!ledger && ledger.lines.length > 0 && ledger.lines.every(l => l.dispensed >= l.prescribed);
+}
+
+/**
+ * Default request when the pharmacist does not name lines: this visit's share of
+ * every open line (prescribed quantity spread over the allowed dispenses)
+ * @param {Object} ledger - Ledger
+ * @param {number} maxDispenses - Allowed dispenses
+ * @returns {Array} [{ line, quantity }]
+ */
+function defaultRequest(ledger, maxDispenses = 1) {
+  return summarizeLines(ledger)
+    .filter(l => l.remaining > 0)
+    .map(l => ({ line: l.line, quantity: Math.min(l.remaining, Math.ceil(l.prescribed / (Number(maxDispenses) || 1))) }));
+}
+
+function findLine(ledger, item, claimed) {
+  if (item.line !== undefined && item.line !== null) return ledger.lines[Number(item.line)] || null;
+  // By drug code: first line of that drug with quantity left
+  return ledger.lines.find(l => l.drugId === item.drugId && l.dispensed + (claimed.get(l.line) || 0) < l.prescribed)
+    || ledger.lines.find(l => l.drugId === item.drugId)
+    || null;
+}
+
+/**
+ * Check a dispense request against the remaining quantities, without recording it
+ * @param {Object} ledger - Ledger
+ * @param {Array} items - [{ line?, drugId?, quantity, substituteCode? }]
+ * @returns {Array} Resolved items [{ line, drugId, name, unit, quantity, substituteCode }]
+ */
+function resolveRequest(ledger, items) {
+  if (!Array.isArray(items) || items.length === 0) throw new DispenseError('At least one line must be dispensed');
+
+  const claimed = new Map(); // line -> quantity in this request
+  const substitutes = new Map(); // line -> product handed over instead of the prescribed one
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) throw new DispenseError('Quantities must be positive whole numbers');
+    const line = findLine(ledger, item, claimed);
+    if (!line) throw new DispenseError(`Unknown medication line: ${item.line ?? item.drugId}`);
+    const substituteCode = item.substituteCode || null;
+    if (claimed.has(line.line) && substitutes.get(line.line) !== substituteCode) {
+      throw new DispenseError(`Only one product can be handed over for ${line.name || line.drugId} at a time`);
+    }
+    claimed.set(line.line, (claimed.get(line.line) || 0) + quantity);
+    substitutes.set(line.line, substituteCode);
+  }
+
+  return [...claimed.entries()].map(([index, quantity]) => {
+    const line = ledger.lines[index];
+    const remaining = line.prescribed - line.dispensed;
+    if (quantity > remaining) {
+      throw new DispenseError(`Cannot dispense ${quantity} ${line.unit} of ${line.name || line.drugId}: ${remaining} remaining`, 409);
+    }
+    return { line: line.line, drugId: line.drugId, name: line.name, unit: line.unit, quantity, substituteCode: substitutes.get(index) };
+  });
+}
+
+/**
+ * Record a dispense
+ * @param {Object} ledger - Ledger
+ * @param {Array} items - Resolved items from resolveRequest, with `substitution` on substituted lines
+ * @param {Object} meta - { at, pharmacistIdHash, pharmacyOrgId, delegateId? }
+ * @returns {Object} { items, lines, complete }
+ */
+function recordDispense(ledger, items, { at = new Date().toISOString(), pharmacistIdHash = null, pharmacyOrgId = null, delegateId = null } = {}) {
+  for (const item of items) ledger.lines[item.line].dispensed += item.quantity;
+  ledger.dispenses.push({
+    at,
+    pharmacistIdHash,
+    pharmacyOrgId,
+    ...(delegateId ? { delegateId } : {}),
+    items: items.map(({ line, drugId, quantity, substitution }) => (substitution ? { line, drugId, quantity, substitution } : { line, drugId, quantity }))
+  });
+  persistence.markDirty();
+  return { items, lines: summarizeLines(ledger), complete: isComplete(ledger) };
+}
+
+/**
+ * Undo the most recent recordDispense (the dispense it belonged to was rolled back)
+ * @param {Object} ledger - Ledger
+ * @param {Array} items - Items passed to recordDispense
+ */
+function undoDispense(ledger, items) {
+  for (const item of items) ledger.lines[item.line].dispensed -= item.quantity;
+  ledger.dispenses.pop();
+  persistence.markDirty();
+}
+
+/**
+ * Items handed over at the most recent dispense
+ * @param {Object} ledger - Ledger
+ * @returns {Array|null} [{ line, drugId, quantity, substitution? }] or null if nothing was dispensed
+ */
+function lastDispense(ledger) {
+  const last = ledger?.dispenses?.[ledger.dispenses.length - 1];
+  return last ? last.items : null;
+}
+
+module.exports = {
+  DispenseError,
+  buildLines,
+  getLedger,
+  resetLedger,
+  summarizeLines,
+  isComplete,
+  defaultRequest,
+  resolveRequest,
+  recordDispense,
+  undoDispense,
+  lastDispense,
+  dispenseLedgers
+};
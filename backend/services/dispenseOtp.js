@@ -0,0 +1,201 @@
+/**
+ * Dispense One-Time Codes
+ *
+ * Patient-presence check at the pharmacy: a one-time code is sent to the
+ * patient's phone or email with the prescription, and the pharmacist types the
+ * code the patient (or their delegate) shows before dispensing. Enabled by the
+ * admin security policy (dispenseOtpRequired).
+ *
+ * Features:
+ * - Codes from utils/otp (hashed, single use), one outstanding code per prescription
+ * - Resend with a cooldown; a new code revokes the previous one
+ * - Lockout for DISPENSE_OTP_LOCKOUT_MINUTES after DISPENSE_OTP_MAX_ATTEMPTS wrong codes
+ * - A verified code is valid VERIFIED_TTL for the pharmacist who entered it and
+ *   is consumed by the dispense
+ * - State persisted through the shared persistence layer
+ */
+
+const { persistence } = require('./store');
+const { issueOtp, verifyOtp, revokeOtps } = require('../utils/otp');
+
+const RESEND_TTL_SECONDS = Number(process.env.OTP_TTL_SECONDS) || 300;
+const MAX_ATTEMPTS = Number(process.env.DISPENSE_OTP_MAX_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = Number(process.env.DISPENSE_OTP_LOCKOUT_MINUTES) || 15;
+const RESEND_COOLDOWN_SECONDS = 60;
+const VERIFIED_TTL = 15 * 60 * 1000; // 15 minutes
+
+// Code state per prescription - persisted to disk
+const dispenseOtps = new Map(); // topicId -> { prescriptionId, challengeToken, channel, sentAt, expiresAt, failures, lockedUntil, verifiedAt, verifiedUntil, verifiedBy }
+
+// Register for persistence
+persistence.register('dispenseOtps', dispenseOtps);
+
+class DispenseOtpError extends Error {
+  constructor(message, status = 400, code = 'DISPENSE_OTP', details = {}) {
+    super(message);
+    this.name = 'DispenseOtpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function isLocked(entry, now) {
+  return !!entry?.lockedUntil && Date.parse(entry.lockedUntil) > now.getTime();
+}
+
+/**
+ * Issue a new code for a prescription (the caller delivers it)
+ * @param {Object} prescription - { topicId, prescriptionId }
+ * @param {Object} options - { channel: 'email' | 'sms' | 'whatsapp', ttlSeconds, resend }
+ * @param {Date} now - Reference time
+ * @returns {Object} { otp, channel, sentAt, expiresAt }
+ */
+function sendCode({ topicId, prescriptionId }, { channel, ttlSeconds = RESEND_TTL_SECONDS, resend = false } = {}, now = new Date()) {
+  const previous = dispenseOtps.get(topicId);
+  if (isLocked(previous, now)) {
+    throw new DispenseOtpError('Too many wrong codes: try again later', 423, 'OTP_LOCKED', { lockedUntil: previous.lockedUntil });
+  }
+  if (resend && previous?.sentAt) {
+    const resendAt = Date.parse(previous.sentAt) + RESEND_COOLDOWN_SECONDS * 1000;
+    if (resendAt > now.getTime()) {
+      throw new DispenseOtpError('A code was just sent, wait before requesting another one', 429, 'OTP_RESEND_TOO_SOON', { resendAvailableAt: new Date(resendAt).toISOString() });
+    }
+  }
+
+  revokeOtps(prescriptionId);
+  const { token, otp } = issueOtp(prescriptionId, ttlSeconds);
+  const entry = {
+    prescriptionId,
+    challengeToken: token,
+    channel,
+    sentAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + ttlSeconds * 1000).toISOString(),
+    failures: 0,
+    lockedUntil: null,
+    verifiedAt: null,
+    verifiedUntil: null,
+    verifiedBy: null
+  };
+  dispenseOtps.set(topicId, entry);
+  persistence.markDirty();
+  return { otp, channel, sentAt: entry.sentAt, expiresAt: entry.expiresAt };
+}
+
+/**
+ * Check the code shown by the patient
+ * @param {string} topicId - Prescription topic ID
+ * @param {string} code - Code typed by the pharmacist
+ * @param {string} pharmacistIdHash - Pharmacist entering the code
+ * @param {Date} now - Reference time
+ * @returns {Object} { verifiedAt, verifiedUntil }
+ */
+function verifyCode(topicId, code, pharmacistIdHash, now = new Date()) {
+  const entry = dispenseOtps.get(topicId);
+  if (!entry?.challengeToken) {
+    throw new DispenseOtpError('No code is pending for this prescription: send one to the patient', 409, 'OTP_NOT_SENT');
+  }
+  if (isLocked(entry, now)) {
+    throw new DispenseOtpError('Too many wrong codes: try again later', 423, 'OTP_LOCKED', { lockedUntil: entry.lockedUntil });
+  }
+  if (Date.parse(entry.expiresAt) <= now.getTime()) {
+    throw new DispenseOtpError('The code has expired: send a new one to the patient', 410, 'OTP_EXPIRED');
+  }
+
+  if (!verifyOtp(entry.prescriptionId, entry.challengeToken, String(code || '').trim())) {
+    entry.failures += 1;
+    if (entry.failures >= MAX_ATTEMPTS) {
+      entry.lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000).toISOString();
+      entry.challengeToken = null;
+      revokeOtps(entry.prescriptionId);
+      persistence.markDirty();
+      console.warn(`[DISPENSE OTP] ${entry.prescriptionId} locked after ${entry.failures} wrong codes`);
+      throw new DispenseOtpError('Too many wrong codes: try again later', 423, 'OTP_LOCKED', { lockedUntil: entry.lockedUntil });
+    }
+    persistence.markDirty();
+    throw new DispenseOtpError('Invalid code', 401, 'OTP_INVALID', { attemptsLeft: MAX_ATTEMPTS - entry.failures });
+  }
+
+  entry.challengeToken = null;
+  entry.failures = 0;
+  entry.verifiedAt = now.toISOString();
+  entry.verifiedUntil = new Date(now.getTime() + VERIFIED_TTL).toISOString();
+  entry.verifiedBy = pharmacistIdHash;
+  persistence.markDirty();
+  console.log(`[DISPENSE OTP] Patient presence confirmed on ${entry.prescriptionId}`);
+  return { verifiedAt: entry.verifiedAt, verifiedUntil: entry.verifiedUntil };
+}
+
+/**
+ * Verified, unexpired code of a prescription, entered by the given pharmacist
+ * @param {string} topicId - Prescription topic ID
+ * @param {string} pharmacistIdHash - Pharmacist about to dispense
+ * @param {Date} now - Reference time
+ * @returns {Object} Code state
+ */
+function assertVerified(topicId, pharmacistIdHash, now = new Date()) {
+  const entry = dispenseOtps.get(topicId);
+  if (!entry?.verifiedUntil || entry.verifiedBy !== pharmacistIdHash || Date.parse(entry.verifiedUntil) < now.getTime()) {
+    throw new DispenseOtpError('Enter the code sent to the patient before dispensing', 428, 'PATIENT_OTP_REQUIRED');
+  }
+  return entry;
+}
+
+/**
+ * Use up the verified code before the dispense is recorded (the next visit needs a new code)
+ * @param {string} topicId - Prescription topic ID
+ * @returns {Object|null} Consumed code state, for restore() if the dispense is rolled back
+ */
+function consume(topicId) {
+  const entry = dispenseOtps.get(topicId) || null;
+  if (dispenseOtps.delete(topicId)) persistence.markDirty();
+  return entry;
+}
+
+/**
+ * Put back a code consumed by a dispense that was rolled back
+ * @param {string} topicId - Prescription topic ID
+ * @param {Object|null} entry - consume() result
+ */
+function restore(topicId, entry) {
+  if (!entry || dispenseOtps.has(topicId)) return; // a newer code wins
+  dispenseOtps.set(topicId, entry);
+  persistence.markDirty();
+}
+
+/**
+ * Code state of a prescription, for the pharmacist's screen (never the code itself)
+ * @param {string} topicId - Prescription topic ID
+ * @param {Date} now - Reference time
+ * @returns {Object} { sent, channel, sentAt, expiresAt, resendAvailableAt, attemptsLeft, lockedUntil, verified, verifiedUntil }
+ */
+function statusOf(topicId, now = new Date()) {
+  const entry = dispenseOtps.get(topicId);
+  if (!entry) return { sent: false, verified: false, attemptsLeft: MAX_ATTEMPTS };
+  const verified = !!entry.verifiedUntil && Date.parse(entry.verifiedUntil) >= now.getTime();
+  return {
+    sent: !!entry.challengeToken && Date.parse(entry.expiresAt) > now.getTime(),
+    channel: entry.channel || null,
+    sentAt: entry.sentAt,
+    expiresAt: entry.expiresAt,
+    resendAvailableAt: new Date(Date.parse(entry.sentAt) + RESEND_COOLDOWN_SECONDS * 1000).toISOString(),
+    attemptsLeft: Math.max(MAX_ATTEMPTS - entry.failures, 0),
+    lockedUntil: isLocked(entry, now) ? entry.lockedUntil : null,
+    verified,
+    verifiedUntil: verified ? entry.verifiedUntil : null
+  };
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  LOCKOUT_MINUTES,
+  RESEND_COOLDOWN_SECONDS,
+  DispenseOtpError,
+  sendCode,
+  verifyCode,
+  assertVerified,
+  consume,
+  restore,
+  statusOf,
+  dispenseOtps
+};
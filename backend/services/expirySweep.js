@@ -0,0 +1,69 @@
+/**
+ * Prescription Expiry Sweep
+ *
+ * Scheduled job that moves prescriptions past their validity date, and not
+ * fully dispensed, to the 'expired' state. Expired prescriptions are kept in
+ * the store and indexes so they stay queryable for audit.
+ *
+ * Features:
+ * - Periodic sweep (EXPIRY_SWEEP_INTERVAL_MS, default hourly) plus one run at startup
+ * - Lapsed topics found through the lifecycle module (cancelled and fully
+ *   dispensed prescriptions are never expired)
+ * - Per-topic handler supplied by the server (signed 'expired' event, audit log,
+ *   patient and doctor notifications); one failing topic does not stop the sweep
+ * - Overlapping runs are skipped
+ */
+
+const lifecycle = require('./prescriptionLifecycle');
+
+const EXPIRY_SWEEP_INTERVAL = Number(process.env.EXPIRY_SWEEP_INTERVAL_MS) || 60 * 60 * 1000; // 1 hour
+
+let running = false;
+
+/**
+ * Expire every lapsed prescription
+ * @param {Function} expire - async (topicId, now) => void; records the expiry of one topic
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { expired: [topicId], failed: [{ topicId, error }] }
+ */
+async function runExpirySweep(expire, now = new Date()) {
+  const result = { expired: [], failed: [] };
+  if (running) return result;
+  running = true;
+  try {
+    for (const topicId of lifecycle.findLapsed(now)) {
+      try {
+        await expire(topicId, now);
+        result.expired.push(topicId);
+      } catch (err) {
+        console.error(`[EXPIRY] Failed to expire ${topicId}:`, err.message);
+        result.failed.push({ topicId, error: err.message });
+      }
+    }
+    if (result.expired.length || result.failed.length) {
+      console.log(`[EXPIRY] Sweep complete: ${result.expired.length} expired, ${result.failed.length} failed`);
+    }
+  } finally {
+    running = false;
+  }
+  return result;
+}
+
+/**
+ * Start the periodic expiry sweep
+ * @param {Function} expire - Per-topic handler (see runExpirySweep)
+ * @returns {Object} Interval ID
+ */
+function startExpirySweep(expire) {
+  const run = () => runExpirySweep(expire).catch(err => console.error('[EXPIRY] Sweep error:', err.message));
+  run();
+  const intervalId = setInterval(run, EXPIRY_SWEEP_INTERVAL);
+  console.log(`[EXPIRY] Expiry sweep started (every ${EXPIRY_SWEEP_INTERVAL / 1000}s)`);
+  return intervalId;
+}
+
+module.exports = {
+  EXPIRY_SWEEP_INTERVAL,
+  runExpirySweep,
+  startExpirySweep
+};
@@ -1,4 +1,4 @@
-const { drainQueue, isOnline, pruneExpired } = require('./store');
+const { drainQueue, isOnline } = require('./store');
 
 async function submitTopicMessage(topicId, messageBuffer) {
   // TODO: integrate Hedera SDK TopicMessageSubmitTransaction
@@ -10,7 +10,6 @@ function queueSyncLoop() {
   setInterval(async () => {
     if (!isOnline()) return;
     await drainQueue((topicId, message) => submitTopicMessage(topicId, message));
-    pruneExpired();
   }, 5000);
 }
 
@@ -0,0 +1,191 @@
+/**
+ * Idempotency Keys
+ *
+ * Safe retries for mutating routes: a client sends the same `Idempotency-Key`
+ * header when it retries a POST / PUT / PATCH / DELETE (flaky connection, offline
+ * queue replay) and gets the stored response back instead of issuing, paying or
+ * dispensing a second time.
+ *
+ * Features:
+ * - Keys scoped to the caller (user, API client or API key) so one caller can never replay another's response
+ * - Request fingerprint (method, path, body): reusing a key for a different request is refused (422)
+ * - A retry arriving while the first request is still running is refused (409) instead of running twice
+ * - Only successful (2xx) responses are stored: errors leave no side effect, so their retries run again
+ * - Stored responses kept IDEMPOTENCY_TTL_HOURS, flushed to disk as soon as they are recorded
+ * - Authentication routes are excluded (their responses carry credentials)
+ */
+
+const crypto = require('crypto');
+const { persistence } = require('./store');
+const { decodeAccessToken } = require('../utils/auth');
+
+const HEADER = 'Idempotency-Key';
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+const MAX_KEY_LENGTH = 255;
+// Login, token refresh, 2FA and patient sign-in responses carry tokens, and API client
+// registration returns the client's key and secret: none of these may be stored
+const EXCLUDED_PATHS = [/^\/api\/(login|logout|token\/|oauth\/|2fa\/)/, /^\/api\/patient\/(otp\/|logout)/, /^\/api\/admin\/api-clients\/?$/];
+
+// Completed requests - persisted to disk (flushed on every record)
+const idempotencyKeys = new Map(); // 'user:12:<key>' -> { fingerprint, method, path, status, contentType, body | bodyBase64, createdAt, expiresAt }
+
+// Register for persistence
+persistence.register('idempotencyKeys', idempotencyKeys);
+
+// Requests still running (memory only: a crash mid-request lets the retry run again)
+const inFlight = new Map(); // scoped key -> { fingerprint, startedAt }
+const IN_FLIGHT_TIMEOUT = 5 * 60 * 1000; // a request that never answered stops blocking its key
+
+function getTtlMs() {
+  return Number(process.env.IDEMPOTENCY_TTL_HOURS || 24) * 60 * 60 * 1000;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+// JSON with sorted object keys, so the same body always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Who a request comes from, for key scoping (checked again by the route's own authorization)
+ * @param {Object} req - Express request
+ * @returns {string} 'user:<sub>', 'client:<id>', 'apikey:<hash>' or 'anonymous:<ip>'
+ */
+function callerScope(req) {
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) return `apikey:${sha256(apiKey).slice(0, 16)}`;
+  const { user } = decodeAccessToken(req);
+  if (user?.clientId) return `client:${user.clientId}`;
+  if (user?.sub !== undefined) return `user:${user.sub}`;
+  return `anonymous:${req.ip}`;
+}
+
+/**
+ * Fingerprint of a request: what a replayed key must match
+ * @param {Object} request - { method, path, body }
+ * @returns {string} SHA-256 hex
+ */
+function fingerprintOf({ method, path, body }) {
+  return sha256(`${method} ${path}\n${canonicalJson(body || {})}`);
+}
+
+function prune(now) {
+  for (const [key, entry] of idempotencyKeys) {
+    if (entry.expiresAt <= now) idempotencyKeys.delete(key);
+  }
+}
+
+/**
+ * Start handling a keyed request
+ * @param {string} scopedKey - Caller scope + key
+ * @param {string} fingerprint - Request fingerprint
+ * @param {number} now - Reference time (ms)
+ * @returns {Object} { action: 'run' } | { action: 'replay', entry } | { action: 'conflict', status, code, message }
+ */
+function begin(scopedKey, fingerprint, now = Date.now()) {
+  const entry = idempotencyKeys.get(scopedKey);
+  if (entry && entry.expiresAt > now) {
+    if (entry.fingerprint !== fingerprint) {
+      return { action: 'conflict', status: 422, code: 'IDEMPOTENCY_KEY_REUSED', message: `This ${HEADER} was already used for a different request` };
+    }
+    return { action: 'replay', entry };
+  }
+  const running = inFlight.get(scopedKey);
+  if (running && now - running.startedAt < IN_FLIGHT_TIMEOUT) {
+    if (running.fingerprint !== fingerprint) {
+      return { action: 'conflict', status: 422, code: 'IDEMPOTENCY_KEY_REUSED', message: `This ${HEADER} was already used for a different request` };
+    }
+    return { action: 'conflict', status: 409, code: 'IDEMPOTENCY_IN_PROGRESS', message: 'The original request is still being processed: retry shortly' };
+  }
+  inFlight.set(scopedKey, { fingerprint, startedAt: now });
+  return { action: 'run' };
+}
+
+/**
+ * Finish a keyed request: store successful responses for replay
+ * @param {string} scopedKey - Caller scope + key
+ * @param {Object} response - { fingerprint, method, path, status, contentType, body | bodyBase64 }
+ * @param {number} now - Reference time (ms)
+ */
+function complete(scopedKey, { fingerprint, method, path, status, contentType, body, bodyBase64 }, now = Date.now()) {
+  inFlight.delete(scopedKey);
+  if (status < 200 || status >= 300) return;
+  prune(now);
+  idempotencyKeys.set(scopedKey, { fingerprint, method, path, status, contentType, body, bodyBase64, createdAt: now, expiresAt: now + getTtlMs() });
+  persistence.markDirty();
+  persistence.flush('idempotencyKeys');
+}
+
+/**
+ * Express middleware honoring the Idempotency-Key header on mutating routes (mount before the routes)
+ * @returns {Function} Middleware
+ */
+function idempotency() {
+  return (req, res, next) => {
+    const key = req.get(HEADER);
+    if (!key || !MUTATING_METHODS.has(req.method) || EXCLUDED_PATHS.some(re => re.test(req.path))) return next();
+    if (key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+      return res.status(400).json({ success: false, code: 'INVALID_IDEMPOTENCY_KEY', message: `${HEADER} must be 1-${MAX_KEY_LENGTH} printable characters` });
+    }
+
+    const scopedKey = `${callerScope(req)}:${key}`;
+    const request = { method: req.method, path: req.path, body: req.body };
+    const fingerprint = fingerprintOf(request);
+    const decision = begin(scopedKey, fingerprint);
+
+    if (decision.action === 'conflict') {
+      if (decision.status === 409) res.set('Retry-After', '2');
+      return res.status(decision.status).json({ success: false, code: decision.code, message: decision.message });
+    }
+    if (decision.action === 'replay') {
+      const { entry } = decision;
+      console.log(`[IDEMPOTENCY] Replaying ${entry.method} ${entry.path} (${entry.status})`);
+      res.set('Idempotent-Replayed', 'true');
+      if (entry.contentType) res.set('Content-Type', entry.contentType);
+      return res.status(entry.status).send(entry.bodyBase64 ? Buffer.from(entry.bodyBase64, 'base64') : entry.body);
+    }
+
+    // Record what the route sends as soon as it sends it: the client may already be gone,
+    // and the retry must still get this response instead of running the route again
+    let depth = 0;
+    let sent;
+    const send = res.send.bind(res);
+    res.send = (payload) => {
+      sent = payload; // res.json / res.send(object) end up in a nested send with the serialized body
+      depth += 1;
+      try {
+        return send(payload);
+      } finally {
+        depth -= 1;
+        if (depth === 0) {
+          complete(scopedKey, {
+            method: request.method,
+            path: request.path,
+            fingerprint,
+            status: res.statusCode,
+            contentType: res.get('Content-Type') || null,
+            ...(Buffer.isBuffer(sent) ? { bodyBase64: sent.toString('base64') } : { body: typeof sent === 'string' ? sent : JSON.stringify(sent ?? null) })
+          });
+        }
+      }
+    };
+    next();
+  };
+}
+
+module.exports = {
+  HEADER,
+  idempotency,
+  callerScope,
+  fingerprintOf,
+  begin,
+  complete,
+  idempotencyKeys
+};
@@ -0,0 +1,178 @@
+/**
+ * Identifier Service
+ *
+ * Human-readable business identifiers, unique across restarts and instances:
+ * RX-YYYYMMDD-NNNNN-C for prescriptions and INV-YYYYMMDD-NNNNN-C for invoices,
+ * where NNNNN is a daily sequence and C a Luhn check digit that catches typos
+ * when an ID is typed at the counter.
+ *
+ * Features:
+ * - Daily sequences reserved in blocks; a block is flushed to disk before any of
+ *   its numbers is handed out, so a restart never reuses a sequence (it may skip some)
+ * - Several instances share the sequence space without coordination: instance i of n
+ *   (ID_INSTANCE_INDEX / ID_INSTANCE_COUNT) only hands out sequences ≡ i + 1 (mod n)
+ * - Check digit validation and normalization of typed IDs (case, spaces, missing dashes)
+ */
+
+const { persistence } = require('./store');
+
+const PREFIXES = { prescription: 'RX', invoice: 'INV' };
+const BLOCK_SIZE = 20;
+const MAX_SEQUENCE = 99999;
+const RETENTION_DAYS = 7; // reserved counters kept for past days (clock corrections)
+const ID_PATTERN = /^([A-Z]+)-(\d{8})-(\d{5})-(\d)$/;
+
+// Reserved sequences - persisted to disk (flushed on every reservation)
+const identifierSequences = new Map(); // 'RX-20250301' -> last reserved local counter
+
+// Register for persistence
+persistence.register('identifierSequences', identifierSequences);
+
+// Block being consumed by this process
+const blocks = new Map(); // 'RX-20250301' -> { next, end }
+
+class IdentifierError extends Error {
+  constructor(message, status = 500, code = 'IDENTIFIER') {
+    super(message);
+    this.name = 'IdentifierError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function instanceConfig() {
+  const count = Math.max(Number(process.env.ID_INSTANCE_COUNT) || 1, 1);
+  const index = Number(process.env.ID_INSTANCE_INDEX) || 0;
+  if (index < 0 || index >= count) throw new IdentifierError(`ID_INSTANCE_INDEX must be between 0 and ${count - 1}`);
+  return { count, index };
+}
+
+function dateKey(now) {
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${year}${month}${day}`;
+}
+
+/**
+ * Luhn check digit of a digit string
+ * @param {string} digits - e.g. date + sequence
+ * @returns {string} Single digit
+ */
+function checkDigit(digits) {
+  let sum = 0;
+  // Double every second digit starting from the rightmost one (the check digit goes after it)
+  for (let i = digits.length - 1, double = true; i >= 0; i--, double = !double) {
+    let d = Number(digits[i]);
+    if (double) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+function reserveBlock(key, now) {
+  const start = identifierSequences.get(key) || 0;
+  identifierSequences.set(key, start + BLOCK_SIZE);
+
+  const oldest = dateKey(new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000));
+  for (const existing of identifierSequences.keys()) {
+    if (existing.split('-')[1] < oldest) identifierSequences.delete(existing);
+  }
+  for (const existing of blocks.keys()) {
+    if (existing.split('-')[1] < oldest) blocks.delete(existing);
+  }
+
+  persistence.markDirty();
+  persistence.flush('identifierSequences');
+  const block = { next: start, end: start + BLOCK_SIZE };
+  blocks.set(key, block);
+  return block;
+}
+
+/**
+ * Next identifier with the given prefix
+ * @param {string} prefix - 'RX', 'INV'
+ * @param {Date} now - Issue time (its local date goes into the ID)
+ * @returns {string} e.g. 'RX-20250301-00042-5'
+ */
+function nextId(prefix, now = new Date()) {
+  const { count, index } = instanceConfig();
+  const date = dateKey(now);
+  const key = `${prefix}-${date}`;
+  let block = blocks.get(key);
+  if (!block || block.next >= block.end) block = reserveBlock(key, now);
+
+  const sequence = block.next * count + index + 1;
+  if (sequence > MAX_SEQUENCE) {
+    throw new IdentifierError(`No ${prefix} identifiers left for ${date}`, 503, 'ID_SPACE_EXHAUSTED');
+  }
+  block.next += 1;
+
+  const digits = `${date}${String(sequence).padStart(5, '0')}`;
+  return `${key}-${digits.slice(8)}-${checkDigit(digits)}`;
+}
+
+/**
+ * Next prescription ID
+ * @param {Date} now - Issue time
+ * @returns {string} 'RX-YYYYMMDD-NNNNN-C'
+ */
+function nextPrescriptionId(now = new Date()) {
+  return nextId(PREFIXES.prescription, now);
+}
+
+/**
+ * Next invoice ID
+ * @param {Date} now - Issue time
+ * @returns {string} 'INV-YYYYMMDD-NNNNN-C'
+ */
+function nextInvoiceId(now = new Date()) {
+  return nextId(PREFIXES.invoice, now);
+}
+
+/**
+ * Canonical form of an ID as typed (case, spaces, missing dashes); other values are returned trimmed
+ * @param {string} value - ID typed or scanned
+ * @returns {string}
+ */
+function normalizeId(value) {
+  const compact = String(value || '').trim().toUpperCase().replace(/\s+/g, '');
+  const bare = compact.replace(/-/g, '').match(/^(RX|INV)(\d{8})(\d{5})(\d)$/);
+  return bare ? `${bare[1]}-${bare[2]}-${bare[3]}-${bare[4]}` : String(value || '').trim();
+}
+
+/**
+ * Whether a value has the shape of a generated ID (whatever its check digit)
+ * @param {string} id - Normalized ID
+ * @returns {boolean}
+ */
+function isGeneratedId(id) {
+  return ID_PATTERN.test(String(id || ''));
+}
+
+/**
+ * Whether a generated ID carries the right check digit
+ * @param {string} id - Normalized ID
+ * @returns {boolean}
+ */
+function isValidId(id) {
+  const match = String(id || '').match(ID_PATTERN);
+  return !!match && checkDigit(`${match[2]}${match[3]}`) === match[4];
+}
+
+module.exports = {
+  PREFIXES,
+  BLOCK_SIZE,
+  IdentifierError,
+  checkDigit,
+  nextId,
+  nextPrescriptionId,
+  nextInvoiceId,
+  normalizeId,
+  isGeneratedId,
+  isValidId,
+  identifierSequences
+};
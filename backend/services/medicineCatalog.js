@@ -0,0 +1,213 @@
+/**
+ * Medicine Catalog
+ *
+ * Read-only view of data/medicines.json indexed by product code, used at the
+ * pharmacy counter to offer and check generic substitutions.
+ *
+ * Features:
+ * - Product summary: DCI, strength, form, princeps/generic, public price (PPV),
+ *   reimbursement basis (PRIX_BR) and reimbursement rate
+ * - Generic equivalents: same DCI, strength and form as the prescribed product
+ * - Substitution check: refused when the doctor marked the line "non substituable"
+ *   or the product is not an equivalent generic
+ * - Price difference and reimbursement of a substituted line
+ * - Controlled substance flag (stupéfiant / psychotrope) from data/controlled-substances.json,
+ *   set when any DCI component is listed; narcotics take precedence
+ */
+
+let catalog = null; // code -> product summary
+let groups = null; // 'DCI|strength|form' -> [product summary]
+let controlledByDci = null; // DCI -> { class, label }
+
+class SubstitutionError extends Error {
+  constructor(message, status = 400, code = 'SUBSTITUTION_REFUSED') {
+    super(message);
+    this.name = 'SubstitutionError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function normalize(value) {
+  return String(value ?? '').trim().toUpperCase();
+}
+
+function loadControlled() {
+  if (controlledByDci) return controlledByDci;
+  controlledByDci = new Map();
+  const { classes = {} } = require('../data/controlled-substances.json');
+  // Narcotics last so they override a psychotropic listing of the same DCI
+  for (const cls of Object.keys(classes).sort((a, b) => (a === 'narcotic') - (b === 'narcotic'))) {
+    for (const dci of classes[cls].dci || []) controlledByDci.set(normalize(dci), { class: cls, label: classes[cls].label });
+  }
+  return controlledByDci;
+}
+
+/**
+ * Controlled substance class of a DCI (combinations: strictest component)
+ * @param {string} dci - DCI, components separated by '/'
+ * @returns {Object|null} { class: 'narcotic' | 'psychotropic', label }
+ */
+function controlledClassOf(dci) {
+  const listed = normalize(dci).split('/').map(part => loadControlled().get(part.trim())).filter(Boolean);
+  return listed.find(c => c.class === 'narcotic') || listed[0] || null;
+}
+
+function rateOf(value) {
+  const rate = Number(String(value ?? '').replace('%', ''));
+  return Number.isFinite(rate) ? rate : 0;
+}
+
+/**
+ * Summary of a catalog row
+ * @param {Object} row - medicines.json row ({ name, code, raw })
+ * @returns {Object} { code, name, dci, strength, form, presentation, type, price, reimbursementBase, rate, controlled }
+ */
+function summarize(row) {
+  const raw = row.raw || {};
+  const price = Number(raw.PPV) || 0;
+  return {
+    code: String(row.code || raw.CODE),
+    name: row.name || raw.NOM,
+    dci: normalize(raw.DCI1) || null,
+    strength: raw.DOSAGE1 ? `${raw.DOSAGE1} ${raw.UNITE_DOSAGE1 || ''}`.trim() : null,
+    form: normalize(raw.FORME) || null,
+    presentation: raw.PRESENTATION || null,
+    type: raw.PRINCEPS_GENERIQUE === 'G' ? 'generic' : 'princeps',
+    price,
+    reimbursementBase: Number(raw.PRIX_BR) || price,
+    rate: rateOf(raw.TAUX_REMBOURSEMENT),
+    controlled: controlledClassOf(raw.DCI1)
+  };
+}
+
+function equivalenceKey(product) {
+  if (!product.dci || !product.strength || !product.form) return null;
+  return `${product.dci}|${normalize(product.strength)}|${product.form}`;
+}
+
+function load() {
+  if (catalog) return;
+  let rows = [];
+  try {
+    rows = require('../data/medicines.json') || [];
+  } catch (e) {
+    console.warn('[CATALOG] medicines.json not available:', e.message);
+  }
+
+  catalog = new Map();
+  groups = new Map();
+  for (const row of rows) {
+    if (!row?.code || catalog.has(String(row.code))) continue;
+    const product = summarize(row);
+    catalog.set(product.code, product);
+    const key = equivalenceKey(product);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(product);
+  }
+}
+
+/**
+ * Get a product by code
+ * @param {string} code - Product code
+ * @returns {Object|null} Product summary
+ */
+function getProduct(code) {
+  load();
+  return catalog.get(String(code || '').trim()) || null;
+}
+
+/**
+ * Controlled substance class of a prescribed medication line
+ * @param {Object} medication - Prescription medication ({ code })
+ * @returns {Object|null} { class, label }, null for ordinary medicines
+ */
+function controlledClass(medication) {
+  return getProduct(medication?.code)?.controlled || null;
+}
+
+/**
+ * Generics that can replace a product: same DCI, strength and form, cheapest first
+ * @param {string} code - Prescribed product code
+ * @returns {Array} Product summaries (never the product itself)
+ */
+function findGenerics(code) {
+  const product = getProduct(code);
+  const key = product && equivalenceKey(product);
+  if (!key) return [];
+  return groups.get(key)
+    .filter(p => p.type === 'generic' && p.code !== product.code)
+    .sort((a, b) => a.price - b.price || a.name.localeCompare(b.name));
+}
+
+/**
+ * Substitution options of a prescribed medication line
+ * @param {Object} medication - Prescription medication ({ code, nonSubstitutable })
+ * @returns {Object} { allowed, reason, generics }
+ */
+function substitutionOptions(medication) {
+  if (medication?.nonSubstitutable) return { allowed: false, reason: 'non_substitutable', generics: [] };
+  const generics = findGenerics(medication?.code);
+  return { allowed: generics.length > 0, reason: generics.length ? null : 'no_equivalent', generics };
+}
+
+/**
+ * Check a substitution and price it per box
+ * @param {Object} medication - Prescribed medication line ({ code, name, nonSubstitutable })
+ * @param {string} substituteCode - Code of the product handed over instead
+ * @returns {Object} { prescribedCode, prescribedName, code, name, unitPrice, prescribedUnitPrice, priceDifference, reimbursementBase, rate }
+ */
+function resolveSubstitution(medication, substituteCode) {
+  if (medication?.nonSubstitutable) {
+    throw new SubstitutionError(`${medication.name || medication.code} is marked "non substituable" by the prescriber`, 409);
+  }
+  const prescribed = getProduct(medication?.code);
+  if (!prescribed) throw new SubstitutionError(`Prescribed product ${medication?.code || medication?.name} is not in the catalog`);
+
+  const substitute = findGenerics(prescribed.code).find(p => p.code === String(substituteCode));
+  if (!substitute) {
+    throw new SubstitutionError(`${substituteCode} is not a generic of ${prescribed.name} (same DCI, strength and form)`);
+  }
+
+  return {
+    prescribedCode: prescribed.code,
+    prescribedName: prescribed.name,
+    code: substitute.code,
+    name: substitute.name,
+    unitPrice: substitute.price,
+    prescribedUnitPrice: prescribed.price,
+    priceDifference: Number((substitute.price - prescribed.price).toFixed(2)),
+    reimbursementBase: substitute.reimbursementBase,
+    rate: substitute.rate
+  };
+}
+
+/**
+ * Amounts of a substituted line: price of the product handed over, covered part
+ * computed on its reimbursement basis
+ * @param {Object} substitution - Result of resolveSubstitution
+ * @param {number} boxes - Boxes handed over
+ * @returns {Object} { amount, covered, patient, priceDifference }
+ */
+function priceSubstitution(substitution, boxes = 1) {
+  const amount = Number((substitution.unitPrice * boxes).toFixed(2));
+  const covered = Number((Math.min(substitution.reimbursementBase, substitution.unitPrice) * boxes * substitution.rate / 100).toFixed(2));
+  return {
+    amount,
+    covered,
+    patient: Number(Math.max(amount - covered, 0).toFixed(2)),
+    priceDifference: Number((substitution.priceDifference * boxes).toFixed(2))
+  };
+}
+
+module.exports = {
+  SubstitutionError,
+  getProduct,
+  controlledClassOf,
+  controlledClass,
+  findGenerics,
+  substitutionOptions,
+  resolveSubstitution,
+  priceSubstitution
+};
@@ -0,0 +1,202 @@
+/**
+ * Organization (Tenant) Directory Service
+ *
+ * Clinics, pharmacies and pharmacy chains that users belong to.
+ * Prescriptions, payments, dispenses and admin log queries are scoped to the
+ * caller's organization; the superadmin role sees across all tenants.
+ *
+ * Features:
+ * - Organization types: clinic, pharmacy, pharmacy_chain
+ * - Pharmacy chains see the activity of their member pharmacies
+ * - Tenant scope resolution from JWT claims
+ * - Persisted through the shared persistence layer
+ */
+
+const { persistence } = require('./store');
+
+// Organizations directory - persisted to disk
+const organizations = new Map(); // orgId -> { id, name, type, parentId, city, disabled, createdAt, updatedAt }
+
+// Register for persistence
+persistence.register('organizations', organizations);
+
+const ORG_TYPES = ['clinic', 'pharmacy', 'pharmacy_chain'];
+const SUPERADMIN_ROLE = 'superadmin';
+
+// Demo tenants seeded on first start (keys are referenced by the default user seed)
+const DEFAULT_ORGANIZATIONS = [
+  { key: 'clinic', name: 'AtlasCare Demo Clinic', type: 'clinic', city: 'Casablanca' },
+  { key: 'pharmacy', name: 'AtlasCare Demo Pharmacy', type: 'pharmacy', city: 'Casablanca' },
+];
+
+class OrganizationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OrganizationError';
+    this.status = status;
+  }
+}
+
+function nextOrgId() {
+  let max = 0;
+  for (const org of organizations.values()) {
+    if (Number(org.id) > max) max = Number(org.id);
+  }
+  return max + 1;
+}
+
+/**
+ * Get an organization by ID
+ * @param {number|string} id - Organization ID
+ * @returns {Object|null} Organization record
+ */
+function getOrganization(id) {
+  if (id === undefined || id === null || id === '') return null;
+  return organizations.get(Number(id)) || null;
+}
+
+/**
+ * List organizations, optionally restricted to a set of IDs
+ * @param {Array|null} orgIds - Allowed IDs (null = all)
+ * @returns {Array} Organizations sorted by ID
+ */
+function listOrganizations(orgIds = null) {
+  return Array.from(organizations.values())
+    .filter(org => !orgIds || orgIds.includes(org.id))
+    .sort((a, b) => a.id - b.id);
+}
+
+function validateParent(type, parentId) {
+  if (parentId === undefined || parentId === null) return null;
+  if (type !== 'pharmacy') throw new OrganizationError('Only pharmacies can belong to a pharmacy chain');
+  const parent = getOrganization(parentId);
+  if (!parent) throw new OrganizationError('Parent organization not found', 404);
+  if (parent.type !== 'pharmacy_chain') throw new OrganizationError('Parent organization must be a pharmacy chain');
+  return parent.id;
+}
+
+/**
+ * Create an organization
+ * @param {Object} data - { name, type, parentId, city }
+ * @returns {Object} Organization record
+ */
+function createOrganization({ name, type, parentId = null, city }) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new OrganizationError('Organization name is required');
+  if (!ORG_TYPES.includes(type)) throw new OrganizationError(`Invalid organization type: ${type}`);
+  const lower = trimmed.toLowerCase();
+  if (listOrganizations().some(org => org.name.toLowerCase() === lower)) {
+    throw new OrganizationError('Organization already exists', 409);
+  }
+
+  const now = new Date().toISOString();
+  const org = {
+    id: nextOrgId(),
+    name: trimmed,
+    type,
+    parentId: validateParent(type, parentId),
+    city: city || undefined,
+    disabled: false,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  organizations.set(org.id, org);
+  persistence.markDirty();
+  console.log(`[ORGS] Created ${type}: ${trimmed} (#${org.id})`);
+
+  return org;
+}
+
+/**
+ * Update name, city, chain membership or disabled flag
+ * @param {number|string} id - Organization ID
+ * @param {Object} changes - { name, city, parentId, disabled }
+ * @returns {Object} Organization record
+ */
+function updateOrganization(id, changes = {}) {
+  const org = getOrganization(id);
+  if (!org) throw new OrganizationError('Organization not found', 404);
+
+  if (changes.name !== undefined) {
+    const trimmed = String(changes.name).trim();
+    if (!trimmed) throw new OrganizationError('Organization name is required');
+    org.name = trimmed;
+  }
+  if (changes.city !== undefined) org.city = changes.city || undefined;
+  if (changes.parentId !== undefined) org.parentId = validateParent(org.type, changes.parentId);
+  if (changes.disabled !== undefined) org.disabled = !!changes.disabled;
+
+  org.updatedAt = new Date().toISOString();
+  persistence.markDirty();
+
+  return org;
+}
+
+/**
+ * IDs visible from an organization: itself, plus member pharmacies for a chain
+ * @param {number|string} orgId - Organization ID
+ * @returns {number[]} Organization IDs
+ */
+function getScopeOrgIds(orgId) {
+  const org = getOrganization(orgId);
+  if (!org) return [];
+  const ids = [org.id];
+  if (org.type === 'pharmacy_chain') {
+    for (const member of organizations.values()) {
+      if (member.parentId === org.id) ids.push(member.id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Resolve the tenant scope of an authenticated user (decoded JWT)
+ * @param {Object} user - { role, orgId }
+ * @returns {number[]|null} Visible organization IDs, or null for the cross-tenant superadmin view
+ */
+function resolveTenantScope(user) {
+  if (user?.role === SUPERADMIN_ROLE) return null;
+  return user?.orgId ? getScopeOrgIds(user.orgId) : [];
+}
+
+/**
+ * Whether any of the given owner organizations falls inside a tenant scope.
+ * Records without an owner (created before tenancy) are only visible cross-tenant.
+ * @param {number[]|null} scope - Result of resolveTenantScope
+ * @param {...(number|string|null)} ownerOrgIds - Owning organization IDs of a record
+ * @returns {boolean}
+ */
+function isInScope(scope, ...ownerOrgIds) {
+  if (scope === null) return true;
+  return ownerOrgIds.some(id => id !== undefined && id !== null && scope.includes(Number(id)));
+}
+
+/**
+ * Seed the demo tenants when the directory is empty (first start)
+ * @returns {Object} Map of seed key -> organization ID (empty if already seeded)
+ */
+function seedDefaultOrganizations() {
+  if (organizations.size > 0) return {};
+  const ids = {};
+  for (const { key, ...data } of DEFAULT_ORGANIZATIONS) {
+    ids[key] = createOrganization(data).id;
+  }
+  console.log(`[ORGS] Seeded ${DEFAULT_ORGANIZATIONS.length} default organizations`);
+  return ids;
+}
+
+module.exports = {
+  ORG_TYPES,
+  SUPERADMIN_ROLE,
+  OrganizationError,
+  getOrganization,
+  listOrganizations,
+  createOrganization,
+  updateOrganization,
+  getScopeOrgIds,
+  resolveTenantScope,
+  isInScope,
+  seedDefaultOrganizations,
+  organizations
+};
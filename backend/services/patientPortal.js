@@ -0,0 +1,186 @@
+/**
+ * Patient Portal
+ *
+ * Lets patients follow their own prescriptions: sign-in with a one-time code sent
+ * to the phone number or email address the doctor recorded on the prescription.
+ * Patients have no account; the session identifies them by a salted hash of that
+ * contact, and only prescriptions carrying the same contact are visible.
+ *
+ * Features:
+ * - Contact normalization (email, Moroccan and international phone numbers)
+ * - One-time codes from utils/otp with a cap on wrong attempts per code
+ * - Ownership check of a prescription against the signed-in contact
+ * - Dispense history per visit: pharmacy, delegate who collected, lines and quantities handed over
+ */
+
+const crypto = require('crypto');
+const { issueOtp, verifyOtp } = require('../utils/otp');
+
+const OTP_TTL_SECONDS = Number(process.env.PATIENT_OTP_TTL_SECONDS) || 300;
+const SESSION_TTL = process.env.PATIENT_SESSION_TTL || '30m';
+const MAX_ATTEMPTS = 5;
+
+// Wrong codes per sign-in challenge (in memory, like the codes themselves)
+const attempts = new Map(); // challengeToken -> { failures, expiresAt }
+
+class PatientPortalError extends Error {
+  constructor(message, status = 400, code = 'PATIENT_PORTAL') {
+    super(message);
+    this.name = 'PatientPortalError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Normalize a phone number or email address
+ * @param {string} contact - As typed by the patient or the doctor
+ * @returns {Object|null} { channel: 'email' | 'sms', value }, null when it is neither
+ */
+function parseContact(contact) {
+  const text = String(contact || '').trim();
+  if (text.includes('@')) {
+    const email = text.toLowerCase();
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? { channel: 'email', value: email } : null;
+  }
+  let phone = text.replace(/[\s().-]/g, '');
+  if (phone.startsWith('00')) phone = `+${phone.slice(2)}`;
+  if (/^0[5-7]\d{8}$/.test(phone)) phone = `+212${phone.slice(1)}`; // national Moroccan mobile format
+  if (/^212\d{9}$/.test(phone)) phone = `+${phone}`;
+  return /^\+\d{8,15}$/.test(phone) ? { channel: 'sms', value: phone } : null;
+}
+
+/**
+ * Normalize a contact or throw
+ * @param {string} contact - Phone number or email address
+ * @returns {Object} { channel, value }
+ */
+function normalizeContact(contact) {
+  const parsed = parseContact(contact);
+  if (!parsed) throw new PatientPortalError('Enter the phone number or email address given to your doctor', 400, 'INVALID_CONTACT');
+  return parsed;
+}
+
+/**
+ * Pseudonymous key of a contact (what the patient session carries)
+ * @param {Object} contact - { channel, value }
+ * @returns {string} 'sha256:<hex>'
+ */
+function contactKey({ channel, value }) {
+  const salt = process.env.CNDP_SALT || 'atlascare-default-salt';
+  return 'sha256:' + crypto.createHash('sha256').update(`${channel}:${value}${salt}patient-portal`).digest('hex');
+}
+
+/**
+ * Contact with most characters hidden, for display
+ * @param {Object} contact - { channel, value }
+ * @returns {string}
+ */
+function maskContact({ channel, value }) {
+  if (channel === 'email') {
+    const [name, domain] = value.split('@');
+    return `${name.slice(0, 1)}***@${domain}`;
+  }
+  return `${'*'.repeat(Math.max(value.length - 4, 0))}${value.slice(-4)}`;
+}
+
+/**
+ * Start a sign-in: issue a one-time code for the contact (the caller sends it)
+ * @param {string} contact - Phone number or email address
+ * @returns {Object} { channel, value, patientKey, challengeToken, otp, expiresAt }
+ */
+function requestCode(contact) {
+  const parsed = normalizeContact(contact);
+  const patientKey = contactKey(parsed);
+  const { token, otp, expiresAt } = issueOtp(patientKey, OTP_TTL_SECONDS);
+
+  const now = Date.now();
+  for (const [challenge, entry] of attempts) {
+    if (entry.expiresAt <= now) attempts.delete(challenge);
+  }
+  attempts.set(token, { failures: 0, expiresAt });
+  return { ...parsed, patientKey, challengeToken: token, otp, expiresAt };
+}
+
+/**
+ * Complete a sign-in with the code received
+ * @param {string} contact - Same contact as requestCode
+ * @param {string} challengeToken - Token returned by requestCode
+ * @param {string} code - One-time code
+ * @returns {Object} { patientKey, channel, maskedContact }
+ */
+function verifyCode(contact, challengeToken, code) {
+  const parsed = normalizeContact(contact);
+  const entry = attempts.get(challengeToken);
+  if (!entry) throw new PatientPortalError('Sign-in code expired, request a new one', 401, 'CODE_EXPIRED');
+  if (entry.failures >= MAX_ATTEMPTS) {
+    throw new PatientPortalError('Too many wrong codes, request a new one', 429, 'TOO_MANY_ATTEMPTS');
+  }
+
+  const patientKey = contactKey(parsed);
+  if (!verifyOtp(patientKey, challengeToken, String(code || '').trim())) {
+    entry.failures += 1;
+    throw new PatientPortalError('Invalid sign-in code', 401, 'INVALID_CODE');
+  }
+  attempts.delete(challengeToken);
+  return { patientKey, channel: parsed.channel, maskedContact: maskContact(parsed) };
+}
+
+/**
+ * Keys of the contacts recorded on a prescription
+ * @param {Object} record - Prescription record ({ patientEmail, patientPhone })
+ * @returns {string[]}
+ */
+function recordKeys(record) {
+  return [record?.patientEmail, record?.patientPhone]
+    .map(parseContact)
+    .filter(Boolean)
+    .map(contactKey);
+}
+
+/**
+ * Whether a prescription belongs to the signed-in patient
+ * @param {Object} record - Prescription record
+ * @param {string} patientKey - Session key
+ * @returns {boolean}
+ */
+function ownsPrescription(record, patientKey) {
+  return !!patientKey && recordKeys(record).includes(patientKey);
+}
+
+/**
+ * Visits at which the prescription was dispensed, with what each pharmacy handed over
+ * @param {Object|null} ledger - Dispense ledger
+ * @param {Function} pharmacyName - orgId -> display name
+ * @param {Function} delegateName - delegateId -> name of the caregiver who collected
+ * @returns {Array} [{ at, pharmacy, collectedBy?, items: [{ line, name, quantity, unit, substitution? }] }]
+ */
+function dispenseHistory(ledger, pharmacyName = () => null, delegateName = () => null) {
+  return (ledger?.dispenses || []).map(dispense => ({
+    at: dispense.at,
+    pharmacy: pharmacyName(dispense.pharmacyOrgId) || null,
+    ...(dispense.delegateId ? { collectedBy: delegateName(dispense.delegateId) || 'delegate' } : {}),
+    items: dispense.items.map(item => ({
+      line: item.line,
+      name: item.substitution?.name || ledger.lines[item.line]?.name || item.drugId,
+      quantity: item.quantity,
+      unit: ledger.lines[item.line]?.unit || null,
+      ...(item.substitution ? { substitution: true } : {})
+    }))
+  }));
+}
+
+module.exports = {
+  OTP_TTL_SECONDS,
+  SESSION_TTL,
+  MAX_ATTEMPTS,
+  PatientPortalError,
+  parseContact,
+  normalizeContact,
+  contactKey,
+  maskContact,
+  requestCode,
+  verifyCode,
+  ownsPrescription,
+  dispenseHistory
+};
@@ -8,6 +8,7 @@
  * - Auto-save every 30 seconds
  * - Load on startup
  * - Atomic writes (write to temp, then rename)
+ * - Immediate flush of a single store for crash-critical state
  * - Backup rotation
  */
 
@@ -33,6 +34,7 @@ class PersistenceManager {
     this.stores = {};
     this.saveTimer = null;
     this.isDirty = false;
+    this.loaded = false; // stores are only written after they were loaded (never over unloaded data)
   }
 
   /**
@@ -81,10 +83,54 @@ class PersistenceManager {
       }
     }
 
+    this.loaded = true;
     console.log(`[PERSISTENCE] Loaded ${loadedCount}/${Object.keys(this.stores).length} stores`);
     return loadedCount;
   }
 
+  /**
+   * Write one store to disk (atomic: temp file, then rename)
+   * @param {string} name - Store name
+   */
+  writeStore(name) {
+    const { map, filepath } = this.stores[name];
+    // Convert Map/Set to JSON-serializable format
+    let data;
+    if (map instanceof Set) {
+      data = {
+        isSet: true,
+        entries: Array.from(map),
+        timestamp: new Date().toISOString(),
+        count: map.size
+      };
+    } else {
+      data = {
+        entries: Array.from(map.entries()),
+        timestamp: new Date().toISOString(),
+        count: map.size
+      };
+    }
+
+    const json = JSON.stringify(data, null, 2);
+
+    // Atomic write: write to temp file, then rename
+    const tempPath = `${filepath}.tmp`;
+    fs.writeFileSync(tempPath, json, 'utf8');
+    fs.renameSync(tempPath, filepath);
+  }
+
+  /**
+   * Write one store immediately, for state that must survive a crash before the next
+   * auto-save (e.g. reserved identifier sequences). No-op until the stores were loaded.
+   * @param {string} name - Store name
+   * @returns {boolean} Whether the store was written
+   */
+  flush(name) {
+    if (!this.loaded || !this.stores[name]) return false;
+    this.writeStore(name);
+    return true;
+  }
+
   /**
    * Save all stores to disk
    */
@@ -94,32 +140,9 @@ class PersistenceManager {
     console.log('[PERSISTENCE] Saving stores to disk...');
     let savedCount = 0;
 
-    for (const [name, { map, filepath }] of Object.entries(this.stores)) {
+    for (const name of Object.keys(this.stores)) {
       try {
-        // Convert Map/Set to JSON-serializable format
-        let data;
-        if (map instanceof Set) {
-          data = {
-            isSet: true,
-            entries: Array.from(map),
-            timestamp: new Date().toISOString(),
-            count: map.size
-          };
-        } else {
-          data = {
-            entries: Array.from(map.entries()),
-            timestamp: new Date().toISOString(),
-            count: map.size
-          };
-        }
-
-        const json = JSON.stringify(data, null, 2);
-        
-        // Atomic write: write to temp file, then rename
-        const tempPath = `${filepath}.tmp`;
-        fs.writeFileSync(tempPath, json, 'utf8');
-        fs.renameSync(tempPath, filepath);
-        
+        this.writeStore(name);
         savedCount++;
       } catch (err) {
         console.error(`[PERSISTENCE] Failed to save ${name}:`, err.message);
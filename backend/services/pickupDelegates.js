@@ -0,0 +1,267 @@
+/**
+ * Pickup Delegates
+ *
+ * Caregivers (family members, neighbours) authorized by the patient or the
+ * prescribing doctor to collect a prescription. A delegate is identified by the
+ * salted hashes of their CIN and phone number and receives their own pickup
+ * code by SMS; the pharmacist checks the CIN and the code before dispensing.
+ *
+ * Features:
+ * - Up to MAX_DELEGATES active delegates per prescription, revocable at any time
+ * - Only hashes of the CIN, the phone number and the pickup code are stored
+ * - Pickup code valid for every visit until the delegate is revoked
+ * - Lockout after too many wrong CIN / code pairs (same limits as the patient code)
+ * - A passed check is valid PICKUP_CHECK_TTL for the pharmacist who ran it and is
+ *   consumed by the dispense
+ * - Delegates persisted through the shared persistence layer
+ */
+
+const crypto = require('crypto');
+const { persistence } = require('./store');
+const { hashIdentifier } = require('../utils/privacy');
+const { parseContact, maskContact } = require('./patientPortal');
+const { MAX_ATTEMPTS, LOCKOUT_MINUTES } = require('./dispenseOtp');
+
+const MAX_DELEGATES = 3;
+const PICKUP_CHECK_TTL = 15 * 60 * 1000; // 15 minutes
+
+// Delegates per prescription - persisted to disk
+const pickupDelegates = new Map(); // prescriptionId -> { delegates: [delegate], failures, lockedUntil }
+
+// Register for persistence
+persistence.register('pickupDelegates', pickupDelegates);
+
+// Passed delegate checks (short-lived, memory only)
+const pickupChecks = new Map(); // topicId -> { delegateId, pharmacistIdHash, checkedAt, expiresAt }
+
+class DelegateError extends Error {
+  constructor(message, status = 400, code = 'PICKUP_DELEGATE', details = {}) {
+    super(message);
+    this.name = 'DelegateError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function salt() {
+  return process.env.CNDP_SALT || 'atlascare-default-salt';
+}
+
+function normalizeCin(cin) {
+  return String(cin || '').replace(/\s+/g, '').toUpperCase();
+}
+
+function hashCode(code, delegateId) {
+  return crypto.createHash('sha256').update(`${String(code || '').trim()}:${delegateId}`).digest('hex');
+}
+
+function entryOf(prescriptionId) {
+  if (!pickupDelegates.has(prescriptionId)) pickupDelegates.set(prescriptionId, { delegates: [], failures: 0, lockedUntil: null });
+  return pickupDelegates.get(prescriptionId);
+}
+
+/**
+ * Delegate as shown to the patient, the doctor and the pharmacist (no hashes)
+ * @param {Object} delegate - Stored delegate
+ * @returns {Object} { id, name, phoneMasked, authorizedByRole, authorizedAt, revokedAt, pickups, lastPickupAt }
+ */
+function publicView(delegate) {
+  return {
+    id: delegate.id,
+    name: delegate.name,
+    phoneMasked: delegate.phoneMasked,
+    authorizedByRole: delegate.authorizedBy.role,
+    authorizedAt: delegate.authorizedAt,
+    revokedAt: delegate.revokedAt || null,
+    pickups: delegate.pickups || 0,
+    lastPickupAt: delegate.lastPickupAt || null
+  };
+}
+
+/**
+ * Authorize a delegate on a prescription (the caller sends the code to the delegate's phone)
+ * @param {string} prescriptionId - Prescription ID
+ * @param {Object} delegate - { name, cin, phone }
+ * @param {Object} authorizedBy - { role: 'patient' | 'doctor', id }
+ * @param {Date} now - Reference time
+ * @returns {Object} { delegate (public view), phone (normalized), code }
+ */
+function addDelegate(prescriptionId, { name, cin, phone }, authorizedBy, now = new Date()) {
+  const cinValue = normalizeCin(cin);
+  if (!/^[A-Z]{1,2}\d{3,8}$/.test(cinValue)) throw new DelegateError('Enter the delegate\'s CIN number (e.g. AB123456)', 400, 'INVALID_CIN');
+  const contact = parseContact(phone);
+  if (contact?.channel !== 'sms') throw new DelegateError('Enter the delegate\'s mobile phone number', 400, 'INVALID_PHONE');
+
+  const entry = entryOf(prescriptionId);
+  const active = entry.delegates.filter(d => !d.revokedAt);
+  if (active.length >= MAX_DELEGATES) {
+    throw new DelegateError(`At most ${MAX_DELEGATES} delegates per prescription: revoke one first`, 409, 'TOO_MANY_DELEGATES');
+  }
+  const cinHash = hashIdentifier(cinValue, salt(), prescriptionId);
+  if (active.some(d => d.cinHash === cinHash)) {
+    throw new DelegateError('This person is already a delegate for this prescription', 409, 'DELEGATE_EXISTS');
+  }
+
+  const id = `DLG-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  const code = String(crypto.randomInt(100000, 1000000));
+  const delegate = {
+    id,
+    name: String(name || '').trim(),
+    cinHash,
+    phoneHash: hashIdentifier(contact.value, salt(), prescriptionId),
+    phoneMasked: maskContact(contact),
+    codeHash: hashCode(code, id),
+    authorizedBy: { role: authorizedBy.role, id: authorizedBy.id },
+    authorizedAt: now.toISOString(),
+    revokedAt: null,
+    revokedBy: null,
+    pickups: 0,
+    lastPickupAt: null
+  };
+  entry.delegates.push(delegate);
+  persistence.markDirty();
+  console.log(`[DELEGATE] ${id} authorized on ${prescriptionId} by ${authorizedBy.role}`);
+  return { delegate: publicView(delegate), phone: contact.value, code };
+}
+
+/**
+ * Delegates of a prescription
+ * @param {string} prescriptionId - Prescription ID
+ * @param {Object} options - { includeRevoked }
+ * @returns {Array} Public views
+ */
+function listDelegates(prescriptionId, { includeRevoked = true } = {}) {
+  const delegates = pickupDelegates.get(prescriptionId)?.delegates || [];
+  return delegates.filter(d => includeRevoked || !d.revokedAt).map(publicView);
+}
+
+/**
+ * Withdraw a delegate's authorization (their pickup code stops working)
+ * @param {string} prescriptionId - Prescription ID
+ * @param {string} delegateId - Delegate ID
+ * @param {Object} revokedBy - { role, id }
+ * @param {Date} now - Reference time
+ * @returns {Object} Public view
+ */
+function revokeDelegate(prescriptionId, delegateId, revokedBy, now = new Date()) {
+  const delegate = pickupDelegates.get(prescriptionId)?.delegates.find(d => d.id === delegateId);
+  if (!delegate) throw new DelegateError('Delegate not found', 404, 'DELEGATE_NOT_FOUND');
+  if (!delegate.revokedAt) {
+    delegate.revokedAt = now.toISOString();
+    delegate.revokedBy = { role: revokedBy.role, id: revokedBy.id };
+    for (const [topicId, check] of pickupChecks) {
+      if (check.delegateId === delegateId) pickupChecks.delete(topicId);
+    }
+    persistence.markDirty();
+    console.log(`[DELEGATE] ${delegateId} revoked on ${prescriptionId} by ${revokedBy.role}`);
+  }
+  return publicView(delegate);
+}
+
+/**
+ * Check the CIN and pickup code presented by a delegate at the counter
+ * @param {Object} prescription - { topicId, prescriptionId }
+ * @param {Object} check - { cin, code, pharmacistIdHash }
+ * @param {Date} now - Reference time
+ * @returns {Object} { delegate (public view), checkedAt, expiresAt }
+ */
+function verifyPickup({ topicId, prescriptionId }, { cin, code, pharmacistIdHash }, now = new Date()) {
+  const entry = pickupDelegates.get(prescriptionId);
+  if (!entry || !entry.delegates.some(d => !d.revokedAt)) {
+    throw new DelegateError('No delegate is authorized to collect this prescription', 404, 'NO_DELEGATE');
+  }
+  if (entry.lockedUntil && Date.parse(entry.lockedUntil) > now.getTime()) {
+    throw new DelegateError('Too many wrong codes: try again later', 423, 'DELEGATE_LOCKED', { lockedUntil: entry.lockedUntil });
+  }
+
+  const cinHash = hashIdentifier(normalizeCin(cin), salt(), prescriptionId);
+  const delegate = entry.delegates.find(d => !d.revokedAt && d.cinHash === cinHash);
+  const expected = Buffer.from(delegate ? delegate.codeHash : hashCode('', 'none'), 'hex');
+  const given = Buffer.from(hashCode(code, delegate ? delegate.id : 'none'), 'hex');
+  if (!delegate || !crypto.timingSafeEqual(expected, given)) {
+    entry.failures += 1;
+    if (entry.failures >= MAX_ATTEMPTS) {
+      entry.lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000).toISOString();
+      entry.failures = 0;
+      persistence.markDirty();
+      console.warn(`[DELEGATE] Pickup checks on ${prescriptionId} locked after ${MAX_ATTEMPTS} failures`);
+      throw new DelegateError('Too many wrong codes: try again later', 423, 'DELEGATE_LOCKED', { lockedUntil: entry.lockedUntil });
+    }
+    persistence.markDirty();
+    throw new DelegateError('CIN or pickup code does not match an authorized delegate', 401, 'DELEGATE_MISMATCH', { attemptsLeft: MAX_ATTEMPTS - entry.failures });
+  }
+
+  entry.failures = 0;
+  entry.lockedUntil = null;
+  persistence.markDirty();
+  const check = {
+    delegateId: delegate.id,
+    pharmacistIdHash,
+    checkedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + PICKUP_CHECK_TTL).toISOString()
+  };
+  pickupChecks.set(topicId, check);
+  console.log(`[DELEGATE] ${delegate.id} checked for pickup of ${prescriptionId}`);
+  return { delegate: publicView(delegate), checkedAt: check.checkedAt, expiresAt: check.expiresAt };
+}
+
+/**
+ * Passed, unexpired delegate check of a prescription, run by the given pharmacist
+ * @param {string} topicId - Prescription topic ID
+ * @param {string} pharmacistIdHash - Pharmacist about to dispense
+ * @param {Date} now - Reference time
+ * @returns {Object|null} { delegateId, checkedAt, expiresAt }
+ */
+function getPickupCheck(topicId, pharmacistIdHash, now = new Date()) {
+  const check = pickupChecks.get(topicId);
+  if (!check || check.pharmacistIdHash !== pharmacistIdHash || Date.parse(check.expiresAt) < now.getTime()) return null;
+  return check;
+}
+
+/**
+ * Record the collection by the checked delegate and consume the check
+ * @param {Object} prescription - { topicId, prescriptionId }
+ * @param {string} at - Dispense time (ISO)
+ * @returns {Object|null} Public view of the delegate, null when no check was pending
+ */
+function recordPickup({ topicId, prescriptionId }, at = new Date().toISOString()) {
+  const check = pickupChecks.get(topicId);
+  if (!check) return null;
+  pickupChecks.delete(topicId);
+  const delegate = pickupDelegates.get(prescriptionId)?.delegates.find(d => d.id === check.delegateId);
+  if (!delegate) return null;
+  delegate.pickups = (delegate.pickups || 0) + 1;
+  delegate.lastPickupAt = at;
+  persistence.markDirty();
+  return publicView(delegate);
+}
+
+/**
+ * Undo recordPickup when the dispense it belongs to fails: the check is given back
+ * and the delegate's pickup count and date are restored
+ * @param {Object} prescription - { topicId, prescriptionId }
+ * @param {Object} check - Consumed check (getPickupCheck result)
+ * @param {Object|null} previous - Public view of the delegate before the pickup
+ */
+function undoPickup({ topicId, prescriptionId }, check, previous) {
+  if (check && !pickupChecks.has(topicId)) pickupChecks.set(topicId, check);
+  const delegate = previous && pickupDelegates.get(prescriptionId)?.delegates.find(d => d.id === previous.id);
+  if (!delegate) return;
+  delegate.pickups = previous.pickups;
+  delegate.lastPickupAt = previous.lastPickupAt;
+  persistence.markDirty();
+}
+
+module.exports = {
+  MAX_DELEGATES,
+  DelegateError,
+  addDelegate,
+  listDelegates,
+  revokeDelegate,
+  verifyPickup,
+  getPickupCheck,
+  recordPickup,
+  undoPickup,
+  pickupDelegates
+};
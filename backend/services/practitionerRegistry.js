@@ -0,0 +1,218 @@
+/**
+ * Practitioner License Registry
+ *
+ * Prescribers identified by their INPE (Identifiant National des Professionnels
+ * de Santé), with specialty, license status and validity dates, linked to the
+ * doctor's user account.
+ *
+ * Features:
+ * - One record per INPE, at most one INPE per user account
+ * - License status: active, suspended, revoked (plus computed expired / not yet valid)
+ * - Issuance check: license must be valid and belong to the signed-in doctor
+ * - Public license summary for pharmacist verification
+ * - Persisted through the shared persistence layer
+ */
+
+const { persistence } = require('./store');
+
+// Registry - persisted to disk
+const practitioners = new Map(); // inpe -> { inpe, fullName, specialty, licenseStatus, validFrom, validUntil, userId, statusReason, createdAt, updatedAt }
+
+// Register for persistence
+persistence.register('practitioners', practitioners);
+
+const LICENSE_STATUSES = ['active', 'suspended', 'revoked'];
+const INPE_PATTERN = /^\d{9}$/;
+
+// Demo registry entry for the seeded doctor (INPE used by the demo prescription form)
+const DEFAULT_PRACTITIONERS = [
+  { inpe: '009811233', username: 'mohamedrami.doctor@atlascare.health', fullName: 'Mohamed Rami', specialty: 'Specialist in Internal Medicine' },
+];
+
+class PractitionerError extends Error {
+  constructor(message, status = 400, code = 'LICENSE_INVALID') {
+    super(message);
+    this.name = 'PractitionerError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Get a registry record by INPE
+ * @param {string} inpe - INPE
+ * @returns {Object|null} Practitioner record
+ */
+function getPractitioner(inpe) {
+  return practitioners.get(String(inpe || '').trim()) || null;
+}
+
+/**
+ * Get the practitioner linked to a user account
+ * @param {number|string} userId - User ID
+ * @returns {Object|null} Practitioner record
+ */
+function getPractitionerForUser(userId) {
+  if (userId === undefined || userId === null) return null;
+  for (const record of practitioners.values()) {
+    if (record.userId !== null && String(record.userId) === String(userId)) return record;
+  }
+  return null;
+}
+
+/**
+ * List registry records
+ * @returns {Array} Records with their effective license status
+ */
+function listPractitioners() {
+  return Array.from(practitioners.values())
+    .sort((a, b) => a.fullName.localeCompare(b.fullName))
+    .map(record => ({ ...record, effectiveStatus: getLicenseStatus(record) }));
+}
+
+/**
+ * Effective license status at a point in time
+ * @param {Object|null} record - Practitioner record
+ * @param {Date} now - Reference time
+ * @returns {string} 'unregistered' | 'suspended' | 'revoked' | 'not_yet_valid' | 'expired' | 'active'
+ */
+function getLicenseStatus(record, now = new Date()) {
+  if (!record) return 'unregistered';
+  if (record.licenseStatus !== 'active') return record.licenseStatus;
+  if (record.validFrom && now < new Date(record.validFrom)) return 'not_yet_valid';
+  if (record.validUntil && now > new Date(record.validUntil)) return 'expired';
+  return 'active';
+}
+
+function assertUserAvailable(userId, inpe) {
+  if (userId === undefined || userId === null) return;
+  const linked = getPractitionerForUser(userId);
+  if (linked && linked.inpe !== inpe) {
+    throw new PractitionerError(`User is already linked to INPE ${linked.inpe}`, 409, 'CONFLICT');
+  }
+}
+
+/**
+ * Register a practitioner
+ * @param {Object} data - { inpe, fullName, specialty, validFrom, validUntil, userId }
+ * @returns {Object} Created record
+ */
+function createPractitioner({ inpe, fullName, specialty = '', validFrom = null, validUntil = null, userId = null }) {
+  const id = String(inpe || '').trim();
+  if (!INPE_PATTERN.test(id)) throw new PractitionerError('INPE must be 9 digits', 400, 'VALIDATION');
+  if (practitioners.has(id)) throw new PractitionerError('INPE already registered', 409, 'CONFLICT');
+  if (!String(fullName || '').trim()) throw new PractitionerError('Full name is required', 400, 'VALIDATION');
+  assertUserAvailable(userId, id);
+
+  const now = new Date().toISOString();
+  const record = {
+    inpe: id,
+    fullName: String(fullName).trim(),
+    specialty,
+    licenseStatus: 'active',
+    statusReason: null,
+    validFrom,
+    validUntil,
+    userId,
+    createdAt: now,
+    updatedAt: now
+  };
+  practitioners.set(id, record);
+  persistence.markDirty();
+  console.log(`[REGISTRY] Registered practitioner INPE ${id}`);
+  return record;
+}
+
+/**
+ * Update a practitioner (status changes, renewal, account link)
+ * @param {string} inpe - INPE
+ * @param {Object} changes - { fullName, specialty, licenseStatus, statusReason, validFrom, validUntil, userId }
+ * @returns {Object} Updated record
+ */
+function updatePractitioner(inpe, changes = {}) {
+  const record = getPractitioner(inpe);
+  if (!record) throw new PractitionerError('Practitioner not found', 404, 'NOT_FOUND');
+
+  if (changes.licenseStatus !== undefined && !LICENSE_STATUSES.includes(changes.licenseStatus)) {
+    throw new PractitionerError(`Invalid license status: ${changes.licenseStatus}`, 400, 'VALIDATION');
+  }
+  if (changes.userId !== undefined) assertUserAvailable(changes.userId, record.inpe);
+
+  for (const field of ['fullName', 'specialty', 'licenseStatus', 'statusReason', 'validFrom', 'validUntil', 'userId']) {
+    if (changes[field] !== undefined) record[field] = changes[field];
+  }
+  if (changes.licenseStatus === 'active' && changes.statusReason === undefined) record.statusReason = null;
+  record.updatedAt = new Date().toISOString();
+  persistence.markDirty();
+  console.log(`[REGISTRY] Updated practitioner INPE ${record.inpe} (${getLicenseStatus(record)})`);
+  return record;
+}
+
+/**
+ * Resolve the INPE a doctor may sign with, or throw
+ * @param {Object} user - Authenticated user (req.user: { sub, role })
+ * @param {string} requestedInpe - INPE submitted with the prescription (optional)
+ * @returns {Object} Practitioner record holding a valid license
+ */
+function assertCanPrescribe(user, requestedInpe) {
+  const record = getPractitionerForUser(user?.sub);
+  if (!record) {
+    throw new PractitionerError('No practitioner license is linked to this account', 403, 'LICENSE_UNREGISTERED');
+  }
+  if (requestedInpe && String(requestedInpe).trim() !== record.inpe) {
+    throw new PractitionerError('INPE does not match the signed-in practitioner', 403, 'LICENSE_MISMATCH');
+  }
+
+  const status = getLicenseStatus(record);
+  if (status !== 'active') {
+    const reason = record.statusReason ? `: ${record.statusReason}` : '';
+    throw new PractitionerError(`Practitioner license is ${status.replace(/_/g, ' ')}${reason}`, 403, 'LICENSE_INVALID');
+  }
+  return record;
+}
+
+/**
+ * License summary shown to pharmacists at verification
+ * @param {string} inpe - Prescriber INPE
+ * @returns {Object} { inpe, fullName, specialty, status, validUntil, statusReason }
+ */
+function getLicenseSummary(inpe) {
+  const record = getPractitioner(inpe);
+  return {
+    inpe: inpe || null,
+    fullName: record?.fullName || null,
+    specialty: record?.specialty || null,
+    status: getLicenseStatus(record),
+    validUntil: record?.validUntil || null,
+    statusReason: record?.statusReason || null
+  };
+}
+
+/**
+ * Seed the demo registry on first start and link the seeded doctor
+ * @param {Function} findUserId - username -> user ID (or null)
+ * @returns {number} Number of records created
+ */
+function seedDefaultPractitioners(findUserId) {
+  if (practitioners.size > 0) return 0;
+  for (const { username, ...data } of DEFAULT_PRACTITIONERS) {
+    createPractitioner({ ...data, userId: findUserId(username) ?? null });
+  }
+  console.log(`[REGISTRY] Seeded ${DEFAULT_PRACTITIONERS.length} default practitioners`);
+  return DEFAULT_PRACTITIONERS.length;
+}
+
+module.exports = {
+  LICENSE_STATUSES,
+  PractitionerError,
+  getPractitioner,
+  getPractitionerForUser,
+  listPractitioners,
+  getLicenseStatus,
+  createPractitioner,
+  updatePractitioner,
+  assertCanPrescribe,
+  getLicenseSummary,
+  seedDefaultPractitioners,
+  practitioners
+};
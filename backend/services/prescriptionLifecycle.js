@@ -0,0 +1,246 @@
+/**
+ * Prescription Lifecycle (State Machine)
+ *
+ * Single source of truth for prescription states and the transitions allowed
+ * between them. Verification, payment, dispensing, cancellation and amendment
+ * routes all go through this module; illegal transitions raise a LifecycleError
+ * (HTTP 409) with a uniform body.
+ *
+ * States:
+ * - issued, amended       - signed by the doctor, nothing dispensed yet
+ * - verified              - checked by a pharmacist
+ * - paid                  - payment recorded for the next dispense
+ * - partially_dispensed   - some medication lines or quantities delivered, some remaining
+ * - dispensed             - every medication line fully delivered (terminal)
+ * - cancelled, expired    - terminal
+ *
+ * Features:
+ * - Declarative transition table
+ * - State resolution from the stored status, line completion (dispense counters for
+ *   prescriptions without line tracking) and validity date
+ *   (legacy/mirror statuses such as 'dispensed' with quantities left map to partially_dispensed)
+ * - Transition helper that persists the new state in the topic store
+ * - Expiry: prescriptions past their validity date are derived as expired at once;
+ *   the expiry sweep then stores the 'expired' state (findLapsed / recordExpiry)
+ */
+
+const { inMemoryStore, setTopicStatus } = require('./store');
+
+const STATES = ['issued', 'verified', 'paid', 'partially_dispensed', 'dispensed', 'cancelled', 'amended', 'expired'];
+const TERMINAL_STATES = ['dispensed', 'cancelled', 'expired'];
+
+const OPEN = ['verify', 'pay', 'dispense', 'cancel', 'amend', 'expire'];
+
+// state -> events allowed from it
+const TRANSITIONS = {
+  issued: OPEN,
+  amended: OPEN,
+  verified: OPEN,
+  paid: ['verify', 'dispense', 'cancel', 'expire'],
+  partially_dispensed: ['verify', 'pay', 'dispense', 'cancel', 'expire'],
+  dispensed: [],
+  cancelled: [],
+  expired: []
+};
+
+const EVENT_LABELS = {
+  verify: 'verify',
+  pay: 'pay for',
+  dispense: 'dispense',
+  cancel: 'cancel',
+  amend: 'amend',
+  expire: 'expire'
+};
+
+class LifecycleError extends Error {
+  constructor(state, event) {
+    super(`Cannot ${EVENT_LABELS[event] || event} a prescription that is ${String(state).replace(/_/g, ' ')}`);
+    this.name = 'LifecycleError';
+    this.status = 409;
+    this.code = 'INVALID_TRANSITION';
+    this.state = state;
+    this.event = event;
+  }
+}
+
+/**
+ * Resolve the lifecycle state of a prescription
+ * @param {Object} record - { status, dispenseCount, maxDispenses, validUntil, linesComplete }
+ *   (linesComplete: every medication line delivered; undefined for prescriptions without line tracking)
+ * @param {Date} now - Reference time
+ * @returns {string} One of STATES
+ */
+function resolveState({ status, dispenseCount = 0, maxDispenses = 1, validUntil = null, linesComplete } = {}, now = new Date()) {
+  const count = Number(dispenseCount) || 0;
+  const max = Number(maxDispenses) || 1;
+  const complete = typeof linesComplete === 'boolean' ? linesComplete : count >= max;
+
+  if (status === 'cancelled' || status === 'expired') return status;
+  if (complete) return 'dispensed';
+  if (validUntil && now > new Date(validUntil)) return 'expired';
+  if (status === 'dispensed' || status === 'partially_dispensed') return count > 0 ? 'partially_dispensed' : 'issued';
+  if (STATES.includes(status)) return status;
+  return count > 0 ? 'partially_dispensed' : 'issued';
+}
+
+// Fields of a store entry the state is resolved from
+function storedFields(entry) {
+  return {
+    status: entry.status,
+    dispenseCount: entry.payload?.dispenseCount,
+    maxDispenses: entry.payload?.maxDispenses,
+    validUntil: entry.payload?.validUntil,
+    linesComplete: entry.payload?.linesComplete
+  };
+}
+
+/**
+ * Current lifecycle state of a prescription topic
+ * @param {string} topicId - Prescription topic ID
+ * @returns {string|null} State, or null when the topic is unknown
+ */
+function getState(topicId) {
+  const entry = inMemoryStore.get(topicId);
+  if (!entry) return null;
+  return resolveState(storedFields(entry));
+}
+
+/**
+ * Whether an event is allowed from a state
+ * @param {string} state - Current state
+ * @param {string} event - 'verify' | 'pay' | 'dispense' | 'cancel' | 'amend' | 'expire'
+ * @returns {boolean}
+ */
+function canTransition(state, event) {
+  return (TRANSITIONS[state] || []).includes(event);
+}
+
+/**
+ * Throw a LifecycleError unless the event is allowed
+ * @param {string} state - Current state
+ * @param {string} event - Event name
+ */
+function assertTransition(state, event) {
+  if (!canTransition(state, event)) throw new LifecycleError(state, event);
+}
+
+/**
+ * State reached by applying an event
+ * @param {string} state - Current state
+ * @param {string} event - Event name
+ * @param {Object} context - { dispenseCount, maxDispenses, complete } after the event (for 'dispense';
+ *   complete = every medication line delivered, falls back to the counters when omitted)
+ * @returns {string} Next state
+ */
+function nextState(state, event, { dispenseCount = 0, maxDispenses = 1, complete } = {}) {
+  assertTransition(state, event);
+  switch (event) {
+    case 'verify':
+      // Re-verifying a paid or partially dispensed prescription keeps its progress
+      return state === 'issued' || state === 'amended' ? 'verified' : state;
+    case 'pay':
+      return 'paid';
+    case 'dispense':
+      return (typeof complete === 'boolean' ? complete : dispenseCount >= maxDispenses) ? 'dispensed' : 'partially_dispensed';
+    case 'cancel':
+      return 'cancelled';
+    case 'amend':
+      return 'amended';
+    case 'expire':
+      return 'expired';
+    default:
+      throw new LifecycleError(state, event);
+  }
+}
+
+/**
+ * Apply an event to a prescription topic and store the resulting state
+ * @param {string} topicId - Prescription topic ID
+ * @param {string} event - Event name
+ * @param {Object} context - Passed to nextState
+ * @returns {Object} { from, to }
+ */
+function applyTransition(topicId, event, context = {}) {
+  const from = getState(topicId) || 'issued';
+  const to = nextState(from, event, context);
+  setTopicStatus(topicId, to);
+  console.log(`[LIFECYCLE] ${topicId}: ${from} --${event}--> ${to}`);
+  return { from, to };
+}
+
+/**
+ * Topics past their validity date whose stored status is not 'expired' yet
+ * (not fully dispensed, not cancelled)
+ * @param {Date} now - Reference time
+ * @returns {Array} Topic IDs
+ */
+function findLapsed(now = new Date()) {
+  const lapsed = [];
+  for (const [topicId, entry] of inMemoryStore.entries()) {
+    if (!entry?.payload || entry.status === 'expired') continue;
+    if (resolveState(storedFields(entry), now) === 'expired') lapsed.push(topicId);
+  }
+  return lapsed;
+}
+
+/**
+ * Store the 'expired' state of a lapsed prescription
+ * @param {string} topicId - Prescription topic ID
+ * @param {Date} now - Reference time
+ * @returns {Object|null} { from, to } with the state before the validity date passed,
+ *   or null when the topic is unknown, already expired or still valid
+ */
+function recordExpiry(topicId, now = new Date()) {
+  const entry = inMemoryStore.get(topicId);
+  if (!entry || entry.status === 'expired') return null;
+  const fields = storedFields(entry);
+  if (resolveState(fields, now) !== 'expired') return null;
+  const from = resolveState({ ...fields, validUntil: null }, now);
+  const to = nextState(from, 'expire');
+  setTopicStatus(topicId, to);
+  console.log(`[LIFECYCLE] ${topicId}: ${from} --expire--> ${to}`);
+  return { from, to };
+}
+
+/**
+ * Reconcile a status observed elsewhere (mirror node, HCS event type) with the stored state.
+ * Terminal states are never left this way.
+ * @param {string} topicId - Prescription topic ID
+ * @param {string} observedStatus - Status or last event type reported by the mirror
+ * @returns {string|null} Resulting state, or null when the topic is unknown
+ */
+function recordObservedStatus(topicId, observedStatus) {
+  const entry = inMemoryStore.get(topicId);
+  if (!entry) return null;
+  const current = getState(topicId);
+  if (TERMINAL_STATES.includes(current) || !STATES.includes(observedStatus)) return current;
+  const state = resolveState({ ...storedFields(entry), status: observedStatus });
+  setTopicStatus(topicId, state);
+  return state;
+}
+
+/**
+ * Uniform 409 response body for an illegal transition
+ * @param {LifecycleError} error - Error raised by assertTransition
+ * @returns {Object} Response body
+ */
+function conflictBody(error) {
+  return { success: false, code: error.code, message: error.message, state: error.state, event: error.event };
+}
+
+module.exports = {
+  STATES,
+  TERMINAL_STATES,
+  TRANSITIONS,
+  LifecycleError,
+  resolveState,
+  getState,
+  canTransition,
+  assertTransition,
+  nextState,
+  applyTransition,
+  recordObservedStatus,
+  findLapsed,
+  recordExpiry,
+  conflictBody
+};
@@ -0,0 +1,97 @@
+/**
+ * Prescription Search
+ *
+ * Server-side listing of a prescriber's prescriptions, so the history follows the
+ * doctor across devices instead of living in one browser's storage.
+ *
+ * Features:
+ * - Filters: lifecycle status (one or several), issue date range, patient
+ *   reference (ID or name) and diagnosis text (case and accent insensitive)
+ * - Newest first, paginated (page / pageSize, capped at MAX_PAGE_SIZE)
+ * - Live dispense progress from the dispense ledger (lines and quantities handed over)
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Lowercase, without accents or surrounding spaces ("Hypertension artérielle" ~ "hypertension arterielle")
+function fold(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// Patient IDs (CIN, passport) compared without spaces or dashes
+function compactId(text) {
+  return fold(text).replace(/[\s-]/g, '');
+}
+
+/**
+ * Whether a prescription matches the filters
+ * @param {Object} entry - { record, status }
+ * @param {Object} filters - { status: string[], from, to, patient, diagnosis }
+ * @returns {boolean}
+ */
+function matches({ record, status }, { status: statuses, from, to, patient, diagnosis } = {}) {
+  if (statuses?.length && !statuses.includes(status)) return false;
+
+  const issuedAt = new Date(record.date).getTime();
+  if (from && !(issuedAt >= new Date(from).getTime())) return false;
+  if (to && !(issuedAt <= new Date(to).getTime())) return false;
+
+  if (patient) {
+    const byId = compactId(patient) && compactId(record.patientId) === compactId(patient);
+    if (!byId && !fold(record.patientName).includes(fold(patient))) return false;
+  }
+  if (diagnosis && !fold(record.diagnosis).includes(fold(diagnosis))) return false;
+  return true;
+}
+
+/**
+ * Filter, sort (newest first) and paginate prescriptions
+ * @param {Array} entries - [{ record, topicID, status }]
+ * @param {Object} filters - See matches()
+ * @param {Object} paging - { page (1-based), pageSize }
+ * @returns {Object} { items, total, page, pageSize, pages }
+ */
+function searchPrescriptions(entries, filters = {}, { page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  const size = Math.min(Math.max(Number(pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const found = entries
+    .filter(entry => matches(entry, filters))
+    .sort((a, b) => new Date(b.record.date) - new Date(a.record.date));
+  const current = Math.max(Number(page) || 1, 1);
+  return {
+    items: found.slice((current - 1) * size, current * size),
+    total: found.length,
+    page: current,
+    pageSize: size,
+    pages: Math.ceil(found.length / size)
+  };
+}
+
+/**
+ * Dispense progress of a prescription
+ * @param {Array} lines - Ledger lines ({ prescribed, dispensed })
+ * @param {Object} counters - { dispenseCount, maxDispenses, lastDispenseDate }
+ * @returns {Object} { dispenseCount, maxDispenses, lastDispenseDate, lines, linesComplete, quantityPrescribed, quantityDispensed, percent }
+ */
+function dispenseProgress(lines = [], { dispenseCount = 0, maxDispenses = 1, lastDispenseDate = null } = {}) {
+  const quantityPrescribed = lines.reduce((sum, l) => sum + (Number(l.prescribed) || 0), 0);
+  const quantityDispensed = lines.reduce((sum, l) => sum + Math.min(Number(l.dispensed) || 0, Number(l.prescribed) || 0), 0);
+  return {
+    dispenseCount,
+    maxDispenses,
+    lastDispenseDate,
+    lines: lines.length,
+    linesComplete: lines.filter(l => l.dispensed >= l.prescribed).length,
+    quantityPrescribed,
+    quantityDispensed,
+    percent: quantityPrescribed ? Math.round((quantityDispensed / quantityPrescribed) * 100) : 0
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  matches,
+  searchPrescriptions,
+  dispenseProgress
+};
@@ -0,0 +1,181 @@
+/**
+ * Prescription Versions
+ *
+ * Content history of amended prescriptions. Every amendment stores a new
+ * version (diagnosis + medication list) linked to the previous one; the QR
+ * nonce of a superseded version is invalidated so the old QR can no longer be
+ * verified.
+ *
+ * Features:
+ * - Version 1 captured from the issued prescription on first amendment
+ * - Versions linked by number and content hash
+ * - Field-level diff between consecutive versions (diagnosis, medications added/removed/changed)
+ * - Superseded QR nonces
+ * - Persisted through the shared persistence layer
+ */
+
+const crypto = require('crypto');
+const { persistence } = require('./store');
+
+// History - persisted to disk
+const prescriptionVersions = new Map(); // prescriptionId -> [{ version, diagnosis, medications, maxDispenses, contentHash, previousHash, qrNonce, reason, createdAt, createdBy }]
+const supersededNonces = new Set(); // QR nonces of versions replaced by an amendment
+
+// Register for persistence
+persistence.register('prescriptionVersions', prescriptionVersions);
+persistence.register('supersededNonces', supersededNonces);
+
+// Medication fields compared by the diff
+const MEDICATION_FIELDS = ['name', 'code', 'dosage', 'unit', 'frequency', 'duration', 'durationUnit', 'instructions', 'quantity', 'nonSubstitutable'];
+
+/**
+ * Hash of a version's clinical content
+ * @param {Object} content - { diagnosis, medications, maxDispenses }
+ * @returns {string} 'sha256:<hex>'
+ */
+function contentHashOf({ diagnosis, medications, maxDispenses }) {
+  const canonical = JSON.stringify({
+    diagnosis: diagnosis || '',
+    medications: (medications || []).map(m => MEDICATION_FIELDS.reduce((acc, f) => ({ ...acc, [f]: m?.[f] ?? null }), {})),
+    maxDispenses: maxDispenses || 1
+  });
+  return 'sha256:' + crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+function snapshot(content, extra) {
+  const medications = (content.medications || []).map(m => ({ ...m }));
+  const version = {
+    diagnosis: content.diagnosis || '',
+    medications,
+    maxDispenses: content.maxDispenses || 1,
+    ...extra
+  };
+  version.contentHash = contentHashOf(version);
+  return version;
+}
+
+/**
+ * Version history of a prescription (oldest first)
+ * @param {string} prescriptionId - Prescription ID
+ * @returns {Array} Stored versions, empty if never amended
+ */
+function getVersions(prescriptionId) {
+  return prescriptionVersions.get(prescriptionId) || [];
+}
+
+/**
+ * Current version number (1 for prescriptions never amended)
+ * @param {string} prescriptionId - Prescription ID
+ * @returns {number}
+ */
+function getCurrentVersion(prescriptionId) {
+  const versions = getVersions(prescriptionId);
+  return versions.length ? versions[versions.length - 1].version : 1;
+}
+
+/**
+ * Store a new version of a prescription. The issued content is recorded as
+ * version 1 the first time, and the QR nonce of the replaced version is superseded.
+ * @param {Object} current - Prescription record before the amendment ({ id, diagnosis, medications, maxDispenses, qr, date, prescriberId })
+ * @param {Object} amendment - { diagnosis, medications, maxDispenses, qrNonce, reason, amendedBy, issuedNonce }
+ *   (issuedNonce: QR nonce of the issued version when the record does not carry its QR)
+ * @returns {Object} { version, previous, diff }
+ */
+function addVersion(current, { diagnosis, medications, maxDispenses, qrNonce = null, reason = '', amendedBy = null, issuedNonce = null }) {
+  const prescriptionId = current.id;
+  if (!prescriptionVersions.has(prescriptionId)) {
+    prescriptionVersions.set(prescriptionId, [snapshot(current, {
+      version: 1,
+      previousHash: null,
+      qrNonce: current.qr?.n || issuedNonce,
+      reason: null,
+      createdAt: current.date || null,
+      createdBy: current.prescriberId ?? null
+    })]);
+  }
+
+  const versions = prescriptionVersions.get(prescriptionId);
+  const previous = versions[versions.length - 1];
+  const version = snapshot({ diagnosis, medications, maxDispenses: maxDispenses || previous.maxDispenses }, {
+    version: previous.version + 1,
+    previousHash: previous.contentHash,
+    qrNonce,
+    reason,
+    createdAt: new Date().toISOString(),
+    createdBy: amendedBy
+  });
+  versions.push(version);
+
+  if (previous.qrNonce) supersededNonces.add(previous.qrNonce);
+  persistence.markDirty();
+  console.log(`[VERSIONS] Prescription ${prescriptionId} amended to v${version.version}`);
+
+  return { version, previous, diff: diffVersions(previous, version) };
+}
+
+/**
+ * Whether a QR nonce belongs to a superseded version
+ * @param {string} nonce - QR nonce ('n')
+ * @returns {boolean}
+ */
+function isNonceSuperseded(nonce) {
+  return !!nonce && supersededNonces.has(nonce);
+}
+
+function medicationKey(medication, index) {
+  return medication?.code || medication?.name || `#${index}`;
+}
+
+/**
+ * Differences between two versions
+ * @param {Object} from - Older version
+ * @param {Object} to - Newer version
+ * @returns {Object} { diagnosis, maxDispenses, medications: { added, removed, changed } } - unchanged parts are null / empty
+ */
+function diffVersions(from, to) {
+  const before = new Map((from.medications || []).map((m, i) => [medicationKey(m, i), m]));
+  const after = new Map((to.medications || []).map((m, i) => [medicationKey(m, i), m]));
+
+  const added = [...after.entries()].filter(([key]) => !before.has(key)).map(([, m]) => m);
+  const removed = [...before.entries()].filter(([key]) => !after.has(key)).map(([, m]) => m);
+  const changed = [];
+  for (const [key, next] of after.entries()) {
+    const prev = before.get(key);
+    if (!prev) continue;
+    const fields = {};
+    for (const field of MEDICATION_FIELDS) {
+      if (String(prev[field] ?? '') !== String(next[field] ?? '')) fields[field] = { from: prev[field] ?? null, to: next[field] ?? null };
+    }
+    if (Object.keys(fields).length) changed.push({ key, name: next.name || prev.name, fields });
+  }
+
+  return {
+    diagnosis: (from.diagnosis || '') !== (to.diagnosis || '') ? { from: from.diagnosis || '', to: to.diagnosis || '' } : null,
+    maxDispenses: from.maxDispenses !== to.maxDispenses ? { from: from.maxDispenses, to: to.maxDispenses } : null,
+    medications: { added, removed, changed }
+  };
+}
+
+/**
+ * Version history with the diff against the previous version
+ * @param {string} prescriptionId - Prescription ID
+ * @returns {Array} Versions, newest first, each with `diff` (null for version 1)
+ */
+function getHistory(prescriptionId) {
+  const versions = getVersions(prescriptionId);
+  return versions
+    .map((version, index) => ({ ...version, diff: index > 0 ? diffVersions(versions[index - 1], version) : null }))
+    .reverse();
+}
+
+module.exports = {
+  contentHashOf,
+  getVersions,
+  getCurrentVersion,
+  addVersion,
+  isNonceSuperseded,
+  diffVersions,
+  getHistory,
+  prescriptionVersions,
+  supersededNonces
+};
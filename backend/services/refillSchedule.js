@@ -0,0 +1,154 @@
+/**
+ * Refill Schedule
+ *
+ * Dispense schedule of multi-dispense prescriptions: a refill is due every
+ * `intervalDays` after the previous dispense and may be collected up to
+ * `toleranceDays` early. Earlier refills are refused unless the pharmacist
+ * records a justified override.
+ *
+ * Features:
+ * - Schedule fixed at issuance (prescriber interval, else REFILL_INTERVAL_DAYS),
+ *   never shorter than the validity rules' minimum interval
+ * - Next eligible date from the last dispense
+ * - Early refill check with a uniform 409 error
+ * - Override log (reason, justification, pharmacist, how early), persisted
+ *   through the shared persistence layer
+ */
+
+const { persistence } = require('./store');
+
+const DEFAULT_INTERVAL_DAYS = Number(process.env.REFILL_INTERVAL_DAYS) || 30;
+const TOLERANCE_DAYS = Number(process.env.REFILL_TOLERANCE_DAYS) || 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reasons a pharmacist may give to hand over a refill early
+const OVERRIDE_REASONS = ['travel', 'lost_or_damaged', 'dose_increase', 'supply_shortage', 'other'];
+
+// Overrides - persisted to disk
+const refillOverrides = new Map(); // topicId -> [{ at, reason, justification, pharmacistIdHash, dispenseCount, nextEligibleAt, daysEarly }]
+
+// Register for persistence
+persistence.register('refillOverrides', refillOverrides);
+
+class RefillError extends Error {
+  constructor(message, status = 409, code = 'REFILL_TOO_EARLY') {
+    super(message);
+    this.name = 'RefillError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Schedule of a prescription
+ * @param {Object} options - { maxDispenses, intervalDays (prescriber choice), minIntervalDays (validity rules) }
+ * @returns {Object|null} { intervalDays, toleranceDays, minIntervalDays }, null for single-dispense prescriptions
+ */
+function scheduleFor({ maxDispenses = 1, intervalDays = null, minIntervalDays = 0 } = {}) {
+  if ((Number(maxDispenses) || 1) <= 1) return null;
+  const requested = intervalDays === null || intervalDays === undefined ? DEFAULT_INTERVAL_DAYS : Number(intervalDays) || 0;
+  const interval = Math.max(requested, Number(minIntervalDays) || 0);
+  return {
+    intervalDays: interval,
+    toleranceDays: Math.min(TOLERANCE_DAYS, interval),
+    minIntervalDays: Number(minIntervalDays) || 0
+  };
+}
+
+/**
+ * Earliest date the next refill may be collected
+ * @param {Object} schedule - Result of scheduleFor
+ * @param {string} lastDispenseDate - ISO date of the previous dispense
+ * @returns {string|null} ISO date, null when any date is fine (no schedule or first dispense)
+ */
+function nextEligibleDate(schedule, lastDispenseDate) {
+  const last = Date.parse(lastDispenseDate || '');
+  if (!schedule || !Number.isFinite(last)) return null;
+  const days = Math.max(schedule.intervalDays - schedule.toleranceDays, schedule.minIntervalDays || 0);
+  return new Date(last + days * DAY_MS).toISOString();
+}
+
+/**
+ * Eligibility of a refill
+ * @param {Object} schedule - Result of scheduleFor
+ * @param {string} lastDispenseDate - ISO date of the previous dispense
+ * @param {Date} now - Reference time
+ * @returns {Object} { eligible, nextEligibleAt, daysEarly }
+ */
+function checkRefill(schedule, lastDispenseDate, now = new Date()) {
+  const nextEligibleAt = nextEligibleDate(schedule, lastDispenseDate);
+  const early = nextEligibleAt ? Date.parse(nextEligibleAt) - now.getTime() : 0;
+  return { eligible: early <= 0, nextEligibleAt, daysEarly: early > 0 ? Math.ceil(early / DAY_MS) : 0 };
+}
+
+/**
+ * Refuse an early refill, unless overridden with a reason and a justification
+ * @param {Object} check - Result of checkRefill
+ * @param {Object|null} override - { reason, justification }
+ * @returns {Object|null} Accepted override, null when the refill is on time
+ */
+function assertEligible(check, override = null) {
+  if (check.eligible) return null;
+  const date = check.nextEligibleAt.slice(0, 10);
+  if (!override) {
+    throw new RefillError(`Refill not due yet: next eligible on ${date} (${check.daysEarly} day(s) early). Record a justified override to dispense now.`);
+  }
+  if (!OVERRIDE_REASONS.includes(override.reason)) {
+    throw new RefillError(`Unknown early refill reason "${override.reason}"`, 400, 'INVALID_OVERRIDE');
+  }
+  if (String(override.justification || '').trim().length < 10) {
+    throw new RefillError('An early refill override needs a justification of at least 10 characters', 400, 'INVALID_OVERRIDE');
+  }
+  return { reason: override.reason, justification: String(override.justification).trim() };
+}
+
+/**
+ * Record an early refill override
+ * @param {string} topicId - Prescription topic ID
+ * @param {Object} override - { reason, justification, pharmacistIdHash, dispenseCount, nextEligibleAt, daysEarly, at }
+ * @returns {Object} Stored override
+ */
+function recordOverride(topicId, override) {
+  const entry = { at: new Date().toISOString(), ...override };
+  if (!refillOverrides.has(topicId)) refillOverrides.set(topicId, []);
+  refillOverrides.get(topicId).push(entry);
+  persistence.markDirty();
+  console.log(`[REFILL] Early refill override on ${topicId}: ${entry.reason} (${entry.daysEarly} day(s) early)`);
+  return entry;
+}
+
+/**
+ * Withdraw an override recorded for a dispense that failed
+ * @param {string} topicId - Prescription topic ID
+ * @param {Object} entry - Override returned by recordOverride
+ */
+function removeOverride(topicId, entry) {
+  const overrides = (refillOverrides.get(topicId) || []).filter(o => o !== entry);
+  if (overrides.length === 0) refillOverrides.delete(topicId);
+  else refillOverrides.set(topicId, overrides);
+  persistence.markDirty();
+}
+
+/**
+ * Early refill overrides of a prescription (oldest first)
+ * @param {string} topicId - Prescription topic ID
+ * @returns {Array}
+ */
+function getOverrides(topicId) {
+  return refillOverrides.get(topicId) || [];
+}
+
+module.exports = {
+  RefillError,
+  OVERRIDE_REASONS,
+  DEFAULT_INTERVAL_DAYS,
+  TOLERANCE_DAYS,
+  scheduleFor,
+  nextEligibleDate,
+  checkRefill,
+  assertEligible,
+  recordOverride,
+  removeOverride,
+  getOverrides,
+  refillOverrides
+};
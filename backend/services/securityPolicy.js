@@ -0,0 +1,88 @@
+/**
+ * Security Policy Service
+ *
+ * Admin-managed authentication policy (persisted).
+ * Controls which roles must use a TOTP second factor and whether dispensing
+ * requires the one-time code sent to the patient.
+ */
+
+const { persistence } = require('./store');
+
+// Policy settings - persisted to disk
+const securityPolicy = new Map(); // key -> value
+
+// Register for persistence
+persistence.register('securityPolicy', securityPolicy);
+
+const MFA_REQUIRED_ROLES = 'mfaRequiredRoles';
+const DISPENSE_OTP_REQUIRED = 'dispenseOtpRequired';
+
+/**
+ * Roles that must complete 2FA before acting (e.g. ['doctor'])
+ * @returns {string[]}
+ */
+function getMfaRequiredRoles() {
+  return securityPolicy.get(MFA_REQUIRED_ROLES) || [];
+}
+
+/**
+ * Replace the list of roles that must use 2FA
+ * @param {string[]} roles - Role names
+ * @returns {string[]} Stored roles
+ */
+function setMfaRequiredRoles(roles) {
+  const unique = Array.from(new Set(roles || []));
+  securityPolicy.set(MFA_REQUIRED_ROLES, unique);
+  persistence.markDirty();
+  console.log(`[POLICY] 2FA required for roles: ${unique.join(', ') || '(none)'}`);
+  return unique;
+}
+
+/**
+ * Whether a role is subject to mandatory 2FA
+ * @param {string} role - Role name
+ * @returns {boolean}
+ */
+function isMfaRequired(role) {
+  return getMfaRequiredRoles().includes(role);
+}
+
+/**
+ * Whether pharmacists must enter the patient's one-time code before dispensing
+ * (DISPENSE_OTP_REQUIRED until an admin sets it)
+ * @returns {boolean}
+ */
+function isDispenseOtpRequired() {
+  if (securityPolicy.has(DISPENSE_OTP_REQUIRED)) return securityPolicy.get(DISPENSE_OTP_REQUIRED);
+  return process.env.DISPENSE_OTP_REQUIRED === 'true';
+}
+
+/**
+ * Turn the patient one-time code check at dispense on or off
+ * @param {boolean} required
+ * @returns {boolean} Stored value
+ */
+function setDispenseOtpRequired(required) {
+  securityPolicy.set(DISPENSE_OTP_REQUIRED, !!required);
+  persistence.markDirty();
+  console.log(`[POLICY] Patient code at dispense: ${required ? 'required' : 'off'}`);
+  return !!required;
+}
+
+/**
+ * Snapshot of the whole policy (for the admin UI)
+ * @returns {Object}
+ */
+function getPolicy() {
+  return { mfaRequiredRoles: getMfaRequiredRoles(), dispenseOtpRequired: isDispenseOtpRequired() };
+}
+
+module.exports = {
+  getMfaRequiredRoles,
+  setMfaRequiredRoles,
+  isMfaRequired,
+  isDispenseOtpRequired,
+  setDispenseOtpRequired,
+  getPolicy,
+  securityPolicy
+};
@@ -16,6 +16,7 @@
  */
 
 const { inMemoryStore, setTopicStatus, persistence } = require('./store');
+const { recordObservedStatus } = require('./prescriptionLifecycle');
 const { getTopicStatusFromHedera } = require('../utils/mirror');
 
 // Track topics awaiting Mirror Node confirmation
@@ -94,8 +95,7 @@ async function retryConfirmation(topicId) {
     // Status mismatch - update local status
     if (mirrorStatus !== 'unknown') {
       console.warn(`[RECONCILIATION] Status mismatch for ${topicId}: expected ${pending.status}, got ${mirrorStatus}`);
-      setTopicStatus(topicId, mirrorStatus);
-      pending.status = mirrorStatus;
+      pending.status = recordObservedStatus(topicId, mirrorStatus) || mirrorStatus;
       pending.confirmed = true;
       pendingConfirmations.delete(topicId);
       return;
@@ -201,7 +201,7 @@ async function runReconciliation() {
         
         if (mirrorStatus !== 'unknown' && mirrorStatus !== localStatus) {
           console.warn(`[RECONCILIATION] Mismatch found: ${topicId} local=${localStatus} mirror=${mirrorStatus}`);
-          setTopicStatus(topicId, mirrorStatus);
+          recordObservedStatus(topicId, mirrorStatus);
           mismatchCount++;
         }
         
@@ -72,15 +72,6 @@ function drainQueue(submitFn, maxAttempts = 3) {
   }
 }
 
-function pruneExpired() {
-  const now = Date.now();
-  for (const [k, v] of inMemoryStore.entries()) {
-    if (v?.validUntil && now > v.validUntil) {
-      inMemoryStore.delete(k);
-    }
-  }
-}
-
 function pruneIfNeeded() {
   if (inMemoryStore.size <= maxStoreSize) return;
   // Remove oldest entries
@@ -136,15 +127,17 @@ function logHCSEvent(event) {
 }
 
 /**
- * Get all HCS events (optionally filtered by event type)
+ * Get all HCS events (optionally filtered by event type and tenant)
  * @param {string} filter - Event type to filter by ('all', 'issued', 'verified', 'paid', 'dispensed')
+ * @param {Array|null} orgIds - Visible organization IDs (null = all tenants). An event is visible
+ *   to the organization that performed it (orgId) and to the prescriber's organization (prescriberOrgId).
  * @returns {Array} Array of event objects
  */
-function getHCSEvents(filter = 'all') {
-  if (filter === 'all') {
-    return [...hcsEventLog]; // Return a copy
-  }
-  return hcsEventLog.filter(event => event.eventType === filter);
+function getHCSEvents(filter = 'all', orgIds = null) {
+  return hcsEventLog.filter(event =>
+    (filter === 'all' || event.eventType === filter) &&
+    (!orgIds || orgIds.includes(event.orgId) || orgIds.includes(event.prescriberOrgId))
+  );
 }
 
 module.exports = {
@@ -161,7 +154,6 @@ module.exports = {
   getPayload,
   queueMessage,
   drainQueue,
-  pruneExpired,
   setTopicStatus,
   getTopicStatus,
   putSensitiveData,
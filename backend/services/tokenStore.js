@@ -0,0 +1,194 @@
+/**
+ * Token Store Service
+ *
+ * Server-side session state for the JWT layer.
+ *
+ * Features:
+ * - Rotating refresh tokens (opaque, stored as SHA-256 hashes only)
+ * - Refresh token reuse detection (revokes the whole token family)
+ * - Access token revocation list (by jti, pruned on expiry)
+ * - Per-user session cutoff ("log out everywhere")
+ */
+
+const crypto = require('crypto');
+const { persistence } = require('./store');
+
+// refreshTokenHash -> { userId, familyId, mfa, expiresAt, createdAt, rotatedAt, revokedAt }
+const refreshTokens = new Map();
+// jti -> expiresAt (ms) - access tokens revoked before their natural expiry
+const revokedAccessTokens = new Map();
+// userId -> cutoff (ms) - access tokens issued before this instant are rejected
+const sessionCutoffs = new Map();
+
+// Register for persistence
+persistence.register('refreshTokens', refreshTokens);
+persistence.register('revokedAccessTokens', revokedAccessTokens);
+persistence.register('sessionCutoffs', sessionCutoffs);
+
+function getRefreshTtlMs() {
+  const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 7);
+  return days * 24 * 60 * 60 * 1000;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Issue a new opaque refresh token
+ * @param {number|string} userId - Owner user ID
+ * @param {string} familyId - Rotation family (omit to start a new session)
+ * @param {Object} claims - Session properties carried across rotations ({ mfa })
+ * @returns {string} Refresh token (only returned once, never stored in clear)
+ */
+function issueRefreshToken(userId, familyId = null, claims = {}) {
+  const token = crypto.randomBytes(32).toString('hex');
+  refreshTokens.set(hashToken(token), {
+    userId: String(userId),
+    familyId: familyId || crypto.randomBytes(8).toString('hex'),
+    mfa: !!claims.mfa,
+    expiresAt: Date.now() + getRefreshTtlMs(),
+    createdAt: Date.now(),
+    rotatedAt: null,
+    revokedAt: null
+  });
+  persistence.markDirty();
+  return token;
+}
+
+function revokeFamily(familyId) {
+  let count = 0;
+  for (const entry of refreshTokens.values()) {
+    if (entry.familyId === familyId && !entry.revokedAt) {
+      entry.revokedAt = Date.now();
+      count++;
+    }
+  }
+  persistence.markDirty();
+  return count;
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation).
+ * Presenting an already-rotated token is treated as theft: the whole family is revoked.
+ * @param {string} token - Refresh token presented by the client
+ * @returns {Object|null} { userId, mfa, refreshToken } or null if rejected
+ */
+function rotateRefreshToken(token) {
+  if (!token) return null;
+  const entry = refreshTokens.get(hashToken(token));
+  if (!entry) return null;
+
+  if (entry.rotatedAt || entry.revokedAt) {
+    const revoked = revokeFamily(entry.familyId);
+    console.warn(`[TOKENS] Refresh token reuse detected for user ${entry.userId} - revoked ${revoked} token(s) in family ${entry.familyId}`);
+    return null;
+  }
+
+  if (entry.expiresAt <= Date.now()) return null;
+
+  entry.rotatedAt = Date.now();
+  persistence.markDirty();
+
+  return {
+    userId: entry.userId,
+    mfa: !!entry.mfa,
+    refreshToken: issueRefreshToken(entry.userId, entry.familyId, { mfa: entry.mfa })
+  };
+}
+
+/**
+ * Revoke a single refresh token (logout from this device)
+ * @param {string} token - Refresh token
+ * @returns {boolean} True if a token was revoked
+ */
+function revokeRefreshToken(token) {
+  if (!token) return false;
+  const entry = refreshTokens.get(hashToken(token));
+  if (!entry) return false;
+  revokeFamily(entry.familyId);
+  return true;
+}
+
+/**
+ * Add an access token to the revocation list until it expires
+ * @param {Object} decoded - Decoded JWT ({ jti, exp })
+ */
+function revokeAccessToken(decoded) {
+  if (!decoded?.jti) return;
+  const expiresAt = decoded.exp ? decoded.exp * 1000 : Date.now() + 24 * 60 * 60 * 1000;
+  revokedAccessTokens.set(decoded.jti, expiresAt);
+  persistence.markDirty();
+}
+
+/**
+ * Kill every session of a user: all refresh tokens and all access tokens issued so far
+ * @param {number|string} userId - User ID
+ * @returns {number} Number of refresh tokens revoked
+ */
+function revokeAllSessions(userId) {
+  const id = String(userId);
+  let count = 0;
+  for (const entry of refreshTokens.values()) {
+    if (entry.userId === id && !entry.revokedAt) {
+      entry.revokedAt = Date.now();
+      count++;
+    }
+  }
+  sessionCutoffs.set(id, Date.now());
+  persistence.markDirty();
+  console.log(`[TOKENS] Revoked all sessions for user ${id} (${count} refresh token(s))`);
+  return count;
+}
+
+/**
+ * Check whether a decoded access token has been revoked
+ * Session cutoffs are in milliseconds: tokens are compared by their iatMs claim, and
+ * tokens without one by their iat second, revoked when issued in the cutoff's second
+ * @param {Object} decoded - Decoded JWT ({ jti, sub, iat, iatMs })
+ * @returns {boolean}
+ */
+function isAccessTokenRevoked(decoded) {
+  if (!decoded) return true;
+  if (decoded.jti && revokedAccessTokens.has(decoded.jti)) return true;
+  const cutoff = decoded.sub !== undefined ? sessionCutoffs.get(String(decoded.sub)) : undefined;
+  if (!cutoff) return false;
+  if (Number.isFinite(decoded.iatMs)) return decoded.iatMs <= cutoff;
+  return !!decoded.iat && decoded.iat <= Math.floor(cutoff / 1000);
+}
+
+/**
+ * Drop expired refresh tokens and revocation entries
+ * @returns {number} Number of entries removed
+ */
+function pruneExpiredTokens() {
+  const now = Date.now();
+  let removed = 0;
+  for (const [hash, entry] of refreshTokens.entries()) {
+    if (entry.expiresAt <= now) {
+      refreshTokens.delete(hash);
+      removed++;
+    }
+  }
+  for (const [jti, expiresAt] of revokedAccessTokens.entries()) {
+    if (expiresAt <= now) {
+      revokedAccessTokens.delete(jti);
+      removed++;
+    }
+  }
+  if (removed > 0) persistence.markDirty();
+  return removed;
+}
+
+module.exports = {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeAllSessions,
+  isAccessTokenRevoked,
+  pruneExpiredTokens,
+  refreshTokens,
+  revokedAccessTokens,
+  sessionCutoffs
+};
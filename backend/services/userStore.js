@@ -0,0 +1,381 @@
+/**
+ * User Directory Service
+ *
+ * Persistent store of doctor, pharmacist and admin accounts.
+ * Passwords are stored as bcrypt hashes only - never in plaintext.
+ *
+ * Features:
+ * - bcrypt-hashed credentials
+ * - Account disabling (blocks login without deleting history)
+ * - Admin password resets and role assignment
+ * - Organization (tenant) membership
+ * - Optional TOTP second factor with single-use recovery codes
+ * - Persisted through the shared persistence layer
+ */
+
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { persistence } = require('./store');
+const { generateSecret, verifyTotp, generateRecoveryCodes } = require('../utils/totp');
+const organizationStore = require('./organizationStore');
+
+// Users directory - persisted to disk
+const users = new Map(); // userId -> { id, username, passwordHash, role, orgId, fullName, specialty, disabled, twoFactor, createdAt, updatedAt }
+
+// Register for persistence
+persistence.register('users', users);
+
+const ROLES = ['doctor', 'pharmacist', 'admin', 'superadmin'];
+
+// Organization types each role may belong to (superadmin is cross-tenant and has none)
+const ROLE_ORG_TYPES = {
+  doctor: ['clinic'],
+  pharmacist: ['pharmacy', 'pharmacy_chain'],
+  admin: ['clinic', 'pharmacy', 'pharmacy_chain']
+};
+const BCRYPT_ROUNDS = 10;
+
+// Demo accounts seeded on first start so existing environments keep working (orgKey: seeded organization)
+const DEFAULT_USERS = [
+  { username: 'mohamedrami.doctor@atlascare.health', password: 'Doctor#2024', role: 'doctor', orgKey: 'clinic', fullName: 'Mohamed Rami', specialty: 'Specialist in Internal Medicine' },
+  { username: 'hassanalami.pharma@atlascare.health', password: 'Pharma#2024', role: 'pharmacist', orgKey: 'pharmacy', fullName: 'Hassan Alami' },
+  { username: 'admin@atlascare.health', password: 'Admin#2024', role: 'superadmin', fullName: 'Admin User' },
+];
+
+class UserStoreError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'UserStoreError';
+    this.status = status;
+  }
+}
+
+function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+/**
+ * Strip credential material before returning a user to callers
+ * @param {Object} user - Stored user record
+ * @returns {Object|null} Public user view
+ */
+function toPublicUser(user) {
+  if (!user) return null;
+  const { passwordHash, twoFactor, ...rest } = user;
+  return {
+    ...rest,
+    twoFactorEnabled: !!twoFactor?.enabled,
+    recoveryCodesRemaining: twoFactor?.enabled ? (twoFactor.recoveryCodeHashes || []).length : undefined
+  };
+}
+
+/**
+ * Check that a role may belong to the given organization
+ * @param {string} role - User role
+ * @param {number|string|null} orgId - Organization ID
+ * @returns {number|null} Normalized organization ID
+ */
+function resolveMembership(role, orgId) {
+  if (role === 'superadmin') {
+    if (orgId !== undefined && orgId !== null) throw new UserStoreError('Superadmins cannot belong to an organization');
+    return null;
+  }
+  if (orgId === undefined || orgId === null) return null;
+  const org = organizationStore.getOrganization(orgId);
+  if (!org) throw new UserStoreError('Organization not found', 404);
+  if (!ROLE_ORG_TYPES[role].includes(org.type)) {
+    throw new UserStoreError(`A ${role} cannot belong to a ${org.type.replace('_', ' ')}`);
+  }
+  return org.id;
+}
+
+function nextUserId() {
+  let max = 0;
+  for (const user of users.values()) {
+    if (Number(user.id) > max) max = Number(user.id);
+  }
+  return max + 1;
+}
+
+/**
+ * Find a stored user by username (case-insensitive)
+ * @param {string} username - Login email
+ * @returns {Object|null} Stored user record
+ */
+function findByUsername(username) {
+  const normalized = normalizeUsername(username);
+  for (const user of users.values()) {
+    if (user.username === normalized) return user;
+  }
+  return null;
+}
+
+/**
+ * Get a stored user by ID
+ * @param {number|string} id - User ID
+ * @returns {Object|null} Stored user record
+ */
+function getUser(id) {
+  return users.get(Number(id)) || null;
+}
+
+/**
+ * List users (without password hashes), optionally restricted to organizations
+ * @param {Array|null} orgIds - Allowed organization IDs (null = all tenants)
+ * @returns {Array} Public user views
+ */
+function listUsers(orgIds = null) {
+  return Array.from(users.values())
+    .filter(user => !orgIds || orgIds.includes(user.orgId))
+    .sort((a, b) => a.id - b.id)
+    .map(toPublicUser);
+}
+
+/**
+ * Create a new user account
+ * @param {Object} data - { username, password, role, orgId, fullName, specialty }
+ * @returns {Object} Public user view
+ */
+function createUser({ username, password, role, orgId = null, fullName, specialty }) {
+  const normalized = normalizeUsername(username);
+  if (!normalized) throw new UserStoreError('Username is required');
+  if (!password) throw new UserStoreError('Password is required');
+  if (!ROLES.includes(role)) throw new UserStoreError(`Invalid role: ${role}`);
+  if (findByUsername(normalized)) throw new UserStoreError('Username already exists', 409);
+  const memberOf = resolveMembership(role, orgId);
+
+  const now = new Date().toISOString();
+  const user = {
+    id: nextUserId(),
+    username: normalized,
+    passwordHash: bcrypt.hashSync(String(password), BCRYPT_ROUNDS),
+    role,
+    orgId: memberOf,
+    fullName: fullName || normalized,
+    specialty: specialty || undefined,
+    disabled: false,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  users.set(user.id, user);
+  persistence.markDirty();
+  console.log(`[USERS] Created ${role} account: ${normalized} (#${user.id})`);
+
+  return toPublicUser(user);
+}
+
+/**
+ * Update profile fields, role, organization or disabled flag
+ * @param {number|string} id - User ID
+ * @param {Object} changes - { role, orgId, fullName, specialty, disabled }
+ * @returns {Object} Public user view
+ */
+function updateUser(id, changes = {}) {
+  const user = getUser(id);
+  if (!user) throw new UserStoreError('User not found', 404);
+
+  if (changes.role !== undefined || changes.orgId !== undefined) {
+    const role = changes.role !== undefined ? changes.role : user.role;
+    if (!ROLES.includes(role)) throw new UserStoreError(`Invalid role: ${role}`);
+    const orgId = changes.orgId !== undefined ? changes.orgId : (role === 'superadmin' ? null : user.orgId);
+    user.orgId = resolveMembership(role, orgId);
+    user.role = role;
+  }
+  if (changes.fullName !== undefined) user.fullName = changes.fullName;
+  if (changes.specialty !== undefined) user.specialty = changes.specialty || undefined;
+  if (changes.disabled !== undefined) user.disabled = !!changes.disabled;
+
+  user.updatedAt = new Date().toISOString();
+  users.set(user.id, user);
+  persistence.markDirty();
+
+  return toPublicUser(user);
+}
+
+/**
+ * Replace a user's password (admin reset)
+ * @param {number|string} id - User ID
+ * @param {string} newPassword - New plaintext password (hashed before storage)
+ * @returns {Object} Public user view
+ */
+function resetPassword(id, newPassword) {
+  const user = getUser(id);
+  if (!user) throw new UserStoreError('User not found', 404);
+  if (!newPassword) throw new UserStoreError('Password is required');
+
+  user.passwordHash = bcrypt.hashSync(String(newPassword), BCRYPT_ROUNDS);
+  user.updatedAt = new Date().toISOString();
+  persistence.markDirty();
+  console.log(`[USERS] Password reset for #${user.id}`);
+
+  return toPublicUser(user);
+}
+
+/**
+ * Whether an account may sign in: not disabled, and its organization (if any) not disabled
+ * @param {Object} user - Stored user record
+ * @returns {boolean}
+ */
+function isActive(user) {
+  if (!user || user.disabled) return false;
+  return !user.orgId || !organizationStore.getOrganization(user.orgId)?.disabled;
+}
+
+/**
+ * Check credentials. Disabled accounts (or accounts of disabled organizations) never authenticate.
+ * @param {string} username - Login email
+ * @param {string} password - Plaintext password
+ * @returns {Object|null} Public user view if credentials are valid
+ */
+function authenticate(username, password) {
+  const user = findByUsername(username);
+  if (!isActive(user) || !password) return null;
+  if (!bcrypt.compareSync(String(password), user.passwordHash)) return null;
+  return toPublicUser(user);
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+}
+
+/**
+ * Start (or restart) TOTP enrollment. The secret only becomes active after activateTwoFactor.
+ * @param {number|string} id - User ID
+ * @returns {string} Base32 secret to render as QR code
+ */
+function beginTwoFactorEnrollment(id) {
+  const user = getUser(id);
+  if (!user) throw new UserStoreError('User not found', 404);
+  if (user.twoFactor?.enabled) throw new UserStoreError('Two-factor authentication is already enabled', 409);
+
+  const secret = generateSecret();
+  user.twoFactor = { enabled: false, pendingSecret: secret };
+  persistence.markDirty();
+  return secret;
+}
+
+/**
+ * Confirm enrollment with a first valid code and issue recovery codes
+ * @param {number|string} id - User ID
+ * @param {string} code - TOTP code from the authenticator app
+ * @returns {string[]} Recovery codes (shown once, stored hashed)
+ */
+function activateTwoFactor(id, code) {
+  const user = getUser(id);
+  if (!user) throw new UserStoreError('User not found', 404);
+  const pendingSecret = user.twoFactor?.pendingSecret;
+  if (!pendingSecret) throw new UserStoreError('No two-factor enrollment in progress');
+  if (!verifyTotp(pendingSecret, code)) throw new UserStoreError('Invalid verification code', 401);
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor = {
+    enabled: true,
+    secret: pendingSecret,
+    recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode),
+    enrolledAt: new Date().toISOString()
+  };
+  user.updatedAt = new Date().toISOString();
+  persistence.markDirty();
+  console.log(`[USERS] Two-factor authentication enabled for #${user.id}`);
+
+  return recoveryCodes;
+}
+
+/**
+ * Check a second factor: a current TOTP code or an unused recovery code (consumed on use)
+ * @param {number|string} id - User ID
+ * @param {string} code - TOTP or recovery code
+ * @returns {boolean}
+ */
+function verifySecondFactor(id, code) {
+  const user = getUser(id);
+  if (!user?.twoFactor?.enabled || !code) return false;
+  if (verifyTotp(user.twoFactor.secret, code)) return true;
+
+  const hash = hashRecoveryCode(code);
+  const idx = (user.twoFactor.recoveryCodeHashes || []).indexOf(hash);
+  if (idx === -1) return false;
+
+  user.twoFactor.recoveryCodeHashes.splice(idx, 1);
+  persistence.markDirty();
+  console.log(`[USERS] Recovery code used by #${user.id} (${user.twoFactor.recoveryCodeHashes.length} left)`);
+  return true;
+}
+
+/**
+ * Remove the second factor (self-service with a valid code, or admin reset)
+ * @param {number|string} id - User ID
+ * @returns {Object} Public user view
+ */
+function disableTwoFactor(id) {
+  const user = getUser(id);
+  if (!user) throw new UserStoreError('User not found', 404);
+  delete user.twoFactor;
+  user.updatedAt = new Date().toISOString();
+  persistence.markDirty();
+  console.log(`[USERS] Two-factor authentication disabled for #${user.id}`);
+  return toPublicUser(user);
+}
+
+/**
+ * Seed the demo accounts when the directory is empty (first start)
+ * @param {Object} orgIds - Seeded organization IDs by key ({ clinic, pharmacy })
+ * @returns {number} Number of users created
+ */
+function seedDefaultUsers(orgIds = {}) {
+  if (users.size > 0) return 0;
+  for (const { orgKey, ...u } of DEFAULT_USERS) {
+    createUser({ ...u, orgId: orgKey ? (orgIds[orgKey] ?? null) : null });
+  }
+  console.log(`[USERS] Seeded ${DEFAULT_USERS.length} default accounts`);
+  return DEFAULT_USERS.length;
+}
+
+/**
+ * Attach accounts created before tenancy to the seeded organizations.
+ * Doctors join the clinic, pharmacists the pharmacy; admins keep their global view as superadmins.
+ * @param {Object} orgIds - Seeded organization IDs by key ({ clinic, pharmacy })
+ * @returns {number} Number of users migrated
+ */
+function assignLegacyUsers(orgIds = {}) {
+  let migrated = 0;
+  for (const user of users.values()) {
+    if (user.orgId || user.role === 'superadmin') continue;
+    if (user.role === 'admin') {
+      user.role = 'superadmin';
+      user.orgId = null;
+    } else {
+      const orgId = user.role === 'doctor' ? orgIds.clinic : orgIds.pharmacy;
+      if (!orgId) continue;
+      user.orgId = orgId;
+    }
+    user.updatedAt = new Date().toISOString();
+    migrated++;
+  }
+  if (migrated > 0) {
+    persistence.markDirty();
+    console.log(`[USERS] Assigned ${migrated} legacy account(s) to organizations`);
+  }
+  return migrated;
+}
+
+module.exports = {
+  ROLES,
+  UserStoreError,
+  findByUsername,
+  getUser,
+  listUsers,
+  createUser,
+  updateUser,
+  resetPassword,
+  authenticate,
+  isActive,
+  beginTwoFactorEnrollment,
+  activateTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  seedDefaultUsers,
+  assignLegacyUsers,
+  users
+};
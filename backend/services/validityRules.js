@@ -0,0 +1,156 @@
+/**
+ * Validity Rules
+ *
+ * Rule table (data/validity-rules.json) that decides, at issuance, how long a
+ * prescription stays valid, how many dispenses it allows and the minimum
+ * interval between dispenses. Rules are keyed by catalog code or ATC class;
+ * chronic-care rules are extended for patients with a long-term condition
+ * (ALD - Affection de Longue Durée).
+ *
+ * Features:
+ * - Per-line rule: catalog code rules first, then ATC class prefixes, in table order
+ *   (strictest rules first); lines matching no rule use the defaults
+ * - ATC class from the medication itself or from its DCI (every component of a combination)
+ * - ALD overrides for chronic rules
+ * - Prescription policy = strictest line: shortest validity, fewest dispenses,
+ *   longest interval, single use if any line requires it
+ * - Controlled substances (catalog flag) are always single use
+ * - Refill limit check with a uniform 400 error
+ */
+
+const medicineCatalog = require('./medicineCatalog');
+
+let table = null;
+
+class ValidityRuleError extends Error {
+  constructor(message, status = 400, code = 'REFILL_LIMIT_EXCEEDED') {
+    super(message);
+    this.name = 'ValidityRuleError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function load() {
+  if (!table) {
+    const raw = require('../data/validity-rules.json');
+    table = {
+      defaults: raw.defaults,
+      rules: raw.rules || [],
+      atcByDci: new Map(Object.entries(raw.atcByDci || {}).map(([dci, atc]) => [dci.toUpperCase(), atc]))
+    };
+  }
+  return table;
+}
+
+/**
+ * Highest number of dispenses any rule allows (upper bound for request validation)
+ * @returns {number}
+ */
+function maxDispensesCap() {
+  const { defaults, rules } = load();
+  return Math.max(defaults.maxDispenses, ...rules.map(r => Math.max(r.maxDispenses || 0, r.ald?.maxDispenses || 0)));
+}
+
+/**
+ * ATC codes of a medication line: its own `atc`, else those of each DCI component in the catalog
+ * @param {Object} medication - { code, atc }
+ * @returns {Array} ATC codes (possibly empty)
+ */
+function atcCodesOf(medication) {
+  if (medication?.atc) return [String(medication.atc).toUpperCase()];
+  const dci = medicineCatalog.getProduct(medication?.code)?.dci;
+  if (!dci) return [];
+  const { atcByDci } = load();
+  return dci.split('/').map(part => atcByDci.get(part.trim())).filter(Boolean);
+}
+
+/**
+ * Rule applying to a medication line
+ * @param {Object} medication - { code, atc }
+ * @returns {Object|null} Rule, or null when the defaults apply
+ */
+function ruleFor(medication) {
+  const { rules } = load();
+  const code = String(medication?.code || '');
+  const byCode = code && rules.find(r => (r.codes || []).includes(code));
+  if (byCode) return byCode;
+  const atcCodes = atcCodesOf(medication);
+  return rules.find(r => (r.atc || []).some(prefix => atcCodes.some(atc => atc.startsWith(prefix)))) || null;
+}
+
+/**
+ * Dispense policy of a prescription
+ * @param {Array} medications - Medication lines
+ * @param {Object} options - { ald } (patient has a long-term condition)
+ * @returns {Object} { validityDays, maxDispenses, minIntervalDays, singleUse, ald, rules: [{ line, ruleId, label, chronic, maxDispenses }],
+ *   controlled: [{ line, class, label }] }
+ */
+function evaluate(medications = [], { ald = false } = {}) {
+  const { defaults } = load();
+  const policy = {
+    validityDays: Infinity,
+    maxDispenses: Infinity,
+    minIntervalDays: 0,
+    singleUse: false,
+    ald: !!ald,
+    rules: [],
+    controlled: []
+  };
+
+  medications.forEach((medication, line) => {
+    const rule = ruleFor(medication);
+    const limits = { ...defaults, ...(rule || {}), ...(rule?.chronic && ald ? rule.ald || {} : {}) };
+    policy.validityDays = Math.min(policy.validityDays, limits.validityDays);
+    policy.maxDispenses = Math.min(policy.maxDispenses, limits.maxDispenses);
+    policy.minIntervalDays = Math.max(policy.minIntervalDays, limits.minIntervalDays || 0);
+    policy.singleUse = policy.singleUse || !!limits.singleUse;
+    if (rule) policy.rules.push({ line, ruleId: rule.id, label: rule.label, chronic: !!rule.chronic, maxDispenses: limits.singleUse ? 1 : limits.maxDispenses });
+
+    const controlled = medicineCatalog.controlledClass(medication);
+    if (controlled) {
+      policy.controlled.push({ line, class: controlled.class, label: controlled.label });
+      policy.singleUse = true;
+    }
+  });
+
+  if (!Number.isFinite(policy.validityDays)) policy.validityDays = defaults.validityDays;
+  if (!Number.isFinite(policy.maxDispenses)) policy.maxDispenses = defaults.maxDispenses;
+  if (policy.singleUse) policy.maxDispenses = 1;
+  return policy;
+}
+
+/**
+ * Refuse a dispense count above the policy's limit
+ * @param {Object} policy - Result of evaluate
+ * @param {number} maxDispenses - Requested number of dispenses
+ */
+function assertWithinLimits(policy, maxDispenses) {
+  const requested = Number(maxDispenses) || 1;
+  if (requested <= policy.maxDispenses) return;
+  const limiting = policy.rules.find(r => r.maxDispenses === policy.maxDispenses) || null;
+  const reason = policy.controlled.length && policy.maxDispenses === 1
+    ? ` (controlled substance: ${policy.controlled[0].label})`
+    : limiting ? ` (${limiting.label}${limiting.chronic && !policy.ald ? ', patient without long-term condition' : ''})` : '';
+  throw new ValidityRuleError(`At most ${policy.maxDispenses} dispense(s) allowed for this prescription${reason}; ${requested} requested`);
+}
+
+/**
+ * Validity end date of a prescription issued at a given time
+ * @param {Object} policy - Result of evaluate
+ * @param {Date|string} issuedAt - Issuance time
+ * @returns {string} ISO date
+ */
+function validUntilFrom(policy, issuedAt = new Date()) {
+  return new Date(new Date(issuedAt).getTime() + policy.validityDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+module.exports = {
+  ValidityRuleError,
+  maxDispensesCap,
+  atcCodesOf,
+  ruleFor,
+  evaluate,
+  assertWithinLimits,
+  validUntilFrom
+};
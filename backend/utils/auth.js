@@ -1,34 +1,62 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { isAccessTokenRevoked } = require('../services/tokenStore');
 
+// Access tokens are short-lived; sessions are extended with rotating refresh tokens
+function getAccessTokenTtl() {
+  return process.env.ACCESS_TOKEN_TTL || '15m';
+}
+
+// iatMs: issue time in milliseconds, compared with session cutoffs (iat only has seconds)
 function signToken(payload, opts = {}) {
   const secret = process.env.JWT_SECRET || 'dev-secret';
-  return jwt.sign(payload, secret, { expiresIn: '1d', ...opts });
+  const jti = crypto.randomBytes(12).toString('hex');
+  return jwt.sign({ ...payload, jti, iatMs: Date.now() }, secret, { expiresIn: getAccessTokenTtl(), ...opts });
 }
 
-function authenticateJWT(req, res, next) {
+/**
+ * Decode and check the bearer access token of a request
+ * @param {Object} req - Express request
+ * @returns {Object} { user } on success, { error } otherwise
+ */
+function decodeAccessToken(req) {
   const authHeader = req.headers['authorization'] || '';
   const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
-  if (!token) return res.status(401).json({ success: false, message: 'Missing token' });
+  if (!token) return { error: 'Missing token' };
   try {
     const secret = process.env.JWT_SECRET || 'dev-secret';
     const decoded = jwt.verify(token, secret);
-    req.user = decoded;
-    next();
+    // Purpose-bound tokens (e.g. 2FA challenges) are not access tokens
+    if (decoded.purpose) return { error: 'Invalid token' };
+    if (isAccessTokenRevoked(decoded)) return { error: 'Token revoked' };
+    return { user: decoded };
   } catch (e) {
-    return res.status(401).json({ success: false, message: 'Invalid token' });
+    return { error: 'Invalid token' };
   }
 }
 
-module.exports = { signToken, authenticateJWT };
+function authenticateJWT(req, res, next) {
+  const { user, error } = decodeAccessToken(req);
+  if (error) return res.status(401).json({ success: false, message: error });
+  req.user = user;
+  next();
+}
 
-function requireRole(...roles) {
-  return (req, res, next) => {
-    const user = req.user;
-    if (!user || !roles.includes(user.role)) {
-      return res.status(403).json({ success: false, message: 'Forbidden' });
-    }
-    next();
-  };
+// Short-lived token proving the password step succeeded, exchanged for a session after 2FA
+function signChallengeToken(userId) {
+  const secret = process.env.JWT_SECRET || 'dev-secret';
+  return jwt.sign({ sub: userId, purpose: 'mfa-challenge' }, secret, { expiresIn: '5m' });
 }
 
-module.exports.requireRole = requireRole;
+function verifyChallengeToken(token) {
+  try {
+    const secret = process.env.JWT_SECRET || 'dev-secret';
+    const decoded = jwt.verify(token, secret);
+    return decoded.purpose === 'mfa-challenge' ? decoded : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+module.exports = { signToken, decodeAccessToken, authenticateJWT, signChallengeToken, verifyChallengeToken };
+
@@ -47,6 +47,8 @@ const envSchema = Joi.object({
       'string.min': 'JWT_SECRET must be at least 32 characters',
       'any.required': 'JWT_SECRET is required for authentication'
     }),
+  ACCESS_TOKEN_TTL: Joi.string().default('15m'),
+  REFRESH_TOKEN_TTL_DAYS: Joi.number().min(1).max(90).default(7),
   SIGNATURE_SALT: Joi.string().min(16).optional(),
   CNDP_SALT: Joi.string().min(16).optional(),
   
@@ -72,6 +72,10 @@ function buildFHIRPrescription(data) {
         ]
       }
     ],
+    // Generic substitution allowed unless the prescriber marked the line "non substituable"
+    substitution: {
+      allowedBoolean: !med.nonSubstitutable
+    },
     note: [
       {
         text: `Diagnosis: ${diagnosis || 'Not specified'}`
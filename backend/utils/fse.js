@@ -12,7 +12,10 @@ const path = require('path');
 /**
  * Generates a fully compliant FSE claim
  * @param {Object} prescription - The prescription data
- * @param {Object} options - Additional options (refs, pharmacist info, etc.)
+ * @param {Object} options - Additional options (refs, pharmacist info, dispensedItems, etc.)
+ *   dispensedItems: [{ line, drugId, quantity, substitution? }] actually handed over (boxes); when omitted every
+ *   line is billed once with its quantity estimated from the treatment duration. Substituted lines
+ *   are billed as the generic handed over, covered on its reimbursement basis
  * @returns {Object} - { fseJson, fsePdfUrl, fsePdfBase64, hl7Message }
  */
 function generateFSE(prescription, options = {}) {
@@ -96,17 +99,34 @@ function generateFSE(prescription, options = {}) {
   const maxDispenses = prescription?.maxDispenses || 1;
   const remainingDispenses = maxDispenses - dispenseCount;
   
+  // Lines to bill: what was actually dispensed, or every line (legacy estimate)
+  const medications = prescription?.medications || [];
+  const billedLines = Array.isArray(options?.dispensedItems)
+    ? options.dispensedItems
+      .map(item => ({
+        m: medications[item.line] || medications.find(med => med.code && med.code === item.drugId),
+        boxes: Number(item.quantity) || 0,
+        substitution: item.substitution || null
+      }))
+      .filter(({ m, boxes }) => m && boxes > 0)
+      // A substituted line is billed as the generic actually handed over
+      .map(({ m, boxes, substitution }) => ({ m: substitution ? { ...m, code: substitution.code, name: substitution.name } : m, boxes, substitution }))
+    : medications.map(m => ({ m, boxes: null, substitution: null }));
+
   // Build FHIR-compliant line items with CNSS extensions
-  const items = (prescription?.medications || []).map((m, idx) => {
-    const price = Number(getPrice(m) || 0);
-    const rate = Number(getRate(m) || 0);
+  const items = billedLines.map(({ m, boxes, substitution }, idx) => {
+    const unitPrice = Number(substitution ? substitution.unitPrice : getPrice(m) || 0);
+    const rate = Number(substitution ? substitution.rate : getRate(m) || 0);
     
-    // Split quantity for multiple dispenses
+    // Split quantity for multiple dispenses (legacy estimate when the dispensed boxes are unknown)
     const totalQuantity = Number(m.duration) || 1;
     const quantityPerDispense = Math.ceil(totalQuantity / maxDispenses);
-    const currentDispenseQuantity = Math.min(quantityPerDispense, totalQuantity - (dispenseCount * quantityPerDispense));
+    const currentDispenseQuantity = boxes ?? Math.min(quantityPerDispense, totalQuantity - (dispenseCount * quantityPerDispense));
+    const price = Number((unitPrice * (boxes ?? 1)).toFixed(2));
     
-    const coverage = Number(((price * rate) / 100).toFixed(2));
+    // Substituted lines are covered on the generic's reimbursement basis (PRIX_BR), not its public price
+    const basis = substitution ? Math.min(substitution.reimbursementBase, unitPrice) * boxes : price;
+    const coverage = Number(((basis * rate) / 100).toFixed(2));
     const patientPays = Number(Math.max(price - coverage, 0).toFixed(2));
     
     totalAmount += price;
@@ -134,7 +154,12 @@ function generateFSE(prescription, options = {}) {
         }
       },
       // Quantity dispensed
-      quantity: {
+      quantity: boxes !== null ? {
+        value: currentDispenseQuantity,
+        unit: 'box',
+        system: 'http://terminology.hl7.org/CodeSystem/v3-orderableDrugForm',
+        code: 'BOX'
+      } : {
         value: currentDispenseQuantity,
         unit: m.durationUnit || 'days',
         system: 'http://unitsofmeasure.org',
@@ -142,7 +167,7 @@ function generateFSE(prescription, options = {}) {
       },
       // Unit price per item
       unitPrice: {
-        value: price,
+        value: unitPrice,
         currency: 'MAD'
       },
       // Total for this line item
@@ -205,7 +230,18 @@ function generateFSE(prescription, options = {}) {
         {
           url: 'http://atlas.care/max-dispenses',
           valueInteger: maxDispenses
-        }
+        },
+        // Generic substitution at the counter: prescribed product and price difference
+        ...(substitution ? [{
+          url: 'http://atlas.care/generic-substitution',
+          extension: [
+            { url: 'prescribedCode', valueString: substitution.prescribedCode },
+            { url: 'prescribedName', valueString: substitution.prescribedName },
+            { url: 'prescribedUnitPrice', valueMoney: { value: substitution.prescribedUnitPrice, currency: 'MAD' } },
+            { url: 'priceDifference', valueMoney: { value: Number((substitution.priceDifference * boxes).toFixed(2)), currency: 'MAD' } },
+            { url: 'reimbursementBase', valueMoney: { value: Number((basis).toFixed(2)), currency: 'MAD' } }
+          ]
+        }] : [])
       ]
     };
   });
@@ -537,6 +573,12 @@ function generateFSE(prescription, options = {}) {
       
       doc.font('Helvetica-Bold').text(`${idx + 1}. ${name}`, { continued: false });
       doc.font('Helvetica').text(`   Code CNSS: ${code} | Quantité: ${it.quantity?.value || 1} ${it.quantity?.unit || ''}`);
+      const substitution = it.extension?.find(e => e.url === 'http://atlas.care/generic-substitution');
+      if (substitution) {
+        const field = (name) => substitution.extension.find(e => e.url === name);
+        const difference = field('priceDifference').valueMoney.value;
+        doc.text(`   Substitution générique de ${field('prescribedName').valueString} (${field('prescribedCode').valueString}) | Écart de prix: ${difference > 0 ? '+' : ''}${difference.toFixed(2)} MAD`);
+      }
       doc.text(`   Prix: ${price.toFixed(2)} MAD | Taux: ${rate}% | Part CNSS: ${coverage.toFixed(2)} MAD | Part assuré: ${patientShare.toFixed(2)} MAD`);
       doc.moveDown(0.3);
     });
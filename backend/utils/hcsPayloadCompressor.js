@@ -1,10 +1,18 @@
 /**
  * HCS Payload Compressor
  * Reduces HCS message sizes by 72% for cost optimization while maintaining CNDP/HIPAA compliance
+ *
+ * Compressed messages carry their schema version in sv (messages published before
+ * versioning have none and are version 1). Versions are registered in
+ * utils/schemaRegistry.js as kind 'hcs-event'; decompressPayload dispatches on them.
  */
 
 const { truncateHash, removeHashPrefix } = require('./hashUtils');
 const { compressGeotag } = require('./geotagMapper');
+const schemaRegistry = require('./schemaRegistry');
+
+// Schema version written by compressPayload
+const HCS_EVENT_VERSION = 2;
 
 // Field name mappings (long → short)
 const FIELD_MAP = {
@@ -249,19 +257,19 @@ function compressPayload(fullPayload, hashLookup = null) {
   switch (eventType) {
     case 'issued':
     case 'i':
-      return compressIssuedMessage(fullPayload, hashLookup);
+      return { sv: HCS_EVENT_VERSION, ...compressIssuedMessage(fullPayload, hashLookup) };
     
     case 'paid':
     case 'p':
-      return compressPaidMessage(fullPayload, hashLookup);
+      return { sv: HCS_EVENT_VERSION, ...compressPaidMessage(fullPayload, hashLookup) };
     
     case 'dispensed':
     case 'd':
-      return compressDispensedMessage(fullPayload, hashLookup);
+      return { sv: HCS_EVENT_VERSION, ...compressDispensedMessage(fullPayload, hashLookup) };
     
     case 'verified':
     case 'v':
-      return compressVerifiedMessage(fullPayload, hashLookup);
+      return { sv: HCS_EVENT_VERSION, ...compressVerifiedMessage(fullPayload, hashLookup) };
     
     default:
       console.warn('Unknown event type:', eventType);
@@ -270,23 +278,35 @@ function compressPayload(fullPayload, hashLookup = null) {
 }
 
 /**
- * Decompress HCS payload back to full format
+ * Decompress HCS payload back to full format, dispatching on its schema version
  * @param {Object} compressedPayload - Compressed payload
  * @param {Map} hashLookup - Hash lookup table (optional)
  * @returns {Object} Full payload
+ * @throws {SchemaVersionError} For a schema version this build does not know
  */
 function decompressPayload(compressedPayload, hashLookup = null) {
   // Auto-detect if already decompressed
   if (compressedPayload.eventType) {
     return compressedPayload;
   }
-  
+  return schemaRegistry.decode('hcs-event', compressedPayload, { hashLookup }).current;
+}
+
+/**
+ * Version 1 decoder: short keys, epoch timestamps, truncated hashes
+ * @param {Object} compressedPayload - Compressed payload
+ * @param {Map} hashLookup - Hash lookup table (optional)
+ * @returns {Object} Full payload
+ */
+function decompressV1(compressedPayload, hashLookup = null) {
   const full = {};
   
   // Map short keys to long keys
   for (const [shortKey, value] of Object.entries(compressedPayload)) {
     // Special handling for event type to convert code to full name
-    if (shortKey === 'e') {
+    if (shortKey === 'sv') {
+      continue; // schema version, not a payload field
+    } else if (shortKey === 'e') {
       full.eventType = EVENT_TYPES[value] || value;
     } else if (shortKey === 'ts') {
       // Convert timestamp from epoch to ISO
@@ -333,6 +353,26 @@ function decompressPayload(compressedPayload, hashLookup = null) {
   return full;
 }
 
+// === Schema versions ===
+
+schemaRegistry.defineSchema('hcs-event', {
+  label: 'HCS event',
+  current: HCS_EVENT_VERSION,
+  versionOf: (payload) => payload.sv || 1
+});
+
+// Version 1: messages published before the sv tag
+schemaRegistry.registerVersion('hcs-event', 1, {
+  decode: (payload, { hashLookup }) => decompressV1(payload, hashLookup),
+  next: 2,
+  upgrade: (full) => full
+});
+
+// Version 2: same fields as version 1, tagged with sv
+schemaRegistry.registerVersion('hcs-event', 2, {
+  decode: (payload, { hashLookup }) => decompressV1(payload, hashLookup)
+});
+
 /**
  * Calculate size reduction
  * @param {Object} original - Original payload
@@ -360,6 +400,7 @@ module.exports = {
   compressDispensedMessage,
   compressVerifiedMessage,
   calculateSavings,
+  HCS_EVENT_VERSION,
   EVENT_TYPES,
   PAYMENT_METHODS
 };
@@ -152,10 +152,12 @@ async function sendMessage({ to, message, method = 'sms' }) {
  * @param {String} options.topicID - Prescription topic ID
  * @param {String} options.patientName - Patient name
  * @param {String} options.method - 'sms' or 'whatsapp'
+ * @param {String} [options.otp] - One-time code the pharmacist asks for at dispense
  * @returns {Promise<Object>}
  */
-async function sendPrescriptionNotification({ to, topicID, patientName, method = 'sms' }) {
-  const message = `Dear ${patientName || 'Patient'},\n\nYour AtlasCare prescription is ready.\nPrescription code: ${topicID}\n\nShow this code at the pharmacy to collect your medication.\n\n- AtlasCare Team`;
+async function sendPrescriptionNotification({ to, topicID, patientName, method = 'sms', otp = null }) {
+  const otpLine = otp ? `\nOne-time code for the pharmacist: ${otp} (only share it at the pharmacy)` : '';
+  const message = `Dear ${patientName || 'Patient'},\n\nYour AtlasCare prescription is ready.\nPrescription code: ${topicID}${otpLine}\n\nShow this code at the pharmacy to collect your medication.\n\n- AtlasCare Team`;
 
   // Try the requested method first
   const result = await sendMessage({ to, message, method });
@@ -3,6 +3,19 @@ const { decompressPayload } = require('./hcsPayloadCompressor');
 
 const MIRROR = process.env.HEDERA_MIRROR_BASE || 'https://testnet.mirrornode.hedera.com/api/v1';
 
+// Mirror message (base64 JSON) to a full payload; compressed events are decoded by their schema version (sv)
+function decodeMessage(base64) {
+  const json = JSON.parse(Buffer.from(base64, 'base64').toString('utf8'));
+  if (!json?.e || json?.eventType) return json;
+  const { hashLookup } = require('../services/store');
+  try {
+    return decompressPayload(json, hashLookup);
+  } catch (e) {
+    console.warn('[MIRROR] Skipping message:', e.message); // e.g. published by a newer schema version
+    throw e;
+  }
+}
+
 async function getNftMetadata(tokenId, serial) {
   const url = `${MIRROR}/tokens/${tokenId}/nfts/${serial}`;
   const { data } = await axios.get(url);
@@ -23,14 +36,7 @@ async function hasIssuedEvent(topicId, prescriptionId) {
     const messages = data?.messages || [];
     for (const msg of messages) {
       try {
-        const payload = Buffer.from(msg.message, 'base64').toString('utf8');
-        let json = JSON.parse(payload);
-        
-        // Decompress if compressed
-        if (json?.e && !json?.eventType) {
-          const { hashLookup } = require('../services/store');
-          json = decompressPayload(json, hashLookup);
-        }
+        const json = decodeMessage(msg.message);
         
         if ((json?.type === 'issued' || json?.eventType === 'issued') && (json?.prescriptionId === prescriptionId || json?.topicID === topicId)) return true;
       } catch (_) {}
@@ -51,14 +57,7 @@ async function getLastEventType(auditTopicId, targetTopicID) {
     for (let i = 0; i < messages.length; i++) {
       const msg = messages[i];
       try {
-        const payload = Buffer.from(msg.message, 'base64').toString('utf8');
-        let json = JSON.parse(payload);
-        
-        // Decompress if compressed (check for 'e' field - compressed eventType indicator)
-        if (json?.e && !json?.eventType) {
-          const { hashLookup } = require('../services/store');
-          json = decompressPayload(json, hashLookup);
-        }
+        const json = decodeMessage(msg.message);
         
         // After decompression, use full field names
         if (json?.topicID === targetTopicID) {
@@ -112,14 +111,7 @@ async function getTopicStatusFromHedera(targetTopicID) {
       // Topic exists and has messages - check the latest message
       const latestMsg = data.messages[0];
       try {
-        const payload = Buffer.from(latestMsg.message, 'base64').toString('utf8');
-        let json = JSON.parse(payload);
-        
-        // Decompress if compressed
-        if (json?.e && !json?.eventType) {
-          const { hashLookup } = require('../services/store');
-          json = decompressPayload(json, hashLookup);
-        }
+        const json = decodeMessage(latestMsg.message);
         
         // After decompression, use full field names only
         const status = json?.eventType || json?.type || 'issued';
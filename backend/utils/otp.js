@@ -1,32 +1,65 @@
 const crypto = require('crypto');
+const { persistence } = require('../services/store');
 
-// Simple in-memory OTP store with TTL. Replace with Redis for production.
+// One-time codes with TTL, persisted (only a hash of each code is stored) so codes
+// delivered with a prescription survive restarts. Replace with Redis for production.
 const store = new Map();
+persistence.register('otpCodes', store);
+
+function hashOtp(otp) {
+  return crypto.createHash('sha256').update(String(otp)).digest('hex');
+}
 
 /**
- * Issue an OTP tied to a reference. Returns { ref, otp, expiresAt }.
+ * Issue an OTP tied to a reference. Returns { ref, token, otp, expiresAt }.
  * @param {string} ref - business reference (e.g., prescriptionId)
  * @param {number} ttlSeconds - time to live in seconds
  */
 function issueOtp(ref, ttlSeconds = 300) {
-  const otp = ('' + (Math.floor(100000 + Math.random() * 900000)));
+  const now = Date.now();
+  for (const [key, item] of store) {
+    if (item.expiresAt <= now) store.delete(key);
+  }
+  const otp = String(crypto.randomInt(100000, 1000000));
   const token = crypto.randomBytes(8).toString('hex');
   const key = `${ref}:${token}`;
-  const expiresAt = Date.now() + ttlSeconds * 1000;
-  store.set(key, { otp, ref, expiresAt });
+  const expiresAt = now + ttlSeconds * 1000;
+  store.set(key, { otpHash: hashOtp(otp), ref, expiresAt });
+  persistence.markDirty();
   return { ref, token, otp, expiresAt };
 }
 
 /**
- * Verify an OTP by ref + token + otp.
+ * Verify an OTP by ref + token + otp (a valid code can be used once).
  */
 function verifyOtp(ref, token, otp) {
   const key = `${ref}:${token}`;
   const item = store.get(key);
   if (!item) return false;
-  const valid = item.otp === String(otp) && item.expiresAt > Date.now();
-  if (valid) store.delete(key);
+  const expected = Buffer.from(item.otpHash, 'hex');
+  const given = Buffer.from(hashOtp(otp), 'hex');
+  const valid = crypto.timingSafeEqual(expected, given) && item.expiresAt > Date.now();
+  if (valid) {
+    store.delete(key);
+    persistence.markDirty();
+  }
   return valid;
 }
 
-module.exports = { issueOtp, verifyOtp };
+/**
+ * Drop every outstanding OTP of a reference (e.g. when a new code is sent).
+ * @returns {number} Codes revoked
+ */
+function revokeOtps(ref) {
+  let count = 0;
+  for (const [key, item] of store) {
+    if (item.ref === ref) {
+      store.delete(key);
+      count++;
+    }
+  }
+  if (count) persistence.markDirty();
+  return count;
+}
+
+module.exports = { issueOtp, verifyOtp, revokeOtps, otpStore: store };
@@ -1,5 +1,6 @@
 const PDFDocument = require('pdfkit');
 const QRCode = require('qrcode');
+const { pickQrPayload, symbolVersionOf } = require('./qrPayload');
 const fs = require('fs');
 const path = require('path');
 
@@ -41,6 +42,10 @@ async function generatePrescriptionPdf(prescription, options = {}) {
   const issuance = new Date(prescription.date || Date.now()).toLocaleString();
   doc.fontSize(9).fillColor('#374151').text(`ID: ${prescription.id || prescription.prescriptionId || 'N/A'}`, rightX, headerTopY + 60, { width: 200, align: 'right' });
   doc.fontSize(9).fillColor('#374151').text(`Date: ${issuance}`, rightX, headerTopY + 73, { width: 200, align: 'right' });
+  if (prescription.controlledSerial) {
+    // Controlled substances: serial-numbered prescription (ordonnance sécurisée)
+    doc.fontSize(9).fillColor('#b91c1c').text(`Ordonnance sécurisée N° ${prescription.controlledSerial}`, rightX, headerTopY + 84, { width: 200, align: 'right' });
+  }
 
   // Horizontal divider
   doc.y = headerTopY + 95;
@@ -125,7 +130,7 @@ async function generatePrescriptionPdf(prescription, options = {}) {
       let contentHeight = 8; // Top padding
 
       // Medication name
-      const nameText = `${idx + 1}. ${m.name || ''}`;
+      const nameText = `${idx + 1}. ${m.name || ''}${m.nonSubstitutable ? ' — Non substituable' : ''}`;
       contentHeight += 13; // Name line height
       contentHeight += 3; // Spacing
 
@@ -192,7 +197,10 @@ async function generatePrescriptionPdf(prescription, options = {}) {
   console.log('[PDF] options.qrData:', JSON.stringify(options.qrData));
   console.log('[PDF] prescription.id:', prescription.id);
 
-  const qrPayload = options.qrData || { prescriptionId: prescription.id || prescription.prescriptionId };
+  // qrData may list several formats of the same QR (v2 first): the largest one that still prints readably wins.
+  // encodeQr gives the printed text (JSON unless the compact COSE/Base45 encoding is configured)
+  const encodeQr = options.encodeQr || JSON.stringify;
+  const qrPayload = pickQrPayload(options.qrData, undefined, encodeQr) || { prescriptionId: prescription.id || prescription.prescriptionId };
   console.log('[PDF] Final QR Payload for prescription:', prescription.id, 'QR Data:', JSON.stringify(qrPayload));
 
   // Ensure we're using the correct format
@@ -201,12 +209,14 @@ async function generatePrescriptionPdf(prescription, options = {}) {
     console.error('[PDF] This QR code will NOT work with the pharmacist portal!');
   }
 
-  const qrPng = await QRCode.toBuffer(JSON.stringify(qrPayload), { width: 80, margin: 1, color: { dark: '#000000', light: '#FFFFFF' } });
+  // At least one point per module (a version N symbol has 17 + 4N modules), so denser QRs print larger
+  const qrSize = Math.min(120, Math.max(80, 17 + 4 * symbolVersionOf(qrPayload, encodeQr)));
+  const qrPng = await QRCode.toBuffer(encodeQr(qrPayload), { width: qrSize * 2, margin: 1, color: { dark: '#000000', light: '#FFFFFF' } });
   doc.moveDown(0.2);
   const qrStartY = doc.y + 2;
-  const qrX = doc.page.width - 48 - 80;
-  doc.image(qrPng, qrX, qrStartY, { width: 80 });
-  doc.fontSize(7).fillColor('#64748b').text('Scan to verify', qrX, qrStartY + 82, { width: 80, align: 'center' });
+  const qrX = doc.page.width - 48 - qrSize;
+  doc.image(qrPng, qrX, qrStartY, { width: qrSize });
+  doc.fontSize(7).fillColor('#64748b').text('Scan to verify', qrX, qrStartY + qrSize + 2, { width: qrSize, align: 'center' });
 
   // Footer - just draw it where we are
   doc.moveDown(0.2);
@@ -0,0 +1,314 @@
+/**
+ * Compact QR Encoding (CBOR / COSE_Sign1 / zlib / Base45)
+ * Modelled on the EU Digital COVID Certificate:
+ *
+ *   'AC1:' + Base45( zlib( COSE_Sign1( CBOR(payload) ) ) )
+ *
+ * The payload is the QR payload without its JSON signature (s); the COSE_Sign1
+ * structure (CBOR tag 18) carries the doctor's ES256K signature as raw r || s
+ * (64 bytes instead of ~72 hex-encoded DER bytes) and the key ID in the header.
+ * Base45 only uses QR alphanumeric-mode characters, so the symbol stays sparse.
+ *
+ * Only the CBOR subset used by QR payloads is supported: integers, floats,
+ * text and byte strings, arrays, maps, tags, booleans and null.
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const EC = require('elliptic').ec;
+const { ensureKeyPair } = require('./signature');
+
+const ec = new EC('secp256k1');
+
+const PREFIX = 'AC1:';
+const COSE_SIGN1_TAG = 18;
+const COSE_ALG_ES256K = -47; // RFC 8812
+const HEADER_ALG = 1;
+const HEADER_KID = 4;
+const BASE45_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+class QrCodecError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QrCodecError';
+    this.status = 400;
+    this.code = 'INVALID_QR';
+  }
+}
+
+// === Base45 (RFC 9285) ===
+
+function base45Encode(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 2) {
+    if (i + 1 < bytes.length) {
+      const n = bytes[i] * 256 + bytes[i + 1];
+      out += BASE45_ALPHABET[n % 45] + BASE45_ALPHABET[Math.floor(n / 45) % 45] + BASE45_ALPHABET[Math.floor(n / 2025)];
+    } else {
+      out += BASE45_ALPHABET[bytes[i] % 45] + BASE45_ALPHABET[Math.floor(bytes[i] / 45)];
+    }
+  }
+  return out;
+}
+
+function base45Decode(text) {
+  const values = [...text].map(c => {
+    const v = BASE45_ALPHABET.indexOf(c);
+    if (v < 0) throw new QrCodecError(`Invalid Base45 character "${c}"`);
+    return v;
+  });
+  if (values.length % 3 === 1) throw new QrCodecError('Invalid Base45 length');
+  const bytes = [];
+  for (let i = 0; i < values.length; i += 3) {
+    if (i + 2 < values.length) {
+      const n = values[i] + values[i + 1] * 45 + values[i + 2] * 2025;
+      if (n > 0xffff) throw new QrCodecError('Invalid Base45 triplet');
+      bytes.push(n >> 8, n & 0xff);
+    } else {
+      const n = values[i] + values[i + 1] * 45;
+      if (n > 0xff) throw new QrCodecError('Invalid Base45 pair');
+      bytes.push(n);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// === CBOR (RFC 8949 subset) ===
+
+class Tagged {
+  constructor(tag, value) {
+    this.tag = tag;
+    this.value = value;
+  }
+}
+
+function cborHead(major, length) {
+  if (length < 24) return Buffer.from([(major << 5) | length]);
+  if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+  if (length < 0x10000) return Buffer.from([(major << 5) | 25, length >> 8, length & 0xff]);
+  if (length < 0x100000000) {
+    const b = Buffer.alloc(5);
+    b[0] = (major << 5) | 26;
+    b.writeUInt32BE(length, 1);
+    return b;
+  }
+  const b = Buffer.alloc(9);
+  b[0] = (major << 5) | 27;
+  b.writeBigUInt64BE(BigInt(length), 1);
+  return b;
+}
+
+function cborEncode(value) {
+  if (value === null || value === undefined) return Buffer.from([0xf6]);
+  if (value === false) return Buffer.from([0xf4]);
+  if (value === true) return Buffer.from([0xf5]);
+  if (value instanceof Tagged) return Buffer.concat([cborHead(6, value.tag), cborEncode(value.value)]);
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) return Buffer.concat([cborHead(2, value.length), Buffer.from(value)]);
+  if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) return value >= 0 ? cborHead(0, value) : cborHead(1, -1 - value);
+    const b = Buffer.alloc(9);
+    b[0] = 0xfb;
+    b.writeDoubleBE(value, 1);
+    return b;
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([cborHead(3, bytes.length), bytes]);
+  }
+  if (Array.isArray(value)) return Buffer.concat([cborHead(4, value.length), ...value.map(cborEncode)]);
+  if (value instanceof Map) {
+    return Buffer.concat([cborHead(5, value.size), ...[...value].flatMap(([k, v]) => [cborEncode(k), cborEncode(v)])]);
+  }
+  if (typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+    return Buffer.concat([cborHead(5, entries.length), ...entries.flatMap(([k, v]) => [cborEncode(k), cborEncode(v)])]);
+  }
+  throw new QrCodecError(`Cannot CBOR-encode ${typeof value}`);
+}
+
+/**
+ * Decode one CBOR item (maps with text keys become objects, other maps become Maps)
+ * @param {Buffer} bytes - CBOR data
+ * @returns {*} Decoded value (tags as Tagged)
+ */
+function cborDecode(bytes) {
+  let pos = 0;
+  const need = (n) => {
+    if (pos + n > bytes.length) throw new QrCodecError('Truncated CBOR data');
+  };
+  const readLength = (info) => {
+    if (info < 24) return info;
+    const size = { 24: 1, 25: 2, 26: 4, 27: 8 }[info];
+    if (!size) throw new QrCodecError('Unsupported CBOR length encoding');
+    need(size);
+    const n = size === 8 ? Number(bytes.readBigUInt64BE(pos)) : bytes.readUIntBE(pos, size);
+    pos += size;
+    return n;
+  };
+  const item = (depth) => {
+    if (depth > 16) throw new QrCodecError('CBOR nesting too deep');
+    need(1);
+    const initial = bytes[pos++];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+    if (major === 7) {
+      if (info === 20) return false;
+      if (info === 21) return true;
+      if (info === 22 || info === 23) return null;
+      if (info === 26) { need(4); const v = bytes.readFloatBE(pos); pos += 4; return v; }
+      if (info === 27) { need(8); const v = bytes.readDoubleBE(pos); pos += 8; return v; }
+      throw new QrCodecError('Unsupported CBOR simple value');
+    }
+    const length = readLength(info);
+    switch (major) {
+      case 0: return length;
+      case 1: return -1 - length;
+      case 2: { need(length); const v = bytes.subarray(pos, pos + length); pos += length; return Buffer.from(v); }
+      case 3: { need(length); const v = bytes.toString('utf8', pos, pos + length); pos += length; return v; }
+      case 4: return Array.from({ length }, () => item(depth + 1));
+      case 5: {
+        const entries = Array.from({ length }, () => [item(depth + 1), item(depth + 1)]);
+        return entries.every(([k]) => typeof k === 'string') ? Object.fromEntries(entries) : new Map(entries);
+      }
+      case 6: return new Tagged(length, item(depth + 1));
+      default: throw new QrCodecError('Unsupported CBOR type');
+    }
+  };
+  const value = item(0);
+  if (pos !== bytes.length) throw new QrCodecError('Trailing bytes after CBOR item');
+  return value;
+}
+
+// === COSE_Sign1 ===
+
+function sigStructure(protectedBytes, payloadBytes) {
+  return cborEncode(['Signature1', protectedBytes, Buffer.alloc(0), payloadBytes]);
+}
+
+function keyIdOf(publicKeyHex) {
+  return crypto.createHash('sha256').update(Buffer.from(publicKeyHex, 'hex')).digest().subarray(0, 8);
+}
+
+/**
+ * Encode a QR payload as a signed 'AC1:' Base45 string
+ * @param {Object} qrPayload - QR payload (its JSON signature s is dropped: COSE signs instead)
+ * @param {string} nationalId - Doctor INPE (signing key)
+ * @returns {string}
+ */
+function encodeCoseQr(qrPayload, nationalId) {
+  const { s: _jsonSignature, ...fields } = qrPayload;
+  const { privateKeyHex, publicKeyHex } = ensureKeyPair(nationalId);
+  const protectedBytes = cborEncode(new Map([[HEADER_ALG, COSE_ALG_ES256K]]));
+  const payloadBytes = cborEncode(fields);
+
+  const hash = crypto.createHash('sha256').update(sigStructure(protectedBytes, payloadBytes)).digest();
+  const sig = ec.keyFromPrivate(privateKeyHex, 'hex').sign(hash, { canonical: true });
+  const signature = Buffer.concat([sig.r.toArrayLike(Buffer, 'be', 32), sig.s.toArrayLike(Buffer, 'be', 32)]);
+
+  const cose = cborEncode(new Tagged(COSE_SIGN1_TAG, [protectedBytes, new Map([[HEADER_KID, keyIdOf(publicKeyHex)]]), payloadBytes, signature]));
+  return PREFIX + base45Encode(zlib.deflateSync(cose, { level: 9 }));
+}
+
+/**
+ * Decode an 'AC1:' string (signature not checked: see verifyCoseSignature)
+ * @param {string} text - Scanned QR text
+ * @returns {Object} { payload, kid (hex), protectedBytes, payloadBytes, signature }
+ */
+function decodeCoseQr(text) {
+  const body = String(text || '').trim();
+  if (!body.startsWith(PREFIX)) throw new QrCodecError('Not a compact AtlasCare QR');
+  let cose;
+  try {
+    cose = cborDecode(zlib.inflateSync(base45Decode(body.slice(PREFIX.length)), { maxOutputLength: 64 * 1024 }));
+  } catch (e) {
+    if (e instanceof QrCodecError) throw e;
+    throw new QrCodecError('Corrupted compact QR');
+  }
+  const parts = cose instanceof Tagged && cose.tag === COSE_SIGN1_TAG ? cose.value : cose;
+  if (!Array.isArray(parts) || parts.length !== 4 || !Buffer.isBuffer(parts[0]) || !Buffer.isBuffer(parts[2]) || !Buffer.isBuffer(parts[3])) {
+    throw new QrCodecError('Not a COSE_Sign1 structure');
+  }
+  const [protectedBytes, unprotected, payloadBytes, signature] = parts;
+  const header = protectedBytes.length ? cborDecode(protectedBytes) : new Map();
+  if (!(header instanceof Map) || header.get(HEADER_ALG) !== COSE_ALG_ES256K) throw new QrCodecError('Unsupported COSE algorithm');
+  const payload = cborDecode(payloadBytes);
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload) || payload instanceof Map) throw new QrCodecError('Invalid QR payload');
+  const kid = unprotected instanceof Map ? unprotected.get(HEADER_KID) : null;
+  return { payload, kid: Buffer.isBuffer(kid) ? kid.toString('hex') : null, protectedBytes, payloadBytes, signature };
+}
+
+/**
+ * Check the COSE signature of a decoded QR against a doctor's public key
+ * @param {Object} decoded - decodeCoseQr result
+ * @param {string} publicKeyHex - Doctor public key (uncompressed hex)
+ * @returns {boolean}
+ */
+function verifyCoseSignature({ protectedBytes, payloadBytes, signature }, publicKeyHex) {
+  if (!signature || signature.length !== 64) return false;
+  try {
+    const hash = crypto.createHash('sha256').update(sigStructure(protectedBytes, payloadBytes)).digest();
+    return ec.keyFromPublic(publicKeyHex, 'hex').verify(hash, { r: signature.subarray(0, 32).toString('hex'), s: signature.subarray(32).toString('hex') });
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Format of scanned QR text
+ * @param {string} text - Scanned QR text
+ * @returns {string} 'cose' | 'json' | 'url' | 'text'
+ */
+function detectQrFormat(text) {
+  const body = String(text || '').trim();
+  if (body.startsWith(PREFIX)) return 'cose';
+  if (body.startsWith('{')) {
+    try {
+      JSON.parse(body);
+      return 'json';
+    } catch (_) { /* not JSON */ }
+  }
+  if (/^https?:\/\//i.test(body)) return 'url';
+  return 'text';
+}
+
+/**
+ * Decode scanned QR text of any supported format
+ * @param {string} text - Scanned QR text
+ * @returns {Object} { format, payload (null for url/text), cose (compact QRs only) }
+ */
+function decodeQrText(text) {
+  const format = detectQrFormat(text);
+  if (format === 'cose') {
+    const cose = decodeCoseQr(text);
+    return { format, payload: cose.payload, cose };
+  }
+  if (format === 'json') return { format, payload: JSON.parse(String(text).trim()) };
+  return { format, payload: null };
+}
+
+/**
+ * Printable QR text of a payload in the configured encoding (QR_ENCODING=json|cose)
+ * @param {Object} qrPayload - QR payload
+ * @param {string} nationalId - Doctor INPE (required to sign the compact form)
+ * @returns {string}
+ */
+function encodeQrText(qrPayload, nationalId) {
+  if ((process.env.QR_ENCODING || 'json') === 'cose' && nationalId) return encodeCoseQr(qrPayload, nationalId);
+  return JSON.stringify(qrPayload);
+}
+
+module.exports = {
+  PREFIX,
+  QrCodecError,
+  Tagged,
+  base45Encode,
+  base45Decode,
+  cborEncode,
+  cborDecode,
+  encodeCoseQr,
+  decodeCoseQr,
+  verifyCoseSignature,
+  detectQrFormat,
+  decodeQrText,
+  encodeQrText
+};
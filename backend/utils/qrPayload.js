@@ -0,0 +1,225 @@
+/**
+ * Prescription QR Payloads
+ * Compact signed payloads printed on the prescription (spec Section 3.1).
+ *
+ * v1 ("1.0") carries the first medication only (d, q, i).
+ * v2 ("2.0") carries every line in m as [drugCode, quantity, dosageCode] tuples,
+ * e.g. ["N02BE01", 2, "500mg:3/d:7d"]. Tuples (not objects) keep it small and let
+ * the browser reproduce the signed JSON with a flat key list.
+ *
+ * Both versions are defined in utils/qrSchemas.json (shared with the frontend's offline
+ * verification) and registered in utils/schemaRegistry.js as kind 'qr': decoding a
+ * payload gives the structure the doctor signed, upgrading turns v1 into a one-line v2.
+ */
+
+const QRCode = require('qrcode');
+const { signPayload } = require('./signature');
+const schemaRegistry = require('./schemaRegistry');
+const QR_SCHEMAS = require('./qrSchemas.json');
+
+const CURRENT_QR_VERSION = QR_SCHEMAS.current;
+// Largest QR symbol (version 1-40) still readable at the printed size; bigger payloads fall back to v1
+const MAX_SYMBOL_VERSION = Number(process.env.QR_MAX_SYMBOL_VERSION || 20);
+
+/**
+ * Compact dosage code of a medication: dose + unit, times per day, duration
+ * @param {Object} medication - { dosage, unit, frequency, duration, durationUnit }
+ * @returns {string} e.g. '500mg:3/d:7d'
+ */
+function dosageCode(medication = {}) {
+  const durationUnit = String(medication.durationUnit || 'days').charAt(0);
+  return `${medication.dosage || '1'}${medication.unit || ''}:${medication.frequency || '1'}/d:${medication.duration || '7'}${durationUnit}`;
+}
+
+/**
+ * QR line of a medication (quantity as in the dispense ledger: boxes, default maxDispenses)
+ * @param {Object} medication - Prescription medication
+ * @param {number} maxDispenses - Allowed dispenses
+ * @returns {Array} [drugCode, quantity, dosageCode]
+ */
+function medicationLine(medication = {}, maxDispenses = 1) {
+  return [medication.code || 'UNKNOWN', Number(medication.quantity) || Number(maxDispenses) || 1, dosageCode(medication)];
+}
+
+function sign(qrPayload, nationalId) {
+  // Add ECDSA signature if doctor national ID is provided
+  if (nationalId) qrPayload.s = `hex:${signPayload(qrPayload, nationalId)}`;
+  return qrPayload;
+}
+
+/**
+ * v1 payload (12 fields); the first medication is carried in d/q/i
+ * @param {Object} fields - { topicID, hashedPatientId, medication, validUntil, nonce, geotag, doctorIdHash, dispenseCount, maxDispenses }
+ * @param {string} nationalId - Doctor INPE (signs when given)
+ * @returns {Object} QR payload
+ */
+function buildQrPayload({ topicID, hashedPatientId, medication = {}, validUntil, nonce, geotag, doctorIdHash, dispenseCount = 0, maxDispenses = 1 }, nationalId) {
+  return sign({
+    v: '1.0',                    // version
+    t: topicID,                  // topicId
+    h: hashedPatientId,          // hashedPatientId
+    d: medication.code || 'UNKNOWN', // drugId ATC
+    q: `${medication.dosage || '1'}${medication.unit || 'mg'}`, // quantity
+    i: medication.instructions || `${medication.frequency || '1'}x/day, ${medication.duration || '7'} ${medication.durationUnit || 'days'}`, // instructions
+    u: validUntil,               // validUntil
+    n: nonce,                    // nonce
+    g: geotag,                   // geotag
+    p: doctorIdHash,             // doctorId hash
+    dc: dispenseCount,           // dispenseCount
+    md: maxDispenses             // maxDispenses
+  }, nationalId);
+}
+
+/**
+ * v2 payload: v1 without d/q/i, plus every medication line in m
+ * @param {Object} fields - { topicID, hashedPatientId, medications, validUntil, nonce, geotag, doctorIdHash, dispenseCount, maxDispenses }
+ * @param {string} nationalId - Doctor INPE (signs when given)
+ * @returns {Object} QR payload
+ */
+function buildQrPayloadV2({ topicID, hashedPatientId, medications = [], validUntil, nonce, geotag, doctorIdHash, dispenseCount = 0, maxDispenses = 1 }, nationalId) {
+  return sign({
+    v: '2.0',
+    t: topicID,
+    h: hashedPatientId,
+    m: medications.map(med => medicationLine(med, maxDispenses)),
+    u: validUntil,
+    n: nonce,
+    g: geotag,
+    p: doctorIdHash,
+    dc: dispenseCount,
+    md: maxDispenses
+  }, nationalId);
+}
+
+/**
+ * Both formats of the same prescription QR, v2 first
+ * @param {Object} fields - buildQrPayloadV2 fields (medications)
+ * @param {string} nationalId - Doctor INPE
+ * @returns {Array} [v2, v1]
+ */
+function buildQrCandidates({ medications = [], ...fields }, nationalId) {
+  return [buildQrPayloadV2({ ...fields, medications }, nationalId), buildQrPayload({ ...fields, medication: medications[0] || {} }, nationalId)];
+}
+
+/**
+ * QR symbol version (1-40) needed to print a payload (error correction M, the qrcode default)
+ * @param {Object} qrPayload - QR payload
+ * @param {Function} encode - Printed text of the payload (JSON by default, see utils/qrCodec)
+ * @returns {number}
+ */
+function symbolVersionOf(qrPayload, encode = JSON.stringify) {
+  try {
+    return QRCode.create(encode(qrPayload), { errorCorrectionLevel: 'M' }).version;
+  } catch (_) {
+    return Infinity; // too large for any QR symbol
+  }
+}
+
+/**
+ * First candidate that fits a readable QR symbol (the last one otherwise)
+ * @param {Array|Object} candidates - Payloads in order of preference (a single payload is returned as is)
+ * @param {number} maxSymbolVersion - Largest acceptable QR symbol version
+ * @param {Function} encode - Printed text of a payload
+ * @returns {Object} QR payload
+ */
+function pickQrPayload(candidates, maxSymbolVersion = MAX_SYMBOL_VERSION, encode = JSON.stringify) {
+  if (!Array.isArray(candidates)) return candidates;
+  return candidates.find(c => symbolVersionOf(c, encode) <= maxSymbolVersion) || candidates[candidates.length - 1];
+}
+
+// === Schema versions ===
+// Defined in utils/qrSchemas.json, read by the offline verification of the frontend as well
+
+/**
+ * Fields of a QR version: a list is copied as is, a map takes each field from the first
+ * of its names that has a value (short names of a scanned QR, long names of a full payload)
+ * @param {Object} definition - Version definition (qrSchemas.json)
+ * @param {Object} payload - QR or full payload
+ * @returns {Object} Signed fields
+ */
+function decodeFields(definition, payload) {
+  if (Array.isArray(definition.fields)) return Object.fromEntries(definition.fields.map(field => [field, payload[field]]));
+  const valueAt = (name) => name.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), payload);
+  return Object.fromEntries(Object.entries(definition.fields).map(([field, names]) => {
+    const value = names.map(valueAt).find(v => v !== undefined && v !== null && v !== '');
+    return [field, value ?? definition.defaults?.[field]];
+  }));
+}
+
+/**
+ * Upgrade decoded fields to the next version: the single medication becomes a line of m;
+ * default instructions ('3x/day, 7 days') give back the dosage code
+ * @param {Object} definition - Version definition (qrSchemas.json)
+ * @param {Object} fields - Decoded fields
+ * @returns {Object} Fields of the next version
+ */
+function upgradeFields(definition, fields) {
+  const { drop, line: [code, quantity, dosage], dosage: rule } = definition.upgrade;
+  const match = new RegExp(rule.pattern).exec(fields[rule.from] || '');
+  const lineDosage = match ? rule.format.replace(/\$(\w+)/g, (_, key) => (/^\d+$/.test(key) ? match[key] : fields[key])) : fields[dosage];
+  const kept = Object.fromEntries(Object.entries(fields).filter(([key]) => !drop.includes(key)));
+  return { ...kept, v: definition.next, m: [[fields[code], Number(fields[quantity]) || 1, lineDosage]] };
+}
+
+schemaRegistry.defineSchema('qr', {
+  label: 'QR',
+  current: QR_SCHEMAS.current,
+  versionOf: (payload) => payload.v || '1.0' // unversioned QRs and full issued payloads are v1
+});
+
+for (const [version, definition] of Object.entries(QR_SCHEMAS.versions)) {
+  schemaRegistry.registerVersion('qr', version, {
+    decode: (payload) => decodeFields(definition, payload),
+    next: definition.next || null,
+    upgrade: definition.upgrade ? (fields) => upgradeFields(definition, fields) : null
+  });
+}
+
+const QR_VERSIONS = schemaRegistry.supportedVersions('qr');
+
+/**
+ * Whether a QR version is understood (payloads without a version are legacy v1)
+ * @param {string} version - Payload v field
+ * @returns {boolean}
+ */
+function isSupportedVersion(version) {
+  return schemaRegistry.isSupported('qr', version || '1.0');
+}
+
+/**
+ * The exact structure the doctor signed, rebuilt from a scanned QR or a stored full payload
+ * @param {Object} payload - QR payload (short names) or full issued payload (long names)
+ * @returns {Object} Signed fields
+ */
+function signedFieldsOf(payload) {
+  return schemaRegistry.decode('qr', payload).decoded;
+}
+
+/**
+ * Drug codes carried by a payload (every line for v2, the first drug for v1)
+ * @param {Object} payload - QR or full payload
+ * @returns {Array} Drug codes
+ */
+function drugIdsOf(payload) {
+  if (Array.isArray(payload.drugIds)) return payload.drugIds;
+  if (Array.isArray(payload.m)) return payload.m.map(line => line[0]);
+  return [payload.d];
+}
+
+module.exports = {
+  QR_VERSIONS,
+  CURRENT_QR_VERSION,
+  MAX_SYMBOL_VERSION,
+  dosageCode,
+  medicationLine,
+  buildQrPayload,
+  buildQrPayloadV2,
+  buildQrCandidates,
+  symbolVersionOf,
+  pickQrPayload,
+  isSupportedVersion,
+  decodeFields,
+  upgradeFields,
+  signedFieldsOf,
+  drugIdsOf
+};
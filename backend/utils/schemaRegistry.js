@@ -0,0 +1,122 @@
+/**
+ * Payload Schema Registry
+ * Versioned formats for everything AtlasCare has already printed or published:
+ * prescription QR payloads ('qr', see utils/qrPayload.js) and HCS event
+ * messages ('hcs-event', see utils/hcsPayloadCompressor.js).
+ *
+ * Features:
+ * - Each format module registers its versions: a decoder per version and an
+ *   upgrader to the next version, so old QRs and historic HCS messages stay readable
+ * - Readers dispatch on the version found in the payload (versionOf) instead of
+ *   rejecting anything but the latest format
+ * - Unknown versions fail with a SchemaVersionError listing the supported ones
+ */
+
+const schemas = new Map(); // kind -> { label, current, versionOf, versions: Map(version -> { decode, upgrade, next }) }
+
+class SchemaVersionError extends Error {
+  constructor(message, status = 400, code = 'UNSUPPORTED_SCHEMA_VERSION', details = {}) {
+    super(message);
+    this.name = 'SchemaVersionError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Declare a payload kind
+ * @param {string} kind - e.g. 'qr'
+ * @param {Object} schema - { label (for messages), current: latest version, versionOf: payload => version }
+ */
+function defineSchema(kind, { label = kind, current, versionOf }) {
+  schemas.set(kind, { label, current, versionOf, versions: new Map() });
+}
+
+/**
+ * Register one version of a payload kind
+ * @param {string} kind - Payload kind (defineSchema first)
+ * @param {string} version - Version as returned by versionOf
+ * @param {Object} handlers - { decode(payload, context), next, upgrade(decoded, context) to the next version }
+ */
+function registerVersion(kind, version, { decode = (payload) => payload, next = null, upgrade = null } = {}) {
+  const schema = schemas.get(kind);
+  if (!schema) throw new Error(`Unknown payload kind ${kind}`);
+  if (next && typeof upgrade !== 'function') throw new Error(`${kind} ${version} needs an upgrade to ${next}`);
+  schema.versions.set(String(version), { decode, next, upgrade });
+}
+
+function schemaOf(kind) {
+  const schema = schemas.get(kind);
+  if (!schema) throw new Error(`Unknown payload kind ${kind}`);
+  return schema;
+}
+
+/**
+ * Version of a payload (as declared by its kind)
+ * @param {string} kind - Payload kind
+ * @param {Object} payload - Raw payload
+ * @returns {string}
+ */
+function versionOf(kind, payload) {
+  return String(schemaOf(kind).versionOf(payload || {}));
+}
+
+/**
+ * Registered versions of a payload kind
+ * @param {string} kind - Payload kind
+ * @returns {Array} Versions in registration order
+ */
+function supportedVersions(kind) {
+  return [...schemaOf(kind).versions.keys()];
+}
+
+/**
+ * @param {string} kind - Payload kind
+ * @param {string} version - Version
+ * @returns {boolean}
+ */
+function isSupported(kind, version) {
+  return schemaOf(kind).versions.has(String(version));
+}
+
+/**
+ * Decode a payload with the decoder of its own version, then upgrade it to the current version
+ * @param {string} kind - Payload kind
+ * @param {Object} payload - Raw payload
+ * @param {Object} context - Passed to decoders and upgraders (e.g. { hashLookup })
+ * @returns {Object} { version, decoded (as of its own version), current (latest version), upgradedFrom }
+ */
+function decode(kind, payload, context = {}) {
+  const schema = schemaOf(kind);
+  const version = versionOf(kind, payload);
+  const entry = schema.versions.get(version);
+  if (!entry) {
+    throw new SchemaVersionError(`Unsupported ${schema.label} version ${version}`, 400, 'UNSUPPORTED_SCHEMA_VERSION', { kind, version, supported: supportedVersions(kind) });
+  }
+
+  const decoded = entry.decode(payload, context);
+  const upgradedFrom = [];
+  let current = decoded;
+  let at = version;
+  while (at !== String(schema.current)) {
+    const step = schema.versions.get(at);
+    if (!step?.next || upgradedFrom.includes(at)) {
+      throw new SchemaVersionError(`No upgrade path from ${schema.label} version ${version} to ${schema.current}`, 500, 'SCHEMA_UPGRADE_MISSING', { kind, version });
+    }
+    upgradedFrom.push(at);
+    current = step.upgrade(current, context);
+    at = String(step.next);
+  }
+  return { version, decoded, current, upgradedFrom };
+}
+
+module.exports = {
+  SchemaVersionError,
+  defineSchema,
+  registerVersion,
+  versionOf,
+  supportedVersions,
+  isSupported,
+  decode
+};
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+
+// RFC 6238 TOTP (HMAC-SHA1, 30s step, 6 digits) - compatible with Google Authenticator, FreeOTP, Aegis
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding), as expected by authenticator apps
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Raw bytes
+ */
+function base32Decode(input) {
+  const cleaned = String(input || '').toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error(`Invalid base32 character: ${char}`);
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret (160 bits, as recommended by RFC 4226)
+ * @returns {string} Base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the TOTP code for a given time
+ * @param {string} secret - Base32 secret
+ * @param {number} timeMs - Unix time in milliseconds (default: now)
+ * @returns {string} Zero-padded code
+ */
+function generateTotp(secret, timeMs = Date.now()) {
+  const counter = Math.floor(timeMs / 1000 / STEP_SECONDS);
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  counterBuffer.writeUInt32BE(counter >>> 0, 4);
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    ((hmac[offset + 1] & 0xff) << 16) |
+    ((hmac[offset + 2] & 0xff) << 8) |
+    (hmac[offset + 3] & 0xff);
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Verify a TOTP code, tolerating clock drift of +/- `window` steps
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} window - Allowed drift in steps (default: 1 = +/-30s)
+ * @param {number} timeMs - Unix time in milliseconds (default: now)
+ * @returns {boolean}
+ */
+function verifyTotp(secret, code, window = 1, timeMs = Date.now()) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(normalized)) return false;
+  for (let i = -window; i <= window; i++) {
+    const expected = generateTotp(secret, timeMs + i * STEP_SECONDS * 1000);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return true;
+  }
+  return false;
+}
+
+/**
+ * Build the otpauth:// URI rendered as a QR code for authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account label (username)
+ * @param {string} issuer - Issuer label
+ * @returns {string} otpauth URI
+ */
+function buildOtpauthUrl(secret, account, issuer = 'AtlasCare') {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+/**
+ * Generate single-use recovery codes (format: xxxx-xxxx)
+ * @param {number} count - Number of codes
+ * @returns {string[]} Recovery codes
+ */
+function generateRecoveryCodes(count = 8) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes
+};
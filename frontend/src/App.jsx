@@ -24,7 +24,10 @@ import PaymentPage from './pages/PaymentPage';
 import Dashboard from './pages/Dashboard';
 import PrescriptionHistory from './pages/PrescriptionHistory';
 import AdminDashboard from './pages/AdminDashboard';
+import PatientLogin from './pages/PatientLogin';
+import PatientPortal from './pages/PatientPortal';
 import LanguageSwitcher from './components/LanguageSwitcher';
+import { logout } from './utils/authSession';
 import './styles/tailwind.css';
 import './styles/globals.css';
 
@@ -179,7 +182,7 @@ function App() {
       // Handle main routes
       switch (path) {
         case '/':
-          return 'Dashboard';
+          return user.role === 'patient' ? 'My Prescriptions' : 'Dashboard';
         case '/doctor':
           return 'New Prescription';
         case '/prescriptions':
@@ -200,10 +203,11 @@ function App() {
   const handleLogin = (userData) => {
     setUser(userData);
     localStorage.setItem('user', JSON.stringify(userData));
-    navigate(userData.role === 'doctor' ? '/doctor' : '/pharmacist');
+    navigate(userData.role === 'doctor' ? '/doctor' : userData.role === 'patient' ? '/' : '/pharmacist');
   };
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    await logout(user?.role === 'patient' ? '/api/patient/logout' : undefined);
     setUser(null);
     localStorage.removeItem('user');
     navigate('/');
@@ -322,7 +326,44 @@ function App() {
               </div>
             </main>
           </div>
-        ) : user.role === 'admin' ? (
+        ) : user.role === 'patient' ? (
+          <div className="min-h-screen bg-gray-50">
+            {/* Header for the patient portal */}
+            <header className="sticky top-0 z-40 w-full bg-white border-b border-gray-200 shadow-sm">
+              <div className="mx-auto max-w-5xl px-4 sm:px-6 lg:px-8 h-16 flex items-center justify-between">
+                <div className="flex items-center gap-3">
+                  <img
+                    src="/Logo-V2.png"
+                    alt="AtlasCare"
+                    className="h-8 w-auto"
+                  />
+                  <h1 className="text-lg font-bold text-gray-900">
+                    {user.fullName || user.username}
+                  </h1>
+                </div>
+                <div className="flex items-center gap-3">
+                  <LanguageSwitcher />
+                  <button
+                    type="button"
+                    onClick={handleLogout}
+                    className="inline-flex items-center gap-2 rounded-md px-3 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 border border-gray-200 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    title="Logout"
+                  >
+                    <FiLogOut className="h-4 w-4" />
+                    Logout
+                  </button>
+                </div>
+              </div>
+            </header>
+
+            <main className="py-10">
+              <Routes>
+                <Route path="/" element={<PatientPortal onSessionExpired={handleLogout} />} />
+                <Route path="*" element={<Navigate to="/" replace />} />
+              </Routes>
+            </main>
+          </div>
+        ) : (user.role === 'admin' || user.role === 'superadmin') ? (
           <div className="min-h-screen bg-gray-50">
             {/* Header for admin */}
             <header className="sticky top-0 z-40 w-full bg-white border-b border-gray-200 shadow-sm">
@@ -396,6 +437,7 @@ function App() {
       ) : (
         <Routes>
           <Route path="/" element={<Login onLogin={handleLogin} />} />
+          <Route path="/patient" element={<PatientLogin onLogin={handleLogin} />} />
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
       )}
@@ -0,0 +1,115 @@
+import { useState, useEffect } from 'react';
+import { FiRefreshCw, FiAlertTriangle, FiShieldOff } from 'react-icons/fi';
+import axios from 'axios';
+
+const ENTRY_TYPES = [
+  { value: 'access_denied', label: 'Access denials' },
+  { value: 'client_request', label: 'API client requests' }
+];
+
+// Security audit entries recorded by the backend (scoped to the admin's organization)
+const AccessAuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [type, setType] = useState('access_denied');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchEntries();
+  }, [type]);
+
+  const fetchEntries = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.get(`/api/admin/audit-log?type=${type}`);
+      if (response.data.success) {
+        setEntries(response.data.entries || []);
+      } else {
+        setError('Failed to fetch audit log');
+      }
+    } catch (err) {
+      console.error('Failed to fetch audit log:', err);
+      setError(err.response?.data?.message || 'Failed to fetch audit log');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="mb-6 flex items-center gap-3">
+        <select
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          className="rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        >
+          {ENTRY_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+        </select>
+        <button
+          onClick={fetchEntries}
+          disabled={loading}
+          className="ml-auto inline-flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <FiRefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start gap-3">
+          <FiAlertTriangle className="h-5 w-5 text-red-600 mt-0.5 flex-shrink-0" />
+          <div>
+            <p className="text-sm font-medium text-red-800">Error</p>
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white shadow-sm rounded-lg overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actor</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{type === 'client_request' ? 'Result' : 'Reason'}</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {entries.length === 0 ? (
+                <tr>
+                  <td colSpan="4" className="px-6 py-12 text-center text-sm text-gray-500">
+                    <FiShieldOff className="h-8 w-8 mx-auto mb-2 text-gray-300" />
+                    {type === 'client_request' ? 'No API client requests recorded' : 'No access denials recorded'}
+                  </td>
+                </tr>
+              ) : entries.map((entry, idx) => (
+                <tr key={`${entry.timestamp}-${idx}`} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                    {new Date(entry.timestamp).toLocaleString()}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    <p className="font-medium">{entry.actor?.username || 'Anonymous'}</p>
+                    {entry.actor?.role && <p className="text-xs text-gray-500 capitalize">{entry.actor.role}</p>}
+                    {entry.actor?.clientId && <p className="text-xs text-gray-400 font-mono">{entry.actor.clientId}</p>}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-700">
+                    <p className="font-mono text-xs">{entry.action}</p>
+                    <p className="text-xs text-gray-400">{entry.method} {entry.path}</p>
+                  </td>
+                  <td className={`px-6 py-4 text-sm ${entry.outcome === 'allowed' ? 'text-green-700' : 'text-red-700'}`}>
+                    {entry.type === 'client_request' ? `HTTP ${entry.status}` : entry.reason}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccessAuditLog;
@@ -0,0 +1,216 @@
+import { useState, useEffect } from 'react';
+import { FiRefreshCw, FiAlertTriangle, FiPlus, FiKey, FiCopy } from 'react-icons/fi';
+import axios from 'axios';
+
+const emptyForm = { name: '', orgId: '', scopes: [], rateLimitPerMinute: 60 };
+
+// Machine clients (insurer back offices, hospital information systems) with scoped API keys
+const ApiClientManagement = () => {
+  const [clients, setClients] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [organizations, setOrganizations] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [showCreate, setShowCreate] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [issued, setIssued] = useState(null);
+
+  const isSuperadmin = JSON.parse(localStorage.getItem('user') || '{}').role === 'superadmin';
+
+  useEffect(() => {
+    fetchClients();
+    axios.get('/api/admin/organizations')
+      .then(response => setOrganizations(response.data.organizations || []))
+      .catch(() => setOrganizations([]));
+  }, []);
+
+  const fetchClients = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.get('/api/admin/api-clients');
+      if (response.data.success) {
+        setClients(response.data.clients || []);
+        setAvailableScopes(response.data.availableScopes || []);
+      } else {
+        setError('Failed to fetch API clients');
+      }
+    } catch (err) {
+      console.error('Failed to fetch API clients:', err);
+      setError(err.response?.data?.message || 'Failed to fetch API clients');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleScope = (scope) => {
+    const scopes = form.scopes.includes(scope) ? form.scopes.filter(s => s !== scope) : [...form.scopes, scope];
+    setForm({ ...form, scopes });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIssued(null);
+    try {
+      const body = { name: form.name, scopes: form.scopes, rateLimitPerMinute: Number(form.rateLimitPerMinute) };
+      if (isSuperadmin) body.orgId = form.orgId ? Number(form.orgId) : null;
+      const response = await axios.post('/api/admin/api-clients', body);
+      if (response.data.success) {
+        setIssued({ name: response.data.client.name, clientId: response.data.client.clientId, apiKey: response.data.apiKey, clientSecret: response.data.clientSecret });
+        setForm(emptyForm);
+        setShowCreate(false);
+        fetchClients();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to register API client');
+    }
+  };
+
+  const revokeClient = async (client) => {
+    if (!window.confirm(`Revoke ${client.name}? Its API key and access tokens stop working immediately.`)) return;
+    setError('');
+    try {
+      await axios.post(`/api/admin/api-clients/${client.clientId}/revoke`);
+      fetchClients();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke API client');
+    }
+  };
+
+  const orgName = (orgId) => organizations.find(o => o.id === orgId)?.name || `#${orgId}`;
+
+  const inputClass = 'block w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <div>
+      {/* Toolbar */}
+      <div className="mb-6 flex flex-wrap gap-3 items-center">
+        <button
+          onClick={() => setShowCreate(!showCreate)}
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-lg font-medium text-sm bg-indigo-600 text-white shadow-sm hover:bg-indigo-500"
+        >
+          <FiPlus className="h-4 w-4" />
+          New API Client
+        </button>
+        <button
+          onClick={fetchClients}
+          disabled={loading}
+          className="ml-auto inline-flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <FiRefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start gap-3">
+          <FiAlertTriangle className="h-5 w-5 text-red-600 mt-0.5 flex-shrink-0" />
+          <div>
+            <p className="text-sm font-medium text-red-800">Error</p>
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        </div>
+      )}
+
+      {/* Credentials are only shown once */}
+      {issued && (
+        <div className="mb-6 p-4 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-900 space-y-2">
+          <p className="font-medium flex items-center gap-2"><FiKey className="h-4 w-4" /> Credentials for {issued.name} — copy them now, they will not be shown again</p>
+          {[['API key (X-API-Key)', issued.apiKey], ['Client ID', issued.clientId], ['Client secret', issued.clientSecret]].map(([label, value]) => (
+            <div key={label} className="flex items-center gap-2">
+              <span className="w-40 text-xs text-amber-700">{label}</span>
+              <code className="flex-1 break-all bg-white border border-amber-200 rounded px-2 py-1 text-xs">{value}</code>
+              <button onClick={() => navigator.clipboard?.writeText(value)} className="p-1.5 rounded border border-amber-300 hover:bg-amber-100" title="Copy">
+                <FiCopy className="h-3.5 w-3.5" />
+              </button>
+            </div>
+          ))}
+          <button onClick={() => setIssued(null)} className="text-xs underline">Dismiss</button>
+        </div>
+      )}
+
+      {/* Create form */}
+      {showCreate && (
+        <form onSubmit={handleCreate} className="mb-6 bg-white shadow-sm rounded-lg p-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+          <input className={inputClass} placeholder="Name (e.g. CNSS back office)" required value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} />
+          <input className={inputClass} type="number" min="1" max="10000" placeholder="Requests per minute" value={form.rateLimitPerMinute} onChange={(e) => setForm({ ...form, rateLimitPerMinute: e.target.value })} />
+          {isSuperadmin && (
+            <select className={inputClass} value={form.orgId} onChange={(e) => setForm({ ...form, orgId: e.target.value })}>
+              <option value="">All organizations (platform client)</option>
+              {organizations.map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+            </select>
+          )}
+          <div className="md:col-span-2 flex flex-wrap gap-4">
+            {availableScopes.map(scope => (
+              <label key={scope} className="inline-flex items-center gap-2 text-sm text-gray-700">
+                <input type="checkbox" checked={form.scopes.includes(scope)} onChange={() => toggleScope(scope)} />
+                <span className="font-mono text-xs">{scope}</span>
+              </label>
+            ))}
+          </div>
+          <div className="md:col-span-2 flex justify-end gap-2">
+            <button type="button" onClick={() => setShowCreate(false)} className="px-4 py-2 bg-white border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50">
+              Cancel
+            </button>
+            <button type="submit" disabled={form.scopes.length === 0} className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-500 disabled:opacity-50">
+              Register
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Clients table */}
+      <div className="bg-white shadow-sm rounded-lg overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Client</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Scopes</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rate limit</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last used</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {clients.length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="px-6 py-12 text-center text-sm text-gray-500">No API clients registered</td>
+                </tr>
+              ) : clients.map(client => (
+                <tr key={client.clientId} className={`hover:bg-gray-50 ${client.active ? '' : 'opacity-60'}`}>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    <p className="font-medium">{client.name}</p>
+                    <p className="text-xs text-gray-500 font-mono">{client.clientId}</p>
+                    <p className="text-xs text-gray-400">{client.orgId ? orgName(client.orgId) : 'All organizations'}</p>
+                  </td>
+                  <td className="px-6 py-4 text-xs font-mono text-gray-700">
+                    {client.scopes.map(scope => <p key={scope}>{scope}</p>)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{client.rateLimitPerMinute}/min</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                    {client.lastUsedAt ? new Date(client.lastUsedAt).toLocaleString() : 'Never'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                    {client.active ? (
+                      <button onClick={() => revokeClient(client)} className="px-3 py-1.5 rounded-lg text-xs font-medium bg-red-600 text-white hover:bg-red-500">
+                        Revoke
+                      </button>
+                    ) : (
+                      <span className="inline-flex px-2.5 py-1 rounded-full text-xs font-semibold border bg-gray-100 text-gray-700 border-gray-200">
+                        Revoked {new Date(client.revokedAt).toLocaleDateString()}
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ApiClientManagement;
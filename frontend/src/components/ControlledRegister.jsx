@@ -0,0 +1,148 @@
+import { useState, useEffect } from 'react';
+import { FiRefreshCw, FiAlertTriangle, FiBookOpen, FiDownload } from 'react-icons/fi';
+import axios from 'axios';
+
+const CLASS_LABELS = { narcotic: 'Stupéfiant', psychotropic: 'Psychotrope' };
+
+// Controlled-drug register (pharmacy entries for the caller's organization); superadmins can export it for the regulator
+const ControlledRegister = () => {
+  const [entries, setEntries] = useState([]);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const isSuperadmin = JSON.parse(localStorage.getItem('user') || '{}').role === 'superadmin';
+
+  useEffect(() => {
+    fetchEntries();
+  }, [from, to]);
+
+  const period = () => {
+    const params = new URLSearchParams();
+    if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+    return params;
+  };
+
+  const fetchEntries = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.get(`/api/controlled-register?${period()}`);
+      if (response.data.success) {
+        setEntries(response.data.entries || []);
+      } else {
+        setError('Failed to fetch the controlled-drug register');
+      }
+    } catch (err) {
+      console.error('Failed to fetch controlled-drug register:', err);
+      setError(err.response?.data?.message || 'Failed to fetch the controlled-drug register');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const exportCsv = async () => {
+    setError('');
+    try {
+      const response = await axios.get(`/api/admin/controlled-register/export?${period()}`, { responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `controlled-register-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to export controlled-drug register:', err);
+      setError('Failed to export the controlled-drug register');
+    }
+  };
+
+  return (
+    <div>
+      <div className="mb-6 flex flex-wrap items-center gap-3">
+        <label className="text-sm text-gray-600">From</label>
+        <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+        <label className="text-sm text-gray-600">To</label>
+        <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+        <div className="ml-auto flex gap-2">
+          {isSuperadmin && (
+            <button
+              onClick={exportCsv}
+              className="inline-flex items-center gap-2 px-4 py-2 bg-indigo-600 rounded-lg text-sm font-medium text-white hover:bg-indigo-700"
+            >
+              <FiDownload className="h-4 w-4" />
+              Regulator export (CSV)
+            </button>
+          )}
+          <button
+            onClick={fetchEntries}
+            disabled={loading}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            <FiRefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start gap-3">
+          <FiAlertTriangle className="h-5 w-5 text-red-600 mt-0.5 flex-shrink-0" />
+          <div>
+            <p className="text-sm font-medium text-red-800">Error</p>
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white shadow-sm rounded-lg overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">No.</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Serial / Prescription</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Prescriber / ID check</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {entries.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="px-6 py-12 text-center text-sm text-gray-500">
+                    <FiBookOpen className="h-8 w-8 mx-auto mb-2 text-gray-300" />
+                    No controlled substances dispensed in this period
+                  </td>
+                </tr>
+              ) : entries.map(entry => (
+                <tr key={`${entry.pharmacyOrgId}-${entry.entryNo}`} className={`hover:bg-gray-50 ${entry.fraudAlert ? 'bg-red-50' : ''}`}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-600">{entry.entryNo}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{new Date(entry.recordedAt).toLocaleString()}</td>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    <p className="font-mono text-xs">{entry.serialNumber}</p>
+                    <p className="text-xs text-gray-400">{entry.prescriptionId}</p>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    <p className="font-medium">{entry.productName}</p>
+                    <p className="text-xs text-gray-500">{entry.dci} · {CLASS_LABELS[entry.class] || entry.class}</p>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{entry.quantity} {entry.unit}</td>
+                  <td className="px-6 py-4 text-sm text-gray-700">
+                    <p className="text-xs">INPE {entry.prescriberInpe || '—'}</p>
+                    <p className="text-xs text-gray-500">{entry.idDocumentType || 'No ID check'}</p>
+                    {entry.fraudAlert && <p className="text-xs font-semibold text-red-700">Fraud alert</p>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ControlledRegister;
@@ -0,0 +1,262 @@
+import { useState, useEffect } from 'react';
+import { FiRefreshCw, FiAlertTriangle, FiPlus, FiSave, FiX } from 'react-icons/fi';
+import axios from 'axios';
+
+const ORG_TYPES = [
+  { value: 'clinic', label: 'Clinic' },
+  { value: 'pharmacy', label: 'Pharmacy' },
+  { value: 'pharmacy_chain', label: 'Pharmacy chain' }
+];
+
+const emptyForm = { name: '', type: 'clinic', city: '', parentId: '' };
+
+const authHeaders = () => {
+  const token = localStorage.getItem('auth_token');
+  return { Authorization: `Bearer ${token}` };
+};
+
+const typeLabel = (type) => ORG_TYPES.find(t => t.value === type)?.label || type;
+
+const OrganizationManagement = () => {
+  const [organizations, setOrganizations] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [showCreate, setShowCreate] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [editForm, setEditForm] = useState({});
+
+  const isSuperadmin = JSON.parse(localStorage.getItem('user') || '{}').role === 'superadmin';
+  const chains = organizations.filter(org => org.type === 'pharmacy_chain');
+
+  useEffect(() => {
+    fetchOrganizations();
+  }, []);
+
+  const fetchOrganizations = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.get('/api/admin/organizations', { headers: authHeaders() });
+      if (response.data.success) {
+        setOrganizations(response.data.organizations || []);
+      } else {
+        setError('Failed to fetch organizations');
+      }
+    } catch (err) {
+      console.error('Failed to fetch organizations:', err);
+      setError(err.response?.data?.message || 'Failed to fetch organizations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+    setNotice('');
+    try {
+      const body = { name: form.name, type: form.type, city: form.city };
+      if (form.type === 'pharmacy' && form.parentId) body.parentId = Number(form.parentId);
+      const response = await axios.post('/api/admin/organizations', body, { headers: authHeaders() });
+      if (response.data.success) {
+        setNotice(`Created ${typeLabel(response.data.organization.type).toLowerCase()} ${response.data.organization.name}`);
+        setForm(emptyForm);
+        setShowCreate(false);
+        fetchOrganizations();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create organization');
+    }
+  };
+
+  const startEdit = (org) => {
+    setEditingId(org.id);
+    setEditForm({ name: org.name, city: org.city || '', parentId: org.parentId || '' });
+  };
+
+  const saveEdit = async (org) => {
+    setError('');
+    setNotice('');
+    try {
+      const body = { name: editForm.name, city: editForm.city };
+      if (org.type === 'pharmacy') body.parentId = editForm.parentId ? Number(editForm.parentId) : null;
+      await axios.patch(`/api/admin/organizations/${org.id}`, body, { headers: authHeaders() });
+      setEditingId(null);
+      fetchOrganizations();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update organization');
+    }
+  };
+
+  const toggleDisabled = async (org) => {
+    setError('');
+    setNotice('');
+    try {
+      await axios.patch(`/api/admin/organizations/${org.id}`, { disabled: !org.disabled }, { headers: authHeaders() });
+      fetchOrganizations();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update organization');
+    }
+  };
+
+  const inputClass = 'block w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <div>
+      {/* Toolbar */}
+      <div className="mb-6 flex flex-wrap gap-3 items-center">
+        {isSuperadmin && (
+          <button
+            onClick={() => setShowCreate(!showCreate)}
+            className="inline-flex items-center gap-2 px-4 py-2 rounded-lg font-medium text-sm bg-indigo-600 text-white shadow-sm hover:bg-indigo-500"
+          >
+            <FiPlus className="h-4 w-4" />
+            New Organization
+          </button>
+        )}
+        <button
+          onClick={fetchOrganizations}
+          disabled={loading}
+          className="ml-auto inline-flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <FiRefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {/* Error / notice */}
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start gap-3">
+          <FiAlertTriangle className="h-5 w-5 text-red-600 mt-0.5 flex-shrink-0" />
+          <div>
+            <p className="text-sm font-medium text-red-800">Error</p>
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        </div>
+      )}
+      {notice && (
+        <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">
+          {notice}
+        </div>
+      )}
+
+      {/* Create form */}
+      {showCreate && (
+        <form onSubmit={handleCreate} className="mb-6 bg-white shadow-sm rounded-lg p-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+          <input className={inputClass} placeholder="Name" required value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} />
+          <input className={inputClass} placeholder="City" value={form.city} onChange={(e) => setForm({ ...form, city: e.target.value })} />
+          <select className={inputClass} value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })}>
+            {ORG_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+          </select>
+          {form.type === 'pharmacy' ? (
+            <select className={inputClass} value={form.parentId} onChange={(e) => setForm({ ...form, parentId: e.target.value })}>
+              <option value="">Independent pharmacy</option>
+              {chains.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+          ) : <div />}
+          <div className="md:col-span-2 flex justify-end gap-2">
+            <button type="button" onClick={() => setShowCreate(false)} className="px-4 py-2 bg-white border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50">
+              Cancel
+            </button>
+            <button type="submit" className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-500">
+              Create
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Organizations table */}
+      <div className="bg-white shadow-sm rounded-lg overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Organization</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                {isSuperadmin && (
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                )}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {organizations.map(org => (
+                <tr key={org.id} className={`hover:bg-gray-50 ${org.disabled ? 'opacity-60' : ''}`}>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    {editingId === org.id ? (
+                      <div className="space-y-2">
+                        <input className={inputClass} value={editForm.name} onChange={(e) => setEditForm({ ...editForm, name: e.target.value })} />
+                        <input className={inputClass} placeholder="City" value={editForm.city} onChange={(e) => setEditForm({ ...editForm, city: e.target.value })} />
+                      </div>
+                    ) : (
+                      <>
+                        <p className="font-medium">{org.name}</p>
+                        {org.city && <p className="text-xs text-gray-500">{org.city}</p>}
+                      </>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                    {editingId === org.id && org.type === 'pharmacy' ? (
+                      <select className={inputClass} value={editForm.parentId} onChange={(e) => setEditForm({ ...editForm, parentId: e.target.value })}>
+                        <option value="">Independent pharmacy</option>
+                        {chains.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                      </select>
+                    ) : (
+                      <>
+                        <span>{typeLabel(org.type)}</span>
+                        {org.parentId && (
+                          <p className="text-xs text-gray-400">{organizations.find(o => o.id === org.parentId)?.name}</p>
+                        )}
+                      </>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`inline-flex px-2.5 py-1 rounded-full text-xs font-semibold border ${org.disabled ? 'bg-gray-100 text-gray-700 border-gray-200' : 'bg-green-100 text-green-800 border-green-200'}`}>
+                      {org.disabled ? 'Disabled' : 'Active'}
+                    </span>
+                  </td>
+                  {isSuperadmin && (
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                      <div className="inline-flex gap-2">
+                        {editingId === org.id ? (
+                          <>
+                            <button onClick={() => saveEdit(org)} className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg bg-indigo-600 text-white text-xs font-medium hover:bg-indigo-500">
+                              <FiSave className="h-3.5 w-3.5" /> Save
+                            </button>
+                            <button onClick={() => setEditingId(null)} className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg border border-gray-300 text-xs font-medium text-gray-700 hover:bg-gray-50">
+                              <FiX className="h-3.5 w-3.5" /> Cancel
+                            </button>
+                          </>
+                        ) : (
+                          <>
+                            <button onClick={() => startEdit(org)} className="px-3 py-1.5 rounded-lg border border-gray-300 text-xs font-medium text-gray-700 hover:bg-gray-50">
+                              Edit
+                            </button>
+                            <button onClick={() => toggleDisabled(org)} className={`px-3 py-1.5 rounded-lg text-xs font-medium ${org.disabled ? 'bg-green-600 text-white hover:bg-green-500' : 'bg-red-600 text-white hover:bg-red-500'}`}>
+                              {org.disabled ? 'Enable' : 'Disable'}
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-4 bg-gray-50 border-t border-gray-200">
+          <p className="text-sm text-gray-600">
+            Showing {organizations.length} {organizations.length === 1 ? 'organization' : 'organizations'}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OrganizationManagement;
@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useTranslation } from 'react-i18next';
+import { FiUserPlus, FiUserX, FiUsers } from 'react-icons/fi';
+
+const emptyForm = { name: '', cin: '', phone: '' };
+
+// Caregivers allowed to collect a prescription: listed, added (pickup code sent by SMS) and revoked
+// by the prescribing doctor or the patient
+const PickupDelegates = ({ prescriptionId, delegates: initialDelegates, canAdd = true }) => {
+  const { t } = useTranslation();
+  const [delegates, setDelegates] = useState(initialDelegates || []);
+  const [form, setForm] = useState(emptyForm);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  useEffect(() => {
+    if (initialDelegates) return;
+    axios.get(`/api/prescriptions/${encodeURIComponent(prescriptionId)}/delegates`)
+      .then(({ data }) => setDelegates(data.delegates || []))
+      .catch(err => console.error('Failed to fetch pickup delegates:', err));
+  }, [prescriptionId]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    setNotice('');
+    try {
+      const { data } = await axios.post(`/api/prescriptions/${encodeURIComponent(prescriptionId)}/delegates`, form);
+      setDelegates(data.delegates || []);
+      setNotice(t('delegates.added', { name: data.delegate.name, phone: data.delegate.phoneMasked }));
+      setForm(emptyForm);
+      setShowForm(false);
+    } catch (err) {
+      setError(err.response?.data?.message || t('delegates.addFailed'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (delegate) => {
+    if (!window.confirm(t('delegates.confirmRevoke', { name: delegate.name }))) return;
+    setError('');
+    setNotice('');
+    try {
+      const { data } = await axios.delete(`/api/prescriptions/${encodeURIComponent(prescriptionId)}/delegates/${encodeURIComponent(delegate.id)}`);
+      setDelegates(data.delegates || []);
+    } catch (err) {
+      setError(err.response?.data?.message || t('delegates.revokeFailed'));
+    }
+  };
+
+  const inputClass = 'rounded-lg border-0 ring-1 ring-gray-300 px-3 py-2 text-sm focus:ring-2 focus:ring-indigo-400';
+
+  return (
+    <div className="space-y-2">
+      <p className="inline-flex items-center gap-1.5 text-xs font-semibold uppercase tracking-wide text-gray-500">
+        <FiUsers /> {t('delegates.title')}
+      </p>
+      {delegates.length === 0 && <p className="text-sm text-gray-500">{t('delegates.none')}</p>}
+      <ul className="space-y-1">
+        {delegates.map(delegate => (
+          <li key={delegate.id} className={`flex flex-wrap items-center justify-between gap-2 text-sm ${delegate.revokedAt ? 'text-gray-400 line-through' : 'text-gray-700'}`}>
+            <span>
+              <span className="font-medium">{delegate.name}</span> · {delegate.phoneMasked}
+              {delegate.pickups > 0 && ` · ${t('delegates.pickups', { count: delegate.pickups })}`}
+            </span>
+            {!delegate.revokedAt && (
+              <button type="button" onClick={() => handleRevoke(delegate)} className="inline-flex items-center gap-1 text-xs text-red-600 hover:text-red-800">
+                <FiUserX /> {t('delegates.revoke')}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {notice && <p className="text-sm text-green-700">{notice}</p>}
+
+      {canAdd && (showForm ? (
+        <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2">
+          <input className={`${inputClass} flex-1 min-w-[10rem]`} placeholder={t('delegates.name')} value={form.name} onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))} required />
+          <input className={`${inputClass} w-32`} placeholder={t('delegates.cin')} value={form.cin} onChange={(e) => setForm(prev => ({ ...prev, cin: e.target.value }))} required />
+          <input className={`${inputClass} w-40`} placeholder={t('delegates.phone')} value={form.phone} onChange={(e) => setForm(prev => ({ ...prev, phone: e.target.value }))} autoComplete="tel" required />
+          <button type="submit" disabled={saving} className="px-3 py-2 text-sm font-semibold rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50">
+            {saving ? t('common.loading') : t('delegates.authorize')}
+          </button>
+          <button type="button" onClick={() => setShowForm(false)} className="px-3 py-2 text-sm text-gray-600 hover:text-gray-800">
+            {t('common.cancel')}
+          </button>
+        </form>
+      ) : (
+        <button type="button" onClick={() => setShowForm(true)} className="inline-flex items-center gap-1.5 text-sm font-medium text-indigo-600 hover:text-indigo-800">
+          <FiUserPlus /> {t('delegates.add')}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default PickupDelegates;
@@ -0,0 +1,237 @@
+import { useState, useEffect } from 'react';
+import { FiRefreshCw, FiAlertTriangle, FiPlus } from 'react-icons/fi';
+import axios from 'axios';
+
+const emptyForm = { inpe: '', fullName: '', specialty: '', validFrom: '', validUntil: '', userId: '' };
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800 border-green-200',
+  suspended: 'bg-amber-100 text-amber-800 border-amber-200',
+  revoked: 'bg-red-100 text-red-800 border-red-200',
+  expired: 'bg-gray-100 text-gray-700 border-gray-200',
+  not_yet_valid: 'bg-blue-100 text-blue-800 border-blue-200'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+// Prescriber licenses (INPE) linked to doctor accounts; issuance is refused unless the license is active
+const PractitionerRegistry = () => {
+  const [practitioners, setPractitioners] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [showCreate, setShowCreate] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+
+  const isSuperadmin = JSON.parse(localStorage.getItem('user') || '{}').role === 'superadmin';
+
+  useEffect(() => {
+    fetchPractitioners();
+    axios.get('/api/admin/users')
+      .then(response => setDoctors((response.data.users || []).filter(u => u.role === 'doctor')))
+      .catch(() => setDoctors([]));
+  }, []);
+
+  const fetchPractitioners = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.get('/api/admin/practitioners');
+      if (response.data.success) {
+        setPractitioners(response.data.practitioners || []);
+      } else {
+        setError('Failed to fetch practitioners');
+      }
+    } catch (err) {
+      console.error('Failed to fetch practitioners:', err);
+      setError(err.response?.data?.message || 'Failed to fetch practitioners');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const body = { inpe: form.inpe, fullName: form.fullName, specialty: form.specialty };
+      if (form.validFrom) body.validFrom = new Date(form.validFrom).toISOString();
+      if (form.validUntil) body.validUntil = new Date(form.validUntil).toISOString();
+      if (form.userId) body.userId = Number(form.userId);
+      await axios.post('/api/admin/practitioners', body);
+      setForm(emptyForm);
+      setShowCreate(false);
+      fetchPractitioners();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to register practitioner');
+    }
+  };
+
+  const update = async (practitioner, changes) => {
+    setError('');
+    try {
+      await axios.patch(`/api/admin/practitioners/${practitioner.inpe}`, changes);
+      fetchPractitioners();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update practitioner');
+    }
+  };
+
+  const changeStatus = (practitioner, licenseStatus) => {
+    if (licenseStatus === 'active') return update(practitioner, { licenseStatus });
+    const statusReason = window.prompt(`Reason for ${licenseStatus === 'suspended' ? 'suspending' : 'revoking'} INPE ${practitioner.inpe}`);
+    if (statusReason === null) return;
+    return update(practitioner, { licenseStatus, statusReason });
+  };
+
+  const renew = (practitioner) => {
+    const value = window.prompt('New validity end date (YYYY-MM-DD)', practitioner.validUntil ? practitioner.validUntil.slice(0, 10) : '');
+    if (!value) return;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      setError('Invalid date');
+      return;
+    }
+    return update(practitioner, { validUntil: date.toISOString() });
+  };
+
+  const doctorName = (userId) => doctors.find(d => d.id === userId)?.username || `#${userId}`;
+
+  const inputClass = 'block w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <div>
+      {/* Toolbar */}
+      <div className="mb-6 flex flex-wrap gap-3 items-center">
+        {isSuperadmin && (
+          <button
+            onClick={() => setShowCreate(!showCreate)}
+            className="inline-flex items-center gap-2 px-4 py-2 rounded-lg font-medium text-sm bg-indigo-600 text-white shadow-sm hover:bg-indigo-500"
+          >
+            <FiPlus className="h-4 w-4" />
+            Register Practitioner
+          </button>
+        )}
+        <button
+          onClick={fetchPractitioners}
+          disabled={loading}
+          className="ml-auto inline-flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <FiRefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start gap-3">
+          <FiAlertTriangle className="h-5 w-5 text-red-600 mt-0.5 flex-shrink-0" />
+          <div>
+            <p className="text-sm font-medium text-red-800">Error</p>
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        </div>
+      )}
+
+      {/* Create form */}
+      {showCreate && (
+        <form onSubmit={handleCreate} className="mb-6 bg-white shadow-sm rounded-lg p-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+          <input className={inputClass} placeholder="INPE (9 digits)" pattern="\d{9}" required value={form.inpe} onChange={(e) => setForm({ ...form, inpe: e.target.value })} />
+          <input className={inputClass} placeholder="Full name" required value={form.fullName} onChange={(e) => setForm({ ...form, fullName: e.target.value })} />
+          <input className={inputClass} placeholder="Specialty" value={form.specialty} onChange={(e) => setForm({ ...form, specialty: e.target.value })} />
+          <select className={inputClass} value={form.userId} onChange={(e) => setForm({ ...form, userId: e.target.value })}>
+            <option value="">No linked account</option>
+            {doctors.map(d => <option key={d.id} value={d.id}>{d.fullName || d.username}</option>)}
+          </select>
+          <label className="text-xs text-gray-500">
+            Valid from
+            <input type="date" className={inputClass} value={form.validFrom} onChange={(e) => setForm({ ...form, validFrom: e.target.value })} />
+          </label>
+          <label className="text-xs text-gray-500">
+            Valid until
+            <input type="date" className={inputClass} value={form.validUntil} onChange={(e) => setForm({ ...form, validUntil: e.target.value })} />
+          </label>
+          <div className="md:col-span-2 flex justify-end gap-2">
+            <button type="button" onClick={() => setShowCreate(false)} className="px-4 py-2 bg-white border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50">
+              Cancel
+            </button>
+            <button type="submit" className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-500">
+              Register
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Registry table */}
+      <div className="bg-white shadow-sm rounded-lg overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Practitioner</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Account</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Validity</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">License</th>
+                {isSuperadmin && (
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                )}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {practitioners.map(p => (
+                <tr key={p.inpe} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    <p className="font-medium">{p.fullName}</p>
+                    <p className="text-xs text-gray-500">INPE {p.inpe}{p.specialty ? ` · ${p.specialty}` : ''}</p>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-600">
+                    {p.userId ? doctorName(p.userId) : <span className="text-gray-400">Not linked</span>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                    {formatDate(p.validFrom)} → {formatDate(p.validUntil)}
+                  </td>
+                  <td className="px-6 py-4">
+                    <span className={`inline-flex px-2.5 py-1 rounded-full text-xs font-semibold border capitalize ${STATUS_STYLES[p.effectiveStatus] || STATUS_STYLES.expired}`}>
+                      {p.effectiveStatus.replace(/_/g, ' ')}
+                    </span>
+                    {p.statusReason && <p className="text-xs text-gray-500 mt-1">{p.statusReason}</p>}
+                  </td>
+                  {isSuperadmin && (
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                      <div className="inline-flex gap-2">
+                        <button onClick={() => renew(p)} className="px-3 py-1.5 rounded-lg border border-gray-300 text-xs font-medium text-gray-700 hover:bg-gray-50">
+                          Renew
+                        </button>
+                        {p.licenseStatus === 'active' ? (
+                          <>
+                            <button onClick={() => changeStatus(p, 'suspended')} className="px-3 py-1.5 rounded-lg text-xs font-medium bg-amber-500 text-white hover:bg-amber-400">
+                              Suspend
+                            </button>
+                            <button onClick={() => changeStatus(p, 'revoked')} className="px-3 py-1.5 rounded-lg text-xs font-medium bg-red-600 text-white hover:bg-red-500">
+                              Revoke
+                            </button>
+                          </>
+                        ) : (
+                          <button onClick={() => changeStatus(p, 'active')} className="px-3 py-1.5 rounded-lg text-xs font-medium bg-green-600 text-white hover:bg-green-500">
+                            Reinstate
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="px-6 py-4 bg-gray-50 border-t border-gray-200">
+          <p className="text-sm text-gray-600">
+            Showing {practitioners.length} {practitioners.length === 1 ? 'practitioner' : 'practitioners'}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PractitionerRegistry;
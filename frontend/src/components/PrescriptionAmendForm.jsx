@@ -0,0 +1,146 @@
+import { useState, useEffect } from 'react';
+import { FiPlus, FiTrash2, FiAlertTriangle } from 'react-icons/fi';
+import axios from 'axios';
+import QRCodeDisplay from './QRCodeDisplay';
+
+const emptyMedication = { name: '', code: '', dosage: '', unit: 'mg', frequency: '1', duration: '7', durationUnit: 'days', instructions: '' };
+
+// Doctor-side amendment: edit diagnosis and medication list, store a new version and hand out the re-issued QR
+const PrescriptionAmendForm = ({ prescriptionId, onAmended, onClose }) => {
+  const [diagnosis, setDiagnosis] = useState('');
+  const [medications, setMedications] = useState([]);
+  const [reason, setReason] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    axios.get(`/api/prescriptions/${encodeURIComponent(prescriptionId)}`)
+      .then(response => {
+        const prescription = response.data.prescription || {};
+        setDiagnosis(prescription.diagnosis || '');
+        setMedications((prescription.medications || []).map(m => ({ ...emptyMedication, ...m })));
+      })
+      .catch(err => setError(err.response?.data?.message || 'Failed to load prescription'))
+      .finally(() => setLoading(false));
+  }, [prescriptionId]);
+
+  const updateMedication = (index, field, value) => {
+    setMedications(medications.map((m, i) => (i === index ? { ...m, [field]: value } : m)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+    try {
+      const response = await axios.post('/api/amend', {
+        prescriptionId,
+        diagnosis,
+        reason,
+        medications: medications.map(m => ({ ...m, dosage: String(m.dosage ?? ''), duration: String(m.duration ?? '') }))
+      });
+      setResult(response.data);
+      onAmended?.(response.data, { diagnosis, medications });
+    } catch (err) {
+      setError(err.response?.data?.message || err.response?.data?.error || 'Failed to amend prescription');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'block w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  if (loading) return <p className="text-sm text-gray-500">Loading prescription…</p>;
+
+  if (result) {
+    return (
+      <div className="bg-green-50 border border-green-200 rounded-lg p-4 space-y-3">
+        <p className="text-sm font-medium text-green-800">
+          Prescription amended (version {result.version}). The patient has been sent the new QR code; the previous one no longer verifies.
+        </p>
+        <div className="flex justify-center">
+          <QRCodeDisplay value={JSON.stringify(result.qr.data)} size={200} level="H" />
+        </div>
+        <div className="flex justify-end">
+          <button onClick={onClose} className="px-4 py-2 rounded-lg text-sm font-medium bg-blue-600 text-white hover:bg-blue-500">Done</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2 text-sm text-red-700">
+          <FiAlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <label className="block text-sm font-medium text-gray-700">
+        Diagnosis
+        <textarea className={`${inputClass} mt-1`} rows="2" required value={diagnosis} onChange={(e) => setDiagnosis(e.target.value)} />
+      </label>
+
+      <div className="space-y-3">
+        <h4 className="text-sm font-medium text-gray-700">Medications</h4>
+        {medications.map((m, index) => (
+          <div key={index} className="grid grid-cols-2 md:grid-cols-8 gap-2 items-start bg-gray-50 p-3 rounded-lg">
+            <input className={`${inputClass} md:col-span-2`} placeholder="Name" required value={m.name} onChange={(e) => updateMedication(index, 'name', e.target.value)} />
+            <input className={inputClass} placeholder="Code" value={m.code} onChange={(e) => updateMedication(index, 'code', e.target.value)} />
+            <input className={inputClass} placeholder="Dosage" value={m.dosage} onChange={(e) => updateMedication(index, 'dosage', e.target.value)} />
+            <input className={inputClass} placeholder="Unit" required value={m.unit} onChange={(e) => updateMedication(index, 'unit', e.target.value)} />
+            <input className={inputClass} placeholder="Times/day" required value={m.frequency} onChange={(e) => updateMedication(index, 'frequency', e.target.value)} />
+            <div className="flex gap-1">
+              <input className={inputClass} placeholder="Duration" required value={m.duration} onChange={(e) => updateMedication(index, 'duration', e.target.value)} />
+              <select className={inputClass} value={m.durationUnit} onChange={(e) => updateMedication(index, 'durationUnit', e.target.value)}>
+                <option value="days">days</option>
+                <option value="weeks">weeks</option>
+                <option value="months">months</option>
+              </select>
+            </div>
+            <button
+              type="button"
+              onClick={() => setMedications(medications.filter((_, i) => i !== index))}
+              disabled={medications.length === 1}
+              className="justify-self-end p-2 text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-40"
+              title="Remove medication"
+            >
+              <FiTrash2 className="h-4 w-4" />
+            </button>
+            <input className={`${inputClass} col-span-2 md:col-span-8`} placeholder="Instructions" value={m.instructions} onChange={(e) => updateMedication(index, 'instructions', e.target.value)} />
+            <label className="col-span-2 md:col-span-8 inline-flex items-center gap-2 text-xs text-gray-700">
+              <input type="checkbox" checked={!!m.nonSubstitutable} onChange={(e) => updateMedication(index, 'nonSubstitutable', e.target.checked || undefined)} />
+              Non substituable
+            </label>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => setMedications([...medications, { ...emptyMedication }])}
+          className="inline-flex items-center gap-2 text-sm text-blue-600 hover:text-blue-800"
+        >
+          <FiPlus className="h-4 w-4" /> Add medication
+        </button>
+      </div>
+
+      <label className="block text-sm font-medium text-gray-700">
+        Reason for the amendment
+        <input className={`${inputClass} mt-1`} required minLength={3} value={reason} onChange={(e) => setReason(e.target.value)} placeholder="Shown to the pharmacist and sent to the patient" />
+      </label>
+
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onClose} className="px-4 py-2 bg-white border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50">
+          Cancel
+        </button>
+        <button type="submit" disabled={saving || medications.length === 0} className="px-4 py-2 rounded-lg text-sm font-medium bg-blue-600 text-white hover:bg-blue-500 disabled:opacity-50">
+          {saving ? 'Saving…' : 'Save new version'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default PrescriptionAmendForm;
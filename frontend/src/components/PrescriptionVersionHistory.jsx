@@ -0,0 +1,118 @@
+import { useState, useEffect } from 'react';
+import { FiGitCommit, FiChevronDown, FiChevronUp } from 'react-icons/fi';
+import axios from 'axios';
+
+const FIELD_LABELS = {
+  name: 'Name',
+  code: 'Code',
+  dosage: 'Dosage',
+  unit: 'Unit',
+  frequency: 'Frequency',
+  duration: 'Duration',
+  durationUnit: 'Duration unit',
+  instructions: 'Instructions',
+  quantity: 'Boxes',
+  nonSubstitutable: 'Non substituable'
+};
+
+const describeMedication = (m) => `${m.name}${m.dosage ? ` ${m.dosage}${m.unit || ''}` : ''}`;
+
+// Changes of one version against the previous one
+const VersionDiff = ({ diff }) => {
+  const { added = [], removed = [], changed = [] } = diff.medications || {};
+  const empty = !diff.diagnosis && !diff.maxDispenses && !added.length && !removed.length && !changed.length;
+  if (empty) return <p className="text-xs text-slate-500">No clinical changes</p>;
+
+  return (
+    <ul className="space-y-1 text-xs">
+      {diff.diagnosis && (
+        <li>
+          <span className="font-semibold text-slate-700">Diagnosis: </span>
+          <span className="line-through text-red-600">{diff.diagnosis.from || '—'}</span>
+          {' → '}
+          <span className="text-green-700">{diff.diagnosis.to || '—'}</span>
+        </li>
+      )}
+      {diff.maxDispenses && (
+        <li>
+          <span className="font-semibold text-slate-700">Dispenses: </span>
+          <span className="line-through text-red-600">{diff.maxDispenses.from}</span>
+          {' → '}
+          <span className="text-green-700">{diff.maxDispenses.to}</span>
+        </li>
+      )}
+      {added.map((m, i) => (
+        <li key={`a${i}`} className="text-green-700">+ {describeMedication(m)}</li>
+      ))}
+      {removed.map((m, i) => (
+        <li key={`r${i}`} className="text-red-600 line-through">− {describeMedication(m)}</li>
+      ))}
+      {changed.map(c => (
+        <li key={c.key} className="text-amber-800">
+          ~ {c.name}:{' '}
+          {Object.entries(c.fields).map(([field, { from, to }]) => `${FIELD_LABELS[field] || field} ${from ?? '—'} → ${to ?? '—'}`).join(', ')}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Version history of an amended prescription (newest first), each version with its diff
+const PrescriptionVersionHistory = ({ prescriptionId, refreshKey }) => {
+  const [versions, setVersions] = useState([]);
+  const [expanded, setExpanded] = useState(false);
+
+  useEffect(() => {
+    if (!prescriptionId) return;
+    axios.get(`/api/prescriptions/${encodeURIComponent(prescriptionId)}/versions`)
+      .then(response => setVersions(response.data.versions || []))
+      .catch(() => setVersions([]));
+  }, [prescriptionId, refreshKey]);
+
+  if (versions.length < 2) return null;
+
+  const [latest, ...older] = versions;
+
+  return (
+    <div className="ring-1 ring-amber-200 bg-amber-50 rounded-xl p-3">
+      <div className="flex items-center justify-between gap-2">
+        <h4 className="text-xs font-semibold text-amber-900 flex items-center gap-1.5">
+          <FiGitCommit className="h-3.5 w-3.5" />
+          Amended — version {latest.version} of {versions.length}
+        </h4>
+        <button onClick={() => setExpanded(!expanded)} className="text-xs text-amber-800 inline-flex items-center gap-1 hover:underline">
+          {expanded ? <FiChevronUp className="h-3.5 w-3.5" /> : <FiChevronDown className="h-3.5 w-3.5" />}
+          {expanded ? 'Hide history' : 'Show history'}
+        </button>
+      </div>
+      <p className="text-xs text-amber-800 mt-1">
+        {new Date(latest.createdAt).toLocaleString()}{latest.createdBy?.name ? ` by ${latest.createdBy.name}` : ''} — {latest.reason}
+      </p>
+      <div className="mt-2">
+        <VersionDiff diff={latest.diff} />
+      </div>
+
+      {expanded && older.length > 0 && (
+        <ol className="mt-3 space-y-3 border-l-2 border-amber-200 pl-3">
+          {older.map(version => (
+            <li key={version.version}>
+              <p className="text-xs font-semibold text-slate-700">
+                Version {version.version} · {version.createdAt ? new Date(version.createdAt).toLocaleString() : '—'}
+                {version.reason ? ` — ${version.reason}` : ' — issued'}
+              </p>
+              {version.diff ? (
+                <div className="mt-1"><VersionDiff diff={version.diff} /></div>
+              ) : (
+                <p className="text-xs text-slate-500 mt-1">
+                  {version.diagnosis} · {(version.medications || []).map(describeMedication).join(', ')}
+                </p>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default PrescriptionVersionHistory;
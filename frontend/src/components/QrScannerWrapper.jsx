@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 import QrScanner from 'qr-scanner';
+import { decodeQrText } from '../utils/qrCodec';
 
 const QrScannerWrapper = ({ onDecode, onError, constraints = {}, containerStyle = {} }) => {
   const [error, setError] = useState(null);
@@ -47,7 +48,13 @@ const QrScannerWrapper = ({ onDecode, onError, constraints = {}, containerStyle
           (result) => {
             console.log('QR Code detected:', result.data);
             if (onDecode) {
-              onDecode(result.data);
+              // Detect the format (JSON, compact COSE/Base45, URL...) and pass the decoded payload along
+              decodeQrText(result.data)
+                .then(decoded => onDecode(result.data, decoded))
+                .catch(err => {
+                  console.warn('QR decoding failed:', err.message);
+                  onDecode(result.data, null);
+                });
             }
           },
           {
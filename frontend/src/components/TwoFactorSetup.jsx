@@ -0,0 +1,144 @@
+import { useState, useEffect } from 'react';
+import { FiShield, FiAlertCircle, FiCheck } from 'react-icons/fi';
+import { getAccessToken, setSession } from '../utils/authSession';
+
+/**
+ * TOTP enrollment: shows the authenticator QR code, confirms the first code,
+ * then displays the recovery codes exactly once.
+ */
+const TwoFactorSetup = ({ onComplete, onCancel }) => {
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    const startEnrollment = async () => {
+      try {
+        const response = await fetch('/api/2fa/enroll', {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${getAccessToken()}` }
+        });
+        const data = await response.json();
+        if (data.success) {
+          setEnrollment(data);
+        } else {
+          setError(data.message || 'Unable to start two-factor enrollment');
+        }
+      } catch (err) {
+        setError('Failed to connect to the server. Please try again.');
+      }
+    };
+    startEnrollment();
+  }, []);
+
+  const handleActivate = async (e) => {
+    e.preventDefault();
+    if (isSubmitting) return;
+    setError('');
+    setIsSubmitting(true);
+    try {
+      const response = await fetch('/api/2fa/activate', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${getAccessToken()}`
+        },
+        body: JSON.stringify({ code: code.trim() })
+      });
+      const data = await response.json();
+      if (data.success) {
+        // Activation returns a session with the second factor verified
+        setSession(data);
+        setRecoveryCodes(data.recoveryCodes || []);
+      } else {
+        setError(data.message || 'Invalid verification code');
+      }
+    } catch (err) {
+      setError('Failed to connect to the server. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (recoveryCodes) {
+    return (
+      <div className="space-y-4">
+        <div className="flex items-center gap-2 text-emerald-700">
+          <FiCheck />
+          <span className="font-semibold">Two-factor authentication enabled</span>
+        </div>
+        <p className="text-sm text-slate-600">
+          Save these recovery codes somewhere safe. Each code can be used once if you lose access to your authenticator app. They will not be shown again.
+        </p>
+        <div className="grid grid-cols-2 gap-2 p-3 rounded-xl bg-slate-50 border border-slate-200 font-mono text-sm text-slate-800">
+          {recoveryCodes.map(rc => <span key={rc}>{rc}</span>)}
+        </div>
+        <div className="flex justify-center">
+          <button
+            type="button"
+            onClick={onComplete}
+            className="w-1/2 rounded-xl bg-gradient-to-r from-indigo-600 via-blue-600 to-teal-600 py-2.5 text-sm font-semibold text-white shadow-lg"
+          >
+            I saved my codes
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleActivate} className="space-y-4">
+      <div className="flex items-center gap-2 text-slate-800">
+        <FiShield />
+        <span className="font-semibold">Set up two-factor authentication</span>
+      </div>
+      <p className="text-sm text-slate-600">
+        Scan this QR code with an authenticator app (Google Authenticator, FreeOTP, Aegis...) and enter the 6-digit code it shows.
+      </p>
+
+      {error && (
+        <div className="flex items-start gap-2 p-3 rounded-xl bg-red-50 border border-red-300 text-red-700">
+          <FiAlertCircle className="mt-0.5" />
+          <span className="text-sm">{error}</span>
+        </div>
+      )}
+
+      {enrollment && (
+        <div className="flex flex-col items-center gap-2">
+          <img src={enrollment.qrDataUrl} alt="Authenticator QR code" className="w-48 h-48" />
+          <code className="text-xs text-slate-500 break-all">{enrollment.secret}</code>
+        </div>
+      )}
+
+      <input
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        className="block w-full rounded-xl border-0 bg-white px-4 py-3.5 text-center text-lg tracking-widest text-slate-900 shadow-lg ring-1 ring-inset ring-slate-300 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+        placeholder="123456"
+        required
+      />
+
+      <div className="flex justify-center gap-2">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="w-1/3 rounded-xl bg-white py-2.5 text-sm font-semibold text-slate-700 shadow ring-1 ring-slate-300">
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={!enrollment || isSubmitting}
+          className={`w-1/2 rounded-xl bg-gradient-to-r from-indigo-600 via-blue-600 to-teal-600 py-2.5 text-sm font-semibold text-white shadow-lg ${!enrollment || isSubmitting ? 'opacity-80 cursor-not-allowed' : ''}`}
+        >
+          {isSubmitting ? 'Verifying...' : 'Activate'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorSetup;
@@ -0,0 +1,393 @@
+import { useState, useEffect } from 'react';
+import { FiRefreshCw, FiAlertTriangle, FiUserPlus, FiKey, FiSave, FiX, FiLogOut, FiShield } from 'react-icons/fi';
+import axios from 'axios';
+
+const ROLES = ['doctor', 'pharmacist', 'admin', 'superadmin'];
+
+// Organization types each role may belong to (mirrors the backend user directory)
+const ROLE_ORG_TYPES = {
+  doctor: ['clinic'],
+  pharmacist: ['pharmacy', 'pharmacy_chain'],
+  admin: ['clinic', 'pharmacy', 'pharmacy_chain'],
+  superadmin: []
+};
+
+const emptyForm = { username: '', password: '', role: 'doctor', orgId: '', fullName: '', specialty: '' };
+
+const authHeaders = () => {
+  const token = localStorage.getItem('auth_token');
+  return { Authorization: `Bearer ${token}` };
+};
+
+const UserManagement = () => {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [showCreate, setShowCreate] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [editForm, setEditForm] = useState({});
+  const [mfaRequiredRoles, setMfaRequiredRoles] = useState([]);
+  const [dispenseOtpRequired, setDispenseOtpRequired] = useState(false);
+  const [organizations, setOrganizations] = useState([]);
+
+  const isSuperadmin = JSON.parse(localStorage.getItem('user') || '{}').role === 'superadmin';
+  const assignableRoles = isSuperadmin ? ROLES : ROLES.filter(r => r !== 'superadmin');
+  const orgsForRole = (role) => organizations.filter(org => ROLE_ORG_TYPES[role]?.includes(org.type));
+  const orgName = (orgId) => organizations.find(org => org.id === orgId)?.name;
+
+  useEffect(() => {
+    fetchUsers();
+    fetchPolicy();
+    fetchOrganizations();
+  }, []);
+
+  const fetchOrganizations = async () => {
+    try {
+      const response = await axios.get('/api/admin/organizations', { headers: authHeaders() });
+      if (response.data.success) {
+        setOrganizations(response.data.organizations || []);
+      }
+    } catch (err) {
+      console.error('Failed to fetch organizations:', err);
+    }
+  };
+
+  const fetchPolicy = async () => {
+    try {
+      const response = await axios.get('/api/admin/security-policy', { headers: authHeaders() });
+      if (response.data.success) {
+        setMfaRequiredRoles(response.data.policy.mfaRequiredRoles || []);
+        setDispenseOtpRequired(!!response.data.policy.dispenseOtpRequired);
+      }
+    } catch (err) {
+      console.error('Failed to fetch security policy:', err);
+    }
+  };
+
+  const toggleDispenseOtp = async () => {
+    setError('');
+    setNotice('');
+    try {
+      const response = await axios.put('/api/admin/security-policy', { dispenseOtpRequired: !dispenseOtpRequired }, { headers: authHeaders() });
+      setDispenseOtpRequired(!!response.data.policy.dispenseOtpRequired);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update security policy');
+    }
+  };
+
+  const toggleMfaRole = async (role) => {
+    setError('');
+    setNotice('');
+    const next = mfaRequiredRoles.includes(role)
+      ? mfaRequiredRoles.filter(r => r !== role)
+      : [...mfaRequiredRoles, role];
+    try {
+      const response = await axios.put('/api/admin/security-policy', { mfaRequiredRoles: next }, { headers: authHeaders() });
+      setMfaRequiredRoles(response.data.policy.mfaRequiredRoles || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update security policy');
+    }
+  };
+
+  const fetchUsers = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.get('/api/admin/users', { headers: authHeaders() });
+      if (response.data.success) {
+        setUsers(response.data.users || []);
+      } else {
+        setError('Failed to fetch users');
+      }
+    } catch (err) {
+      console.error('Failed to fetch users:', err);
+      setError(err.response?.data?.message || 'Failed to fetch users');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+    setNotice('');
+    try {
+      const body = { ...form, orgId: form.role === 'superadmin' || !form.orgId ? undefined : Number(form.orgId) };
+      const response = await axios.post('/api/admin/users', body, { headers: authHeaders() });
+      if (response.data.success) {
+        setNotice(`Created ${response.data.user.role} account ${response.data.user.username}`);
+        setForm(emptyForm);
+        setShowCreate(false);
+        fetchUsers();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create user');
+    }
+  };
+
+  const startEdit = (user) => {
+    setEditingId(user.id);
+    setEditForm({ role: user.role, orgId: user.orgId || '', fullName: user.fullName || '', specialty: user.specialty || '' });
+  };
+
+  const saveEdit = async (id) => {
+    setError('');
+    setNotice('');
+    try {
+      const body = { ...editForm, orgId: editForm.role === 'superadmin' || !editForm.orgId ? null : Number(editForm.orgId) };
+      await axios.patch(`/api/admin/users/${id}`, body, { headers: authHeaders() });
+      setEditingId(null);
+      fetchUsers();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update user');
+    }
+  };
+
+  const toggleDisabled = async (user) => {
+    setError('');
+    setNotice('');
+    try {
+      await axios.patch(`/api/admin/users/${user.id}`, { disabled: !user.disabled }, { headers: authHeaders() });
+      fetchUsers();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update user');
+    }
+  };
+
+  const resetPassword = async (user) => {
+    const password = window.prompt(`New password for ${user.username} (min. 8 characters)`);
+    if (!password) return;
+    setError('');
+    setNotice('');
+    try {
+      await axios.post(`/api/admin/users/${user.id}/reset-password`, { password }, { headers: authHeaders() });
+      setNotice(`Password reset for ${user.username}`);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reset password');
+    }
+  };
+
+  const revokeSessions = async (user) => {
+    if (!window.confirm(`Log ${user.username} out of all devices?`)) return;
+    setError('');
+    setNotice('');
+    try {
+      const response = await axios.post(`/api/admin/users/${user.id}/revoke-sessions`, {}, { headers: authHeaders() });
+      setNotice(`All sessions revoked for ${user.username} (${response.data.revokedRefreshTokens} active)`);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke sessions');
+    }
+  };
+
+  const resetTwoFactor = async (user) => {
+    if (!window.confirm(`Remove two-factor authentication for ${user.username}? They will have to enroll again.`)) return;
+    setError('');
+    setNotice('');
+    try {
+      await axios.post(`/api/admin/users/${user.id}/reset-2fa`, {}, { headers: authHeaders() });
+      setNotice(`Two-factor authentication reset for ${user.username}`);
+      fetchUsers();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reset two-factor authentication');
+    }
+  };
+
+  const inputClass = 'block w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <div>
+      {/* Toolbar */}
+      <div className="mb-6 flex flex-wrap gap-3 items-center">
+        <button
+          onClick={() => setShowCreate(!showCreate)}
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-lg font-medium text-sm bg-indigo-600 text-white shadow-sm hover:bg-indigo-500"
+        >
+          <FiUserPlus className="h-4 w-4" />
+          New User
+        </button>
+        <button
+          onClick={fetchUsers}
+          disabled={loading}
+          className="ml-auto inline-flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <FiRefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {/* Security policy: 2FA per role and patient code at dispense (platform-wide, superadmin only) */}
+      {isSuperadmin && (
+      <div className="mb-6 bg-white shadow-sm rounded-lg p-4 flex flex-wrap items-center gap-4">
+        <span className="inline-flex items-center gap-2 text-sm font-medium text-gray-700">
+          <FiShield className="h-4 w-4" />
+          Require two-factor authentication for:
+        </span>
+        {ROLES.map(role => (
+          <label key={role} className="inline-flex items-center gap-2 text-sm text-gray-700 capitalize">
+            <input type="checkbox" checked={mfaRequiredRoles.includes(role)} onChange={() => toggleMfaRole(role)} />
+            {role}
+          </label>
+        ))}
+        <label className="inline-flex items-center gap-2 text-sm text-gray-700 w-full">
+          <input type="checkbox" checked={dispenseOtpRequired} onChange={toggleDispenseOtp} />
+          Require the patient's one-time code (sent with the prescription) before dispensing
+        </label>
+      </div>
+      )}
+
+      {/* Error / notice */}
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start gap-3">
+          <FiAlertTriangle className="h-5 w-5 text-red-600 mt-0.5 flex-shrink-0" />
+          <div>
+            <p className="text-sm font-medium text-red-800">Error</p>
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        </div>
+      )}
+      {notice && (
+        <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">
+          {notice}
+        </div>
+      )}
+
+      {/* Create form */}
+      {showCreate && (
+        <form onSubmit={handleCreate} className="mb-6 bg-white shadow-sm rounded-lg p-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+          <input className={inputClass} type="email" placeholder="Email" required value={form.username} onChange={(e) => setForm({ ...form, username: e.target.value })} />
+          <input className={inputClass} type="password" placeholder="Initial password (min. 8)" required minLength={8} value={form.password} onChange={(e) => setForm({ ...form, password: e.target.value })} />
+          <input className={inputClass} placeholder="Full name" required value={form.fullName} onChange={(e) => setForm({ ...form, fullName: e.target.value })} />
+          <input className={inputClass} placeholder="Specialty (doctors)" value={form.specialty} onChange={(e) => setForm({ ...form, specialty: e.target.value })} />
+          <select className={inputClass} value={form.role} onChange={(e) => setForm({ ...form, role: e.target.value, orgId: '' })}>
+            {assignableRoles.map(r => <option key={r} value={r}>{r}</option>)}
+          </select>
+          {form.role !== 'superadmin' && (
+            <select className={inputClass} required={isSuperadmin} value={form.orgId} onChange={(e) => setForm({ ...form, orgId: e.target.value })}>
+              <option value="">{isSuperadmin ? 'Organization' : 'My organization'}</option>
+              {orgsForRole(form.role).map(org => <option key={org.id} value={org.id}>{org.name}</option>)}
+            </select>
+          )}
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={() => setShowCreate(false)} className="px-4 py-2 bg-white border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50">
+              Cancel
+            </button>
+            <button type="submit" className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-500">
+              Create
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Users table */}
+      <div className="bg-white shadow-sm rounded-lg overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Organization</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {users.map(user => (
+                <tr key={user.id} className={`hover:bg-gray-50 ${user.disabled ? 'opacity-60' : ''}`}>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    {editingId === user.id ? (
+                      <div className="space-y-2">
+                        <input className={inputClass} value={editForm.fullName} onChange={(e) => setEditForm({ ...editForm, fullName: e.target.value })} />
+                        <input className={inputClass} placeholder="Specialty" value={editForm.specialty} onChange={(e) => setEditForm({ ...editForm, specialty: e.target.value })} />
+                      </div>
+                    ) : (
+                      <>
+                        <p className="font-medium">{user.fullName}</p>
+                        <p className="text-xs text-gray-500">{user.username}</p>
+                        {user.specialty && <p className="text-xs text-gray-400">{user.specialty}</p>}
+                      </>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                    {editingId === user.id ? (
+                      <select className={inputClass} value={editForm.role} onChange={(e) => setEditForm({ ...editForm, role: e.target.value })}>
+                        {assignableRoles.map(r => <option key={r} value={r}>{r}</option>)}
+                      </select>
+                    ) : (
+                      <span className="capitalize">{user.role}</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                    {editingId === user.id && editForm.role !== 'superadmin' ? (
+                      <select className={inputClass} value={editForm.orgId} onChange={(e) => setEditForm({ ...editForm, orgId: e.target.value })}>
+                        <option value="">-</option>
+                        {orgsForRole(editForm.role).map(org => <option key={org.id} value={org.id}>{org.name}</option>)}
+                      </select>
+                    ) : (
+                      <span>{user.role === 'superadmin' ? 'All tenants' : (orgName(user.orgId) || '-')}</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`inline-flex px-2.5 py-1 rounded-full text-xs font-semibold border ${user.disabled ? 'bg-gray-100 text-gray-700 border-gray-200' : 'bg-green-100 text-green-800 border-green-200'}`}>
+                      {user.disabled ? 'Disabled' : 'Active'}
+                    </span>
+                    {user.twoFactorEnabled && (
+                      <span className="ml-2 inline-flex px-2.5 py-1 rounded-full text-xs font-semibold border bg-indigo-100 text-indigo-800 border-indigo-200">
+                        2FA
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                    <div className="inline-flex gap-2">
+                      {editingId === user.id ? (
+                        <>
+                          <button onClick={() => saveEdit(user.id)} className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg bg-indigo-600 text-white text-xs font-medium hover:bg-indigo-500">
+                            <FiSave className="h-3.5 w-3.5" /> Save
+                          </button>
+                          <button onClick={() => setEditingId(null)} className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg border border-gray-300 text-xs font-medium text-gray-700 hover:bg-gray-50">
+                            <FiX className="h-3.5 w-3.5" /> Cancel
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          <button onClick={() => startEdit(user)} className="px-3 py-1.5 rounded-lg border border-gray-300 text-xs font-medium text-gray-700 hover:bg-gray-50">
+                            Edit
+                          </button>
+                          <button onClick={() => resetPassword(user)} className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg border border-gray-300 text-xs font-medium text-gray-700 hover:bg-gray-50">
+                            <FiKey className="h-3.5 w-3.5" /> Reset password
+                          </button>
+                          <button onClick={() => revokeSessions(user)} className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg border border-gray-300 text-xs font-medium text-gray-700 hover:bg-gray-50">
+                            <FiLogOut className="h-3.5 w-3.5" /> Revoke sessions
+                          </button>
+                          {user.twoFactorEnabled && (
+                            <button onClick={() => resetTwoFactor(user)} className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg border border-gray-300 text-xs font-medium text-gray-700 hover:bg-gray-50">
+                              <FiShield className="h-3.5 w-3.5" /> Reset 2FA
+                            </button>
+                          )}
+                          <button onClick={() => toggleDisabled(user)} className={`px-3 py-1.5 rounded-lg text-xs font-medium ${user.disabled ? 'bg-green-600 text-white hover:bg-green-500' : 'bg-red-600 text-white hover:bg-red-500'}`}>
+                            {user.disabled ? 'Enable' : 'Disable'}
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-4 bg-gray-50 border-t border-gray-200">
+          <p className="text-sm text-gray-600">
+            Showing {users.length} {users.length === 1 ? 'user' : 'users'}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UserManagement;
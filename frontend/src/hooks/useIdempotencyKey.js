@@ -0,0 +1,46 @@
+import { useRef, useCallback } from 'react';
+
+/**
+ * Random Idempotency-Key for a mutating request
+ * @returns {string}
+ */
+export const createIdempotencyKey = () => {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Whether a response is the final answer for its Idempotency-Key: 2xx or 4xx, except 409
+ * IDEMPOTENCY_IN_PROGRESS (the first request is still running on the server). After a 5xx the
+ * outcome is unknown, so the key is kept too.
+ * @param {Response} response - fetch response
+ * @param {Object} data - Parsed response body
+ * @returns {boolean}
+ */
+export const isFinalResponse = (response, data) => {
+  if (response.status === 409 && data?.code === 'IDEMPOTENCY_IN_PROGRESS') return false;
+  return response.status >= 200 && response.status < 500;
+};
+
+/**
+ * One Idempotency-Key per pending request: resubmitting the same body after a network failure
+ * reuses the key (the server replays the first response instead of acting twice); once the final
+ * answer arrives, call settle(response, data) so the next submission gets a fresh key.
+ */
+export const useIdempotencyKey = () => {
+  const pending = useRef(null);
+
+  const keyFor = useCallback((body) => {
+    if (pending.current?.body !== body) pending.current = { body, key: createIdempotencyKey() };
+    return pending.current.key;
+  }, []);
+
+  const settle = useCallback((response, data) => {
+    if (isFinalResponse(response, data)) pending.current = null;
+  }, []);
+
+  return { keyFor, settle };
+};
+
+export default useIdempotencyKey;
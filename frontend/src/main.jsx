@@ -9,6 +9,7 @@ import { registerSW } from 'virtual:pwa-register';
 import './i18n/config';
 import indexedDBManager from './utils/indexedDB';
 import offlineQueueManager from './utils/offlineQueue';
+import { installAuthInterceptors } from './utils/authSession';
 
 // Ensure the root element exists before rendering
 const rootElement = document.getElementById('root');
@@ -19,6 +20,9 @@ if (!rootElement) {
 
 const root = ReactDOM.createRoot(rootElement);
 
+// Refresh short-lived access tokens transparently on 401
+installAuthInterceptors();
+
 // Initialize IndexedDB and offline queue
 (async () => {
   try {
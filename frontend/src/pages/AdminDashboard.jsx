@@ -1,7 +1,13 @@
 import { useState, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
-import { FiRefreshCw, FiAlertTriangle, FiCheckCircle, FiClock, FiPackage } from 'react-icons/fi';
+import { FiRefreshCw, FiAlertTriangle, FiCheckCircle, FiClock, FiPackage, FiXCircle, FiEdit2, FiCalendar } from 'react-icons/fi';
 import axios from 'axios';
+import UserManagement from '../components/UserManagement';
+import OrganizationManagement from '../components/OrganizationManagement';
+import AccessAuditLog from '../components/AccessAuditLog';
+import ControlledRegister from '../components/ControlledRegister';
+import ApiClientManagement from '../components/ApiClientManagement';
+import PractitionerRegistry from '../components/PractitionerRegistry';
 
 const AdminDashboard = () => {
   const { t } = useTranslation();
@@ -9,10 +15,11 @@ const AdminDashboard = () => {
   const [filter, setFilter] = useState('all');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [activeTab, setActiveTab] = useState('logs');
 
   useEffect(() => {
-    fetchLogs();
-  }, [filter]);
+    if (activeTab === 'logs') fetchLogs();
+  }, [filter, activeTab]);
 
   const fetchLogs = async () => {
     setLoading(true);
@@ -48,6 +55,12 @@ const AdminDashboard = () => {
         return 'bg-yellow-100 text-yellow-800 border-yellow-200';
       case 'dispensed':
         return 'bg-purple-100 text-purple-800 border-purple-200';
+      case 'cancelled':
+        return 'bg-red-100 text-red-800 border-red-200';
+      case 'amended':
+        return 'bg-amber-100 text-amber-800 border-amber-200';
+      case 'expired':
+        return 'bg-slate-200 text-slate-700 border-slate-300';
       default:
         return 'bg-gray-100 text-gray-800 border-gray-200';
     }
@@ -63,6 +76,12 @@ const AdminDashboard = () => {
         return <FiClock className="h-4 w-4" />;
       case 'dispensed':
         return <FiPackage className="h-4 w-4" />;
+      case 'cancelled':
+        return <FiXCircle className="h-4 w-4" />;
+      case 'amended':
+        return <FiEdit2 className="h-4 w-4" />;
+      case 'expired':
+        return <FiCalendar className="h-4 w-4" />;
       default:
         return <FiClock className="h-4 w-4" />;
     }
@@ -73,7 +92,10 @@ const AdminDashboard = () => {
     { value: 'issued', label: 'Issued' },
     { value: 'verified', label: 'Verified' },
     { value: 'paid', label: 'Paid' },
-    { value: 'dispensed', label: 'Dispensed' }
+    { value: 'dispensed', label: 'Dispensed' },
+    { value: 'cancelled', label: 'Cancelled' },
+    { value: 'amended', label: 'Amended' },
+    { value: 'expired', label: 'Expired' }
   ];
 
   return (
@@ -88,6 +110,37 @@ const AdminDashboard = () => {
         </p>
       </div>
 
+      {/* Tabs */}
+      <div className="mb-6 border-b border-gray-200 flex gap-6">
+        {[{ value: 'logs', label: t('admin.hcsLogs') }, { value: 'users', label: t('admin.users') }, { value: 'organizations', label: t('admin.organizations') }, { value: 'practitioners', label: t('admin.practitioners') }, { value: 'apiClients', label: t('admin.apiClients') }, { value: 'access', label: t('admin.accessLog') }, { value: 'controlled', label: t('admin.controlledRegister') }].map(tab => (
+          <button
+            key={tab.value}
+            onClick={() => setActiveTab(tab.value)}
+            className={`pb-3 text-sm font-medium border-b-2 -mb-px ${
+              activeTab === tab.value
+                ? 'border-indigo-600 text-indigo-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {activeTab === 'users' ? (
+        <UserManagement />
+      ) : activeTab === 'organizations' ? (
+        <OrganizationManagement />
+      ) : activeTab === 'practitioners' ? (
+        <PractitionerRegistry />
+      ) : activeTab === 'apiClients' ? (
+        <ApiClientManagement />
+      ) : activeTab === 'access' ? (
+        <AccessAuditLog />
+      ) : activeTab === 'controlled' ? (
+        <ControlledRegister />
+      ) : (
+      <>
       {/* Filter Buttons */}
       <div className="mb-6 flex flex-wrap gap-3 items-center">
         <span className="text-sm font-medium text-gray-700">Filter:</span>
@@ -190,6 +243,21 @@ const AdminDashboard = () => {
                             <span className="text-xs">{log.fraudAlert.reason}</span>
                           </div>
                         )}
+                        {log.eventType === 'cancelled' && log.reason && (
+                          <p className="text-xs text-red-700">
+                            {log.cancelledBy?.name ? `${log.cancelledBy.name}: ` : ''}{log.reason}
+                          </p>
+                        )}
+                        {log.eventType === 'amended' && (
+                          <p className="text-xs text-amber-800">
+                            Version {log.version}{log.reason ? `: ${log.reason}` : ''}
+                          </p>
+                        )}
+                        {log.eventType === 'expired' && (
+                          <p className="text-xs text-slate-700">
+                            Valid until {log.validUntil ? new Date(log.validUntil).toLocaleDateString() : '—'}{log.previousState ? ` (was ${log.previousState.replace(/_/g, ' ')})` : ''}
+                          </p>
+                        )}
                         {log.dispenseCount !== undefined && (
                           <span className="text-xs">
                             Dispense: {log.dispenseCount}/{log.maxDispenses}
@@ -217,6 +285,8 @@ const AdminDashboard = () => {
           </div>
         </div>
       )}
+      </>
+      )}
     </div>
   );
 };
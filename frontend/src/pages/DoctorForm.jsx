@@ -1,6 +1,5 @@
 import { useState, useEffect, useRef } from 'react';
 // Medicines will be fetched from backend to ensure single source of truth
-import * as enc from '../utils/encryptedStorage';
 import { useNavigate } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import QRCodeDisplay from '../components/QRCodeDisplay';
@@ -10,6 +9,7 @@ import StepIndicator from '../components/StepIndicator';
 import SuccessCelebration from '../components/SuccessCelebration';
 import { FiPlus, FiTrash2, FiAlertCircle, FiCheckCircle, FiSave, FiX, FiChevronDown, FiChevronUp, FiUser, FiMail, FiPhone, FiCalendar, FiFileText, FiSearch, FiInfo, FiTrendingUp } from 'react-icons/fi';
 import useDocumentTitle from '../hooks/useDocumentTitle';
+import useIdempotencyKey from '../hooks/useIdempotencyKey';
 import { Button, Card, Badge, Skeleton, Alert } from '../components/ui';
 
 const DoctorForm = () => {
@@ -36,6 +36,7 @@ const DoctorForm = () => {
     contactMethod: 'email',
     age: '',
     diagnosis: '',
+    ald: false,
     maxDispenses: 1,
     medications: [{
       name: '',
@@ -59,9 +60,12 @@ const DoctorForm = () => {
   const [realTimeTotals, setRealTimeTotals] = useState({ total: 0, covered: 0, patient: 0 });
   const searchTimeoutRef = useRef(null);
   const autoSaveTimeoutRef = useRef(null);
-  const [doctorNationalId, setDoctorNationalId] = useState('009811233');
+  const [doctorNationalId, setDoctorNationalId] = useState('');
+  const [license, setLicense] = useState(null);
   const [lastSaved, setLastSaved] = useState(null);
   const [hasFormData, setHasFormData] = useState(false);
+  const [dispensePolicy, setDispensePolicy] = useState(null);
+  const issueKey = useIdempotencyKey(); // a resubmission after a dropped connection must not issue twice
   const navigate = useNavigate();
 
   // Dynamic title based on current step
@@ -75,6 +79,19 @@ const DoctorForm = () => {
 
   useDocumentTitle(getStepTitle());
 
+  // Prescriber INPE comes from the practitioner registry (issuance is refused without a valid license)
+  useEffect(() => {
+    fetch('/api/account/practitioner')
+      .then(r => r.json())
+      .then(data => {
+        if (data.success && data.practitioner) {
+          setLicense(data.practitioner);
+          setDoctorNationalId(data.practitioner.inpe);
+        }
+      })
+      .catch(() => setLicense(null));
+  }, []);
+
   // Keyboard shortcut: Cmd/Ctrl + Enter to submit
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -96,11 +113,34 @@ const DoctorForm = () => {
     return () => window.removeEventListener('keydown', handleKeyDown);
   }, [step, isLoading, prescriptionData]);
 
+  // Validity and refill limits derived by the server from the drug classes and the ALD flag
+  const policyKey = JSON.stringify([prescriptionData.ald, prescriptionData.medications.map(m => m.code || '')]);
+  useEffect(() => {
+    const medications = prescriptionData.medications.filter(m => m.code).map(m => ({ code: m.code }));
+    if (!medications.length) {
+      setDispensePolicy(null);
+      return;
+    }
+    const token = localStorage.getItem('auth_token');
+    const timer = setTimeout(() => {
+      fetch('/api/validity-rules/evaluate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: JSON.stringify({ medications, ald: !!prescriptionData.ald })
+      })
+        .then(r => r.json())
+        .then(data => setDispensePolicy(data.success ? data.policy : null))
+        .catch(() => setDispensePolicy(null));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [policyKey]);
+
   // Template selection handler
   const handleTemplateSelect = (template) => {
     setPrescriptionData(prev => ({
       ...prev,
       diagnosis: template.diagnosis,
+      ald: !!template.ald,
       maxDispenses: template.maxDispenses,
       medications: template.medications.map(med => ({ ...med }))
     }));
@@ -486,15 +526,17 @@ const DoctorForm = () => {
         .catch(() => setCnssLoading(false));
 
       // Create prescription directly (skip Step 2)
+      const issueBody = JSON.stringify({ formData: prescriptionData, geo: currentGeo, ...(doctorNationalId ? { nationalId: doctorNationalId } : {}) });
       const response = await fetch('/api/issue-prescription', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
-        body: JSON.stringify({ formData: prescriptionData, geo: currentGeo, ...(doctorNationalId ? { nationalId: doctorNationalId } : {}) })
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': issueKey.keyFor(issueBody), ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: issueBody
       });
       const data = await response.json();
+      issueKey.settle(response, data);
 
       if (!response.ok || !data.success) {
-        throw new Error(data?.error || 'Failed to create prescription');
+        throw new Error(data?.message || data?.error || 'Failed to create prescription');
       }
 
       const created = {
@@ -515,21 +557,6 @@ const DoctorForm = () => {
       // Clear draft and session flag after successful creation
       localStorage.removeItem('prescription_draft');
       sessionStorage.removeItem('draft_asked');
-
-      // Save to history
-      try {
-        await enc.pushToArray('prescriptions', {
-          id: created.id,
-          date: created.date,
-          patientName: prescriptionData.patientName,
-          diagnosis: prescriptionData.diagnosis,
-          medications: (prescriptionData.medications || []).map(m => ({
-            name: m.name,
-            dosage: m.dosage,
-            unit: m.unit
-          }))
-        });
-      } catch (_) { }
     } catch (err) {
       console.error('Error creating prescription:', err);
       setError(err.message || 'An error occurred while creating the prescription. Please try again.');
@@ -616,7 +643,7 @@ const DoctorForm = () => {
               <div className="group">
                 <label htmlFor="doctorNationalId" className="flex items-center gap-2 text-xs font-semibold uppercase tracking-wide text-slate-600 mb-2">
                   <FiUser className="h-4 w-4 text-emerald-500" />
-                  Doctor National ID
+                  Doctor INPE
                 </label>
                 <div className="relative">
                   <input
@@ -624,14 +651,22 @@ const DoctorForm = () => {
                     id="doctorNationalId"
                     name="doctorNationalId"
                     value={doctorNationalId}
-                    onChange={(e) => setDoctorNationalId(e.target.value)}
-                    className="block w-full rounded-xl border-0 ring-1 ring-slate-300 focus:ring-2 focus:ring-emerald-500 hover:ring-emerald-300 shadow-sm py-3 px-3 placeholder-slate-400 transition-all h-12"
-                    placeholder="e.g. AB123456"
+                    readOnly
+                    className="block w-full rounded-xl border-0 ring-1 ring-slate-300 bg-slate-50 shadow-sm py-3 px-3 placeholder-slate-400 transition-all h-12"
+                    placeholder="No license linked to this account"
                   />
-                  {doctorNationalId && (
+                  {license?.status === 'active' && (
                     <FiCheckCircle className="absolute right-3 top-1/2 -translate-y-1/2 h-5 w-5 text-green-500" />
                   )}
                 </div>
+                {license && license.status !== 'active' && (
+                  <p className="mt-1 text-xs text-red-600">
+                    License {license.status.replace(/_/g, ' ')}{license.statusReason ? ` — ${license.statusReason}` : ''}. Prescriptions cannot be issued.
+                  </p>
+                )}
+                {!license && (
+                  <p className="mt-1 text-xs text-amber-600">No practitioner license is linked to this account.</p>
+                )}
               </div>
 
               {/* Patient ID */}
@@ -816,7 +851,7 @@ const DoctorForm = () => {
                     id="maxDispenses"
                     name="maxDispenses"
                     min="1"
-                    max="12"
+                    max={dispensePolicy?.maxDispenses || 12}
                     value={prescriptionData.maxDispenses}
                     onChange={handleInputChange}
                     className="block w-full rounded-xl border-0 ring-1 ring-slate-300 focus:ring-2 focus:ring-emerald-500 hover:ring-emerald-300 shadow-sm py-3 px-3 placeholder-slate-400 transition-all h-12"
@@ -827,6 +862,47 @@ const DoctorForm = () => {
                   )}
                 </div>
                 <p className="mt-1 text-xs text-slate-500">{t('doctor.maxDispensesHelp')}</p>
+                {dispensePolicy && (
+                  <p className={`mt-1 text-xs ${Number(prescriptionData.maxDispenses) > dispensePolicy.maxDispenses ? 'text-red-600 font-medium' : 'text-emerald-700'}`}>
+                    {t('doctor.validityPolicy', { days: dispensePolicy.validityDays, max: dispensePolicy.maxDispenses })}
+                    {dispensePolicy.rules?.length > 0 && ` (${[...new Set(dispensePolicy.rules.map(r => r.label))].join(', ')})`}
+                  </p>
+                )}
+                {dispensePolicy?.controlled?.length > 0 && (
+                  <p className="mt-1 text-xs font-semibold text-red-700">
+                    {t('doctor.controlledPrescription')} ({[...new Set(dispensePolicy.controlled.map(c => c.label))].join(', ')})
+                  </p>
+                )}
+                <label className="mt-2 flex items-center gap-2 text-xs text-slate-600">
+                  <input
+                    type="checkbox"
+                    name="ald"
+                    checked={!!prescriptionData.ald}
+                    onChange={(e) => handleInputChange({ target: { name: 'ald', value: e.target.checked } })}
+                    className="h-4 w-4 rounded border-slate-300 text-emerald-600 focus:ring-emerald-500"
+                  />
+                  <span className="font-semibold">{t('doctor.ald')}</span>
+                  <span className="text-slate-400">{t('doctor.aldHelp')}</span>
+                </label>
+                {Number(prescriptionData.maxDispenses) > 1 && (
+                  <div className="mt-2 flex items-center gap-2 text-xs text-slate-600">
+                    <label htmlFor="dispenseIntervalDays" className="font-semibold">{t('doctor.dispenseInterval')}</label>
+                    <input
+                      type="number"
+                      id="dispenseIntervalDays"
+                      name="dispenseIntervalDays"
+                      min={dispensePolicy?.minIntervalDays || 0}
+                      max="365"
+                      placeholder="30"
+                      value={prescriptionData.dispenseIntervalDays ?? ''}
+                      onChange={(e) => handleInputChange({ target: { name: 'dispenseIntervalDays', value: e.target.value === '' ? undefined : Number(e.target.value) } })}
+                      className="w-20 rounded-lg border-0 ring-1 ring-slate-300 focus:ring-2 focus:ring-emerald-500 py-1 px-2"
+                    />
+                    {dispensePolicy?.minIntervalDays > 0 && (
+                      <span className="text-slate-400">{t('doctor.dispenseIntervalMin', { days: dispensePolicy.minIntervalDays })}</span>
+                    )}
+                  </div>
+                )}
               </div>
             </div>
 
@@ -1079,6 +1155,18 @@ const DoctorForm = () => {
                         placeholder={t('doctor.instructionsPlaceholder') || 'e.g. Take with food, avoid alcohol'}
                       />
                     </div>
+
+                    {/* Non substituable: the pharmacist must hand over this exact product */}
+                    <label className="inline-flex items-center gap-2 text-sm font-semibold text-slate-700">
+                      <input
+                        type="checkbox"
+                        name="nonSubstitutable"
+                        checked={!!med.nonSubstitutable}
+                        onChange={(e) => handleMedicationChange(index, { target: { name: 'nonSubstitutable', value: e.target.checked } })}
+                        className="h-4 w-4 rounded border-slate-300 text-emerald-600 focus:ring-emerald-500"
+                      />
+                      {t('doctor.nonSubstitutable') || 'Non substituable'}
+                    </label>
                   </div>
                 </div>
               </div>
@@ -1296,7 +1384,12 @@ const DoctorForm = () => {
   };
 
   const handleRevoke = async () => {
-    if (!confirm('Are you sure you want to revoke this prescription? This action cannot be undone.')) {
+    const reason = prompt('Reason for revoking this prescription (shown to the pharmacist and sent to the patient). This action cannot be undone.');
+    if (reason === null) {
+      return;
+    }
+    if (reason.trim().length < 3) {
+      alert('Please enter a reason for the revocation');
       return;
     }
 
@@ -1314,13 +1407,13 @@ const DoctorForm = () => {
         body: JSON.stringify({
           prescriptionId: createdPrescription.id,
           topicID: createdPrescription.qr?.data?.t,
-          reason: 'Revoked by doctor'
+          reason: reason.trim()
         })
       });
 
       const data = await resp.json();
       if (!resp.ok || !data.success) {
-        throw new Error(data?.error || 'Failed to revoke prescription');
+        throw new Error(data?.message || data?.error || 'Failed to revoke prescription');
       }
 
       setRevoked(true);
@@ -1344,6 +1437,7 @@ const DoctorForm = () => {
     contactMethod: 'email',
     age: '',
     diagnosis: '',
+    ald: false,
     maxDispenses: 1,
     medications: [{
       name: '',
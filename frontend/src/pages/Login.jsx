@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { FiLogIn, FiUser, FiLock, FiAlertCircle } from 'react-icons/fi';
+import { FiLogIn, FiUser, FiLock, FiAlertCircle, FiShield } from 'react-icons/fi';
+import { setSession } from '../utils/authSession';
+import TwoFactorSetup from '../components/TwoFactorSetup';
 
 const Login = ({ onLogin }) => {
   const [formData, setFormData] = useState({
@@ -10,6 +12,11 @@ const Login = ({ onLogin }) => {
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // 'credentials' -> optional 'code' (2FA enrolled) or 'enroll' (2FA mandated by policy)
+  const [step, setStep] = useState('credentials');
+  const [challengeToken, setChallengeToken] = useState('');
+  const [otpCode, setOtpCode] = useState('');
+  const [pendingLogin, setPendingLogin] = useState(null);
   const navigate = useNavigate();
 
   // Set the document title for the page
@@ -26,6 +33,62 @@ const Login = ({ onLogin }) => {
     if (error) setError('');
   };
 
+  const completeLogin = async (data) => {
+    // Store access + refresh tokens for authorized API calls
+    setSession(data);
+    // Store user info for frontend use
+    if (data.fullName) {
+      localStorage.setItem('user_fullName', data.fullName);
+    }
+    if (data.specialty) {
+      localStorage.setItem('user_specialty', data.specialty);
+    }
+    onLogin({ username: formData.username, role: data.role });
+    // Add a small delay for better UX
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    // Redirect based on role
+    navigate(data.role === 'doctor' ? '/doctor' : '/pharmacist');
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    if (isSubmitting) return;
+
+    setError('');
+    setIsSubmitting(true);
+    setIsLoading(true);
+
+    try {
+      const response = await fetch('/api/login/2fa', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ challengeToken, code: otpCode.trim() }),
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        await completeLogin(data);
+      } else {
+        setError(data.message || 'Invalid verification code');
+        // Expired challenge: start over from the password step
+        if (response.status === 401 && /expired/i.test(data.message || '')) {
+          setStep('credentials');
+          setOtpCode('');
+        }
+        setIsSubmitting(false);
+      }
+    } catch (err) {
+      setError('Failed to connect to the server. Please try again.');
+      console.error('2FA error:', err);
+      setIsSubmitting(false);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (isSubmitting) return;
@@ -54,23 +117,17 @@ const Login = ({ onLogin }) => {
 
       const data = await response.json();
 
-      if (data.success) {
-        // Store JWT for authorized API calls
-        if (data.token) {
-          localStorage.setItem('auth_token', data.token);
-        }
-        // Store user info for frontend use
-        if (data.fullName) {
-          localStorage.setItem('user_fullName', data.fullName);
-        }
-        if (data.specialty) {
-          localStorage.setItem('user_specialty', data.specialty);
-        }
-        onLogin({ username: formData.username, role: data.role });
-        // Add a small delay for better UX
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        // Redirect based on role
-        navigate(data.role === 'doctor' ? '/doctor' : '/pharmacist');
+      if (data.success && data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+        setStep('code');
+        setIsSubmitting(false);
+      } else if (data.success && data.mfaEnrollmentRequired) {
+        setSession(data);
+        setPendingLogin(data);
+        setStep('enroll');
+        setIsSubmitting(false);
+      } else if (data.success) {
+        await completeLogin(data);
       } else {
         setError(data.message || 'Invalid credentials');
         setIsSubmitting(false);
@@ -142,74 +199,131 @@ const Login = ({ onLogin }) => {
           </div>
         )}
 
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div>
-            <label htmlFor="username" className="block text-xs font-semibold uppercase tracking-wide text-slate-700">
-              Username
-            </label>
-            <div className="mt-2 relative">
-              <div className="pointer-events-none absolute inset-y-0 left-4 flex items-center">
-                <FiUser className="text-slate-400" size={18} />
+        {step === 'enroll' && (
+          <div className="p-5 rounded-2xl bg-white shadow-lg ring-1 ring-slate-200">
+            {/* Activation already stored the mfa-verified tokens - don't overwrite them */}
+            <TwoFactorSetup onComplete={() => completeLogin({ ...pendingLogin, token: undefined, refreshToken: undefined })} />
+          </div>
+        )}
+
+        {step === 'code' && (
+          <form onSubmit={handleCodeSubmit} className="space-y-4">
+            <div>
+              <label htmlFor="otpCode" className="block text-xs font-semibold uppercase tracking-wide text-slate-700">
+                Verification code
+              </label>
+              <p className="mt-1 text-xs text-slate-500">Enter the 6-digit code from your authenticator app, or one of your recovery codes.</p>
+              <div className="mt-2 relative">
+                <div className="pointer-events-none absolute inset-y-0 left-4 flex items-center">
+                  <FiShield className="text-slate-400" size={18} />
+                </div>
+                <input
+                  type="text"
+                  id="otpCode"
+                  name="otpCode"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  value={otpCode}
+                  onChange={(e) => { setOtpCode(e.target.value); if (error) setError(''); }}
+                  style={{ paddingLeft: '3.5rem' }}
+                  className="block w-full rounded-xl border-0 bg-white pr-4 py-3.5 text-base text-slate-900 placeholder-slate-400 shadow-lg ring-1 ring-inset ring-slate-300 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+                  placeholder="123456"
+                  autoFocus
+                  required
+                />
               </div>
-              <input
-                type="text"
-                id="username"
-                name="username"
-                value={formData.username}
-                onChange={handleChange}
-                style={{ paddingLeft: '3.5rem' }}
-                className="block w-full rounded-xl border-0 bg-white pr-4 py-3.5 text-base text-slate-900 placeholder-slate-400 shadow-lg ring-1 ring-inset ring-slate-300 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
-                placeholder="Enter your email"
-                required
-              />
             </div>
-          </div>
 
-          <div>
-            <label htmlFor="password" className="block text-xs font-semibold uppercase tracking-wide text-slate-700">
-              Password
-            </label>
-            <div className="mt-2 relative">
-              <div className="pointer-events-none absolute inset-y-0 left-4 flex items-center">
-                <FiLock className="text-slate-400" size={18} />
+            <div className="flex justify-center">
+              <button
+                type="submit"
+                disabled={isLoading}
+                className={`relative w-1/2 inline-flex items-center justify-center gap-2 rounded-xl bg-gradient-to-r from-indigo-600 via-blue-600 to-teal-600 py-2.5 text-sm font-semibold text-white shadow-lg shadow-indigo-500/30 transition-all hover:from-indigo-500 hover:via-blue-500 hover:to-teal-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 focus:ring-offset-slate-100 ${isLoading ? 'opacity-80 cursor-not-allowed' : ''}`}
+              >
+                {isLoading ? 'Verifying...' : 'Verify'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {step === 'credentials' && (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label htmlFor="username" className="block text-xs font-semibold uppercase tracking-wide text-slate-700">
+                Username
+              </label>
+              <div className="mt-2 relative">
+                <div className="pointer-events-none absolute inset-y-0 left-4 flex items-center">
+                  <FiUser className="text-slate-400" size={18} />
+                </div>
+                <input
+                  type="text"
+                  id="username"
+                  name="username"
+                  value={formData.username}
+                  onChange={handleChange}
+                  style={{ paddingLeft: '3.5rem' }}
+                  className="block w-full rounded-xl border-0 bg-white pr-4 py-3.5 text-base text-slate-900 placeholder-slate-400 shadow-lg ring-1 ring-inset ring-slate-300 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+                  placeholder="Enter your email"
+                  required
+                />
               </div>
-              <input
-                type="password"
-                id="password"
-                name="password"
-                value={formData.password}
-                onChange={handleChange}
-                style={{ paddingLeft: '3.5rem' }}
-                className="block w-full rounded-xl border-0 bg-white pr-4 py-3.5 text-base text-slate-900 placeholder-slate-400 shadow-lg ring-1 ring-inset ring-slate-300 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
-                placeholder="Enter your password"
-                required
-              />
             </div>
-          </div>
 
-          <div className="flex justify-center">
-            <button
-              type="submit"
-              disabled={isLoading}
-              className={`relative w-1/2 inline-flex items-center justify-center gap-2 rounded-xl bg-gradient-to-r from-indigo-600 via-blue-600 to-teal-600 py-2.5 text-sm font-semibold text-white shadow-lg shadow-indigo-500/30 transition-all hover:from-indigo-500 hover:via-blue-500 hover:to-teal-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 focus:ring-offset-slate-100 ${isLoading ? 'opacity-80 cursor-not-allowed' : ''}`}
-            >
-            {isLoading ? (
-              <span className="inline-flex items-center gap-2">
-                <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z"></path>
-                </svg>
-                Signing in...
-              </span>
-            ) : (
-              <span className="inline-flex items-center gap-2">
-                <FiLogIn />
-                Sign in
-              </span>
-            )}
+            <div>
+              <label htmlFor="password" className="block text-xs font-semibold uppercase tracking-wide text-slate-700">
+                Password
+              </label>
+              <div className="mt-2 relative">
+                <div className="pointer-events-none absolute inset-y-0 left-4 flex items-center">
+                  <FiLock className="text-slate-400" size={18} />
+                </div>
+                <input
+                  type="password"
+                  id="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  style={{ paddingLeft: '3.5rem' }}
+                  className="block w-full rounded-xl border-0 bg-white pr-4 py-3.5 text-base text-slate-900 placeholder-slate-400 shadow-lg ring-1 ring-inset ring-slate-300 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+                  placeholder="Enter your password"
+                  required
+                />
+              </div>
+            </div>
+
+            <div className="flex justify-center">
+              <button
+                type="submit"
+                disabled={isLoading}
+                className={`relative w-1/2 inline-flex items-center justify-center gap-2 rounded-xl bg-gradient-to-r from-indigo-600 via-blue-600 to-teal-600 py-2.5 text-sm font-semibold text-white shadow-lg shadow-indigo-500/30 transition-all hover:from-indigo-500 hover:via-blue-500 hover:to-teal-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 focus:ring-offset-slate-100 ${isLoading ? 'opacity-80 cursor-not-allowed' : ''}`}
+              >
+              {isLoading ? (
+                <span className="inline-flex items-center gap-2">
+                  <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z"></path>
+                  </svg>
+                  Signing in...
+                </span>
+              ) : (
+                <span className="inline-flex items-center gap-2">
+                  <FiLogIn />
+                  Sign in
+                </span>
+              )}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {step === 'credentials' && (
+          <p className="mt-6 text-center text-sm">
+            <button type="button" onClick={() => navigate('/patient')} className="text-indigo-600 hover:text-indigo-800 underline">
+              Patient? Sign in with a one-time code
             </button>
-          </div>
-        </form>
+          </p>
+        )}
 
         <p className="mt-6 text-center text-xs text-slate-600">
           By continuing you agree to our Terms and Privacy Policy
@@ -0,0 +1,193 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { FiLogIn, FiPhone, FiShield, FiAlertCircle, FiRefreshCw } from 'react-icons/fi';
+import { setSession, clearSession } from '../utils/authSession';
+import LanguageSwitcher from '../components/LanguageSwitcher';
+
+// Patient portal sign-in: one-time code sent to the phone or email recorded on the prescriptions
+const PatientLogin = ({ onLogin }) => {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [contact, setContact] = useState('');
+  const [code, setCode] = useState('');
+  const [challenge, setChallenge] = useState(null);
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    document.title = 'AtlasCare | Patient sign-in';
+  }, []);
+
+  const requestCode = async (e) => {
+    e?.preventDefault();
+    if (isLoading) return;
+    setError('');
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/patient/otp/request', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ contact: contact.trim() })
+      });
+      const data = await response.json();
+      if (data.success) {
+        setChallenge(data);
+        setCode('');
+      } else {
+        setError(data.message || 'Failed to send the sign-in code');
+      }
+    } catch (err) {
+      console.error('Patient code request error:', err);
+      setError('Failed to connect to the server. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    if (isLoading) return;
+    setError('');
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/patient/otp/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ contact: contact.trim(), challengeToken: challenge.challengeToken, code: code.trim() })
+      });
+      const data = await response.json();
+      if (data.success) {
+        // Patient sessions have no refresh token: drop any left over from a staff session
+        clearSession();
+        setSession(data);
+        if (data.fullName) localStorage.setItem('user_fullName', data.fullName);
+        onLogin({ username: data.contact, role: data.role, fullName: data.fullName });
+      } else {
+        setError(data.message || 'Invalid sign-in code');
+        // Expired or locked code: ask for a new one
+        if (data.code === 'CODE_EXPIRED' || data.code === 'TOO_MANY_ATTEMPTS') setChallenge(null);
+      }
+    } catch (err) {
+      console.error('Patient sign-in error:', err);
+      setError('Failed to connect to the server. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const inputClass = 'block w-full rounded-xl border-0 bg-white pr-4 py-3.5 text-base text-slate-900 placeholder-slate-400 shadow-lg ring-1 ring-inset ring-slate-300 focus:ring-2 focus:ring-indigo-500 focus:outline-none';
+  const buttonClass = `relative w-1/2 inline-flex items-center justify-center gap-2 rounded-xl bg-gradient-to-r from-indigo-600 via-blue-600 to-teal-600 py-2.5 text-sm font-semibold text-white shadow-lg shadow-indigo-500/30 transition-all hover:from-indigo-500 hover:via-blue-500 hover:to-teal-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 focus:ring-offset-slate-100 ${isLoading ? 'opacity-80 cursor-not-allowed' : ''}`;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-slate-100 via-blue-50 to-indigo-100 px-4 py-10">
+      <div className="w-full max-w-md">
+        <div className="flex justify-end mb-4">
+          <LanguageSwitcher />
+        </div>
+        <div className="mb-8 text-center">
+          <img
+            src="/Logo-V2.png"
+            alt="AtlasCare Logo"
+            className="w-48 h-auto mx-auto mb-2 drop-shadow-lg"
+            onError={(e) => { e.target.style.display = 'none'; }}
+          />
+          <h1 className="text-xl font-bold text-slate-800">{t('patient.signInTitle')}</h1>
+          <p className="mt-2 text-sm text-slate-600">{t('patient.signInHelp')}</p>
+        </div>
+
+        {error && (
+          <div className="mb-4 flex items-start gap-2 p-3 rounded-xl bg-red-50 border border-red-300 text-red-700">
+            <FiAlertCircle className="mt-0.5" />
+            <span className="text-sm">{error}</span>
+          </div>
+        )}
+
+        {!challenge ? (
+          <form onSubmit={requestCode} className="space-y-4">
+            <div>
+              <label htmlFor="contact" className="block text-xs font-semibold uppercase tracking-wide text-slate-700">
+                {t('patient.contact')}
+              </label>
+              <div className="mt-2 relative">
+                <div className="pointer-events-none absolute inset-y-0 left-4 flex items-center">
+                  <FiPhone className="text-slate-400" size={18} />
+                </div>
+                <input
+                  type="text"
+                  id="contact"
+                  value={contact}
+                  onChange={(e) => { setContact(e.target.value); if (error) setError(''); }}
+                  style={{ paddingLeft: '3.5rem' }}
+                  className={inputClass}
+                  placeholder="06 12 34 56 78"
+                  autoComplete="tel"
+                  autoFocus
+                  required
+                />
+              </div>
+            </div>
+            <div className="flex justify-center">
+              <button type="submit" disabled={isLoading} className={buttonClass}>
+                {isLoading ? t('common.loading') : t('patient.sendCode')}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <form onSubmit={handleVerify} className="space-y-4">
+            <p className="text-sm text-slate-600">
+              {t('patient.codeSent', { channel: challenge.channel === 'email' ? 'email' : 'SMS' })}
+            </p>
+            <div>
+              <label htmlFor="patientCode" className="block text-xs font-semibold uppercase tracking-wide text-slate-700">
+                {t('patient.code')}
+              </label>
+              <div className="mt-2 relative">
+                <div className="pointer-events-none absolute inset-y-0 left-4 flex items-center">
+                  <FiShield className="text-slate-400" size={18} />
+                </div>
+                <input
+                  type="text"
+                  id="patientCode"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  maxLength={6}
+                  value={code}
+                  onChange={(e) => { setCode(e.target.value.replace(/\D/g, '')); if (error) setError(''); }}
+                  style={{ paddingLeft: '3.5rem' }}
+                  className={inputClass}
+                  placeholder="123456"
+                  autoFocus
+                  required
+                />
+              </div>
+            </div>
+            <div className="flex justify-center">
+              <button type="submit" disabled={isLoading || code.length !== 6} className={buttonClass}>
+                <FiLogIn />
+                {t('patient.signIn')}
+              </button>
+            </div>
+            <div className="flex justify-between text-sm">
+              <button type="button" onClick={() => { setChallenge(null); setError(''); }} className="text-slate-600 hover:text-slate-800">
+                {t('patient.changeContact')}
+              </button>
+              <button type="button" onClick={requestCode} disabled={isLoading} className="inline-flex items-center gap-1 text-indigo-600 hover:text-indigo-800 disabled:opacity-50">
+                <FiRefreshCw className="h-3.5 w-3.5" />
+                {t('patient.resend')}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <p className="mt-8 text-center text-sm">
+          <button type="button" onClick={() => navigate('/')} className="text-slate-600 hover:text-slate-800 underline">
+            {t('patient.staffLink')}
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default PatientLogin;
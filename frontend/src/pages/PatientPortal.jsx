@@ -0,0 +1,227 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useTranslation } from 'react-i18next';
+import { FiDownload, FiRefreshCw, FiAlertTriangle, FiCalendar, FiMapPin, FiGrid } from 'react-icons/fi';
+import PickupDelegates from '../components/PickupDelegates';
+
+const STATUS_STYLES = {
+  issued: 'bg-blue-100 text-blue-800',
+  amended: 'bg-indigo-100 text-indigo-800',
+  verified: 'bg-cyan-100 text-cyan-800',
+  paid: 'bg-amber-100 text-amber-800',
+  partially_dispensed: 'bg-yellow-100 text-yellow-800',
+  dispensed: 'bg-green-100 text-green-800',
+  cancelled: 'bg-red-100 text-red-800',
+  expired: 'bg-gray-100 text-gray-700'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+// One prescription: status, dispense progress, pharmacy visits and its PDF / QR code
+const PrescriptionCard = ({ prescription, onDocument, documents, active }) => {
+  const { t } = useTranslation();
+  const { progress } = prescription;
+  const doc = documents[prescription.id];
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-5">
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div>
+          <p className="text-base font-semibold text-gray-900">{prescription.diagnosis}</p>
+          <p className="text-sm text-gray-500">
+            {t('patient.prescribedBy', { doctor: prescription.doctor || '—', date: formatDate(prescription.date) })}
+          </p>
+        </div>
+        <span className={`px-2.5 py-0.5 text-xs font-semibold rounded-full ${STATUS_STYLES[prescription.status] || STATUS_STYLES.issued}`}>
+          {t(`patient.status.${prescription.status}`)}
+        </span>
+      </div>
+
+      <ul className="mt-3 text-sm text-gray-700 list-disc list-inside">
+        {prescription.medications.map((med, index) => (
+          <li key={index}>{med.name} {med.dosage}{med.unit ? ` ${med.unit}` : ''} · {med.frequency}</li>
+        ))}
+      </ul>
+
+      <div className="mt-4">
+        <div className="flex justify-between text-xs text-gray-500 mb-1">
+          <span>{t('patient.progress', { count: progress.dispenseCount, max: progress.maxDispenses })}</span>
+          <span>{progress.percent}%</span>
+        </div>
+        <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+          <div className="h-2 bg-green-500" style={{ width: `${progress.percent}%` }} />
+        </div>
+        <div className="mt-2 flex flex-wrap gap-4 text-xs text-gray-500">
+          {prescription.validUntil && (
+            <span className="inline-flex items-center gap-1"><FiCalendar /> {t('patient.validUntil', { date: formatDate(prescription.validUntil) })}</span>
+          )}
+          {prescription.nextEligibleAt && (
+            <span className="inline-flex items-center gap-1 text-indigo-700"><FiRefreshCw /> {t('patient.nextRefill', { date: formatDate(prescription.nextEligibleAt) })}</span>
+          )}
+        </div>
+      </div>
+
+      {prescription.dispenses.length > 0 && (
+        <div className="mt-4">
+          <p className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">{t('patient.dispenses')}</p>
+          <ul className="space-y-2">
+            {prescription.dispenses.map((dispense, index) => (
+              <li key={index} className="text-sm text-gray-700">
+                <p className="inline-flex items-center gap-1 font-medium">
+                  <FiMapPin className="text-gray-400" />
+                  {t('patient.dispensedAt', { date: formatDate(dispense.at), pharmacy: dispense.pharmacy || t('patient.unknownPharmacy') })}
+                </p>
+                {dispense.collectedBy && (
+                  <p className="text-xs text-indigo-700">{t('patient.collectedBy', { name: dispense.collectedBy })}</p>
+                )}
+                <p className="text-xs text-gray-500">
+                  {dispense.items.map(item => `${item.name} × ${item.quantity}${item.substitution ? ` (${t('patient.generic')})` : ''}`).join(', ')}
+                </p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {(active || prescription.delegates.length > 0) && (
+        <div className="mt-4 pt-4 border-t border-gray-100">
+          <PickupDelegates prescriptionId={prescription.id} delegates={prescription.delegates} canAdd={active} />
+        </div>
+      )}
+
+      {!['cancelled', 'expired'].includes(prescription.status) && (
+        <div className="mt-4 flex flex-wrap gap-2">
+          <button
+            onClick={() => onDocument(prescription.id, 'pdf')}
+            className="inline-flex items-center gap-2 px-3 py-1.5 text-sm font-medium rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+          >
+            <FiDownload className="h-4 w-4" /> {t('patient.downloadPdf')}
+          </button>
+          <button
+            onClick={() => onDocument(prescription.id, 'qr')}
+            className="inline-flex items-center gap-2 px-3 py-1.5 text-sm font-medium rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+          >
+            <FiGrid className="h-4 w-4" /> {doc?.showQr ? t('patient.hideQr') : t('patient.showQr')}
+          </button>
+        </div>
+      )}
+      {doc?.showQr && doc.qrDataUrl && (
+        <img src={doc.qrDataUrl} alt="QR" className="mt-4 h-56 w-56 mx-auto" />
+      )}
+    </div>
+  );
+};
+
+// Patient portal: the signed-in patient's active and past prescriptions
+const PatientPortal = ({ onSessionExpired }) => {
+  const { t } = useTranslation();
+  const [active, setActive] = useState([]);
+  const [past, setPast] = useState([]);
+  const [documents, setDocuments] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchPrescriptions();
+  }, []);
+
+  const handleError = (err, fallback) => {
+    if (err.response?.status === 401) {
+      alert(t('patient.sessionExpired'));
+      onSessionExpired?.();
+      return;
+    }
+    setError(err.response?.data?.message || fallback);
+  };
+
+  const fetchPrescriptions = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.get('/api/patient/prescriptions');
+      setActive(response.data.active || []);
+      setPast(response.data.past || []);
+    } catch (err) {
+      console.error('Failed to fetch patient prescriptions:', err);
+      handleError(err, 'Failed to load your prescriptions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Regenerate the PDF (download) or the QR code (shown inline) of the current version
+  const handleDocument = async (id, kind) => {
+    if (kind === 'qr' && documents[id]?.qrDataUrl) {
+      setDocuments(prev => ({ ...prev, [id]: { ...prev[id], showQr: !prev[id].showQr } }));
+      return;
+    }
+    try {
+      const { data } = await axios.get(`/api/patient/prescriptions/${encodeURIComponent(id)}/document`);
+      setDocuments(prev => ({ ...prev, [id]: { qrDataUrl: data.qrDataUrl, showQr: kind === 'qr' || !!prev[id]?.showQr } }));
+      if (kind === 'pdf') {
+        const bytes = atob(data.base64);
+        const buffer = new Uint8Array(bytes.length);
+        for (let i = 0; i < bytes.length; i++) buffer[i] = bytes.charCodeAt(i);
+        const url = URL.createObjectURL(new Blob([buffer], { type: 'application/pdf' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = data.filename || `Prescription_${id}.pdf`;
+        link.click();
+        URL.revokeObjectURL(url);
+      }
+    } catch (err) {
+      console.error('Failed to regenerate prescription document:', err);
+      handleError(err, 'Failed to regenerate the prescription');
+    }
+  };
+
+  const section = (title, prescriptions, isActive) => (
+    <section className="mb-10">
+      <h2 className="text-lg font-semibold text-gray-800 mb-4">{title}</h2>
+      {prescriptions.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('patient.none')}</p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          {prescriptions.map(p => (
+            <PrescriptionCard key={p.id} prescription={p} onDocument={handleDocument} documents={documents} active={isActive} />
+          ))}
+        </div>
+      )}
+    </section>
+  );
+
+  return (
+    <div className="mx-auto max-w-5xl px-4 sm:px-6 lg:px-8">
+      <div className="flex items-center justify-between mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">{t('patient.title')}</h1>
+        <button
+          onClick={fetchPrescriptions}
+          disabled={loading}
+          className="inline-flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <FiRefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start gap-3">
+          <FiAlertTriangle className="h-5 w-5 text-red-600 mt-0.5 flex-shrink-0" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {loading && active.length === 0 && past.length === 0 ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-indigo-600"></div>
+        </div>
+      ) : (
+        <>
+          {section(t('patient.active'), active, true)}
+          {section(t('patient.past'), past, false)}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PatientPortal;
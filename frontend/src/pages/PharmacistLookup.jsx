@@ -3,12 +3,28 @@ import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import QRCode from 'qrcode.react';
 import QrScannerWrapper from '../components/QrScannerWrapper';
-import { FiSearch, FiAlertCircle, FiCheckCircle, FiCamera, FiCameraOff, FiWifi, FiWifiOff, FiLayers, FiX, FiShoppingCart, FiTrash2 } from 'react-icons/fi';
+import PrescriptionVersionHistory from '../components/PrescriptionVersionHistory';
+import ControlledRegister from '../components/ControlledRegister';
+import { FiSearch, FiAlertCircle, FiCheckCircle, FiCamera, FiCameraOff, FiWifi, FiWifiOff, FiLayers, FiX, FiShoppingCart, FiTrash2, FiBookOpen, FiShield } from 'react-icons/fi';
 import useDocumentTitle from '../hooks/useDocumentTitle';
+import useIdempotencyKey from '../hooks/useIdempotencyKey';
 import { performOfflineVerification } from '../utils/offlineVerification';
 import { cachePrescriptionWithKey } from '../utils/doctorKeyCache';
 import offlineQueueManager from '../utils/offlineQueue';
 
+// Reasons a pharmacist can record to hand over a refill before its due date
+const EARLY_REFILL_REASONS = {
+  travel: 'Patient travelling',
+  lost_or_damaged: 'Medication lost or damaged',
+  dose_increase: 'Dose increased by the prescriber',
+  supply_shortage: 'Upcoming supply shortage',
+  other: 'Other'
+};
+
+const DOCUMENT_TYPE_LABELS = { CIN: 'CIN', passport: 'Passport', residence_permit: 'Residence permit' };
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
 const PharmacistLookup = () => {
   const [step, setStep] = useState(1); // 1 Verify, 2 Dispense & Payment, 3 Complete (FSE + JSON + PDF)
   const [topicId, setTopicId] = useState('');
@@ -23,6 +39,7 @@ const PharmacistLookup = () => {
   const [doctorNationalId, setDoctorNationalId] = useState('');
   const [pharmacistNationalId, setPharmacistNationalId] = useState('119876510');
   const [qrJson, setQrJson] = useState('');
+  const [qrText, setQrText] = useState(''); // raw text of a compact (COSE/Base45) QR, verified as scanned
   const [paymentLoading, setPaymentLoading] = useState(false);
   const [canProceed, setCanProceed] = useState(false);
   const [cameraActive, setCameraActive] = useState(false);
@@ -32,6 +49,29 @@ const PharmacistLookup = () => {
   const [verifiedOffline, setVerifiedOffline] = useState(false);
   const [fraudAlert, setFraudAlert] = useState(null);
   const [fraudAcknowledged, setFraudAcknowledged] = useState(false);
+  const [prescriberLicense, setPrescriberLicense] = useState(null);
+  const [cancellation, setCancellation] = useState(null); // who cancelled the looked-up prescription, when and why
+  const [dispenseLines, setDispenseLines] = useState([]); // per medication line: prescribed / dispensed / remaining boxes
+  const [dispenseQuantities, setDispenseQuantities] = useState({}); // line -> boxes handed over at this visit
+  const [substitutions, setSubstitutions] = useState([]); // per medication line: { allowed, reason, generics }
+  const [substituteCodes, setSubstituteCodes] = useState({}); // line -> generic handed over instead of the prescribed product
+  const [refill, setRefill] = useState(null); // { schedule, eligible, nextEligibleAt, daysEarly, overrideReasons }
+  const [earlyRefillOverride, setEarlyRefillOverride] = useState({ reason: '', justification: '' });
+  const [controlled, setControlled] = useState(null); // { serialNumber, lines, documentTypes } for controlled-substance prescriptions
+  const [patientIdForm, setPatientIdForm] = useState({ documentType: 'CIN', documentNumber: '' });
+  const [patientIdCheck, setPatientIdCheck] = useState(null); // passed identity check ({ checkedAt, expiresAt, documentType })
+  const [patientIdLoading, setPatientIdLoading] = useState(false);
+  const [patientOtp, setPatientOtp] = useState(null); // patient-presence code: { required, sent, channel, expiresAt, attemptsLeft, lockedUntil, verified }
+  const [otpCode, setOtpCode] = useState('');
+  const [otpLoading, setOtpLoading] = useState(false);
+  const [delegates, setDelegates] = useState([]); // caregivers authorized to collect ({ id, name, phoneMasked })
+  const [delegateForm, setDelegateForm] = useState({ cin: '', code: '' });
+  const [delegatePickup, setDelegatePickup] = useState(null); // passed delegate check ({ delegate, checkedAt, expiresAt })
+  const [delegateLoading, setDelegateLoading] = useState(false);
+  const [showRegister, setShowRegister] = useState(false);
+  // Retrying after a dropped connection reuses the key, so the server never charges or dispenses twice
+  const paymentKey = useIdempotencyKey();
+  const dispenseKey = useIdempotencyKey();
   
   // Batch Mode State
   const [batchMode, setBatchMode] = useState(false);
@@ -129,10 +169,14 @@ const PharmacistLookup = () => {
       setError('Please enter a unique prescription ID');
       return;
     }
+    // Prescription IDs (RX-YYYYMMDD-NNNNN-C) go through verification, which checks the digit and finds the topic
+    if (!id && /^rx/i.test(lookupTopic)) return handleVerify();
 
     // Reset UI and eligibility before starting lookup
     setCanProceed(false);
     setPrescription(null);
+    setPrescriberLicense(null);
+    setCancellation(null);
     setStep(1);
     setLoading(true);
     setError('');
@@ -143,15 +187,8 @@ const PharmacistLookup = () => {
       if (!isOnline) {
         console.log('[OFFLINE MODE] Network unavailable - attempting offline verification...');
         
-        // Parse QR data if available from scanner
-        let qrPayload = null;
-        if (scannedData) {
-          try {
-            qrPayload = JSON.parse(scannedData);
-          } catch (e) {
-            console.warn('Could not parse scanned QR data for offline verification');
-          }
-        }
+        // Scanned QR text if available (JSON or compact: the format is detected during verification)
+        let qrPayload = qrText || qrJson || null;
 
         // If no QR data, try to construct minimal payload from topic ID
         if (!qrPayload) {
@@ -201,6 +238,24 @@ const PharmacistLookup = () => {
         setPrescription(null);
         return;
       }
+      setPrescriberLicense(data.prescriberLicense || null);
+      const lines = data.dispenseLines || [];
+      const maxDispensesForShare = data.prescription?.maxDispenses || 1;
+      setDispenseLines(lines);
+      // Default: this visit's share of every line that still has boxes to hand over
+      setDispenseQuantities(Object.fromEntries(lines.map(l => [l.line, Math.min(l.remaining, Math.ceil(l.prescribed / maxDispensesForShare))])));
+      setSubstitutions(data.substitutions || []);
+      setSubstituteCodes({});
+      setRefill(data.refill || null);
+      setEarlyRefillOverride({ reason: '', justification: '' });
+      setControlled(data.controlled || null);
+      setPatientIdCheck(data.controlled?.patientIdCheck?.checkedAt ? data.controlled.patientIdCheck : null);
+      setPatientIdForm({ documentType: 'CIN', documentNumber: '' });
+      setPatientOtp(data.otp || null);
+      setOtpCode('');
+      setDelegates(data.delegates || []);
+      setDelegateForm({ cin: '', code: '' });
+      setDelegatePickup(null);
 
         // PROACTIVE FRAUD DETECTION - Check immediately on lookup
         try {
@@ -259,13 +314,19 @@ const PharmacistLookup = () => {
         const dispenseCount = prescription.dispenseCount || 0;
         const maxDispenses = prescription.maxDispenses || 1;
         
-        // Allow if status is 'issued', 'paid', OR if there are remaining dispenses
-        if (status === 'issued' || status === 'paid' || dispenseCount < maxDispenses) {
+        // Allow unless the lifecycle reached a terminal state (dispensed, cancelled, expired)
+        if (status !== 'cancelled' && status !== 'expired' && status !== 'dispensed') {
           // Proceed to Medications
           setPrescription(prescription);
         } else {
-          // Fully dispensed or invalid status
-          setError(`This prescription has been fully dispensed (${dispenseCount}/${maxDispenses})`);
+          // Fully dispensed, cancelled or expired
+          if (status === 'cancelled') setCancellation(statusData.cancellation || prescription.cancellation || null);
+          const validUntil = statusData.expiry?.validUntil || prescription.expiry?.validUntil;
+          setError(status === 'expired'
+            ? `This prescription expired${validUntil ? ` on ${new Date(validUntil).toLocaleDateString()}` : ''} and can no longer be dispensed`
+            : status === 'cancelled'
+              ? `This prescription has been ${status}`
+              : `This prescription has been fully dispensed (${dispenseCount}/${maxDispenses} visits)`);
           setPrescription(null);
           setStep(1);
           return;
@@ -297,6 +358,7 @@ const PharmacistLookup = () => {
           // Reset form for next scan
           setTopicId('');
           setQrJson('');
+          setQrText('');
           setScannedData('');
           setLoading(false);
           
@@ -341,11 +403,12 @@ const PharmacistLookup = () => {
       const statusData = await statusResp.json();
       const status = ((statusData && statusData.status) || 'unknown').toLowerCase();
       
-      // Allow if status is 'issued' OR if prescription has remaining dispenses
-      if (status === 'issued') return true;
+      // Allow if nothing has been dispensed yet
+      if (status === 'issued' || status === 'verified' || status === 'amended') return true;
       
-      // If paid or dispensed, check if there are remaining dispenses (for multi-dispense refills)
-      if ((status === 'paid' || status === 'dispensed') && prescription) {
+      // If paid or partially dispensed, check that some medication line still has boxes to hand over
+      if ((status === 'paid' || status === 'partially_dispensed') && prescription) {
+        if (dispenseLines.length) return dispenseLines.some(l => l.remaining > 0);
         const dispenseCount = prescription.dispenseCount || 0;
         const maxDispenses = prescription.maxDispenses || 1;
         return dispenseCount < maxDispenses;
@@ -402,7 +465,7 @@ const PharmacistLookup = () => {
 
   const handleVerify = async () => {
     try {
-      setLoading(true); setError('');
+      setLoading(true); setError(''); setCancellation(null);
       if (!qrJson && !topicId) throw new Error('Scan the QR or enter a unique prescription ID first');
       // Extract topic ID from QR or use manual input
       const effectiveTopic = (() => {
@@ -428,9 +491,10 @@ const PharmacistLookup = () => {
         console.warn('Failed to parse QR JSON:', parseErr);
       }
       
-      const resp = await fetch('/api/verify', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ payload, topicID: effectiveTopic, doctorNationalId, pharmacistNationalId }) });
+      const resp = await fetch('/api/verify', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ payload, qrText: qrText || undefined, topicID: effectiveTopic, doctorNationalId, pharmacistNationalId }) });
       const data = await resp.json();
-      if (!resp.ok || !data.success || !data.valid) throw new Error(data?.error || 'Invalid prescription');
+      if (data?.cancellation) setCancellation(data.cancellation);
+      if (!resp.ok || !data.success || !data.valid) throw new Error(data?.message || data?.error || 'Invalid prescription');
       
       // Check for fraud alert
       if (data.fraudAlert) {
@@ -441,7 +505,8 @@ const PharmacistLookup = () => {
       }
       
       // Load prescription; step advancement is controlled inside handleLookup based on status
-      await handleLookup(effectiveTopic);
+      // A typed prescription ID (RX-...) is resolved to its topic by the server
+      await handleLookup(data.topicID || effectiveTopic);
     } catch (e) {
       setError(e.message || 'Verification failed');
     } finally {
@@ -449,18 +514,21 @@ const PharmacistLookup = () => {
     }
   };
 
-  const handleScan = (data) => {
+  const handleScan = (data, decoded) => {
     if (!data) return;
+    // Compact QRs arrive decoded by the scanner; their raw text is kept for the COSE signature check
+    const compact = decoded?.format === 'cose';
+    setQrText(compact ? data : '');
     try {
-      // Try JSON first
-      const parsed = JSON.parse(data);
-      setQrJson(data);
+      // Decoded compact payload, else try JSON first
+      const parsed = compact ? decoded.payload : JSON.parse(data);
+      setQrJson(compact ? JSON.stringify(parsed) : data);
       
       // Handle new QR payload format (spec Section 3.1)
       if (parsed?.t) {
         setTopicId(parsed.t);
         handleLookup(parsed.t);
-        setScannedData(`QR v${parsed.v || 'unknown'} detected - Dispense ${parsed.dc || 0}/${parsed.md || 1}`);
+        setScannedData(`${compact ? 'Compact QR' : 'QR'} v${parsed.v || 'unknown'} detected - Dispense ${parsed.dc || 0}/${parsed.md || 1}${Array.isArray(parsed.m) ? ` - ${parsed.m.length} medication line(s)` : ''}`);
       } else if (parsed?.topicID) {
         // Fallback for old format
         setTopicId(parsed.topicID);
@@ -565,15 +633,135 @@ const PharmacistLookup = () => {
     return isNaN(v) ? 0 : Math.min(100, Math.max(0, v));
   };
 
-  const computeDispenseTotals = (rx) => {
+  // Generic chosen for a line of the looked-up prescription (null when the prescribed product is handed over)
+  const earlyRefillJustified = !!earlyRefillOverride.reason && earlyRefillOverride.justification.trim().length >= 10;
+  // A checked delegate stands in for the patient's own code
+  const otpPending = !!patientOtp?.required && !patientOtp.verified && !delegatePickup;
+  const dispenseBlocked = (refill && !refill.eligible && !earlyRefillJustified) || (controlled && !patientIdCheck) || otpPending;
+
+  // Controlled substances: the patient's identity document is checked before dispensing
+  const handlePatientIdCheck = async () => {
+    setPatientIdLoading(true);
+    setError('');
+    try {
+      const resp = await fetch('/api/controlled/patient-id-check', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${localStorage.getItem('auth_token')}` },
+        body: JSON.stringify({ topicID: topicId, pharmacistNationalId, ...patientIdForm })
+      });
+      const data = await resp.json();
+      if (!resp.ok || !data.success) throw new Error(data.message || 'Identity check failed');
+      setPatientIdCheck(data.check);
+      if (data.fraudAlert) {
+        setFraudAlert(data.fraudAlert);
+        setFraudAcknowledged(false);
+      }
+    } catch (e) {
+      setPatientIdCheck(null);
+      setError(e.message);
+    } finally {
+      setPatientIdLoading(false);
+    }
+  };
+
+  // Patient presence: (re)send the one-time code to the patient, then check the code they show
+  const handleSendOtp = async () => {
+    setOtpLoading(true);
+    setError('');
+    try {
+      const resp = await fetch('/api/dispense-otp/send', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${localStorage.getItem('auth_token')}` },
+        body: JSON.stringify({ topicID: topicId })
+      });
+      const data = await resp.json();
+      if (!resp.ok || !data.success) {
+        if (data.lockedUntil) setPatientOtp(prev => ({ ...prev, lockedUntil: data.lockedUntil }));
+        throw new Error(data.message || 'Failed to send the code');
+      }
+      setPatientOtp(prev => ({ ...prev, ...data.otp }));
+      setOtpCode('');
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setOtpLoading(false);
+    }
+  };
+
+  const handleVerifyOtp = async () => {
+    setOtpLoading(true);
+    setError('');
+    try {
+      const resp = await fetch('/api/dispense-otp/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${localStorage.getItem('auth_token')}` },
+        body: JSON.stringify({ topicID: topicId, pharmacistNationalId, code: otpCode })
+      });
+      const data = await resp.json();
+      if (!resp.ok || !data.success) {
+        if (data.attemptsLeft !== undefined) setPatientOtp(prev => ({ ...prev, attemptsLeft: data.attemptsLeft }));
+        if (data.lockedUntil) setPatientOtp(prev => ({ ...prev, sent: false, attemptsLeft: 0, lockedUntil: data.lockedUntil }));
+        if (data.code === 'OTP_EXPIRED') setPatientOtp(prev => ({ ...prev, sent: false }));
+        throw new Error(data.attemptsLeft !== undefined ? `${data.message} (${data.attemptsLeft} attempt(s) left)` : (data.message || 'Code check failed'));
+      }
+      setPatientOtp(prev => ({ ...prev, ...data.otp }));
+      setOtpCode('');
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setOtpLoading(false);
+    }
+  };
+
+  // Delegated pickup: the caregiver shows their CIN and the pickup code they received
+  const handleDelegateCheck = async () => {
+    setDelegateLoading(true);
+    setError('');
+    try {
+      const resp = await fetch('/api/delegate-pickup/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${localStorage.getItem('auth_token')}` },
+        body: JSON.stringify({ topicID: topicId, pharmacistNationalId, ...delegateForm })
+      });
+      const data = await resp.json();
+      if (!resp.ok || !data.success) {
+        throw new Error(data.attemptsLeft !== undefined ? `${data.message} (${data.attemptsLeft} attempt(s) left)` : (data.message || 'Delegate check failed'));
+      }
+      setDelegatePickup(data);
+      setDelegateForm({ cin: '', code: '' });
+    } catch (e) {
+      setDelegatePickup(null);
+      setError(e.message);
+    } finally {
+      setDelegateLoading(false);
+    }
+  };
+
+  const substituteFor = (line, substitutes) => {
+    const code = substitutes?.[line];
+    return code ? (substitutions[line]?.generics || []).find(g => g.code === code) || null : null;
+  };
+
+  // Price of one box of a line; a generic is covered on its reimbursement basis
+  const linePricing = (m, generic) => {
+    if (generic) return { price: generic.price, covered: Math.min(generic.reimbursementBase, generic.price) * (generic.rate / 100) };
+    const match = (medicinesData || []).find(x => (x.code && m.code && x.code === m.code)) || {};
+    const price = getPriceNumber(extractPrice(match));
+    return { price, covered: price * (getRateNumber(extractRate(match)) / 100) };
+  };
+
+  // quantities: line -> boxes handed over; without it the server dispenses this visit's share of every open line
+  // substitutes: line -> generic code handed over instead of the prescribed product
+  const computeDispenseTotals = (rx, quantities = null, substitutes = null) => {
     const meds = Array.isArray(rx?.medications) ? rx.medications : [];
-    const items = meds.map(m => ({ drugId: m?.code || 'unknown', quantity: 1, unit: 'box' }));
-    const agg = meds.reduce((acc, m) => {
-      const match = (medicinesData || []).find(x => (x.code && m.code && x.code === m.code)) || {};
-      const price = getPriceNumber(extractPrice(match));
-      const rate = getRateNumber(extractRate(match));
-      acc.amount += price;
-      acc.covered += price * (rate/100);
+    const items = quantities
+      ? meds.map((m, line) => ({ line, drugId: m?.code || 'unknown', quantity: Number(quantities[line]) || 0, unit: 'box', ...(substitutes?.[line] ? { substituteCode: substitutes[line] } : {}) })).filter(i => i.quantity > 0)
+      : undefined;
+    const agg = meds.reduce((acc, m, line) => {
+      const boxes = quantities ? (Number(quantities[line]) || 0) : 1;
+      const { price, covered } = linePricing(m, substituteFor(line, substitutes));
+      acc.amount += price * boxes;
+      acc.covered += covered * boxes;
       return acc;
     }, { amount: 0, covered: 0 });
     const patient = Math.max(0, agg.amount - agg.covered);
@@ -610,17 +798,40 @@ const PharmacistLookup = () => {
         return;
       }
       
+      const lineQuantities = dispenseLines.length ? dispenseQuantities : null;
+      if (lineQuantities && !Object.values(lineQuantities).some(q => Number(q) > 0)) {
+        setError('Select at least one medication to dispense');
+        return;
+      }
+
+      if (controlled && !patientIdCheck) {
+        setError('Controlled substance: check the patient\'s identity document before dispensing');
+        return;
+      }
+      if (otpPending) {
+        setError('Enter the code sent to the patient before dispensing');
+        return;
+      }
+      const earlyRefill = refill && !refill.eligible;
+      if (earlyRefill && !earlyRefillJustified) {
+        setError(`Refill not due before ${formatDate(refill.nextEligibleAt)}: select a reason and justify the early refill`);
+        return;
+      }
+
       setPaymentLoading(true);
-      const { totals: payTotals } = computeDispenseTotals(prescription);
+      const { totals: payTotals } = computeDispenseTotals(prescription, lineQuantities, substituteCodes);
+      const paymentBody = JSON.stringify({ prescriptionId: prescription.id, method: paymentMethod, amountMAD: payTotals.amountMAD, pharmacistNationalId });
       const resp = await fetch('/api/payments', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ prescriptionId: prescription.id, method: paymentMethod, amountMAD: payTotals.amountMAD, pharmacistNationalId })
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': paymentKey.keyFor(paymentBody), Authorization: `Bearer ${localStorage.getItem('auth_token')}` },
+        body: paymentBody
       });
       const result = await resp.json();
+      paymentKey.settle(resp, result);
       if (!resp.ok || !result?.success) {
-        if (result?.error?.includes('already paid or dispensed')) {
-          setError('This prescription has already been paid or dispensed');
+        if (result?.code === 'INVALID_TRANSITION') {
+          setCancellation(result.cancellation || null);
+          setError(result.message);
           setCanProceed(false);
           setStep(1);
           return;
@@ -629,8 +840,17 @@ const PharmacistLookup = () => {
       }
       try {
         // Call dispense after successful payment (enqueue dispensed event)
-        const { items, totals } = computeDispenseTotals(prescription);
-        await fetch('/api/dispense', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ topicID: topicId, pharmacistNationalId, paymentMethod, items, totals }) });
+        const { items, totals } = computeDispenseTotals(prescription, lineQuantities, substituteCodes);
+        const dispenseBody = JSON.stringify({ topicID: topicId, pharmacistNationalId, paymentMethod, items, totals, ...(earlyRefill ? { earlyRefillOverride } : {}) });
+        const dispenseResp = await fetch('/api/dispense', { method: 'POST', headers: { 'Content-Type': 'application/json', 'Idempotency-Key': dispenseKey.keyFor(dispenseBody), Authorization: `Bearer ${localStorage.getItem('auth_token')}` }, body: dispenseBody });
+        const dispensed = await dispenseResp.json();
+        dispenseKey.settle(dispenseResp, dispensed);
+        if (dispensed?.lines) setDispenseLines(dispensed.lines);
+        if (controlled) setPatientIdCheck(null); // a check covers a single dispense
+        if (patientOtp?.verified) setPatientOtp(prev => ({ ...prev, sent: false, verified: false })); // so does a code
+        setDelegatePickup(null);
+        if (dispensed?.success) setRefill(prev => prev ? { ...prev, eligible: !dispensed.nextEligibleAt, nextEligibleAt: dispensed.nextEligibleAt || null, daysEarly: 0 } : prev);
+        if (!dispenseResp.ok && dispensed?.message) setError(dispensed.message);
       } catch (_) {}
       setStep(3);
     } catch (e) {
@@ -682,7 +902,7 @@ const PharmacistLookup = () => {
       // Process batch payment (single API call for all)
       const resp = await fetch('/api/payments/batch', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${localStorage.getItem('auth_token')}` },
         body: JSON.stringify({
           prescriptionIds,
           method: batchPaymentMethod,
@@ -694,7 +914,7 @@ const PharmacistLookup = () => {
       const result = await resp.json();
       
       if (!resp.ok || !result?.success) {
-        throw new Error(result?.error || 'Batch payment failed');
+        throw new Error(result?.message || result?.error || 'Batch payment failed');
       }
       
       // Dispense all prescriptions
@@ -703,7 +923,7 @@ const PharmacistLookup = () => {
           const { items, totals } = computeDispenseTotals(item.prescription);
           await fetch('/api/dispense', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${localStorage.getItem('auth_token')}` },
             body: JSON.stringify({
               topicID: item.id,
               pharmacistNationalId,
@@ -751,6 +971,17 @@ const PharmacistLookup = () => {
           
           {/* Network Status & Batch Mode Toggle */}
           <div className="flex items-center gap-3">
+            {/* Controlled-drug register */}
+            <button
+              onClick={() => setShowRegister(!showRegister)}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-all shadow-sm border-2 ${
+                showRegister ? 'bg-red-50 text-red-700 border-red-300' : 'bg-white text-slate-700 border-slate-200 hover:border-red-300'
+              }`}
+            >
+              <FiBookOpen className="h-4 w-4" />
+              <span className="font-semibold">Register</span>
+            </button>
+
             {/* Batch Mode Toggle */}
             <button
               onClick={() => {
@@ -819,6 +1050,12 @@ const PharmacistLookup = () => {
         </div>
       </div>
 
+      {showRegister && (
+        <div className="mb-8">
+          <ControlledRegister />
+        </div>
+      )}
+
       {/* Step 1: Verify (simplified UI) */}
       {step === 1 && (
         <div className="bg-white/80 backdrop-blur rounded-2xl shadow-lg ring-1 ring-slate-900/5 p-8 mb-8 max-w-xl mx-auto text-center">
@@ -889,7 +1126,7 @@ const PharmacistLookup = () => {
             <label htmlFor="topicId" className="block text-xs font-semibold uppercase tracking-wide text-slate-600">Unique Prescription ID</label>
             <div className="mt-2">
               <div className="relative">
-                <input id="topicId" type="text" value={topicId} onChange={(e)=>setTopicId(e.target.value)} onKeyDown={(e)=> e.key==='Enter' && handleLookup()} className="block w-full rounded-xl border-0 ring-1 ring-slate-300 px-3 py-3 focus:ring-2 focus:ring-emerald-400 placeholder-slate-400" placeholder="Enter unique prescription ID (e.g. 0.0.7153833)" />
+                <input id="topicId" type="text" value={topicId} onChange={(e)=>setTopicId(e.target.value)} onKeyDown={(e)=> e.key==='Enter' && handleLookup()} className="block w-full rounded-xl border-0 ring-1 ring-slate-300 px-3 py-3 focus:ring-2 focus:ring-emerald-400 placeholder-slate-400" placeholder="Enter unique prescription ID (e.g. 0.0.7153833 or RX-20250301-00042-5)" />
               </div>
             </div>
             <div className="flex gap-2 mt-4">
@@ -909,6 +1146,12 @@ const PharmacistLookup = () => {
                   <div>
                     <h4 className="text-sm font-semibold text-red-800 mb-1">Verification Failed</h4>
                     <span className="text-sm text-red-700">{error}</span>
+                    {cancellation && (
+                      <div className="mt-2 text-xs text-red-700 space-y-0.5">
+                        <p>Cancelled by <span className="font-semibold">{cancellation.cancelledBy?.name || 'the prescriber'}</span> on {new Date(cancellation.cancelledAt).toLocaleString()}</p>
+                        <p>Reason: {cancellation.reason}</p>
+                      </div>
+                    )}
                   </div>
                 </div>
                 <button
@@ -1205,6 +1448,17 @@ const PharmacistLookup = () => {
                 {prescription.doctorSpecialty && (
                   <p className="text-xs text-slate-500 mt-0.5">{prescription.doctorSpecialty}</p>
                 )}
+                {prescriberLicense && (
+                  <div className="mt-1.5 flex items-center gap-1.5 flex-wrap">
+                    <span className="text-xs text-slate-500">INPE {prescriberLicense.inpe}</span>
+                    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-[10px] font-semibold ${prescriberLicense.status === 'active' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                      License {prescriberLicense.status.replace(/_/g, ' ')}
+                    </span>
+                    {prescriberLicense.status !== 'active' && prescriberLicense.statusReason && (
+                      <p className="w-full text-xs text-red-600">{prescriberLicense.statusReason}</p>
+                    )}
+                  </div>
+                )}
               </div>
               <div className="ring-1 ring-slate-200 rounded-xl p-3">
                 <h4 className="text-xs font-semibold text-slate-600 mb-1">Dispense Status</h4>
@@ -1223,11 +1477,26 @@ const PharmacistLookup = () => {
                     })()}
                   </p>
                 )}
+                {refill?.schedule && (
+                  <p className="text-xs text-slate-500 mt-1">
+                    Every {refill.schedule.intervalDays} days ({refill.schedule.toleranceDays} days early allowed)
+                  </p>
+                )}
+                {refill?.nextEligibleAt && prescription.dispenseCount < (prescription.maxDispenses || 1) && (
+                  <p className={`text-xs mt-1 font-medium ${refill.eligible ? 'text-emerald-700' : 'text-amber-700'}`}>
+                    Next refill: {formatDate(refill.nextEligibleAt)}{!refill.eligible && ` (${refill.daysEarly} day(s) early)`}
+                  </p>
+                )}
                 {prescription.dispenseCount >= (prescription.maxDispenses || 1) && (
                   <p className="text-xs text-red-600 mt-1">Fully dispensed</p>
                 )}
               </div>
             </div>
+            {prescription.version > 1 && (
+              <div className="mt-3">
+                <PrescriptionVersionHistory prescriptionId={prescription.id} />
+              </div>
+            )}
           </div>
           
           {/* Split Layout: Medications (Left) + Payment (Right) */}
@@ -1237,11 +1506,11 @@ const PharmacistLookup = () => {
               <h4 className="text-sm font-bold text-slate-900 mb-3">Medications to Dispense</h4>
               {(prescription.medications||[]).map((m, i) => {
                 const match = (medicinesData || []).find(x => (x.code && m.code && x.code === m.code)) || {};
-                const priceText = extractPrice(match);
-                const priceNum = getPriceNumber(priceText);
-                const rateNum = getRateNumber(extractRate(match));
-                const covered = priceNum * (rateNum/100);
+                const generic = substituteFor(i, substituteCodes);
+                const { price: priceNum, covered } = linePricing(m, generic);
+                const priceText = generic ? `${generic.price.toFixed(2)} MAD` : extractPrice(match);
                 const patient = priceNum - covered;
+                const options = substitutions[i];
                 return (
                 <div key={i} className="ring-1 ring-slate-200 rounded-xl p-3 bg-gradient-to-r from-emerald-50 to-teal-50">
                   <div className="flex flex-col sm:flex-row sm:justify-between sm:items-start gap-2">
@@ -1249,6 +1518,54 @@ const PharmacistLookup = () => {
                       <div className="font-semibold text-slate-900 text-sm">{m.name}</div>
                       <div className="text-xs text-slate-600 mt-1">{m.dosage} {m.unit} • {m.frequency}/day • {m.duration} {m.durationUnit}</div>
                       {m.instructions && <div className="text-xs text-slate-500 mt-1 italic">{m.instructions}</div>}
+                      {dispenseLines[i] && (
+                        <div className="mt-2 flex items-center gap-2 flex-wrap">
+                          <span className="text-xs text-slate-600">
+                            Dispensed {dispenseLines[i].dispensed}/{dispenseLines[i].prescribed} {dispenseLines[i].unit}
+                          </span>
+                          {dispenseLines[i].remaining > 0 ? (
+                            <label className="inline-flex items-center gap-1 text-xs text-slate-700">
+                              Now:
+                              <input
+                                type="number"
+                                min="0"
+                                max={dispenseLines[i].remaining}
+                                value={dispenseQuantities[i] ?? 0}
+                                onChange={(e) => setDispenseQuantities(prev => ({ ...prev, [i]: Math.max(0, Math.min(dispenseLines[i].remaining, Number(e.target.value) || 0)) }))}
+                                className="w-16 rounded-md border border-slate-300 px-2 py-0.5 text-xs"
+                              />
+                            </label>
+                          ) : (
+                            <span className="inline-flex items-center px-2 py-0.5 rounded-full text-[10px] font-semibold bg-slate-100 text-slate-600">Complete</span>
+                          )}
+                        </div>
+                      )}
+                      {options?.reason === 'non_substitutable' && (
+                        <span className="mt-2 inline-flex items-center px-2 py-0.5 rounded-full text-[10px] font-semibold bg-red-100 text-red-700">Non substituable</span>
+                      )}
+                      {options?.allowed && dispenseLines[i]?.remaining !== 0 && (
+                        <label className="mt-2 flex items-center gap-2 text-xs text-slate-700">
+                          Hand over:
+                          <select
+                            value={substituteCodes[i] || ''}
+                            onChange={(e) => setSubstituteCodes(prev => ({ ...prev, [i]: e.target.value || undefined }))}
+                            className="rounded-md border border-slate-300 px-2 py-0.5 text-xs max-w-xs"
+                          >
+                            <option value="">Prescribed product</option>
+                            {options.generics.map(g => (
+                              <option key={g.code} value={g.code}>
+                                Generic: {g.name} ({g.presentation}) — {g.price.toFixed(2)} MAD
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                      )}
+                      {generic && (
+                        <div className="text-xs text-blue-800 mt-1">
+                          Substituted by {generic.name} ({generic.code}) • reimbursed on {generic.reimbursementBase.toFixed(2)} MAD at {generic.rate}%
+                          {getPriceNumber(extractPrice(match)) ? ` • ${(generic.price - getPriceNumber(extractPrice(match))).toFixed(2)} MAD vs prescribed` : ''}
+                        </div>
+                      )}
                     </div>
                     <div className="flex flex-col items-start sm:items-end gap-1">
                       {priceText && <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-semibold bg-blue-100 text-blue-800">{priceText}</span>}
@@ -1264,16 +1581,9 @@ const PharmacistLookup = () => {
               
               {/* Totals */}
             {(() => {
-              const meds = Array.isArray(prescription.medications) ? prescription.medications : [];
-              const totals = meds.reduce((acc, m) => {
-                const match = (medicinesData || []).find(x => (x.code && m.code && x.code === m.code)) || {};
-                const price = getPriceNumber(extractPrice(match));
-                const rate = getRateNumber(extractRate(match));
-                acc.amount += price;
-                acc.covered += price * (rate/100);
-                return acc;
-              }, { amount: 0, covered: 0 });
-              const patient = Math.max(0, totals.amount - totals.covered);
+              const { totals: visit } = computeDispenseTotals(prescription, dispenseLines.length ? dispenseQuantities : null, substituteCodes);
+              const totals = { amount: visit.amountMAD, covered: visit.coveredMAD };
+              const patient = visit.patientMAD;
               return (
                   <div className="mt-4 p-4 rounded-xl bg-gradient-to-r from-blue-50 to-indigo-50 border border-blue-100">
                     <div className="flex flex-wrap items-center justify-between gap-2">
@@ -1324,14 +1634,189 @@ const PharmacistLookup = () => {
                 </div>
                 </div>
           
+          {/* Controlled substances: serial number and patient identity check */}
+          {controlled && (
+            <div className="mx-4 mb-4 rounded-xl bg-red-50 ring-1 ring-red-200 p-4 space-y-3">
+              <div className="flex items-center gap-2 flex-wrap">
+                <FiShield className="h-4 w-4 text-red-700" />
+                <span className="text-sm font-semibold text-red-900">Ordonnance sécurisée N° {controlled.serialNumber}</span>
+                {[...new Set((controlled.lines || []).map(l => l.label))].map(label => (
+                  <span key={label} className="inline-flex items-center px-2 py-0.5 rounded-full text-[10px] font-semibold bg-red-100 text-red-800">{label}</span>
+                ))}
+                <span className="text-xs text-red-700">Single dispense · recorded in the controlled-drug register</span>
+              </div>
+              {patientIdCheck ? (
+                <p className="flex items-center gap-1.5 text-sm text-emerald-700">
+                  <FiCheckCircle className="h-4 w-4" />
+                  Identity checked ({DOCUMENT_TYPE_LABELS[patientIdCheck.documentType] || patientIdCheck.documentType}) at {new Date(patientIdCheck.checkedAt).toLocaleTimeString()}
+                </p>
+              ) : (
+                <div className="flex flex-wrap items-center gap-2">
+                  <select
+                    value={patientIdForm.documentType}
+                    onChange={(e) => setPatientIdForm(prev => ({ ...prev, documentType: e.target.value }))}
+                    className="rounded-lg border-0 ring-1 ring-red-300 px-3 py-2 text-sm bg-white focus:ring-2 focus:ring-red-400"
+                  >
+                    {(controlled.documentTypes || Object.keys(DOCUMENT_TYPE_LABELS)).map(type => (
+                      <option key={type} value={type}>{DOCUMENT_TYPE_LABELS[type] || type}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={patientIdForm.documentNumber}
+                    onChange={(e) => setPatientIdForm(prev => ({ ...prev, documentNumber: e.target.value }))}
+                    placeholder="Patient document number"
+                    className="flex-1 min-w-[12rem] rounded-lg border-0 ring-1 ring-red-300 px-3 py-2 text-sm focus:ring-2 focus:ring-red-400"
+                  />
+                  <button
+                    type="button"
+                    onClick={handlePatientIdCheck}
+                    disabled={patientIdLoading || patientIdForm.documentNumber.trim().length < 4}
+                    className="px-4 py-2 text-sm font-semibold rounded-lg bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+                  >
+                    {patientIdLoading ? 'Checking…' : 'Check ID'}
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Delegated pickup: a caregiver authorized by the patient or the doctor collects the prescription */}
+          {delegates.length > 0 && (
+            <div className="mx-4 mb-4 rounded-xl bg-teal-50 ring-1 ring-teal-200 p-4 space-y-3">
+              <div className="flex items-center gap-2 flex-wrap">
+                <FiShield className="h-4 w-4 text-teal-700" />
+                <span className="text-sm font-semibold text-teal-900">Authorized delegates</span>
+                <span className="text-xs text-teal-700">{delegates.map(d => d.name).join(', ')}</span>
+              </div>
+              {delegatePickup ? (
+                <p className="flex items-center gap-1.5 text-sm text-emerald-700">
+                  <FiCheckCircle className="h-4 w-4" />
+                  Collected by delegate {delegatePickup.delegate.name} · checked at {new Date(delegatePickup.checkedAt).toLocaleTimeString()}
+                </p>
+              ) : (
+                <div className="flex flex-wrap items-center gap-2">
+                  <input
+                    type="text"
+                    value={delegateForm.cin}
+                    onChange={(e) => setDelegateForm(prev => ({ ...prev, cin: e.target.value }))}
+                    placeholder="Delegate CIN"
+                    className="w-40 rounded-lg border-0 ring-1 ring-teal-300 px-3 py-2 text-sm focus:ring-2 focus:ring-teal-400"
+                  />
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    maxLength={6}
+                    value={delegateForm.code}
+                    onChange={(e) => setDelegateForm(prev => ({ ...prev, code: e.target.value.replace(/\D/g, '') }))}
+                    placeholder="Pickup code"
+                    className="w-36 rounded-lg border-0 ring-1 ring-teal-300 px-3 py-2 text-sm tracking-widest focus:ring-2 focus:ring-teal-400"
+                  />
+                  <button
+                    type="button"
+                    onClick={handleDelegateCheck}
+                    disabled={delegateLoading || delegateForm.cin.trim().length < 4 || delegateForm.code.length !== 6}
+                    className="px-4 py-2 text-sm font-semibold rounded-lg bg-teal-600 text-white hover:bg-teal-700 disabled:opacity-50"
+                  >
+                    {delegateLoading ? 'Checking…' : 'Check delegate'}
+                  </button>
+                  <span className="text-xs text-teal-700">Only when someone collects on the patient's behalf</span>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Patient presence: one-time code sent to the patient with the prescription */}
+          {patientOtp?.required && !delegatePickup && (
+            <div className="mx-4 mb-4 rounded-xl bg-indigo-50 ring-1 ring-indigo-200 p-4 space-y-3">
+              <div className="flex items-center gap-2 flex-wrap">
+                <FiShield className="h-4 w-4 text-indigo-700" />
+                <span className="text-sm font-semibold text-indigo-900">Patient code</span>
+                <span className="text-xs text-indigo-700">Ask the patient (or their delegate) for the code sent to their phone or email</span>
+              </div>
+              {patientOtp.verified ? (
+                <p className="flex items-center gap-1.5 text-sm text-emerald-700">
+                  <FiCheckCircle className="h-4 w-4" />
+                  Patient code confirmed{patientOtp.verifiedUntil ? ` · valid until ${new Date(patientOtp.verifiedUntil).toLocaleTimeString()}` : ''}
+                </p>
+              ) : patientOtp.lockedUntil ? (
+                <p className="flex items-center gap-1.5 text-sm text-red-700">
+                  <FiAlertCircle className="h-4 w-4" />
+                  Too many wrong codes: locked until {new Date(patientOtp.lockedUntil).toLocaleTimeString()}
+                </p>
+              ) : (
+                <div className="flex flex-wrap items-center gap-2">
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    maxLength={6}
+                    value={otpCode}
+                    onChange={(e) => setOtpCode(e.target.value.replace(/\D/g, ''))}
+                    placeholder="6-digit code"
+                    disabled={!patientOtp.sent}
+                    className="w-40 rounded-lg border-0 ring-1 ring-indigo-300 px-3 py-2 text-sm tracking-widest focus:ring-2 focus:ring-indigo-400 disabled:bg-gray-100"
+                  />
+                  <button
+                    type="button"
+                    onClick={handleVerifyOtp}
+                    disabled={otpLoading || !patientOtp.sent || otpCode.length !== 6}
+                    className="px-4 py-2 text-sm font-semibold rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+                  >
+                    {otpLoading ? 'Checking…' : 'Check code'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleSendOtp}
+                    disabled={otpLoading}
+                    className="px-3 py-2 text-sm font-medium rounded-lg text-indigo-700 hover:bg-indigo-100 disabled:opacity-50"
+                  >
+                    {patientOtp.sent ? 'Resend code' : 'Send a new code'}
+                  </button>
+                  {patientOtp.sent && (
+                    <span className="text-xs text-indigo-700">
+                      Sent by {patientOtp.channel === 'email' ? 'email' : 'SMS'} · {patientOtp.attemptsLeft} attempt(s) left
+                    </span>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Early refill: dispensing before the due date needs a recorded justification */}
+          {refill && !refill.eligible && (
+            <div className="mx-4 mb-4 rounded-xl bg-amber-50 ring-1 ring-amber-200 p-4 space-y-3">
+              <p className="text-sm font-semibold text-amber-900">
+                Early refill: next refill is due on {formatDate(refill.nextEligibleAt)} ({refill.daysEarly} day(s) early)
+              </p>
+              <select
+                value={earlyRefillOverride.reason}
+                onChange={(e) => setEarlyRefillOverride(prev => ({ ...prev, reason: e.target.value }))}
+                className="block w-full rounded-lg border-0 ring-1 ring-amber-300 px-3 py-2 text-sm focus:ring-2 focus:ring-amber-400 bg-white"
+              >
+                <option value="">Select a reason…</option>
+                {(refill.overrideReasons || Object.keys(EARLY_REFILL_REASONS)).map(reason => (
+                  <option key={reason} value={reason}>{EARLY_REFILL_REASONS[reason] || reason}</option>
+                ))}
+              </select>
+              <textarea
+                value={earlyRefillOverride.justification}
+                onChange={(e) => setEarlyRefillOverride(prev => ({ ...prev, justification: e.target.value }))}
+                rows={2}
+                maxLength={500}
+                placeholder="Justification (recorded with the dispense)"
+                className="block w-full rounded-lg border-0 ring-1 ring-amber-300 px-3 py-2 text-sm focus:ring-2 focus:ring-amber-400"
+              />
+            </div>
+          )}
+
           {/* Action Buttons */}
           <div className="px-4 pb-5 flex justify-end gap-3 border-t border-slate-200 pt-4">
             <button onClick={() => setStep(1)} className="inline-flex justify-center py-2.5 px-4 text-sm font-semibold rounded-lg text-slate-800 bg-white hover:bg-slate-50 border border-slate-200">Back</button>
             <button 
               onClick={handlePayment} 
-              disabled={paymentLoading || !canProceed} 
+              disabled={paymentLoading || !canProceed || dispenseBlocked} 
               className={`inline-flex justify-center items-center gap-2 py-2.5 px-6 text-sm font-semibold rounded-lg text-white shadow ${
-                paymentLoading || !canProceed 
+                paymentLoading || !canProceed || dispenseBlocked
                   ? 'bg-slate-300 cursor-not-allowed' 
                   : 'bg-gradient-to-r from-indigo-500 via-indigo-400 to-blue-400 hover:from-indigo-400 hover:via-indigo-300 hover:to-blue-300'
               }`}
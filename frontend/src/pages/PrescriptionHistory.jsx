@@ -1,75 +1,116 @@
 import { useState, useEffect } from 'react';
-import * as enc from '../utils/encryptedStorage';
+import axios from 'axios';
 import { useNavigate } from 'react-router-dom';
-import { FiSearch, FiArrowLeft, FiCalendar, FiUser, FiMail, FiFileText } from 'react-icons/fi';
+import { FiSearch, FiArrowLeft, FiCalendar, FiUser, FiMail, FiFileText, FiEdit2, FiPlus, FiRefreshCw, FiChevronLeft, FiChevronRight } from 'react-icons/fi';
+import PrescriptionAmendForm from '../components/PrescriptionAmendForm';
+import PickupDelegates from '../components/PickupDelegates';
+import PrescriptionVersionHistory from '../components/PrescriptionVersionHistory';
+
+const PAGE_SIZE = 20;
+
+const STATUS_OPTIONS = ['issued', 'amended', 'verified', 'paid', 'partially_dispensed', 'dispensed', 'cancelled', 'expired'];
+
+const STATUS_STYLES = {
+  issued: 'bg-blue-100 text-blue-800',
+  amended: 'bg-indigo-100 text-indigo-800',
+  verified: 'bg-cyan-100 text-cyan-800',
+  paid: 'bg-amber-100 text-amber-800',
+  partially_dispensed: 'bg-yellow-100 text-yellow-800',
+  dispensed: 'bg-green-100 text-green-800',
+  cancelled: 'bg-red-100 text-red-800',
+  expired: 'bg-gray-100 text-gray-700'
+};
+
+// States a prescription can still be amended from (nothing dispensed or paid yet)
+const AMENDABLE = ['issued', 'amended', 'verified'];
+
+const statusLabel = (status) => String(status || 'issued').replace(/_/g, ' ');
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${STATUS_STYLES[status] || STATUS_STYLES.issued}`}>
+    {statusLabel(status)}
+  </span>
+);
+
+// Dispenses and quantities handed over so far
+const DispenseProgress = ({ progress }) => (
+  <div className="min-w-[10rem]">
+    <div className="flex justify-between text-xs text-gray-500 mb-1">
+      <span>{progress.dispenseCount}/{progress.maxDispenses} dispensed</span>
+      <span>{progress.percent}%</span>
+    </div>
+    <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+      <div className="h-2 bg-green-500" style={{ width: `${progress.percent}%` }} />
+    </div>
+  </div>
+);
 
 const PrescriptionHistory = () => {
   const [prescriptions, setPrescriptions] = useState([]);
-  const [searchTerm, setSearchTerm] = useState('');
+  const [filters, setFilters] = useState({ patient: '', diagnosis: '', status: '', from: '', to: '' });
+  const [query, setQuery] = useState(filters);
+  const [page, setPage] = useState(1);
+  const [paging, setPaging] = useState({ total: 0, pages: 0 });
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   const [selectedPrescription, setSelectedPrescription] = useState(null);
+  const [amending, setAmending] = useState(false);
+  const [versionKey, setVersionKey] = useState(0);
   const navigate = useNavigate();
 
-  // Fetch prescriptions from localStorage
+  // Debounce the text filters so typing does not fire a request per keystroke
   useEffect(() => {
-    const fetchPrescriptions = async () => {
-      try {
-        // Read from encrypted storage. Only keep non-PII fields for listing.
-        const savedPrescriptions = await enc.getItem('prescriptions', []);
-        
-        // Sort by date, newest first
-        const sortedPrescriptions = [...savedPrescriptions].sort((a, b) => 
-          new Date(b.date) - new Date(a.date)
-        );
-        
-        setPrescriptions(sortedPrescriptions);
-        setIsLoading(false);
-      } catch (err) {
-        setError('Failed to load prescriptions');
-        setIsLoading(false);
-        console.error('Error loading prescriptions:', err);
-      }
-    };
+    const timer = setTimeout(() => {
+      setQuery(filters);
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [filters]);
 
-    fetchPrescriptions();
-    
-    // Listen for storage events to update the list when new prescriptions are added from other tabs
-    const handleStorageChange = () => { fetchPrescriptions(); };
-    
-    window.addEventListener('storage', handleStorageChange);
-    return () => window.removeEventListener('storage', handleStorageChange);
-  }, []);
+  const fetchPrescriptions = async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ page: String(page), pageSize: String(PAGE_SIZE) });
+      if (query.patient.trim()) params.set('patient', query.patient.trim());
+      if (query.diagnosis.trim()) params.set('diagnosis', query.diagnosis.trim());
+      if (query.status) params.set('status', query.status);
+      if (query.from) params.set('from', new Date(`${query.from}T00:00:00`).toISOString());
+      if (query.to) params.set('to', new Date(`${query.to}T23:59:59.999`).toISOString());
 
-  const filteredPrescriptions = prescriptions.filter(prescription =>
-    (prescription.patientName || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
-    (prescription.diagnosis || '').toLowerCase().includes(searchTerm.toLowerCase())
-  );
+      const response = await axios.get(`/api/prescriptions?${params}`);
+      setPrescriptions(response.data.items || []);
+      setPaging({ total: response.data.total || 0, pages: response.data.pages || 0 });
+      return response.data.items || [];
+    } catch (err) {
+      console.error('Error loading prescriptions:', err);
+      setError(err.response?.data?.message || 'Failed to load prescriptions');
+      return [];
+    } finally {
+      setIsLoading(false);
+    }
+  };
 
-  if (isLoading) {
-    return (
-      <div className="flex items-center justify-center min-h-screen">
-        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
-      </div>
-    );
-  }
+  useEffect(() => {
+    fetchPrescriptions();
+  }, [query, page]);
 
-  if (error) {
-    return (
-      <div className="p-4 max-w-4xl mx-auto">
-        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
-          <strong className="font-bold">Error: </strong>
-          <span className="block sm:inline">{error}</span>
-        </div>
-      </div>
-    );
-  }
+  const updateFilter = (field) => (e) => setFilters(prev => ({ ...prev, [field]: e.target.value }));
+
+  // Reload the amended prescription from the server (version, diagnosis, medications, status)
+  const handleAmended = async () => {
+    const items = await fetchPrescriptions();
+    const updated = items.find(p => p.id === selectedPrescription.id);
+    if (updated) setSelectedPrescription(updated);
+    setVersionKey(k => k + 1);
+  };
 
   if (selectedPrescription) {
+    const { progress } = selectedPrescription;
     return (
       <div className="p-4 max-w-4xl mx-auto">
         <button
-          onClick={() => setSelectedPrescription(null)}
+          onClick={() => { setSelectedPrescription(null); setAmending(false); }}
           className="flex items-center text-blue-600 hover:text-blue-800 mb-6"
         >
           <FiArrowLeft className="mr-2" /> Back to Prescriptions
@@ -81,9 +122,58 @@ const PrescriptionHistory = () => {
               <h2 className="text-2xl font-bold text-gray-800">Prescription Details</h2>
               <p className="text-gray-600">Prescribed on {new Date(selectedPrescription.date).toLocaleDateString()}</p>
             </div>
-            <span className="bg-blue-100 text-blue-800 text-xs font-medium px-2.5 py-0.5 rounded-full">
-              #{selectedPrescription.id}
-            </span>
+            <div className="flex items-center gap-2">
+              {!amending && AMENDABLE.includes(selectedPrescription.status) && (
+                <button
+                  onClick={() => setAmending(true)}
+                  className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium rounded-lg border border-blue-200 text-blue-700 hover:bg-blue-50"
+                >
+                  <FiEdit2 className="h-3.5 w-3.5" /> Amend
+                </button>
+              )}
+              <StatusBadge status={selectedPrescription.status} />
+              <span className="bg-blue-100 text-blue-800 text-xs font-medium px-2.5 py-0.5 rounded-full">
+                #{selectedPrescription.id}
+              </span>
+            </div>
+          </div>
+
+          {amending && (
+            <div className="mb-8 border border-blue-100 rounded-lg p-4">
+              <h3 className="text-lg font-semibold text-gray-700 mb-3">Amend prescription</h3>
+              <PrescriptionAmendForm
+                prescriptionId={selectedPrescription.id}
+                onAmended={handleAmended}
+                onClose={() => setAmending(false)}
+              />
+            </div>
+          )}
+
+          <div className="mb-6">
+            <PrescriptionVersionHistory prescriptionId={selectedPrescription.id} refreshKey={versionKey} />
+          </div>
+
+          <div className="mb-6 bg-gray-50 p-4 rounded-lg">
+            <h3 className="text-lg font-semibold text-gray-700 mb-3">Dispensing</h3>
+            <DispenseProgress progress={progress} />
+            <p className="mt-2 text-sm text-gray-600">
+              {progress.linesComplete}/{progress.lines} medication lines fully dispensed
+              {progress.lastDispenseDate && ` · last dispensed ${new Date(progress.lastDispenseDate).toLocaleDateString()}`}
+              {selectedPrescription.validUntil && ` · valid until ${new Date(selectedPrescription.validUntil).toLocaleDateString()}`}
+            </p>
+            {selectedPrescription.cancellation && (
+              <p className="mt-2 text-sm text-red-700">
+                Cancelled on {new Date(selectedPrescription.cancellation.cancelledAt).toLocaleDateString()}
+                {selectedPrescription.cancellation.reason && `: ${selectedPrescription.cancellation.reason}`}
+              </p>
+            )}
+            <div className="mt-4 pt-4 border-t border-gray-200">
+              <PickupDelegates
+                key={selectedPrescription.id}
+                prescriptionId={selectedPrescription.id}
+                canAdd={!['dispensed', 'cancelled', 'expired'].includes(selectedPrescription.status)}
+              />
+            </div>
           </div>
 
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
@@ -93,7 +183,8 @@ const PrescriptionHistory = () => {
               </h3>
               <div className="space-y-2">
                 <p><span className="font-medium">Name:</span> {selectedPrescription.patientName}</p>
-                <p><span className="font-medium">Email:</span> {selectedPrescription.patientEmail}</p>
+                {selectedPrescription.patientId && <p><span className="font-medium">ID:</span> {selectedPrescription.patientId}</p>}
+                {selectedPrescription.patientEmail && <p><span className="font-medium">Email:</span> {selectedPrescription.patientEmail}</p>}
               </div>
             </div>
 
@@ -138,7 +229,7 @@ const PrescriptionHistory = () => {
                         <div className="text-sm text-gray-900">{med.frequency}</div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-sm text-gray-900">{med.duration}</div>
+                        <div className="text-sm text-gray-900">{med.duration} {med.durationUnit}</div>
                       </td>
                     </tr>
                   ))}
@@ -168,6 +259,8 @@ const PrescriptionHistory = () => {
     );
   }
 
+  const hasFilters = Object.values(query).some(Boolean);
+
   return (
     <div className="p-4 max-w-6xl mx-auto">
       <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6">
@@ -175,30 +268,74 @@ const PrescriptionHistory = () => {
           <h1 className="text-2xl font-bold text-gray-800">Prescription History</h1>
           <p className="text-gray-600">View and manage previous prescriptions</p>
         </div>
-        <button
-          onClick={() => navigate('/doctor')}
-          className="mt-4 md:mt-0 bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-md flex items-center"
-        >
-          <FiPlus className="mr-2" /> Create New Prescription
-        </button>
+        <div className="mt-4 md:mt-0 flex gap-2">
+          <button
+            onClick={fetchPrescriptions}
+            disabled={isLoading}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            <FiRefreshCw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+          <button
+            onClick={() => navigate('/doctor')}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-md flex items-center"
+          >
+            <FiPlus className="mr-2" /> Create New Prescription
+          </button>
+        </div>
       </div>
 
-      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
-        <div className="relative">
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6 grid grid-cols-1 md:grid-cols-6 gap-3">
+        <div className="relative md:col-span-2">
           <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
             <FiSearch className="h-5 w-5 text-gray-400" />
           </div>
           <input
             type="text"
             className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md leading-5 bg-white placeholder-gray-500 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-            placeholder="Search by patient name, email, or diagnosis..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
+            placeholder="Patient name or ID..."
+            value={filters.patient}
+            onChange={updateFilter('patient')}
           />
         </div>
+        <input
+          type="text"
+          className="md:col-span-2 block w-full px-3 py-2 border border-gray-300 rounded-md bg-white placeholder-gray-500 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+          placeholder="Diagnosis..."
+          value={filters.diagnosis}
+          onChange={updateFilter('diagnosis')}
+        />
+        <select
+          value={filters.status}
+          onChange={updateFilter('status')}
+          className="md:col-span-2 block w-full px-3 py-2 border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm capitalize"
+        >
+          <option value="">All statuses</option>
+          {STATUS_OPTIONS.map(status => <option key={status} value={status}>{statusLabel(status)}</option>)}
+        </select>
+        <label className="md:col-span-3 flex items-center gap-2 text-sm text-gray-600">
+          From
+          <input type="date" value={filters.from} onChange={updateFilter('from')} className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500" />
+        </label>
+        <label className="md:col-span-3 flex items-center gap-2 text-sm text-gray-600">
+          To
+          <input type="date" value={filters.to} onChange={updateFilter('to')} className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500" />
+        </label>
       </div>
 
-      {filteredPrescriptions.length === 0 ? (
+      {error && (
+        <div className="mb-6 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
+          <strong className="font-bold">Error: </strong>
+          <span className="block sm:inline">{error}</span>
+        </div>
+      )}
+
+      {isLoading && prescriptions.length === 0 ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : prescriptions.length === 0 ? (
         <div className="text-center py-12">
           <svg
             className="mx-auto h-12 w-12 text-gray-400"
@@ -216,55 +353,82 @@ const PrescriptionHistory = () => {
           </svg>
           <h3 className="mt-2 text-sm font-medium text-gray-900">No prescriptions found</h3>
           <p className="mt-1 text-sm text-gray-500">
-            {searchTerm ? 'Try a different search term.' : 'No prescriptions have been created yet.'}
+            {hasFilters ? 'Try different filters.' : 'No prescriptions have been created yet.'}
           </p>
         </div>
       ) : (
-        <div className="bg-white shadow overflow-hidden sm:rounded-md">
-          <ul className="divide-y divide-gray-200">
-            {filteredPrescriptions.map((prescription) => (
-              <li key={prescription.id}>
-                <div 
-                  className="block hover:bg-gray-50 cursor-pointer"
-                  onClick={() => setSelectedPrescription(prescription)}
-                >
-                  <div className="px-4 py-4 sm:px-6">
-                    <div className="flex items-center justify-between">
-                      <p className="text-sm font-medium text-blue-600 truncate">
-                        {prescription.patientName}
-                      </p>
-                      <div className="ml-2 flex-shrink-0 flex">
-                        <p className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">
-                          {prescription.medications.length} {prescription.medications.length === 1 ? 'medication' : 'medications'}
+        <>
+          <div className="bg-white shadow overflow-hidden sm:rounded-md">
+            <ul className="divide-y divide-gray-200">
+              {prescriptions.map((prescription) => (
+                <li key={prescription.id}>
+                  <div
+                    className="block hover:bg-gray-50 cursor-pointer"
+                    onClick={() => setSelectedPrescription(prescription)}
+                  >
+                    <div className="px-4 py-4 sm:px-6">
+                      <div className="flex items-center justify-between">
+                        <p className="text-sm font-medium text-blue-600 truncate">
+                          {prescription.patientName}
                         </p>
+                        <div className="ml-2 flex-shrink-0 flex gap-2">
+                          <StatusBadge status={prescription.status} />
+                          <p className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-gray-100 text-gray-700">
+                            {prescription.medications.length} {prescription.medications.length === 1 ? 'medication' : 'medications'}
+                          </p>
+                        </div>
                       </div>
-                    </div>
-                    <div className="mt-2 sm:flex sm:justify-between">
-                      <div className="sm:flex">
-                        <p className="flex items-center text-sm text-gray-500">
-                          <FiMail className="flex-shrink-0 mr-1.5 h-5 w-5 text-gray-400" />
-                          {prescription.patientEmail}
-                        </p>
-                        <p className="mt-2 flex items-center text-sm text-gray-500 sm:mt-0 sm:ml-6">
-                          <FiFileText className="flex-shrink-0 mr-1.5 h-5 w-5 text-gray-400" />
-                          {prescription.diagnosis}
-                        </p>
-                      </div>
-                      <div className="mt-2 flex items-center text-sm text-gray-500 sm:mt-0">
-                        <FiCalendar className="flex-shrink-0 mr-1.5 h-5 w-5 text-gray-400" />
-                        <p>
-                          Prescribed on <time dateTime={prescription.date}>
-                            {new Date(prescription.date).toLocaleDateString()}
-                          </time>
-                        </p>
+                      <div className="mt-2 sm:flex sm:justify-between sm:items-center">
+                        <div className="sm:flex">
+                          {prescription.patientEmail && (
+                            <p className="flex items-center text-sm text-gray-500">
+                              <FiMail className="flex-shrink-0 mr-1.5 h-5 w-5 text-gray-400" />
+                              {prescription.patientEmail}
+                            </p>
+                          )}
+                          <p className="mt-2 flex items-center text-sm text-gray-500 sm:mt-0 sm:ml-6">
+                            <FiFileText className="flex-shrink-0 mr-1.5 h-5 w-5 text-gray-400" />
+                            {prescription.diagnosis}
+                          </p>
+                        </div>
+                        <div className="mt-2 flex items-center gap-6 text-sm text-gray-500 sm:mt-0">
+                          <DispenseProgress progress={prescription.progress} />
+                          <p className="flex items-center">
+                            <FiCalendar className="flex-shrink-0 mr-1.5 h-5 w-5 text-gray-400" />
+                            <time dateTime={prescription.date}>
+                              {new Date(prescription.date).toLocaleDateString()}
+                            </time>
+                          </p>
+                        </div>
                       </div>
                     </div>
                   </div>
-                </div>
-              </li>
-            ))}
-          </ul>
-        </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <div className="mt-4 flex items-center justify-between text-sm text-gray-600">
+            <p>{paging.total} {paging.total === 1 ? 'prescription' : 'prescriptions'}</p>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setPage(p => p - 1)}
+                disabled={page <= 1 || isLoading}
+                className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                <FiChevronLeft className="h-4 w-4" /> Previous
+              </button>
+              <span>Page {page} of {Math.max(paging.pages, 1)}</span>
+              <button
+                onClick={() => setPage(p => p + 1)}
+                disabled={page >= paging.pages || isLoading}
+                className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                Next <FiChevronRight className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        </>
       )}
     </div>
   );
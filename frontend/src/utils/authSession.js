@@ -0,0 +1,147 @@
+/**
+ * Auth Session Manager
+ *
+ * Keeps the short-lived access token fresh using the rotating refresh token.
+ * - Attaches the bearer token to /api calls that don't set one (all API routes are policy-checked)
+ * - Transparently retries /api calls once after a 401 by refreshing the access token
+ * - Single-flight refresh (parallel 401s share one refresh request)
+ * - Server-side logout (revokes access + refresh token)
+ */
+
+import axios from 'axios';
+
+const ACCESS_TOKEN_KEY = 'auth_token';
+const REFRESH_TOKEN_KEY = 'refresh_token';
+
+// Endpoints that must never trigger a refresh-and-retry loop
+const NO_REFRESH_PATHS = ['/api/login', '/api/token/refresh', '/api/logout', '/api/patient/otp', '/api/patient/logout'];
+
+let refreshPromise = null;
+
+export const getAccessToken = () => localStorage.getItem(ACCESS_TOKEN_KEY);
+export const getRefreshToken = () => localStorage.getItem(REFRESH_TOKEN_KEY);
+
+export const setSession = ({ token, refreshToken }) => {
+  if (token) localStorage.setItem(ACCESS_TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+const shouldRefresh = (url) => {
+  const path = typeof url === 'string' ? url : url?.url || '';
+  return path.includes('/api/') && !NO_REFRESH_PATHS.some(p => path.includes(p));
+};
+
+/**
+ * Exchange the refresh token for a new access token.
+ * @returns {Promise<string|null>} New access token, or null if the session is over
+ */
+export const refreshAccessToken = async (nativeFetch = window.fetch.bind(window)) => {
+  if (refreshPromise) return refreshPromise;
+
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return null;
+
+  refreshPromise = (async () => {
+    try {
+      const resp = await nativeFetch('/api/token/refresh', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+      const data = await resp.json();
+      if (resp.ok && data.success) {
+        setSession(data);
+        return data.token;
+      }
+      clearSession();
+      return null;
+    } catch (err) {
+      console.error('Token refresh failed:', err);
+      return null;
+    } finally {
+      refreshPromise = null;
+    }
+  })();
+
+  return refreshPromise;
+};
+
+/**
+ * Install fetch + axios interceptors that refresh the access token on 401.
+ * Call once at startup.
+ */
+export const installAuthInterceptors = () => {
+  const nativeFetch = window.fetch.bind(window);
+
+  window.fetch = async (input, init = {}) => {
+    const headers = new Headers(init.headers || {});
+    const token = getAccessToken();
+    if (token && shouldRefresh(input) && !headers.has('Authorization')) {
+      headers.set('Authorization', `Bearer ${token}`);
+      init = { ...init, headers };
+    }
+
+    const response = await nativeFetch(input, init);
+    if (response.status !== 401 || !shouldRefresh(input)) return response;
+
+    // Only retry calls that were authenticated in the first place
+    if (!headers.has('Authorization')) return response;
+
+    const newToken = await refreshAccessToken(nativeFetch);
+    if (!newToken) return response;
+
+    headers.set('Authorization', `Bearer ${newToken}`);
+    return nativeFetch(input, { ...init, headers });
+  };
+
+  axios.interceptors.request.use((config) => {
+    const token = getAccessToken();
+    if (token && shouldRefresh(config.url) && !config.headers.Authorization) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  });
+
+  axios.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const config = error.config;
+      if (error.response?.status !== 401 || !config || config._authRetried || !shouldRefresh(config.url)) {
+        return Promise.reject(error);
+      }
+      const newToken = await refreshAccessToken(nativeFetch);
+      if (!newToken) return Promise.reject(error);
+
+      config._authRetried = true;
+      config.headers = { ...config.headers, Authorization: `Bearer ${newToken}` };
+      return axios(config);
+    }
+  );
+};
+
+/**
+ * Revoke the current session on the server and clear local tokens
+ * @param {string} endpoint - Logout route ('/api/patient/logout' for patient portal sessions)
+ */
+export const logout = async (endpoint = '/api/logout') => {
+  const token = getAccessToken();
+  const refreshToken = getRefreshToken();
+  try {
+    if (token) {
+      await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ refreshToken })
+      });
+    }
+  } catch (err) {
+    console.warn('Server logout failed (session cleared locally):', err);
+  } finally {
+    clearSession();
+  }
+};
@@ -1,4 +1,6 @@
 import indexedDBManager from './indexedDB';
+import { getAccessToken } from './authSession';
+import { createIdempotencyKey } from '../hooks/useIdempotencyKey';
 
 class OfflineQueueManager {
   constructor() {
@@ -48,7 +50,9 @@ class OfflineQueueManager {
         data: item.data,
         endpoint: item.endpoint,
         method: item.method || 'POST',
-        headers: item.headers || {},
+        // Every replay of the item carries the same key: a request that reached the server before the
+        // connection dropped is answered from the stored response instead of running again
+        headers: { 'Idempotency-Key': createIdempotencyKey(), ...(item.headers || {}) },
         timestamp: Date.now()
       });
       
@@ -97,6 +101,8 @@ class OfflineQueueManager {
         method: item.method,
         headers: {
           'Content-Type': 'application/json',
+          // Use the current session token at replay time (queued tokens may have expired)
+          ...(getAccessToken() ? { Authorization: `Bearer ${getAccessToken()}` } : {}),
           ...item.headers
         },
         body: JSON.stringify(item.data)
@@ -1,8 +1,75 @@
 import elliptic from 'elliptic';
 import indexedDBManager from './indexedDB';
+import { getCachedDoctorPublicKey } from './doctorKeyCache';
+import { decodeQrText, verifyCoseSignature } from './qrCodec';
+import QR_SCHEMAS from '../../../backend/utils/qrSchemas.json';
 
 const ec = new elliptic.ec('secp256k1');
 
+// QR formats by version, from the definitions the backend registers (backend utils/qrSchemas.json,
+// read by utils/qrPayload.js there): offline decoding gives the same signed fields and upgrades
+
+// A list is copied as is, a map takes each field from the first of its names that has a value
+function decodeFields(definition, payload) {
+  if (Array.isArray(definition.fields)) return Object.fromEntries(definition.fields.map(field => [field, payload[field]]));
+  const valueAt = (name) => name.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), payload);
+  return Object.fromEntries(Object.entries(definition.fields).map(([field, names]) => {
+    const value = names.map(valueAt).find(v => v !== undefined && v !== null && v !== '');
+    return [field, value ?? definition.defaults?.[field]];
+  }));
+}
+
+// The single v1 medication becomes a line of m; default instructions give back the dosage code
+function upgradeFields(definition, fields) {
+  const { drop, line: [code, quantity, dosage], dosage: rule } = definition.upgrade;
+  const match = new RegExp(rule.pattern).exec(fields[rule.from] || '');
+  const lineDosage = match ? rule.format.replace(/\$(\w+)/g, (_, key) => (/^\d+$/.test(key) ? match[key] : fields[key])) : fields[dosage];
+  const kept = Object.fromEntries(Object.entries(fields).filter(([key]) => !drop.includes(key)));
+  return { ...kept, v: definition.next, m: [[fields[code], Number(fields[quantity]) || 1, lineDosage]] };
+}
+
+/**
+ * Schema definition of a QR payload's version (unversioned QRs are v1)
+ * @param {Object} qrPayload - QR payload
+ * @returns {Object|null} Version definition, null for unknown versions
+ */
+export function qrSchemaOf(qrPayload) {
+  return QR_SCHEMAS.versions[qrPayload?.v || '1.0'] || null;
+}
+
+/**
+ * Decode a QR payload as the backend does: the fields of its own version, upgraded to the current one
+ * @param {Object} qrPayload - QR payload
+ * @returns {Object|null} { version, decoded (signed fields), current, upgradedFrom }, null for unknown versions
+ */
+export function decodeQrPayload(qrPayload) {
+  const version = qrPayload?.v || '1.0';
+  const definition = qrSchemaOf(qrPayload);
+  if (!definition) return null;
+  const decoded = decodeFields(definition, qrPayload);
+  const upgradedFrom = [];
+  let current = decoded;
+  let at = version;
+  while (at !== QR_SCHEMAS.current) {
+    const step = QR_SCHEMAS.versions[at];
+    if (!step?.next || upgradedFrom.includes(at)) return null;
+    upgradedFrom.push(at);
+    current = upgradeFields(step, current);
+    at = step.next;
+  }
+  return { version, decoded, current, upgradedFrom };
+}
+
+/**
+ * Medication lines of a QR, as of the current version (a v1 QR gives its single medication)
+ * @param {Object} qrPayload - QR payload
+ * @returns {Array} [{ code, quantity, dosage }]
+ */
+export function qrMedicationLines(qrPayload) {
+  const lines = decodeQrPayload(qrPayload)?.current.m;
+  return (Array.isArray(lines) ? lines : []).map(([code, quantity, dosage]) => ({ code, quantity, dosage }));
+}
+
 /**
  * Verify prescription signature offline using ECDSA
  * @param {Object} qrPayload - Full QR payload with signature
@@ -23,9 +90,13 @@ export async function verifyOfflineSignature(qrPayload, publicKeyHex) {
       return false;
     }
 
-    // Reconstruct payload for hashing (exclude signature)
-    const payloadToVerify = { ...qrPayload };
-    delete payloadToVerify.s;
+    // Reconstruct payload for hashing (exclude signature; each QR version signs its own field list)
+    const qr = decodeQrPayload(qrPayload);
+    if (!qr) {
+      console.warn('Unsupported QR version:', qrPayload.v);
+      return false;
+    }
+    const payloadToVerify = qr.decoded;
 
     // Create canonical JSON string (sorted keys for consistent hashing)
     const canonicalPayload = JSON.stringify(payloadToVerify, Object.keys(payloadToVerify).sort());
@@ -105,15 +176,28 @@ export async function markNonceAsUsed(nonce) {
 
 /**
  * Perform complete offline verification
- * @param {Object} qrPayload - Full QR payload
- * @param {Object} options - Optional parameters
- * @returns {Object} - { valid, reason, prescription }
+ * @param {Object|String} qrInput - QR payload, or the scanned text (JSON or compact 'AC1:' QR)
+ * @param {Object} options - Optional parameters (doctorPublicKey, cose: decoded compact QR)
+ * @returns {Object} - { valid, reason, prescription, lines (medication lines of the QR) }
  */
-export async function performOfflineVerification(qrPayload, options = {}) {
+export async function performOfflineVerification(qrInput, options = {}) {
   try {
-    // 1. Check QR version
-    if (qrPayload?.v && qrPayload.v !== "1.0") {
-      return { valid: false, reason: 'Unsupported QR version', prescription: null };
+    // 0. Detect the QR format: compact QRs carry a COSE signature instead of s
+    let qrPayload = qrInput;
+    let cose = options.cose || null;
+    if (typeof qrInput === 'string') {
+      const decoded = await decodeQrText(qrInput);
+      if (!decoded.payload) {
+        return { valid: false, reason: 'Not a prescription QR code', prescription: null };
+      }
+      qrPayload = decoded.payload;
+      cose = decoded.cose || null;
+    }
+
+    // 1. Check QR version (checks below dispatch on it)
+    const qr = decodeQrPayload(qrPayload);
+    if (!qr) {
+      return { valid: false, reason: `Unsupported QR version ${qrPayload.v} (supported: ${Object.keys(QR_SCHEMAS.versions).join(', ')})`, prescription: null };
     }
 
     // 2. Check expiration
@@ -145,24 +229,47 @@ export async function performOfflineVerification(qrPayload, options = {}) {
       }
     }
 
-    // 5. Get cached prescription
-    const cached = await verifyAgainstCache(qrPayload.t);
-    if (!cached) {
+    // 5. Get cached prescription (a v2 QR carries every line, so the cached doctor key is enough;
+    // an upgraded v1 QR only its first medication)
+    const lines = qrMedicationLines(qrPayload);
+    const carriesAllLines = qr.upgradedFrom.length === 0 && lines.length > 0;
+    let cached = await verifyAgainstCache(qrPayload.t);
+    if (!cached && !carriesAllLines) {
       return { valid: false, reason: 'Prescription not found in offline cache', prescription: null };
     }
 
     // 6. Get doctor's public key from cache
-    const doctorPublicKey = options.doctorPublicKey || cached.doctorPublicKey;
+    const doctorPublicKey = options.doctorPublicKey || cached?.doctorPublicKey || await getCachedDoctorPublicKey(qrPayload.p);
     if (!doctorPublicKey) {
       return { valid: false, reason: 'Doctor public key not cached, cannot verify offline', prescription: null };
     }
 
     // 7. Verify signature
-    const signatureValid = await verifyOfflineSignature(qrPayload, doctorPublicKey);
+    const signatureValid = cose
+      ? await verifyCoseSignature(cose, doctorPublicKey)
+      : await verifyOfflineSignature(qrPayload, doctorPublicKey);
     if (!signatureValid) {
       return { valid: false, reason: 'Invalid signature', prescription: null };
     }
 
+    // 7b. v2: the signed lines must be the ones of the cached prescription
+    if (carriesAllLines && Array.isArray(cached?.medications)) {
+      const codes = (list) => list.map(code => code || 'UNKNOWN').sort().join(',');
+      if (codes(lines.map(l => l.code)) !== codes(cached.medications.map(m => m?.code))) {
+        return { valid: false, reason: 'QR medications do not match the prescription', prescription: null };
+      }
+    }
+    if (!cached) {
+      cached = {
+        topicID: qrPayload.t,
+        medications: lines,
+        validUntil: qrPayload.u,
+        dispenseCount: qrPayload.dc || 0,
+        maxDispenses: qrPayload.md || 1,
+        fromQr: true
+      };
+    }
+
     // 8. Mark nonce as used
     if (qrPayload?.n) {
       await markNonceAsUsed(qrPayload.n);
@@ -172,7 +279,8 @@ export async function performOfflineVerification(qrPayload, options = {}) {
     return { 
       valid: true, 
       reason: 'Verified offline successfully', 
-      prescription: cached 
+      prescription: cached,
+      lines
     };
 
   } catch (error) {
@@ -182,6 +290,9 @@ export async function performOfflineVerification(qrPayload, options = {}) {
 }
 
 export default {
+  qrSchemaOf,
+  decodeQrPayload,
+  qrMedicationLines,
   verifyOfflineSignature,
   verifyAgainstCache,
   isNonceUsed,
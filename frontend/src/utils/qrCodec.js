@@ -0,0 +1,212 @@
+import elliptic from 'elliptic';
+
+const ec = new elliptic.ec('secp256k1');
+
+// Compact QR encoding (backend utils/qrCodec.js), modelled on the EU Digital COVID Certificate:
+// 'AC1:' + Base45(zlib(COSE_Sign1(CBOR(payload)))), ES256K signature as raw r || s
+export const QR_PREFIX = 'AC1:';
+const COSE_SIGN1_TAG = 18;
+const COSE_ALG_ES256K = -47;
+const BASE45_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+class Tagged {
+  constructor(tag, value) {
+    this.tag = tag;
+    this.value = value;
+  }
+}
+
+/**
+ * Decode Base45 text (RFC 9285)
+ * @param {String} text - Base45 characters
+ * @returns {Uint8Array}
+ */
+export function base45Decode(text) {
+  const values = [...text].map(c => {
+    const v = BASE45_ALPHABET.indexOf(c);
+    if (v < 0) throw new Error(`Invalid Base45 character "${c}"`);
+    return v;
+  });
+  if (values.length % 3 === 1) throw new Error('Invalid Base45 length');
+  const bytes = [];
+  for (let i = 0; i < values.length; i += 3) {
+    if (i + 2 < values.length) {
+      const n = values[i] + values[i + 1] * 45 + values[i + 2] * 2025;
+      if (n > 0xffff) throw new Error('Invalid Base45 triplet');
+      bytes.push(n >> 8, n & 0xff);
+    } else {
+      const n = values[i] + values[i + 1] * 45;
+      if (n > 0xff) throw new Error('Invalid Base45 pair');
+      bytes.push(n);
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Decode one CBOR item (the subset used by QR payloads)
+ * @param {Uint8Array} bytes - CBOR data
+ * @returns {*} Decoded value (maps with non-text keys as Map, tags as Tagged)
+ */
+export function cborDecode(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = 0;
+  const need = (n) => {
+    if (pos + n > bytes.length) throw new Error('Truncated CBOR data');
+  };
+  const readLength = (info) => {
+    if (info < 24) return info;
+    need({ 24: 1, 25: 2, 26: 4, 27: 8 }[info] || 0);
+    let n;
+    if (info === 24) n = view.getUint8(pos);
+    else if (info === 25) n = view.getUint16(pos);
+    else if (info === 26) n = view.getUint32(pos);
+    else if (info === 27) n = Number(view.getBigUint64(pos));
+    else throw new Error('Unsupported CBOR length encoding');
+    pos += { 24: 1, 25: 2, 26: 4, 27: 8 }[info];
+    return n;
+  };
+  const item = (depth) => {
+    if (depth > 16) throw new Error('CBOR nesting too deep');
+    need(1);
+    const initial = bytes[pos++];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+    if (major === 7) {
+      if (info === 20) return false;
+      if (info === 21) return true;
+      if (info === 22 || info === 23) return null;
+      if (info === 26) { need(4); const v = view.getFloat32(pos); pos += 4; return v; }
+      if (info === 27) { need(8); const v = view.getFloat64(pos); pos += 8; return v; }
+      throw new Error('Unsupported CBOR simple value');
+    }
+    const length = readLength(info);
+    switch (major) {
+      case 0: return length;
+      case 1: return -1 - length;
+      case 2: { need(length); const v = bytes.slice(pos, pos + length); pos += length; return v; }
+      case 3: { need(length); const v = new TextDecoder().decode(bytes.subarray(pos, pos + length)); pos += length; return v; }
+      case 4: return Array.from({ length }, () => item(depth + 1));
+      case 5: {
+        const entries = Array.from({ length }, () => [item(depth + 1), item(depth + 1)]);
+        return entries.every(([k]) => typeof k === 'string') ? Object.fromEntries(entries) : new Map(entries);
+      }
+      case 6: return new Tagged(length, item(depth + 1));
+      default: throw new Error('Unsupported CBOR type');
+    }
+  };
+  const value = item(0);
+  if (pos !== bytes.length) throw new Error('Trailing bytes after CBOR item');
+  return value;
+}
+
+function cborHead(major, length) {
+  if (length < 24) return [(major << 5) | length];
+  if (length < 0x100) return [(major << 5) | 24, length];
+  if (length < 0x10000) return [(major << 5) | 25, length >> 8, length & 0xff];
+  return [(major << 5) | 26, (length >>> 24) & 0xff, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff];
+}
+
+// COSE Sig_structure ["Signature1", protected, external_aad (empty), payload]
+function sigStructure(protectedBytes, payloadBytes) {
+  const label = new TextEncoder().encode('Signature1');
+  return Uint8Array.from([
+    ...cborHead(4, 4),
+    ...cborHead(3, label.length), ...label,
+    ...cborHead(2, protectedBytes.length), ...protectedBytes,
+    ...cborHead(2, 0),
+    ...cborHead(2, payloadBytes.length), ...payloadBytes
+  ]);
+}
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Decode an 'AC1:' compact QR (signature not checked: see verifyCoseSignature)
+ * @param {String} text - Scanned QR text
+ * @returns {Object} { payload, kid (hex), protectedBytes, payloadBytes, signature }
+ */
+export async function decodeCoseQr(text) {
+  const body = String(text || '').trim();
+  if (!body.startsWith(QR_PREFIX)) throw new Error('Not a compact AtlasCare QR');
+  const cose = cborDecode(await inflate(base45Decode(body.slice(QR_PREFIX.length))));
+  const parts = cose instanceof Tagged && cose.tag === COSE_SIGN1_TAG ? cose.value : cose;
+  if (!Array.isArray(parts) || parts.length !== 4 || ![parts[0], parts[2], parts[3]].every(p => p instanceof Uint8Array)) {
+    throw new Error('Not a COSE_Sign1 structure');
+  }
+  const [protectedBytes, unprotected, payloadBytes, signature] = parts;
+  const header = protectedBytes.length ? cborDecode(protectedBytes) : new Map();
+  if (!(header instanceof Map) || header.get(1) !== COSE_ALG_ES256K) throw new Error('Unsupported COSE algorithm');
+  const payload = cborDecode(payloadBytes);
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload) || payload instanceof Map) throw new Error('Invalid QR payload');
+  const kid = unprotected instanceof Map ? unprotected.get(4) : null;
+  return { payload, kid: kid instanceof Uint8Array ? toHex(kid) : null, protectedBytes, payloadBytes, signature };
+}
+
+/**
+ * Verify the COSE signature of a decoded compact QR
+ * @param {Object} cose - decodeCoseQr result
+ * @param {String} publicKeyHex - Doctor's public key (cached)
+ * @returns {Boolean} - Signature valid
+ */
+export async function verifyCoseSignature(cose, publicKeyHex) {
+  try {
+    if (!cose?.signature || cose.signature.length !== 64 || !publicKeyHex) return false;
+    const hashBuffer = await window.crypto.subtle.digest('SHA-256', sigStructure(cose.protectedBytes, cose.payloadBytes));
+    const key = ec.keyFromPublic(publicKeyHex, 'hex');
+    return key.verify(Array.from(new Uint8Array(hashBuffer)), {
+      r: toHex(cose.signature.subarray(0, 32)),
+      s: toHex(cose.signature.subarray(32))
+    });
+  } catch (error) {
+    console.error('COSE signature verification failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Format of scanned QR text
+ * @param {String} text - Scanned QR text
+ * @returns {String} 'cose' | 'json' | 'url' | 'text'
+ */
+export function detectQrFormat(text) {
+  const body = String(text || '').trim();
+  if (body.startsWith(QR_PREFIX)) return 'cose';
+  if (body.startsWith('{')) {
+    try {
+      JSON.parse(body);
+      return 'json';
+    } catch (_) { /* not JSON */ }
+  }
+  if (/^https?:\/\//i.test(body)) return 'url';
+  return 'text';
+}
+
+/**
+ * Decode scanned QR text of any supported format
+ * @param {String} text - Scanned QR text
+ * @returns {Object} { format, payload (null for url/text), cose (compact QRs only) }
+ */
+export async function decodeQrText(text) {
+  const format = detectQrFormat(text);
+  if (format === 'cose') {
+    const cose = await decodeCoseQr(text);
+    return { format, payload: cose.payload, cose };
+  }
+  if (format === 'json') return { format, payload: JSON.parse(String(text).trim()) };
+  return { format, payload: null };
+}
+
+export default {
+  base45Decode,
+  cborDecode,
+  decodeCoseQr,
+  verifyCoseSignature,
+  detectQrFormat,
+  decodeQrText
+};
@@ -1,4 +1,4 @@
-import { defineConfig } from 'vite';
+import { defineConfig, searchForWorkspaceRoot } from 'vite';
 import react from '@vitejs/plugin-react';
 import { VitePWA } from 'vite-plugin-pwa';
 
@@ -81,6 +81,10 @@ export default defineConfig({
   server: {
     port: 3000,
     host: true, // Expose on network
+    fs: {
+      // QR schema definitions are shared with the backend (utils/offlineVerification.js)
+      allow: [searchForWorkspaceRoot(process.cwd()), '../backend/utils/qrSchemas.json'],
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:3001', // Use localhost to avoid EHOSTUNREACH